@@ -0,0 +1,269 @@
+/*
+ * ========================================
+ * CABINET CATALOG MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * The standard cabinets a shop or supplier sells, named the way the industry
+ * names them - B24 is a 24" wide base, W3042 a 30" wide by 42" high wall
+ * cabinet, SB36 a 36" sink base, DB18 an 18" drawer base. Pick one from the
+ * catalog and it drops into the layout at its standard size, and every
+ * cabinet in the project gets a SKU on the cut list and the quote.
+ *
+ * WHAT IT DOES:
+ * - Lists the catalog, grouped the way a supplier's book is (CABINET_CATALOG)
+ * - Creates a cabinet from a catalog entry at a standard size (createCatalogCabinet)
+ * - Names any cabinet by its dimensions (getCabinetSku) - the SKU follows
+ *   the cabinet when it is resized, so it is never stored
+ *
+ * HOW SKUS ARE BUILT:
+ *   prefix + width [+ height] [+ depth] [MOD]
+ * - Width is always there, in whole inches (two digits: B09, W0930)
+ * - Height is there for wall and tall cabinets, where the same width comes
+ *   in several heights (W3030, W3042, U2484)
+ * - Depth is added only when it isn't the standard for that cabinet
+ *   (W301224 is a 24" deep wall cabinet over a refrigerator)
+ * - " MOD" (modified) is added when a size isn't a whole inch
+ *
+ * SIZES:
+ * Widths, heights and depths come from DIMENSION_CONSTRAINTS, so the
+ * catalog and the validation warnings agree on what "standard" means.
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (CABINET_TYPES, SMART_DEFAULTS)
+ * - cabinetModel.js (createCabinet)
+ * - designEngine.js (getOptimalDrawerStack, for drawer bases)
+ * - validation.js (DIMENSION_CONSTRAINTS)
+ *   All must be loaded BEFORE this file via <script> tag in index.html
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (catalog browser, SKU in the cabinet list and pricing)
+ * - designEngine.js (SKU on every cut list row, including under Node)
+ * - validation.js (vanities follow the vanity standards)
+ * - printExport.js (SKU on the project overview)
+ */
+
+// Standard widths between two sizes, inclusive
+const catalogWidths = (min, max) => DIMENSION_CONSTRAINTS.width.standard.filter(w => w >= min && w <= max);
+
+/**
+ * CABINET_CATALOG - Every catalog entry
+ *
+ * Each entry: {
+ *   id, prefix, name, category,
+ *   type: CABINET_TYPES key the cabinet is created as,
+ *   standards: which DIMENSION_CONSTRAINTS heights and depths it follows,
+ *   widths: the standard widths it comes in,
+ *   heights: the heights it comes in (only when the height is part of the SKU),
+ *   drawers: true for a full stack of drawers instead of doors,
+ *   doorsByWidth: true for one door up to SMART_DEFAULTS.doorWidth.optimalMax wide, two above it,
+ *   overrides: anything else that differs from the type's defaults
+ * }
+ */
+const CABINET_CATALOG = [
+    {
+        id: 'base',
+        prefix: 'B',
+        name: 'Base',
+        category: 'Base',
+        type: 'base',
+        standards: 'base',
+        widths: catalogWidths(9, 48),
+        doorsByWidth: true
+    },
+    {
+        id: 'drawerBase',
+        prefix: 'DB',
+        name: 'Drawer Base',
+        category: 'Base',
+        type: 'base',
+        standards: 'base',
+        widths: catalogWidths(12, 36),
+        drawers: true,
+        overrides: { doors: 0, shelves: 0 }
+    },
+    {
+        id: 'sinkBase',
+        prefix: 'SB',
+        name: 'Sink Base',
+        category: 'Base',
+        type: 'sinkBase',
+        standards: 'base',
+        widths: catalogWidths(DIMENSION_CONSTRAINTS.sinkBase.minWidth, 48)
+    },
+    {
+        id: 'wall',
+        prefix: 'W',
+        name: 'Wall',
+        category: 'Wall',
+        type: 'wall',
+        standards: 'wall',
+        widths: catalogWidths(9, 48),
+        heights: DIMENSION_CONSTRAINTS.height.wall,
+        doorsByWidth: true
+    },
+    {
+        id: 'tall',
+        prefix: 'U',
+        name: 'Tall Utility / Pantry',
+        category: 'Tall',
+        type: 'tall',
+        standards: 'tall',
+        widths: catalogWidths(18, 36),
+        heights: DIMENSION_CONSTRAINTS.height.tall,
+        doorsByWidth: true
+    },
+    {
+        id: 'blindBase',
+        prefix: 'BBC',
+        name: 'Blind Corner Base',
+        category: 'Corner',
+        type: 'blindBase',
+        standards: 'base',
+        widths: catalogWidths(36, 48)
+    },
+    {
+        id: 'blindWall',
+        prefix: 'WBC',
+        name: 'Blind Corner Wall',
+        category: 'Corner',
+        type: 'blindWall',
+        standards: 'wall',
+        widths: catalogWidths(24, 42),
+        heights: DIMENSION_CONSTRAINTS.height.wall.filter(h => h >= 30)
+    },
+    {
+        id: 'lazySusan',
+        prefix: 'LS',
+        name: 'Lazy Susan Corner',
+        category: 'Corner',
+        type: 'lazySusan',
+        standards: 'base',
+        widths: catalogWidths(33, 36)
+    },
+    {
+        id: 'diagonalBase',
+        prefix: 'DCB',
+        name: 'Diagonal Corner Base',
+        category: 'Corner',
+        type: 'diagonalBase',
+        standards: 'base',
+        widths: catalogWidths(36, 36)
+    },
+    {
+        id: 'diagonalWall',
+        prefix: 'WDC',
+        name: 'Diagonal Corner Wall',
+        category: 'Corner',
+        type: 'diagonalWall',
+        standards: 'wall',
+        widths: catalogWidths(24, 27),
+        heights: DIMENSION_CONSTRAINTS.height.wall.filter(h => h >= 30)
+    },
+    {
+        id: 'vanity',
+        prefix: 'V',
+        name: 'Vanity Base',
+        category: 'Vanity',
+        type: 'base',
+        standards: 'vanity',
+        widths: catalogWidths(18, 48),
+        doorsByWidth: true
+    },
+    {
+        id: 'vanityDrawer',
+        prefix: 'VDB',
+        name: 'Vanity Drawer Base',
+        category: 'Vanity',
+        type: 'base',
+        standards: 'vanity',
+        widths: catalogWidths(12, 21),
+        drawers: true,
+        overrides: { doors: 0, shelves: 0 }
+    }
+];
+
+/**
+ * getCatalogEntry - The catalog entry a cabinet belongs to
+ *
+ * A cabinet dropped in from the catalog remembers its entry (catalogId).
+ * Any other cabinet - or one whose type was changed since - gets the first
+ * entry for its type, so B for a base, W for a wall cabinet and so on.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @returns {Object} - The catalog entry
+ */
+function getCatalogEntry(cabinet) {
+    const chosen = CABINET_CATALOG.find(entry => entry.id === cabinet.catalogId);
+    if (chosen && chosen.type === cabinet.type) return chosen;
+    return CABINET_CATALOG.find(entry => entry.type === cabinet.type) || CABINET_CATALOG[0];
+}
+
+/**
+ * getCatalogDefaults - Standard height and depth for a catalog entry
+ *
+ * @param {Object} entry - The catalog entry
+ * @returns {Object} - { height, depth } - the tallest standard height and the first standard depth
+ */
+function getCatalogDefaults(entry) {
+    return {
+        height: Math.max(...DIMENSION_CONSTRAINTS.height[entry.standards]),
+        depth: DIMENSION_CONSTRAINTS.depth[entry.standards][0]
+    };
+}
+
+/**
+ * getCabinetSku - The industry SKU for a cabinet, from its dimensions
+ *
+ * @param {Object} cabinet - The cabinet
+ * @returns {string} - e.g. 'B24', 'W3042', 'SB36', 'W301224', 'B24 MOD'
+ *
+ * EXAMPLE:
+ * getCabinetSku({ type: 'wall', width: 30, height: 42, depth: 12 })  // 'W3042'
+ */
+function getCabinetSku(cabinet) {
+    const entry = getCatalogEntry(cabinet);
+    const sizes = [cabinet.width];
+    if (entry.heights) sizes.push(cabinet.height);
+    if (Math.abs(cabinet.depth - getCatalogDefaults(entry).depth) > 0.01) sizes.push(cabinet.depth);
+
+    const modified = sizes.some(size => Math.abs(size - Math.round(size)) > 0.01);
+    const digits = sizes.map(size => String(Math.floor(size + 0.01)).padStart(2, '0')).join('');
+    return `${entry.prefix}${digits}${modified ? ' MOD' : ''}`;
+}
+
+/**
+ * createCatalogCabinet - A cabinet from the catalog at a standard size
+ *
+ * @param {string} entryId - Catalog entry id (e.g. 'wall')
+ * @param {number} width - One of the entry's widths
+ * @param {number} height - One of the entry's heights (ignored when the height isn't part of the SKU)
+ * @param {Object} overrides - Anything else to set (id, name, xPosition...)
+ * @returns {Object} - The new cabinet (see createCabinet)
+ */
+function createCatalogCabinet(entryId, width, height, overrides = {}) {
+    const entry = CABINET_CATALOG.find(e => e.id === entryId) || CABINET_CATALOG[0];
+    const defaults = getCatalogDefaults(entry);
+    const doorCount = width > SMART_DEFAULTS.doorWidth.optimalMax ? 2 : 1;
+    const doors = {};
+    if (entry.doorsByWidth) {
+        doors.doors = doorCount;
+        if (CABINET_TYPES[entry.type].splitDoors) doors.upperDoors = doorCount;
+    }
+
+    const cabinet = createCabinet(entry.type, {
+        ...(entry.overrides || {}),
+        ...doors,
+        width,
+        height: entry.heights ? height : defaults.height,
+        depth: defaults.depth,
+        catalogId: entry.id,
+        ...overrides
+    });
+
+    return entry.drawers ? { ...cabinet, drawers: getOptimalDrawerStack(cabinet) } : cabinet;
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// CABINET_CATALOG, getCatalogEntry, getCatalogDefaults, getCabinetSku, createCatalogCabinet
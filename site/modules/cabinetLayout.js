@@ -0,0 +1,1760 @@
+/*
+ * ========================================
+ * CABINET LAYOUT MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * Works out where the doors sit on the front of a cabinet. The 3D view,
+ * the cut list, the shopping list and the shop drawings all need the same
+ * door sizes, so the math lives here once instead of being copied around.
+ *
+ * WHAT IT DOES:
+ * - Sizes doors and drawer fronts for the overlay mode (full, partial, inset)
+ * - Splits the cabinet front into "door banks" (rows of doors)
+ * - Sizes each drawer front, including drawers side by side in a row
+ * - Splits a box into sections with vertical partitions
+ * - Sizes each door in a bank
+ * - Lays out the stiles, mid-stiles and rails of a face frame
+ * - Counts the doors on a cabinet
+ * - Counts the hinges on each door and lays out the 35mm cups, the mounting
+ *   plates and the 32mm line boring on frameless sides
+ * - Works out the dead panel and filler on blind corner cabinets
+ * - Works out the outline (footprint) of lazy susan and diagonal corner cabinets
+ * - Works out the false fronts and the plumbing cutout on sink bases
+ * - Picks the longest slide that fits each drawer and sizes its box to
+ *   the slide maker's clearances (or builds it on a metal drawer system)
+ * - Sizes the roll-out trays and other pull-outs behind the doors
+ * - Sizes box, back and drawer box parts for the joinery method and lists
+ *   the dados, rabbets and grooves to machine
+ * - Places a cabinet next to another one (snap and align), turning the
+ *   corner when the neighbor is a blind corner cabinet
+ *
+ * DOOR BANKS EXPLAINED:
+ * Most cabinets have one bank of doors that fills the space above the drawers.
+ * Tall cabinets have two banks split at the fixed mid-shelf:
+ *   - lower bank: from the top of the drawers up to the fixed shelf
+ *   - upper bank: from the fixed shelf up to the top of the cabinet
+ * Sink bases have false fronts across the top, so their doors stop below them.
+ * Door numbers run through the banks in order, so the first upper door comes
+ * right after the last lower door. doorHandles and hidden doors use these numbers.
+ *
+ * FRONT SIZING EXPLAINED:
+ * Every door, drawer and false front owns a "slot" on the face. The slots of
+ * neighboring fronts share an edge. Each front is its slot, pulled in from
+ * every edge by getFrontEdgeOffset - how far depends on what is at that edge
+ * (the outside of the box, a partition or fixed shelf, or just another front)
+ * and on the cabinet's overlay mode.
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (CABINET_TYPES, OVERLAY_TYPES, CONSTRUCTION_TYPES, ACCESSORY_TYPES, DRAWER_BOX,
+ *   JOINERY_TYPES, DEFAULT_JOINERY, HINGE_TYPES, HINGE_BORING, FRONT_MOTION, SYSTEM_32, SLIDE_TYPES,
+ *   SLIDE_CATALOG, DRAWER_SYSTEMS)
+ * - measurements.js (decimalToFraction, for machining notes)
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (3D view and cut list)
+ * - shoppingListGenerator.js (hinges, pulls and door area)
+ * - printExport.js (shop drawings)
+ */
+
+// Reveal (gap between fronts) and overlay used when a cabinet doesn't set its own
+const DEFAULT_REVEAL = 0.125;
+const DEFAULT_OVERLAY = 0.5;
+
+// Doors, drawer fronts, blind panels and fillers are 3/4" stock
+const FRONT_THICKNESS = 0.75;
+
+// Positions closer than this (in inches) count as touching
+const LAYOUT_TOLERANCE = 0.01;
+
+// Concealed hinges and the edge of an open door stand about 1" into the
+// opening - pull-outs behind doors mount on spacers this thick
+const HINGE_CLEARANCE = 1;
+
+// Hinge and line boring sizes are metric (see HINGE_BORING, SYSTEM_32)
+const MM_PER_INCH = 25.4;
+
+/**
+ * getBlindCornerLayout - Dead panel and filler for a blind corner cabinet
+ *
+ * TOP VIEW (blindSide 'left'):
+ *
+ *   side wall
+ *   |<-pull->|<------------- cabinet width ------------->|
+ *   |        [ dead panel  ][      door opening         ]
+ *   |<-- blindDepth -->|F|
+ *                        ^ filler sits in the face of the adjoining run
+ *
+ * The adjoining run covers blindDepth from the side wall. Because the box is
+ * pulled out from the wall, the dead panel only has to cover
+ * blindDepth - pullOutDistance, plus the thickness of the adjoining doors.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object|null} - { side, blindDepth, pullOutDistance, fillerWidth,
+ *   deadPanelWidth, fillerX } or null if the cabinet is not a blind corner.
+ *   fillerX is measured from the left end of the cabinet.
+ */
+function getBlindCornerLayout(cabinet) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    if (!typeSpec.blindCorner) return null;
+
+    const side = cabinet.blindSide === 'right' ? 'right' : 'left';
+    const blindDepth = cabinet.blindDepth ?? typeSpec.defaults.blindDepth;
+    const pullOutDistance = cabinet.pullOutDistance ?? typeSpec.defaults.pullOutDistance;
+    const fillerWidth = cabinet.fillerWidth ?? typeSpec.defaults.fillerWidth;
+    const coveredWidth = Math.max(0, blindDepth - pullOutDistance);
+    const deadPanelWidth = Math.min(cabinet.width, coveredWidth + FRONT_THICKNESS);
+
+    return {
+        side,
+        blindDepth,
+        pullOutDistance,
+        fillerWidth,
+        deadPanelWidth,
+        fillerX: side === 'left' ? coveredWidth : cabinet.width - coveredWidth - FRONT_THICKNESS
+    };
+}
+
+/**
+ * getCornerFootprint - Top-view outline of a lazy susan or diagonal corner cabinet
+ *
+ * TOP VIEW (cornerSide 'left', back wall along the top, W = width, D = depth):
+ *
+ *   LAZY SUSAN (L-shaped)          DIAGONAL
+ *   +-----------------+            +-----------------+
+ *   |                 |            |                 |
+ *   |        +--------+            |                /
+ *   |        |  <- front faces     |              /  <- front face
+ *   |        |                     |            /
+ *   +--------+                     +----------+
+ *
+ * Points are measured from the left end of the cabinet (x) and from the back
+ * wall (z). Each edge is tagged:
+ *   - 'wall': against the back or side wall
+ *   - 'end': finished end of an arm, where the next run butts on
+ *   - 'front': the opening, gets doors
+ * A 'right' corner is the same outline mirrored.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object|null} - { shape, side, points, edges, frontEdges, legWidth,
+ *   diagonalLength, bevelAngle, area } or null for rectangular cabinets.
+ *   Each edge is { kind, start, end, length, normal } with normal pointing out of the box.
+ */
+function getCornerFootprint(cabinet) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    if (!typeSpec.cornerShape) return null;
+
+    const W = cabinet.width;
+    const D = Math.min(cabinet.depth, W);
+    const side = cabinet.cornerSide === 'right' ? 'right' : 'left';
+    const diagonal = Math.SQRT1_2;
+
+    // Outline for a left corner, in order around the box
+    const outline = typeSpec.cornerShape === 'lShape'
+        ? [
+            { kind: 'wall', start: [0, 0], end: [W, 0], normal: [0, -1] },
+            { kind: 'end', start: [W, 0], end: [W, D], normal: [1, 0] },
+            { kind: 'front', start: [W, D], end: [D, D], normal: [0, 1] },
+            { kind: 'front', start: [D, D], end: [D, W], normal: [1, 0] },
+            { kind: 'end', start: [D, W], end: [0, W], normal: [0, 1] },
+            { kind: 'wall', start: [0, W], end: [0, 0], normal: [-1, 0] }
+        ]
+        : [
+            { kind: 'wall', start: [0, 0], end: [W, 0], normal: [0, -1] },
+            { kind: 'end', start: [W, 0], end: [W, D], normal: [1, 0] },
+            { kind: 'front', start: [W, D], end: [D, W], normal: [diagonal, diagonal] },
+            { kind: 'end', start: [D, W], end: [0, W], normal: [0, 1] },
+            { kind: 'wall', start: [0, W], end: [0, 0], normal: [-1, 0] }
+        ];
+
+    // Mirror for a right corner (x runs the other way, edges keep pointing out)
+    const mirror = ([x, z]) => ({ x: side === 'left' ? x : W - x, z });
+    const edges = outline.map(edge => {
+        const start = mirror(edge.start);
+        const end = mirror(edge.end);
+        return {
+            kind: edge.kind,
+            start,
+            end,
+            length: Math.hypot(end.x - start.x, end.z - start.z),
+            normal: { x: side === 'left' ? edge.normal[0] : -edge.normal[0], z: edge.normal[1] }
+        };
+    });
+    const points = edges.map(edge => edge.start);
+
+    // Shoelace formula for the floor area (square inches)
+    const area = Math.abs(points.reduce((sum, p, i) => {
+        const next = points[(i + 1) % points.length];
+        return sum + p.x * next.z - next.x * p.z;
+    }, 0)) / 2;
+
+    const legWidth = W - D;
+    return {
+        shape: typeSpec.cornerShape,
+        side,
+        points,
+        edges,
+        frontEdges: edges.filter(edge => edge.kind === 'front'),
+        legWidth,
+        diagonalLength: legWidth * Math.SQRT2,
+        bevelAngle: typeSpec.cornerShape === 'diagonal' ? 45 : 0,
+        area
+    };
+}
+
+/**
+ * getFrontOpening - The part of the cabinet face that doors and drawers fill
+ *
+ * Normally the whole width. Blind corner cabinets lose the dead panel.
+ * Corner cabinets use the total length of their front faces (the two inside
+ * faces of a lazy susan, or the angled face of a diagonal).
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { leftX, width } with leftX measured from the left end of the cabinet
+ */
+function getFrontOpening(cabinet) {
+    const footprint = getCornerFootprint(cabinet);
+    if (footprint) {
+        return { leftX: 0, width: footprint.frontEdges.reduce((sum, edge) => sum + edge.length, 0) };
+    }
+
+    const blind = getBlindCornerLayout(cabinet);
+    if (!blind) return { leftX: 0, width: cabinet.width };
+
+    const width = Math.max(0, cabinet.width - blind.deadPanelWidth);
+    return { leftX: blind.side === 'left' ? blind.deadPanelWidth : 0, width };
+}
+
+/**
+ * getOverlayType - The cabinet's overlay mode (older cabinets are full overlay)
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {string} - A key of OVERLAY_TYPES
+ */
+function getOverlayType(cabinet) {
+    return OVERLAY_TYPES[cabinet.overlayType] ? cabinet.overlayType : 'fullOverlay';
+}
+
+/**
+ * getFaceFrameSettings - The face frame sizes for a cabinet
+ *
+ * Starts from CONSTRUCTION_TYPES.faceFrame and takes anything the cabinet
+ * sets in cabinet.faceFrame. Corner cabinets (lazy susan, diagonal) are always
+ * built frameless, so they get no frame.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object|null} - { stileWidth, topRailWidth, bottomRailWidth, midStileWidth,
+ *   midRailWidth, overhang, scribeLeft, scribeRight, frameThickness, material }
+ *   or null when the cabinet has no face frame
+ */
+function getFaceFrameSettings(cabinet) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    if (cabinet.construction !== 'faceFrame' || typeSpec.cornerShape) return null;
+    return { ...CONSTRUCTION_TYPES.faceFrame, ...(cabinet.faceFrame || {}) };
+}
+
+/**
+ * getFrontEdge - What a front's slot edge runs along
+ *
+ * Edge kinds:
+ *   - 'end': the outside of the face (sides, top, bottom - or the outside
+ *     stiles and rails of a face frame)
+ *   - 'divider': something between two slots, centered on the line - a
+ *     partition or fixed shelf, or a mid-stile or mid-rail of a face frame
+ *     (a face frame puts one on every line between slots)
+ *   - 'meet': another front on the other side, nothing in between
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {string} axis - 'x' for a left/right edge, 'y' for a top/bottom edge
+ * @param {number} position - Where the edge is, from the left end or the bottom of the cabinet
+ * @returns {Object} - { kind, member, overhang }
+ *   member: for an end, how far the opening edge is in from the line; for a
+ *   divider, its full width. overhang: how far the face reaches past the line
+ *   (face frame stiles hanging past the box sides).
+ */
+function getFrontEdge(cabinet, axis, position) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const frame = getFaceFrameSettings(cabinet);
+    const thickness = cabinet.thickness;
+    const near = (a, b) => Math.abs(a - b) <= LAYOUT_TOLERANCE;
+
+    if (axis === 'x') {
+        const faceRight = getCornerFootprint(cabinet) ? getFrontOpening(cabinet).width : cabinet.width;
+        if (position <= LAYOUT_TOLERANCE || position >= faceRight - LAYOUT_TOLERANCE) {
+            return frame
+                ? { kind: 'end', member: frame.stileWidth - frame.overhang, overhang: frame.overhang }
+                : { kind: 'end', member: thickness, overhang: 0 };
+        }
+        if (frame) return { kind: 'divider', member: frame.midStileWidth, overhang: 0 };
+        const sections = getCabinetSections(cabinet);
+        if (sections && sections.some(entry => entry.partitionX !== null && near(position, entry.partitionX + thickness / 2))) {
+            return { kind: 'divider', member: thickness, overhang: 0 };
+        }
+        return { kind: 'meet', member: 0, overhang: 0 };
+    }
+
+    const faceBottom = cabinet.toekick ? cabinet.toekickHeight : 0;
+    if (position <= faceBottom + LAYOUT_TOLERANCE) {
+        return { kind: 'end', member: frame ? frame.bottomRailWidth : thickness, overhang: 0 };
+    }
+    if (position >= cabinet.height - LAYOUT_TOLERANCE) {
+        return { kind: 'end', member: frame ? frame.topRailWidth : thickness, overhang: 0 };
+    }
+    if (frame) return { kind: 'divider', member: frame.midRailWidth, overhang: 0 };
+    if (typeSpec.splitDoors && near(position, cabinet.midShelfHeight || cabinet.height / 2)) {
+        return { kind: 'divider', member: thickness, overhang: 0 };
+    }
+    return { kind: 'meet', member: 0, overhang: 0 };
+}
+
+/**
+ * getFrontEdgeOffset - How far a front's edge sits in from its slot edge
+ *
+ *   edge kind   Full overlay   Partial overlay             Inset
+ *   meet        reveal / 2     reveal / 2                  reveal / 2
+ *   end         reveal / 2     member - overlay            member + reveal
+ *   divider     reveal / 2     member / 2 - overlay        member / 2 + reveal
+ *
+ * member comes from getFrontEdge. Where the face hangs past the line (face
+ * frame overhang) overlay fronts reach out over it too. Partial overlay never
+ * leaves less than half the reveal, so fronts can't run into each other
+ * across a thin divider.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {Object} edge - From getFrontEdge
+ * @returns {number} - Inches (negative when the front reaches past the line)
+ */
+function getFrontEdgeOffset(cabinet, edge) {
+    const reveal = cabinet.doorDrawerGap ?? DEFAULT_REVEAL;
+    if (edge.kind === 'meet') return reveal / 2;
+
+    const member = edge.kind === 'end' ? edge.member : edge.member / 2;
+    const overlayType = getOverlayType(cabinet);
+    if (overlayType === 'inset') return member + reveal;
+    if (overlayType === 'partialOverlay') {
+        return Math.max(reveal / 2 - edge.overhang, member - (cabinet.doorOverhang ?? DEFAULT_OVERLAY));
+    }
+    return reveal / 2 - edge.overhang;
+}
+
+/**
+ * getFrontRow - Sizes a row of equal fronts that share one slot
+ *
+ * The ends of the row are pulled in by getFrontEdgeOffset, then the rest is
+ * split into equal fronts. Neighboring fronts are one reveal apart, or sit
+ * either side of a divider (a face frame mid-stile) when one falls after them.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} leftX - Left of the slot, from the left end of the cabinet
+ * @param {number} rowWidth - Width of the slot
+ * @param {number} bottomY - Bottom of the slot, from the bottom of the cabinet
+ * @param {number} topY - Top of the slot
+ * @param {number} count - Number of fronts in the row
+ * @param {Array} dividersAfter - Indexes of the fronts that have a divider on their right
+ * @returns {Object} - { frontLeft, frontLefts, frontBottom, frontWidth, frontHeight, reveal }
+ *   frontLeft is the left edge of the first front, frontLefts has one per front.
+ */
+function getFrontRow(cabinet, leftX, rowWidth, bottomY, topY, count = 1, dividersAfter = []) {
+    const reveal = cabinet.doorDrawerGap ?? DEFAULT_REVEAL;
+    const insetLeft = getFrontEdgeOffset(cabinet, getFrontEdge(cabinet, 'x', leftX));
+    const insetRight = getFrontEdgeOffset(cabinet, getFrontEdge(cabinet, 'x', leftX + rowWidth));
+    const insetBottom = getFrontEdgeOffset(cabinet, getFrontEdge(cabinet, 'y', bottomY));
+    const insetTop = getFrontEdgeOffset(cabinet, getFrontEdge(cabinet, 'y', topY));
+
+    const frame = getFaceFrameSettings(cabinet);
+    const dividerGap = frame
+        ? getFrontEdgeOffset(cabinet, { kind: 'divider', member: frame.midStileWidth, overhang: 0 }) * 2
+        : reveal;
+    const gaps = Array.from({ length: Math.max(0, count - 1) }, (_, j) => dividersAfter.includes(j) ? dividerGap : reveal);
+    const frontWidth = Math.max(0, (rowWidth - insetLeft - insetRight - gaps.reduce((sum, gap) => sum + gap, 0)) / count);
+
+    const frontLefts = [];
+    let x = leftX + insetLeft;
+    for (let j = 0; j < count; j++) {
+        frontLefts.push(x);
+        x += frontWidth + (gaps[j] || 0);
+    }
+
+    return {
+        frontLeft: frontLefts[0],
+        frontLefts,
+        frontBottom: bottomY + insetBottom,
+        frontWidth,
+        frontHeight: Math.max(0, topY - bottomY - insetBottom - insetTop),
+        reveal
+    };
+}
+
+/**
+ * getFrontDepthOffset - Where the middle of a front sits, in front of the box face
+ *
+ * Overlay fronts hang on the face, inset fronts sit flush inside the opening.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {number} - Inches in front of the box face (negative is inside the box)
+ */
+function getFrontDepthOffset(cabinet) {
+    return getOverlayType(cabinet) === 'inset' ? -FRONT_THICKNESS / 2 : FRONT_THICKNESS / 2;
+}
+
+/**
+ * getSinkFalseFronts - The row of false drawer fronts across the top of a sink base
+ *
+ * The sink bowl sits where the top drawer would be, so the row gets fronts
+ * with no drawer box behind them. Tilt-out fronts swing forward on hinges
+ * (and usually carry a sponge tray), fixed fronts are screwed on from inside.
+ * There is one front above each door.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object|null} - { style, bottomY, topY, leftX, rowWidth, count,
+ *   frontLeft, frontBottom, frontWidth, frontHeight, reveal } (see getFrontRow)
+ *   or null if the cabinet is not a sink base
+ */
+function getSinkFalseFronts(cabinet) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    if (!typeSpec.sinkBase) return null;
+
+    const opening = getFrontOpening(cabinet);
+    const rowHeight = cabinet.falseFrontHeight ?? typeSpec.defaults.falseFrontHeight;
+    const count = Math.max(1, cabinet.doors || 0);
+    const bottomY = cabinet.height - rowHeight;
+
+    return {
+        style: cabinet.falseFrontStyle === 'fixed' ? 'fixed' : 'tiltOut',
+        bottomY,
+        topY: cabinet.height,
+        leftX: opening.leftX,
+        rowWidth: opening.width,
+        count,
+        ...getFrontRow(cabinet, opening.leftX, opening.width, bottomY, cabinet.height, count)
+    };
+}
+
+/**
+ * getPlumbingCutout - Hole in a sink base back for the supply and drain lines
+ *
+ * FRONT VIEW OF THE BACK:
+ *
+ *   +-------------------------------+
+ *   |        +-------------+        |
+ *   |        |   cutout    |        |  centered left to right
+ *   |        +-------------+        |
+ *   |              ^ bottomY        |
+ *   +-------------------------------+
+ *
+ * The cutout is kept inside the back with at least 1" of material all round.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object|null} - { leftX, bottomY, width, height } measured on the back panel
+ *   from its left and bottom edges, or null when there is no back or no cutout
+ */
+function getPlumbingCutout(cabinet) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    if (!typeSpec.sinkBase || !cabinet.backPanel || !cabinet.plumbingCutout) return null;
+
+    const backWidth = cabinet.width - cabinet.thickness * 2;
+    const width = Math.min(cabinet.plumbingCutoutWidth ?? typeSpec.defaults.plumbingCutoutWidth, backWidth - 2);
+    const bottomY = Math.max(1, cabinet.plumbingCutoutBottom ?? typeSpec.defaults.plumbingCutoutBottom);
+    const height = Math.min(cabinet.plumbingCutoutHeight ?? typeSpec.defaults.plumbingCutoutHeight, cabinet.height - bottomY - 1);
+    if (width <= 0 || height <= 0) return null;
+
+    return { leftX: (backWidth - width) / 2, bottomY, width, height };
+}
+
+/**
+ * getCabinetSections - Splits the box into sections with vertical partitions
+ *
+ * FRONT VIEW (two sections - drawer stack on the left, doors on the right):
+ *
+ *   |S|  section 1  |P|      section 2      |S|
+ *   | | [ drawer ]  | |  [ door ][ door ]   | |
+ *   | | [ drawer ]  | |  [      ][      ]   | |
+ *   | | [ drawer ]  | |  [      ][      ]   | |
+ *       S = side, P = partition (same stock as the sides)
+ *
+ * cabinet.sections is a list of { id, width, doors, shelves }:
+ *   - width: clear inside width of the section. The last section takes
+ *     whatever is left, so resizing the cabinet only changes the last one.
+ *   - doors / shelves: used instead of cabinet.doors / cabinet.shelves
+ * Drawers stay in cabinet.drawers and name their section with drawer.sectionId
+ * (drawers without one go in the first section).
+ *
+ * Fronts of neighboring sections meet on the partition centerline. Corner,
+ * tall and sink base cabinets don't take partitions. A blind corner lays its
+ * sections out in the door opening - the first (or last) one starts at the
+ * dead panel, not the side.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Array|null} - One entry per section:
+ *   { section, index, interiorLeft, clearWidth, partitionX, frontLeft, frontWidth }
+ *   measured from the left end of the cabinet. partitionX is the left face of
+ *   the partition on the right of the section (null for the last section).
+ *   Returns null when the cabinet has no partitions.
+ */
+function getCabinetSections(cabinet) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    if (!cabinet.sections || cabinet.sections.length < 2) return null;
+    if (typeSpec.cornerShape || typeSpec.splitDoors || typeSpec.sinkBase) return null;
+
+    const thickness = cabinet.thickness;
+    const count = cabinet.sections.length;
+    const opening = getFrontOpening(cabinet);
+    const openingRight = opening.leftX + opening.width;
+    const spanLeft = Math.max(thickness, opening.leftX);
+    const spanRight = Math.min(cabinet.width - thickness, openingRight);
+    const totalClear = spanRight - spanLeft - thickness * (count - 1);
+
+    let interiorLeft = spanLeft;
+    let usedWidth = 0;
+    return cabinet.sections.map((section, index) => {
+        const isLast = index === count - 1;
+        const clearWidth = Math.max(0, isLast ? totalClear - usedWidth : Math.min(section.width || 0, totalClear - usedWidth));
+        const boundaryLeft = index === 0 ? 0 : interiorLeft - thickness / 2;
+        const boundaryRight = isLast ? cabinet.width : interiorLeft + clearWidth + thickness / 2;
+        const frontLeft = Math.max(boundaryLeft, opening.leftX);
+        const frontRight = Math.min(boundaryRight, openingRight);
+
+        const entry = {
+            section,
+            index,
+            interiorLeft,
+            clearWidth,
+            partitionX: isLast ? null : interiorLeft + clearWidth,
+            frontLeft,
+            frontWidth: Math.max(0, frontRight - frontLeft)
+        };
+        interiorLeft += clearWidth + thickness;
+        usedWidth += clearWidth;
+        return entry;
+    });
+}
+
+/**
+ * getSectionDrawers - The drawers that belong to one section
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {Object} sectionEntry - An entry from getCabinetSections
+ * @returns {Array} - Drawers from cabinet.drawers
+ */
+function getSectionDrawers(cabinet, sectionEntry) {
+    const sectionIds = cabinet.sections.map(section => section.id);
+    return (cabinet.drawers || []).filter(drawer => {
+        const sectionId = sectionIds.includes(drawer.sectionId) ? drawer.sectionId : sectionIds[0];
+        return sectionId === sectionEntry.section.id;
+    });
+}
+
+/**
+ * getDrawerOpening - The part of the face a drawer's slot is measured in
+ *
+ * The whole front opening, or the drawer's section when the box has partitions.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {Object} drawer - A drawer from cabinet.drawers
+ * @returns {Object} - { leftX, width } with leftX measured from the left end of the cabinet
+ */
+function getDrawerOpening(cabinet, drawer) {
+    const sections = getCabinetSections(cabinet);
+    if (!sections) return getFrontOpening(cabinet);
+
+    const entry = sections.find(s => s.section.id === drawer.sectionId) || sections[0];
+    return { leftX: entry.frontLeft, width: entry.frontWidth };
+}
+
+/**
+ * getDrawerTop - Height of the top edge of the highest drawer
+ *
+ * Falls back to the top of the toekick when there are no drawers.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {Array} drawers - Optional list of drawers to use instead of cabinet.drawers
+ * @returns {number} - Inches from the bottom of the cabinet
+ */
+function getDrawerTop(cabinet, drawers = cabinet.drawers) {
+    const doorStartY = cabinet.toekick ? cabinet.toekickHeight : 0;
+    if (!drawers || drawers.length === 0) return doorStartY;
+    return drawers.reduce((max, d) => Math.max(max, d.startY + d.height), doorStartY);
+}
+
+/**
+ * getDrawerLayout - Where each drawer front sits and how big it is
+ *
+ * FRONT VIEW (a "2 over 3" - two drawers side by side over a stack of three):
+ *
+ *   |<--------------- front opening --------------->|
+ *   | [ drawer 4 (leftX 0)  ][ drawer 5 (leftX 18) ] |
+ *   | [             drawer 3 (full width)          ] |
+ *   | [             drawer 2                       ] |
+ *   | [             drawer 1                       ] |
+ *
+ * Each drawer owns a slot in its row:
+ *   - width: slot width in inches (leave it off for a full-width drawer)
+ *   - leftX: where the slot starts, measured from the left of the front opening
+ *     (or of its section, see getDrawerOpening)
+ * Drawers with the same startY are one row. The slot runs from startY up to
+ * startY + height; the front is the slot less the reveal and overlay (see
+ * getFrontEdgeOffset), the same as doors.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Array} - One entry per drawer, in the same order as cabinet.drawers:
+ *   { drawer, index, slotLeft, slotWidth, frontLeft, frontBottom, frontWidth, frontHeight, centerX, centerY }
+ *   slotLeft/frontLeft/centerX are measured from the left end of the cabinet,
+ *   frontBottom/centerY from the bottom of the cabinet.
+ */
+function getDrawerLayout(cabinet) {
+    return (cabinet.drawers || []).map((drawer, index) => {
+        const opening = getDrawerOpening(cabinet, drawer);
+        const leftX = Math.min(Math.max(0, drawer.leftX || 0), opening.width);
+        const slotWidth = Math.min(drawer.width || opening.width, opening.width - leftX);
+        const slotLeft = opening.leftX + leftX;
+        const front = getFrontRow(cabinet, slotLeft, slotWidth, drawer.startY, drawer.startY + drawer.height);
+
+        return {
+            drawer,
+            index,
+            slotLeft,
+            slotWidth,
+            frontLeft: front.frontLeft,
+            frontBottom: front.frontBottom,
+            frontWidth: front.frontWidth,
+            frontHeight: front.frontHeight,
+            centerX: front.frontLeft + front.frontWidth / 2,
+            centerY: front.frontBottom + front.frontHeight / 2
+        };
+    });
+}
+
+/**
+ * getDoorBanks - Splits the cabinet front into rows of doors
+ *
+ * A cabinet with partitions gets one bank per section, above that section's drawers.
+ * On a face frame the doors go in pairs, with a mid-stile between each pair.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Array} - One entry per bank:
+ *   { key, label, bottomY, topY, leftX, rowWidth, doorCount, firstDoorIndex,
+ *     frontLeft, doorLefts, dividersAfter, frontBottom, reveal, doorWidth, doorHeight }
+ *   leftX/rowWidth give the part of the face the bank spans (see getFrontOpening).
+ *   doorLefts[j] is the left edge of door j from the left end of the cabinet,
+ *   and every door's bottom edge is at frontBottom. dividersAfter lists the
+ *   doors with a face frame mid-stile on their right (one between each pair).
+ *   Section banks also carry sectionIndex.
+ *   Banks with no doors or no room for a door are left out.
+ */
+function getDoorBanks(cabinet) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const frame = getFaceFrameSettings(cabinet);
+    const opening = getFrontOpening(cabinet);
+    const sections = getCabinetSections(cabinet);
+    const rows = [];
+
+    if (sections) {
+        sections.forEach(entry => {
+            rows.push({
+                key: `section-${entry.index}`,
+                label: `Section ${entry.index + 1}`,
+                sectionIndex: entry.index,
+                bottomY: getDrawerTop(cabinet, getSectionDrawers(cabinet, entry)),
+                topY: cabinet.height,
+                leftX: entry.frontLeft,
+                rowWidth: entry.frontWidth,
+                doorCount: entry.section.doors || 0
+            });
+        });
+    } else if (typeSpec.splitDoors) {
+        const drawerTop = getDrawerTop(cabinet);
+        const midShelfHeight = cabinet.midShelfHeight || cabinet.height / 2;
+        rows.push({ key: 'lower', label: 'Lower', bottomY: drawerTop, topY: midShelfHeight, doorCount: cabinet.doors || 0 });
+        rows.push({ key: 'upper', label: 'Upper', bottomY: midShelfHeight, topY: cabinet.height, doorCount: cabinet.upperDoors || 0 });
+    } else {
+        const falseFronts = getSinkFalseFronts(cabinet);
+        const topY = falseFronts ? falseFronts.bottomY : cabinet.height;
+        rows.push({ key: 'main', label: '', bottomY: getDrawerTop(cabinet), topY, doorCount: cabinet.doors || 0 });
+    }
+
+    const banks = [];
+    let firstDoorIndex = 0;
+    rows.forEach(row => {
+        const leftX = row.leftX ?? opening.leftX;
+        const rowWidth = row.rowWidth ?? opening.width;
+        // face frames put a mid-stile between each pair of doors
+        const dividersAfter = frame
+            ? Array.from({ length: Math.max(0, row.doorCount - 1) }, (_, j) => j).filter(j => j % 2 === 1)
+            : [];
+        const front = row.doorCount > 0 ? getFrontRow(cabinet, leftX, rowWidth, row.bottomY, row.topY, row.doorCount, dividersAfter) : null;
+        if (front && front.frontHeight > 3) {
+            banks.push({
+                ...row,
+                leftX,
+                rowWidth,
+                firstDoorIndex,
+                frontLeft: front.frontLeft,
+                doorLefts: front.frontLefts,
+                dividersAfter,
+                frontBottom: front.frontBottom,
+                reveal: front.reveal,
+                doorWidth: front.frontWidth,
+                doorHeight: front.frontHeight
+            });
+        }
+        firstDoorIndex += row.doorCount;
+    });
+
+    return banks;
+}
+
+/**
+ * getTotalDoorCount - Number of doors across every bank
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {number}
+ */
+function getTotalDoorCount(cabinet) {
+    return getDoorBanks(cabinet).reduce((sum, bank) => sum + bank.doorCount, 0);
+}
+
+/**
+ * getHingeCount - How many hinges a door needs (see HINGE_BORING)
+ *
+ * @param {number} doorWidth - Door width in inches
+ * @param {number} doorHeight - Door height in inches
+ * @param {number} thickness - Door thickness (heavier when thicker)
+ * @returns {number}
+ */
+function getHingeCount(doorWidth, doorHeight, thickness = FRONT_THICKNESS) {
+    const byHeight = HINGE_BORING.countByHeight.find(rule => doorHeight <= rule.maxHeight).hinges;
+    const weight = doorWidth * doorHeight / 144 * HINGE_BORING.poundsPerSquareFoot * thickness / FRONT_THICKNESS;
+    return Math.max(byHeight, Math.ceil(weight / HINGE_BORING.poundsPerHinge));
+}
+
+/**
+ * getDoorHandleSide - Which edge of a door the pull goes on
+ *
+ * cabinet.doorHandles sets it per door. Otherwise the doors of a pair open
+ * from the middle, and a door on its own has its pull on the left.
+ * The door hinges on the other edge.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} doorIndex - Door number (see DOOR BANKS EXPLAINED)
+ * @returns {string} - 'left' or 'right'
+ */
+function getDoorHandleSide(cabinet, doorIndex) {
+    if (cabinet.doorHandles?.[doorIndex]) return cabinet.doorHandles[doorIndex];
+    const bank = getDoorBanks(cabinet).find(entry => doorIndex >= entry.firstDoorIndex && doorIndex < entry.firstDoorIndex + entry.doorCount);
+    const j = bank ? doorIndex - bank.firstDoorIndex : 0;
+    return bank && j % 2 === 0 && j < bank.doorCount - 1 ? 'right' : 'left';
+}
+
+/**
+ * getDoorSwing - Which way a door opens and how far
+ *
+ * The door turns on the edge away from its pull (see getDoorHandleSide), as
+ * far as the cabinet's hinges go (FRONT_MOTION.hingeOpening). The second leaf
+ * of a bi-fold pair turns on its left edge, where it hinges to the first leaf
+ * (the same edge getHingeLayout bores).
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} doorIndex - Door number (see DOOR BANKS EXPLAINED)
+ * @returns {Object} - { hingeSide: 'left' or 'right', angle (degrees) }
+ */
+function getDoorSwing(cabinet, doorIndex) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const bank = getDoorBanks(cabinet).find(entry => doorIndex >= entry.firstDoorIndex && doorIndex < entry.firstDoorIndex + entry.doorCount);
+    const isLeaf = typeSpec.biFold && bank && (doorIndex - bank.firstDoorIndex) % 2 === 1;
+    const hingeSide = isLeaf || getDoorHandleSide(cabinet, doorIndex) === 'right' ? 'left' : 'right';
+    const angle = FRONT_MOTION.hingeOpening[cabinet.hardware?.hinges] || FRONT_MOTION.hingeOpening[HINGE_TYPES[0]];
+    return { hingeSide, angle };
+}
+
+/**
+ * getSystemHoleLines - The 32mm line boring down the inside of each side
+ *
+ * Frameless boxes only - a face frame covers the front of the sides, and
+ * corner cabinets have no plain sides.
+ *
+ *   SIDE, INSIDE FACE (front on the left):
+ *   +-----------------------+
+ *   |  o                 o  |  <- last hole, endClearance below the top
+ *   |  o                 o  |
+ *   |  o   32mm apart    o  |
+ *   |  o                 o  |  <- first hole, endClearance above the bottom
+ *   +-----------------------+
+ *    ^ frontX          ^ backX (setback from the face of the back)
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} backThickness - Actual thickness of the back stock
+ * @returns {Object|null} - { frontX, backX, holeYs } - x from the front edge
+ *   of the side, y from the bottom of the cabinet - or null when the
+ *   cabinet doesn't get line boring
+ */
+function getSystemHoleLines(cabinet, backThickness = 0.25) {
+    if (getFaceFrameSettings(cabinet) || getCornerFootprint(cabinet)) return null;
+
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const boxBottom = typeSpec.allowsToekick && cabinet.toekick ? cabinet.toekickHeight : 0;
+    const pitch = SYSTEM_32.pitchMm / MM_PER_INCH;
+    const setback = SYSTEM_32.setbackMm / MM_PER_INCH;
+    const clearance = SYSTEM_32.endClearanceMm / MM_PER_INCH;
+
+    const firstY = boxBottom + cabinet.thickness + clearance;
+    const lastY = cabinet.height - cabinet.thickness - clearance;
+    const count = Math.floor((lastY - firstY) / pitch + LAYOUT_TOLERANCE) + 1;
+    if (count < 2) return null;
+
+    return {
+        frontX: setback,
+        // the back line is measured from the face of the back, not the back edge of the side
+        backX: getClearDepth(cabinet, backThickness) - setback,
+        holeYs: Array.from({ length: count }, (_, i) => firstY + i * pitch)
+    };
+}
+
+/**
+ * getHingeLayout - Every hinge on a cabinet
+ *
+ * Each door gets getHingeCount hinges on the edge away from its pull. The
+ * top and bottom hinges are HINGE_BORING.edgeDistance in from the ends of
+ * the door. On a frameless box each one then moves to sit centered between
+ * two holes of the front 32mm line, so its mounting plate screws into them.
+ *
+ * What a door hinges on ("member"):
+ *   - side: the left or right side of the box ({ kind, side })
+ *   - partition: the partition beside the section ({ kind, index, side } -
+ *     side is the face of the partition the plates go on)
+ *   - faceFrame: a stile of the face frame (plates screw to the frame)
+ *   - leaf: the other leaf of a bi-fold pair (bi-fold hinges, no plates)
+ *   - null: nothing - a middle door with no partition beside it
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} backThickness - Actual thickness of the back stock (for the hole lines)
+ * @returns {Object} - { lines, doors } - lines from getSystemHoleLines, and one
+ *   entry per door: { doorIndex, bank, doorLeft, doorWidth, doorHeight, frontBottom,
+ *   hingeSide, member, count, hingeYs, plateYs }. hingeYs are the hinge centers
+ *   from the bottom of the door, plateYs the same centers from the bottom of the
+ *   cabinet (on the side or partition)
+ */
+function getHingeLayout(cabinet, backThickness = 0.25) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const frame = getFaceFrameSettings(cabinet);
+    const sections = getCabinetSections(cabinet);
+    const lines = getSystemHoleLines(cabinet, backThickness);
+    const pitch = SYSTEM_32.pitchMm / MM_PER_INCH;
+
+    // what the edge of a bank is fixed to
+    const getEdgeMember = (bank, side) => {
+        if (frame) return { kind: 'faceFrame' };
+        if (bank.sectionIndex !== undefined) {
+            if (side === 'left' && bank.sectionIndex > 0) return { kind: 'partition', index: bank.sectionIndex - 1, side: 'right' };
+            if (side === 'right' && bank.sectionIndex < sections.length - 1) return { kind: 'partition', index: bank.sectionIndex, side: 'left' };
+        }
+        const atSide = side === 'left'
+            ? bank.leftX <= LAYOUT_TOLERANCE
+            : bank.leftX + bank.rowWidth >= cabinet.width - LAYOUT_TOLERANCE;
+        return atSide ? { kind: 'side', side } : null;
+    };
+
+    // center a hinge between the two holes of the front line nearest to it
+    const snapToLine = (y) => {
+        if (!lines) return y;
+        const k = Math.max(0, Math.min(lines.holeYs.length - 2, Math.round((y - lines.holeYs[0] - pitch / 2) / pitch)));
+        return lines.holeYs[k] + pitch / 2;
+    };
+
+    const doors = [];
+    getDoorBanks(cabinet).forEach(bank => {
+        for (let j = 0; j < bank.doorCount; j++) {
+            const doorIndex = bank.firstDoorIndex + j;
+            // the second leaf of a bi-fold pair hinges to the first along its left edge
+            const isLeaf = typeSpec.biFold && j % 2 === 1;
+            const hingeSide = isLeaf || getDoorHandleSide(cabinet, doorIndex) === 'right' ? 'left' : 'right';
+            const atBankEdge = (hingeSide === 'left' && j === 0) || (hingeSide === 'right' && j === bank.doorCount - 1);
+            const member = isLeaf ? { kind: 'leaf' }
+                : (frame || atBankEdge ? getEdgeMember(bank, hingeSide) : null);
+
+            const count = getHingeCount(bank.doorWidth, bank.doorHeight);
+            const span = bank.doorHeight - HINGE_BORING.edgeDistance * 2;
+            let hingeYs = Array.from({ length: count }, (_, i) => HINGE_BORING.edgeDistance + span * i / (count - 1));
+            if (member && (member.kind === 'side' || member.kind === 'partition')) {
+                const snapped = hingeYs.map(y => snapToLine(bank.frontBottom + y) - bank.frontBottom);
+                // a short door can pull two hinges onto the same pair of holes - leave it where it was
+                if (new Set(snapped.map(y => y.toFixed(3))).size === count) hingeYs = snapped;
+            }
+
+            doors.push({
+                doorIndex,
+                bank,
+                doorLeft: bank.doorLefts[j],
+                doorWidth: bank.doorWidth,
+                doorHeight: bank.doorHeight,
+                frontBottom: bank.frontBottom,
+                hingeSide,
+                member,
+                count,
+                hingeYs,
+                plateYs: hingeYs.map(y => bank.frontBottom + y)
+            });
+        }
+    });
+
+    return { lines, doors };
+}
+
+/**
+ * getHingeMachining - The boring for the hinges and hole lines, part by part
+ *
+ * Holes are measured on the face they are bored in:
+ *   - doors: x in from the hinge edge, y up from the bottom of the door, back face
+ *   - sides and partitions: x back from the front edge, y up from the bottom
+ *     of the cabinet, inside face
+ * Doors with the same boring are grouped, so a pair of mirror-image doors is
+ * two groups of one.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} backThickness - Actual thickness of the back stock
+ * @returns {Object} - { doors: { [bankKey]: [...] }, sides: [...], partitions: { [index]: [...] } }
+ *   where each entry is { operation, label, quantity, face, diameterMm, depthMm, holes: [{ x, y }] }
+ *   and operation is 'cup', 'dowel', 'plate' or 'lineBore'
+ */
+function getHingeMachining(cabinet, backThickness = 0.25) {
+    const { lines, doors } = getHingeLayout(cabinet, backThickness);
+    const cupX = (HINGE_BORING.cupEdgeMm + HINGE_BORING.cupDiameterMm / 2) / MM_PER_INCH;
+    const dowelX = cupX + HINGE_BORING.dowelInsetMm / MM_PER_INCH;
+    const dowelOffset = HINGE_BORING.dowelSpacingMm / 2 / MM_PER_INCH;
+    const plateOffset = SYSTEM_32.pitchMm / 2 / MM_PER_INCH;
+    const result = { doors: {}, sides: [], partitions: {} };
+
+    // one group per distinct set of holes
+    const addGroup = (list, entry) => {
+        const key = JSON.stringify(entry.holes.map(h => [h.x.toFixed(3), h.y.toFixed(3)]));
+        const match = list.find(group => group.operation === entry.operation && group.label === entry.label && group.key === key);
+        if (match) match.quantity += entry.quantity;
+        else list.push({ ...entry, key });
+    };
+
+    doors.forEach(door => {
+        const list = result.doors[door.bank.key] || (result.doors[door.bank.key] = []);
+        const edge = `${door.hingeSide} edge`;
+        addGroup(list, {
+            operation: 'cup',
+            label: `${HINGE_BORING.cupDiameterMm}mm hinge cups, ${edge}`,
+            quantity: 1,
+            face: 'back',
+            diameterMm: HINGE_BORING.cupDiameterMm,
+            depthMm: HINGE_BORING.cupDepthMm,
+            holes: door.hingeYs.map(y => ({ x: cupX, y }))
+        });
+        addGroup(list, {
+            operation: 'dowel',
+            label: `Hinge dowels, ${edge}`,
+            quantity: 1,
+            face: 'back',
+            diameterMm: HINGE_BORING.dowelDiameterMm,
+            depthMm: HINGE_BORING.dowelDepthMm,
+            holes: door.hingeYs.flatMap(y => [{ x: dowelX, y: y - dowelOffset }, { x: dowelX, y: y + dowelOffset }])
+        });
+
+        if (!door.member || (door.member.kind !== 'side' && door.member.kind !== 'partition')) return;
+        const plate = {
+            operation: 'plate',
+            label: door.member.kind === 'side'
+                ? `${door.member.side === 'left' ? 'Left' : 'Right'} side - hinge plates`
+                : `Partition ${door.member.index + 1}, ${door.member.side} face - hinge plates`,
+            quantity: 1,
+            face: 'inside',
+            diameterMm: SYSTEM_32.holeDiameterMm,
+            depthMm: SYSTEM_32.holeDepthMm,
+            holes: door.plateYs.flatMap(y => [
+                { x: SYSTEM_32.setbackMm / MM_PER_INCH, y: y - plateOffset },
+                { x: SYSTEM_32.setbackMm / MM_PER_INCH, y: y + plateOffset }
+            ])
+        };
+        // upper and lower doors hinge on the same side - one list of plate holes for it
+        const plates = door.member.kind === 'side'
+            ? result.sides
+            : (result.partitions[door.member.index] || (result.partitions[door.member.index] = []));
+        const existing = plates.find(group => group.label === plate.label);
+        if (existing) existing.holes.push(...plate.holes);
+        else plates.push(plate);
+    });
+
+    if (lines) {
+        result.sides.unshift({
+            operation: 'lineBore',
+            label: '32mm system line boring, front and back',
+            quantity: 2,
+            face: 'inside',
+            diameterMm: SYSTEM_32.holeDiameterMm,
+            depthMm: SYSTEM_32.holeDepthMm,
+            holes: lines.holeYs.flatMap(y => [{ x: lines.frontX, y }, { x: lines.backX, y }])
+        });
+    }
+
+    // the grouping key is only for building the groups
+    Object.keys(result.doors).forEach(bankKey => {
+        result.doors[bankKey] = result.doors[bankKey].map(({ key, ...group }) => group);
+    });
+    return result;
+}
+
+/**
+ * getFaceFrameLayout - Every stile and rail of a cabinet's face frame
+ *
+ * FRONT VIEW (drawer over a pair of doors, then a mid-stile and a single door):
+ *
+ *   +--+---------------------------------------+--+
+ *   |  |               top rail                |  |
+ *   |  +---------------------------------------+  |
+ *   |L |             drawer opening            | R|
+ *   |  +---------------------------------------+  |
+ *   |  |               mid-rail                |  |
+ *   |  +-------------------------+--+----------+  |
+ *   |  |   door pair opening     |M |  door    |  |
+ *   |  +-------------------------+--+----------+  |
+ *   |  |              bottom rail              |  |
+ *   +--+---------------------------------------+--+
+ *      L/R = outside stiles, M = mid-stile
+ *
+ * - Outside stiles run the full height and hang overhang past the box sides,
+ *   plus any scribe on a wall end
+ * - Top, bottom and mid-rails fit between the stiles
+ * - A mid-rail goes on top of every drawer, door bank and false front row
+ *   that doesn't reach the top rail
+ * - Mid-stiles go at partitions and at the edge of a blind corner's dead panel
+ *   (full height, between the top and bottom rails), between side-by-side
+ *   drawers and between each pair of doors (between the rails above and below)
+ *
+ * Parts are measured like the rest of the layout: x from the left end of the
+ * box (the left stile starts at a negative x when it hangs past the side) and
+ * y from the bottom of the cabinet.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object|null} - { settings, left, right, stiles, rails } where each
+ *   part is { part, x, y, width, height } (width across, height up) - or null
+ *   when the cabinet has no face frame
+ */
+function getFaceFrameLayout(cabinet) {
+    const settings = getFaceFrameSettings(cabinet);
+    if (!settings) return null;
+
+    const near = (a, b) => Math.abs(a - b) <= LAYOUT_TOLERANCE;
+    const faceBottom = cabinet.toekick ? cabinet.toekickHeight : 0;
+    const faceTop = cabinet.height;
+    const left = -settings.overhang - settings.scribeLeft;
+    const right = cabinet.width + settings.overhang + settings.scribeRight;
+    const openingLeft = settings.stileWidth - settings.overhang;
+    const openingRight = cabinet.width - openingLeft;
+    const railsBottom = faceBottom + settings.bottomRailWidth;
+    const railsTop = faceTop - settings.topRailWidth;
+
+    const stiles = [
+        { part: 'Left Stile', x: left, y: faceBottom, width: openingLeft - left, height: faceTop - faceBottom },
+        { part: 'Right Stile', x: openingRight, y: faceBottom, width: right - openingRight, height: faceTop - faceBottom }
+    ];
+    const rails = [
+        { part: 'Top Rail', x: openingLeft, y: railsTop, width: openingRight - openingLeft, height: settings.topRailWidth },
+        { part: 'Bottom Rail', x: openingLeft, y: faceBottom, width: openingRight - openingLeft, height: settings.bottomRailWidth }
+    ];
+
+    // full height mid-stiles - partitions and the edge of a blind corner's dead panel
+    const fullHeightLines = [];
+    const sections = getCabinetSections(cabinet);
+    if (sections) {
+        sections.filter(entry => entry.partitionX !== null).forEach(entry => fullHeightLines.push(entry.partitionX + cabinet.thickness / 2));
+    }
+    const opening = getFrontOpening(cabinet);
+    [opening.leftX, opening.leftX + opening.width].forEach(x => {
+        if (x > LAYOUT_TOLERANCE && x < cabinet.width - LAYOUT_TOLERANCE) fullHeightLines.push(x);
+    });
+    fullHeightLines.forEach(x => stiles.push({
+        part: 'Mid-Stile', x: x - settings.midStileWidth / 2, y: railsBottom, width: settings.midStileWidth, height: railsTop - railsBottom
+    }));
+
+    // a line between slots becomes a stile edge: the outside stiles at the ends, half a mid-stile in from anything else
+    const clipLeft = x => x <= LAYOUT_TOLERANCE ? openingLeft : x + settings.midStileWidth / 2;
+    const clipRight = x => x >= cabinet.width - LAYOUT_TOLERANCE ? openingRight : x - settings.midStileWidth / 2;
+    const clipBottom = y => y <= faceBottom + LAYOUT_TOLERANCE ? railsBottom : y + settings.midRailWidth / 2;
+    const clipTop = y => y >= faceTop - LAYOUT_TOLERANCE ? railsTop : y - settings.midRailWidth / 2;
+
+    // slots on the face - each gets a mid-rail on top unless it reaches the top rail
+    const cells = [];
+    const midStileLines = [];
+    getDrawerLayout(cabinet).forEach(({ drawer, slotLeft, slotWidth }) => {
+        const topY = drawer.startY + drawer.height;
+        cells.push({ leftX: slotLeft, rightX: slotLeft + slotWidth, topY });
+        const slotRight = slotLeft + slotWidth;
+        const atLine = fullHeightLines.some(x => near(x, slotRight));
+        if (slotRight < cabinet.width - LAYOUT_TOLERANCE && !atLine && !near(slotRight, opening.leftX + opening.width)) {
+            midStileLines.push({ x: slotRight, bottomY: drawer.startY, topY });
+        }
+    });
+    getDoorBanks(cabinet).forEach(bank => {
+        cells.push({ leftX: bank.leftX, rightX: bank.leftX + bank.rowWidth, topY: bank.topY });
+        bank.dividersAfter.forEach(j => {
+            const gapLeft = bank.doorLefts[j] + bank.doorWidth;
+            midStileLines.push({ x: (gapLeft + bank.doorLefts[j + 1]) / 2, bottomY: bank.bottomY, topY: bank.topY });
+        });
+    });
+    const falseFronts = getSinkFalseFronts(cabinet);
+    if (falseFronts) cells.push({ leftX: falseFronts.leftX, rightX: falseFronts.leftX + falseFronts.rowWidth, topY: falseFronts.topY });
+
+    // mid-rails - neighboring slots with the same top share one rail, unless a full height mid-stile splits them
+    const segments = [];
+    cells.filter(cell => cell.topY < faceTop - LAYOUT_TOLERANCE).sort((a, b) => a.leftX - b.leftX).forEach(cell => {
+        const joined = segments.find(segment => near(segment.topY, cell.topY) && near(segment.rightX, cell.leftX) &&
+            !fullHeightLines.some(x => near(x, cell.leftX)));
+        if (joined) joined.rightX = Math.max(joined.rightX, cell.rightX);
+        else segments.push({ ...cell });
+    });
+    segments.forEach(segment => {
+        const x = clipLeft(segment.leftX);
+        rails.push({
+            part: 'Mid-Rail', x, y: segment.topY - settings.midRailWidth / 2,
+            width: Math.max(0, clipRight(segment.rightX) - x), height: settings.midRailWidth
+        });
+    });
+
+    midStileLines
+        .filter((line, i) => !midStileLines.slice(0, i).some(other => near(other.x, line.x) && near(other.bottomY, line.bottomY)))
+        .forEach(line => {
+            const y = clipBottom(line.bottomY);
+            stiles.push({
+                part: 'Mid-Stile', x: line.x - settings.midStileWidth / 2, y,
+                width: settings.midStileWidth, height: Math.max(0, clipTop(line.topY) - y)
+            });
+        });
+
+    return { settings, left, right, stiles, rails };
+}
+
+/**
+ * getFaceFrameParts - Face frame pieces for the cut list, matching pieces counted together
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Array} - { part, quantity, length, width } - length runs with the
+ *   grain (up a stile, across a rail). Empty when the cabinet has no face frame.
+ */
+function getFaceFrameParts(cabinet) {
+    const layout = getFaceFrameLayout(cabinet);
+    if (!layout) return [];
+
+    const parts = [];
+    const addPart = (part, length, width) => {
+        if (length <= 0 || width <= 0) return;
+        const round = value => Math.round(value * 1000) / 1000;
+        const match = parts.find(p => p.part === part && p.length === round(length) && p.width === round(width));
+        if (match) match.quantity++;
+        else parts.push({ part, quantity: 1, length: round(length), width: round(width) });
+    };
+    layout.stiles.forEach(stile => addPart(stile.part, stile.height, stile.width));
+    layout.rails.forEach(rail => addPart(rail.part, rail.width, rail.height));
+    return parts;
+}
+
+/**
+ * getFaceFrameExtents - How far a cabinet's face frame reaches past each box side
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { left, right } in inches (0 without a face frame)
+ */
+function getFaceFrameExtents(cabinet) {
+    const settings = getFaceFrameSettings(cabinet);
+    if (!settings) return { left: 0, right: 0 };
+    return { left: settings.overhang + settings.scribeLeft, right: settings.overhang + settings.scribeRight };
+}
+
+/**
+ * getJoinerySettings - The joinery methods and depths for a cabinet
+ *
+ * Starts from DEFAULT_JOINERY and takes anything the cabinet sets in
+ * cabinet.joinery. Older cabinets have no joinery field, so they get butt
+ * joints and an inset back - the sizes they were always cut to.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { box, back, drawer, dadoDepth, rabbetDepth, backGrooveDepth, backInset, bottomGrooveDepth }
+ */
+function getJoinerySettings(cabinet) {
+    return { ...DEFAULT_JOINERY, ...(cabinet.joinery || {}) };
+}
+
+/**
+ * getHousingDepth - How far a housed part reaches into the part it joins
+ *
+ * @param {Object} joint - A JOINERY_TYPES entry
+ * @param {Object} settings - From getJoinerySettings
+ * @param {number} thickness - Thickness of the part the housing is cut in
+ * @returns {number} - Depth in inches (0 for butt joints)
+ */
+function getHousingDepth(joint, settings, thickness) {
+    if (joint.housing === 'dado') return Math.min(settings.dadoDepth, thickness / 2);
+    if (joint.housing === 'rabbet') return thickness * settings.rabbetDepth;
+    if (joint.housing === 'groove') return Math.min(settings.backGrooveDepth, thickness / 2);
+    return 0;
+}
+
+/**
+ * getBoxJoinery - Part sizes and machining for the box and back joints
+ *
+ * FRONT VIEW OF ONE SIDE (butt vs dado):
+ *
+ *   Butt          Dado
+ *   |  |          |  |
+ *   |  |====      | =|====     = top or bottom
+ *   |  |          |  |
+ *
+ * A housed top or bottom runs into each side by the housing depth, so it is
+ * that much longer on each end. The back is the same: inset backs fit
+ * between the sides, grooved and rabbeted backs reach into the sides, top
+ * and bottom, and applied backs cover the whole back of the box.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} backThickness - Actual thickness of the back stock
+ * @returns {Object} - { settings, boxJoint, backJoint, topBottomWidth, topBottomHousing,
+ *   backWidth, backHeight, backHousing, sideMachining, topBottomMachining, backMachining }.
+ *   The machining entries are lists of notes for the cut list and shop drawings.
+ */
+function getBoxJoinery(cabinet, backThickness = 0.25) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const settings = getJoinerySettings(cabinet);
+    const boxJoint = JOINERY_TYPES.box[settings.box] || JOINERY_TYPES.box.butt;
+    const backJoint = JOINERY_TYPES.back[settings.back] || JOINERY_TYPES.back.inset;
+    const thickness = cabinet.thickness;
+    const boxBottom = typeSpec.allowsToekick && cabinet.toekick ? cabinet.toekickHeight : 0;
+
+    const topBottomHousing = getHousingDepth(boxJoint, settings, thickness);
+    const backHousing = getHousingDepth(backJoint, settings, thickness);
+    const betweenSides = cabinet.width - thickness * 2;
+
+    let backWidth = betweenSides;
+    let backHeight = cabinet.height;
+    if (backJoint.applied) {
+        backWidth = cabinet.width;
+    } else if (backJoint.housing) {
+        // captured on all four edges - between the top and bottom as well as the sides
+        backWidth = betweenSides + backHousing * 2;
+        backHeight = cabinet.height - boxBottom - thickness * 2 + backHousing * 2;
+    }
+
+    const sideMachining = [];
+    const topBottomMachining = [];
+    const backMachining = [backJoint.note];
+
+    if (boxJoint.housing === 'dado') {
+        sideMachining.push(`${decimalToFraction(thickness)} x ${decimalToFraction(topBottomHousing)} dados for the top and bottom`);
+    } else if (boxJoint.housing === 'rabbet') {
+        sideMachining.push(`${decimalToFraction(thickness)} x ${decimalToFraction(topBottomHousing)} rabbets on the top and bottom ends`);
+    } else if (settings.box === 'confirmat') {
+        sideMachining.push('Drill 7mm stepped holes for the top and bottom confirmats');
+        topBottomMachining.push('Drill 5mm pilot holes in both ends');
+    } else if (settings.box === 'pocketScrew') {
+        topBottomMachining.push('Pocket holes on the hidden face, both ends');
+    }
+    topBottomMachining.push(boxJoint.note);
+
+    if (backJoint.housing === 'groove') {
+        const grooveNote = `${decimalToFraction(backThickness)} x ${decimalToFraction(backHousing)} groove ${decimalToFraction(settings.backInset)} from the back edge for the back`;
+        sideMachining.push(grooveNote);
+        topBottomMachining.push(grooveNote);
+    } else if (backJoint.housing === 'rabbet') {
+        const rabbetNote = `${decimalToFraction(backThickness)} x ${decimalToFraction(backHousing)} rabbet on the back edge for the back`;
+        sideMachining.push(rabbetNote);
+        topBottomMachining.push(rabbetNote);
+    }
+
+    return {
+        settings,
+        boxJoint,
+        backJoint,
+        topBottomWidth: betweenSides + topBottomHousing * 2,
+        topBottomHousing,
+        backWidth,
+        backHeight,
+        backHousing,
+        sideMachining,
+        topBottomMachining,
+        backMachining
+    };
+}
+
+/**
+ * getDrawerBoxJoinery - Front/back length and machining for a drawer box joint
+ *
+ * Drawer box sides run front to back; the front and back fit between them.
+ * Dados and rabbets in the sides make the front and back longer, and
+ * dovetailed fronts and backs run the full width of the box.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} boxWidth - Outside width of the drawer box
+ * @param {number} sideThickness - Actual thickness of the drawer box stock
+ * @returns {Object} - { joint, frontBackWidth, housing, sideMachining, frontBackMachining }
+ */
+function getDrawerBoxJoinery(cabinet, boxWidth, sideThickness) {
+    const settings = getJoinerySettings(cabinet);
+    const joint = JOINERY_TYPES.drawer[settings.drawer] || JOINERY_TYPES.drawer.butt;
+    const housing = getHousingDepth(joint, settings, sideThickness);
+
+    let sideMachining = joint.note;
+    if (joint.housing === 'dado') {
+        sideMachining = `${decimalToFraction(sideThickness)} x ${decimalToFraction(housing)} dados for the front and back`;
+    } else if (joint.housing === 'rabbet') {
+        sideMachining = `${decimalToFraction(sideThickness)} x ${decimalToFraction(housing)} rabbets on both ends`;
+    } else if (joint.fullLength) {
+        sideMachining = 'Cut the tails';
+    } else if (joint.dowels) {
+        sideMachining = '8mm dowel holes through the sides, 2 at each corner';
+    }
+
+    let frontBackMachining = joint.note;
+    if (joint.fullLength) frontBackMachining = 'Cut the pins to fit the tails';
+    if (joint.dowels) frontBackMachining = '8mm x 1" dowel holes in both ends, drilled to match the sides';
+
+    return {
+        joint,
+        frontBackWidth: joint.fullLength ? boxWidth : boxWidth - sideThickness * 2 + housing * 2,
+        housing,
+        sideMachining,
+        frontBackMachining
+    };
+}
+
+/**
+ * getDrawerBottom - Size of the bottom of a wood drawer box or roll-out tray
+ *
+ * TOP VIEW (butt joint - a dovetailed box is the same inside):
+ *
+ *   +==========================+   <- front, between the sides
+ *   | |  - - - - - - - - - -  | |
+ *   | |  :     bottom      :  | |   - - = groove, bottomGrooveDepth into
+ *   | |  - - - - - - - - - -  | |         the sides, front and back
+ *   +==========================+   <- back
+ *
+ * Whatever the joint, the inside of the box is two thicknesses of drawer box
+ * stock less than the outside each way - a housed front and back only reach
+ * further into the sides, they don't move their inside faces. The bottom is
+ * the inside plus a groove depth at every edge.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} boxWidth - Outside width of the box
+ * @param {number} boxDepth - Outside depth of the box (the length of the sides)
+ * @param {number} sideThickness - Actual thickness of the drawer box stock
+ * @returns {Object} - { width, depth, groove } in inches - groove is the depth of the groove
+ */
+function getDrawerBottom(cabinet, boxWidth, boxDepth, sideThickness) {
+    const settings = getJoinerySettings(cabinet);
+    const groove = Math.min(settings.bottomGrooveDepth, sideThickness / 2);
+    return {
+        width: Math.max(0, boxWidth - sideThickness * 2 + groove * 2),
+        depth: Math.max(0, boxDepth - sideThickness * 2 + groove * 2),
+        groove
+    };
+}
+
+/**
+ * getClearDepth - Inside depth of the box, from the front edge of the sides
+ * to the face of the back
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} backThickness - Actual thickness of the back stock
+ * @returns {number} - Inches
+ */
+function getClearDepth(cabinet, backThickness = 0.25) {
+    const boxJoinery = getBoxJoinery(cabinet, backThickness);
+    const backFace = boxJoinery.backJoint.applied ? 0
+        : backThickness + (boxJoinery.backJoint.housing === 'groove' ? boxJoinery.settings.backInset : 0);
+    return cabinet.depth - backFace;
+}
+
+/**
+ * getSlide - A slide type from SLIDE_CATALOG
+ *
+ * @param {string} slideType - A SLIDE_CATALOG key ('Side Mount'...)
+ * @returns {Object|null} - The slide with its type ({ type, manufacturer, lengths, ... })
+ *   or null if the type isn't in the catalog
+ */
+function getSlide(slideType) {
+    const slide = SLIDE_CATALOG[slideType];
+    return slide ? { type: slideType, ...slide } : null;
+}
+
+/**
+ * getSlideLength - The longest length of a slide that fits a depth
+ *
+ * @param {Object} slide - From getSlide
+ * @param {number} clearDepth - Room from the front of the box to the back
+ * @returns {Object|null} - { length, pricePerPair } from slide.lengths, or
+ *   null if even the shortest needs more room
+ */
+function getSlideLength(slide, clearDepth) {
+    const fits = slide.lengths.filter(entry => entry.length + slide.rearClearance <= clearDepth + LAYOUT_TOLERANCE);
+    return fits.length > 0 ? fits[fits.length - 1] : null;
+}
+
+/**
+ * getDrawerSystem - The metal drawer system a cabinet's drawers are built on
+ *
+ * The system comes back in inches and shaped like a slide from getSlide,
+ * so the boxes are sized the same way - its runners are the slides.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object|null} - { id, type, name, manufacturer, lengths: [{ length, lengthMm }],
+ *   heights: [{ key, side, back, sideMm, backMm, pricePerSet }], sideClearance,
+ *   bottomClearance, rearClearance, bottomWidthDeduction, backWidthDeduction,
+ *   bottomLengthDeduction, panelStock, loadRating, note } - heights lowest first -
+ *   or null for wood boxes
+ */
+function getDrawerSystem(cabinet) {
+    const id = cabinet.drawerBox?.system;
+    const system = DRAWER_SYSTEMS[id];
+    if (!system) return null;
+    const inches = mm => mm / MM_PER_INCH;
+    return {
+        ...system,
+        id,
+        type: system.name,
+        lengths: system.lengths.map(lengthMm => ({ length: inches(lengthMm), lengthMm })),
+        heights: Object.entries(system.heights)
+            .map(([key, height]) => ({ key, side: inches(height.side), back: inches(height.back), sideMm: height.side, backMm: height.back, pricePerSet: height.pricePerSet }))
+            .sort((a, b) => a.side - b.side),
+        sideClearance: 0,  // the steel sides and runners fill the opening - the deductions size the wood
+        bottomClearance: inches(system.bottomClearance),
+        rearClearance: inches(system.rearClearance),
+        bottomWidthDeduction: inches(system.bottomWidthDeduction),
+        backWidthDeduction: inches(system.backWidthDeduction),
+        bottomLengthDeduction: inches(system.bottomLengthDeduction)
+    };
+}
+
+/**
+ * getDrawerBoxes - The slide and the box for every drawer
+ *
+ * FRONT VIEW OF ONE DRAWER SLOT:
+ *
+ *   |S|sp|sc| [    drawer box    ] |sc|sp|S|   <- top clearance above the box
+ *   |S|sp|sc| [                  ] |sc|sp|S|
+ *   |S|      bottom clearance            |S|
+ *     S = side or partition, sp = spacer past the face frame stiles,
+ *     sc = the slide's side clearance
+ *
+ * The drawers ride on cabinet.hardware.slides, at the longest length in
+ * SLIDE_CATALOG that fits in front of the back (behind the front on inset
+ * cabinets). The box is as long as the slide,
+ * the clear width of its slot less the slide's side clearance, and the
+ * clear height of its slot less the slide's bottom clearance and
+ * DRAWER_BOX.topClearance. When no length fits, slideLength is null and
+ * the box is sized to the depth there is.
+ *
+ * On a metal drawer system (see getDrawerSystem) the runners take the place
+ * of the slides, the box is the full clear width (the maker's deductions
+ * size the bottom and back - see getDrawerSystemParts) and it is as tall
+ * as the tallest side that fits. height is that side, or null when even
+ * the lowest one is too tall.
+ *
+ * travel is how far the drawer pulls out - the box length times the
+ * slide's extension (3/4 extension slides leave the back quarter inside).
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} backThickness - Actual thickness of the back stock (getPartStock(cabinet, 'back').actual) -
+ *   the slide length, so every caller has to pass the one the cut list uses
+ * @returns {Array} - One entry per drawer, in the same order as cabinet.drawers:
+ *   { drawer, index, system, height, slide, slideLength, slideLengthMm, pricePerPair, spacer,
+ *     clearWidth, clearHeight, clearDepth, boxLeft, boxBottom, boxWidth, boxHeight, boxDepth, travel }
+ *   system is null for wood boxes. On a metal system slideLengthMm is the nominal
+ *   length and pricePerPair the price of a set of sides.
+ *   boxLeft is measured from the left end of the cabinet, boxBottom from the bottom.
+ */
+function getDrawerBoxes(cabinet, backThickness) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const thickness = cabinet.thickness;
+    const opening = getFrontOpening(cabinet);
+    const sections = getCabinetSections(cabinet);
+    const frame = getFaceFrameSettings(cabinet);
+    const spacer = frame ? Math.max(0, frame.stileWidth - frame.overhang - thickness) : 0;
+    const floor = (typeSpec.allowsToekick && cabinet.toekick ? cabinet.toekickHeight : 0) + thickness;
+    const ceiling = cabinet.height - thickness;
+    const clearDepth = getClearDepth(cabinet, backThickness) - (getOverlayType(cabinet) === 'inset' ? FRONT_THICKNESS : 0);
+    const system = getDrawerSystem(cabinet);
+    const slide = system || getSlide(cabinet.hardware?.slides) || getSlide(SLIDE_TYPES[0]);
+    const fit = getSlideLength(slide, clearDepth);
+
+    return getDrawerLayout(cabinet).map(({ drawer, index, slotLeft, slotWidth }) => {
+        const entry = sections && (sections.find(s => s.section.id === drawer.sectionId) || sections[0]);
+        const interiorLeft = entry ? entry.interiorLeft : Math.max(thickness, opening.leftX);
+        const interiorRight = entry
+            ? entry.interiorLeft + entry.clearWidth
+            : Math.min(cabinet.width - thickness, opening.leftX + opening.width);
+
+        // a drawer beside another one shares the seam between their slots
+        const clearLeft = Math.max(interiorLeft, slotLeft);
+        const clearRight = Math.min(interiorRight, slotLeft + slotWidth);
+        const clearBottom = Math.max(floor, drawer.startY);
+        const clearTop = Math.min(ceiling, drawer.startY + drawer.height);
+        const clearWidth = Math.max(0, clearRight - clearLeft);
+        const clearHeight = Math.max(0, clearTop - clearBottom);
+
+        // spacers only go where the slot meets a side or partition
+        const leftSpacer = clearLeft <= interiorLeft + LAYOUT_TOLERANCE ? spacer : 0;
+        const rightSpacer = clearRight >= interiorRight - LAYOUT_TOLERANCE ? spacer : 0;
+        const roomAbove = clearHeight - slide.bottomClearance - DRAWER_BOX.topClearance;
+        const height = system ? system.heights.filter(h => h.side <= roomAbove + LAYOUT_TOLERANCE).pop() || null : null;
+
+        let pricePerPair = fit ? fit.pricePerPair : null;
+        if (system) pricePerPair = (height || system.heights[0]).pricePerSet;
+        const boxDepth = fit ? fit.length : Math.max(0, clearDepth - slide.rearClearance);
+
+        return {
+            drawer,
+            index,
+            system,
+            height,
+            slide,
+            slideLength: fit ? fit.length : null,
+            slideLengthMm: fit && fit.lengthMm ? fit.lengthMm : null,
+            pricePerPair,
+            spacer: Math.max(leftSpacer, rightSpacer),
+            clearWidth,
+            clearHeight,
+            clearDepth,
+            boxLeft: clearLeft + leftSpacer + slide.sideClearance,
+            boxBottom: clearBottom + slide.bottomClearance,
+            boxWidth: Math.max(0, clearWidth - leftSpacer - rightSpacer - slide.sideClearance * 2),
+            boxHeight: system ? (height || system.heights[0]).side : Math.max(0, roomAbove),
+            boxDepth,
+            travel: boxDepth * (slide.extension || 1)
+        };
+    });
+}
+
+/**
+ * getDrawerSystemParts - The wood a metal drawer system box needs
+ *
+ * @param {Object} box - An entry from getDrawerBoxes on a metal drawer system
+ * @returns {Object} - { bottom: { width, depth }, back: { width, height } } in inches
+ */
+function getDrawerSystemParts(box) {
+    const { system, boxWidth, boxDepth } = box;
+    return {
+        bottom: { width: boxWidth - system.bottomWidthDeduction, depth: boxDepth - system.bottomLengthDeduction },
+        back: { width: boxWidth - system.backWidthDeduction, height: (box.height || system.heights[0]).back }
+    };
+}
+
+/**
+ * getAccessoryLayout - Where each interior accessory sits and how big its box is
+ *
+ * FRONT VIEW (roll-out trays behind a pair of doors):
+ *
+ *   |S|sp|sl| [      tray box      ] |sl|sp|S|
+ *   |S|sp|sl| [      tray box      ] |sl|sp|S|
+ *     S = side (or partition), sp = hinge spacer, sl = slide
+ *
+ * cabinet.accessories is a list of { id, type, startY, height, count, hingeSpacers, sectionId }:
+ *   - type: a key of ACCESSORY_TYPES
+ *   - startY: bottom of the accessory, measured from the bottom of the cabinet
+ *     (the same way as drawers)
+ *   - count: dividers, bins or shelves depending on the type
+ *   - hingeSpacers: false to leave the spacers off (only safe with no doors in front)
+ *   - sectionId: the section it goes in when the box has partitions (first section otherwise)
+ *
+ * Accessories fill the clear width between the sides, or between the partitions
+ * of their section. On a blind corner they stay behind the door opening.
+ * Anything on slides behind a door mounts on HINGE_CLEARANCE thick spacers, so
+ * the box is the clear width less two spacers and the slide's side clearance
+ * each side. Accessories on slides ride on the spec's slideType (the cabinet's
+ * drawer slides when it has none) at the longest length that fits in front of
+ * the back, and the box is as long as the slide - the same way as drawers
+ * (see getDrawerBoxes). When no length fits, slideLength is null and the box is
+ * sized to the depth there is. Fixed accessories run an even inch depth.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {number} backThickness - Actual thickness of the back stock (getPartStock(cabinet, 'back').actual)
+ * @returns {Array} - One entry per accessory, in the same order as cabinet.accessories:
+ *   { accessory, index, spec, label, count, behindDoors, spacer, interiorLeft, clearWidth,
+ *     slide, slideLength, pricePerPair, clearDepth, boxLeft, boxWidth, boxDepth, bottomY,
+ *     height, centerX, dividerXs }
+ *   slide, slideLength and pricePerPair are null for accessories that don't roll out.
+ *   interiorLeft/boxLeft/centerX/dividerXs are measured from the left end of the cabinet.
+ *   label numbers accessories of the same type in order ("Roll-Out Tray 2").
+ *   dividerXs holds the centerline of each tray divider (empty for other types).
+ *   Returns an empty list for cabinet types that don't take accessories.
+ */
+function getAccessoryLayout(cabinet, backThickness) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    if (!typeSpec.allowsAccessories || !cabinet.accessories) return [];
+
+    const thickness = cabinet.thickness;
+    const opening = getFrontOpening(cabinet);
+    const sections = getCabinetSections(cabinet);
+    const banks = getDoorBanks(cabinet);
+    const fixedDepth = Math.max(10, Math.floor((cabinet.depth - 1.25) / 2) * 2);
+    const clearDepth = getClearDepth(cabinet, backThickness) - (getOverlayType(cabinet) === 'inset' ? FRONT_THICKNESS : 0);
+    const frame = getFaceFrameSettings(cabinet);
+    const frameClearance = frame ? Math.max(0, frame.stileWidth - frame.overhang - thickness) : 0;
+
+    const typeCounts = {};
+    return cabinet.accessories.map((accessory, index) => {
+        const spec = ACCESSORY_TYPES[accessory.type] || ACCESSORY_TYPES.rollOutTray;
+        typeCounts[spec.name] = (typeCounts[spec.name] || 0) + 1;
+        const entry = sections && (sections.find(s => s.section.id === accessory.sectionId) || sections[0]);
+        const interiorLeft = entry ? entry.interiorLeft : Math.max(thickness, opening.leftX);
+        const interiorRight = entry
+            ? entry.interiorLeft + entry.clearWidth
+            : Math.min(cabinet.width - thickness, opening.leftX + opening.width);
+        const clearWidth = Math.max(0, interiorRight - interiorLeft);
+
+        // Behind doors when the middle of the accessory is inside a bank of doors
+        const middleY = accessory.startY + accessory.height / 2;
+        const behindDoors = banks.some(bank =>
+            (!entry || bank.sectionIndex === entry.index) && middleY >= bank.bottomY && middleY <= bank.topY);
+        // slides also have to clear face frame stiles that stand in past the sides
+        const hingeSpacer = behindDoors && accessory.hingeSpacers !== false ? HINGE_CLEARANCE : 0;
+        const spacer = spec.slides ? Math.max(hingeSpacer, frameClearance) : 0;
+        const slide = spec.slides ? getSlide(spec.slideType) || getSlide(cabinet.hardware?.slides) || getSlide(SLIDE_TYPES[0]) : null;
+        const fit = slide ? getSlideLength(slide, clearDepth) : null;
+        const slideClearance = slide ? slide.sideClearance : 0;
+        const boxWidth = Math.max(0, clearWidth - (spacer + slideClearance) * 2);
+        let boxDepth = fixedDepth;
+        if (slide) boxDepth = fit ? fit.length : Math.max(0, clearDepth - slide.rearClearance);
+        const count = accessory.count ?? spec.defaultCount ?? 0;
+
+        return {
+            accessory,
+            index,
+            spec,
+            label: `${spec.name} ${typeCounts[spec.name]}`,
+            count,
+            behindDoors,
+            spacer,
+            interiorLeft,
+            clearWidth,
+            slide,
+            slideLength: fit ? fit.length : null,
+            pricePerPair: fit ? fit.pricePerPair : null,
+            clearDepth,
+            boxLeft: interiorLeft + spacer + slideClearance,
+            boxWidth,
+            boxDepth,
+            bottomY: accessory.startY,
+            height: accessory.height,
+            centerX: interiorLeft + clearWidth / 2,
+            dividerXs: accessory.type === 'trayDivider'
+                ? Array.from({ length: count }, (_, i) => interiorLeft + clearWidth * (i + 1) / (count + 1))
+                : []
+        };
+    });
+}
+
+/**
+ * getCornerTurn - Where the adjoining run starts when a run turns a corner
+ *
+ * Blind corners turn on their blind side: the side wall is pullOutDistance
+ * past the blind end and the run starts a filler width off the blind face.
+ * Lazy susan and diagonal corners turn on their corner side: the side wall
+ * is at that end of the box and the run starts at the end of the arm.
+ *
+ * @param {Object} cabinet - The corner cabinet
+ * @returns {Object|null} - { side, wallX, startZ } or null if the cabinet does not turn a corner
+ */
+function getCornerTurn(cabinet) {
+    const z = cabinet.zPosition || 0;
+
+    const blind = getBlindCornerLayout(cabinet);
+    if (blind) {
+        return {
+            side: blind.side,
+            wallX: blind.side === 'left'
+                ? cabinet.xPosition - blind.pullOutDistance
+                : cabinet.xPosition + cabinet.width + blind.pullOutDistance,
+            startZ: z + cabinet.depth / 2 + FRONT_THICKNESS + blind.fillerWidth
+        };
+    }
+
+    const footprint = getCornerFootprint(cabinet);
+    if (footprint) {
+        return {
+            side: footprint.side,
+            wallX: footprint.side === 'left' ? cabinet.xPosition : cabinet.xPosition + cabinet.width,
+            startZ: z - cabinet.depth / 2 + cabinet.width
+        };
+    }
+
+    return null;
+}
+
+/**
+ * getSnapPlacement - Where a cabinet goes when it is snapped beside a neighbor
+ *
+ * HOW IT WORKS:
+ * - Straight runs: the cabinet butts against the neighbor's end and follows
+ *   the neighbor's direction (rotation). Face frame cabinets butt frame to
+ *   frame, so their boxes stand the frame overhang apart.
+ * - Corners: if the cabinet lands on the turning side of a corner cabinet
+ *   (see getCornerTurn), it turns 90 degrees into the adjoining run. Its back
+ *   goes against the side wall and its end butts the start of the run.
+ *
+ * Positions follow createCabinet3D: xPosition/zPosition are the left end of
+ * the box at the middle of its depth, and rotation turns the box about that
+ * point (degrees, looking down, positive turns the front toward +x).
+ *
+ * @param {Object} cabinet - The cabinet being placed
+ * @param {Object} neighbor - The cabinet it butts against
+ * @param {string} side - 'left' or 'right' - which side of the neighbor it goes on
+ * @returns {Object} - { xPosition, zPosition, rotation }
+ */
+function getSnapPlacement(cabinet, neighbor, side) {
+    const turn = getCornerTurn(neighbor);
+    const neighborRotation = neighbor.rotation || 0;
+    const neighborZ = neighbor.zPosition || 0;
+
+    // Turn the corner
+    if (turn && turn.side === side && neighborRotation === 0) {
+        if (side === 'left') {
+            // Run goes along the left wall, fronts face +x, box runs back toward the corner
+            return {
+                xPosition: turn.wallX + cabinet.depth / 2,
+                zPosition: turn.startZ + cabinet.width,
+                rotation: 90
+            };
+        }
+        return {
+            xPosition: turn.wallX - cabinet.depth / 2,
+            zPosition: turn.startZ,
+            rotation: -90
+        };
+    }
+
+    // Face frames that hang past the box sides butt together, so the boxes stand apart
+    const frameGap = side === 'right'
+        ? getFaceFrameExtents(neighbor).right + getFaceFrameExtents(cabinet).left
+        : getFaceFrameExtents(neighbor).left + getFaceFrameExtents(cabinet).right;
+
+    // Straight run - unrotated cabinets keep their own front-to-back position
+    if (neighborRotation === 0) {
+        return {
+            xPosition: side === 'right' ? neighbor.xPosition + neighbor.width + frameGap : neighbor.xPosition - cabinet.width - frameGap,
+            zPosition: cabinet.rotation ? neighborZ : (cabinet.zPosition || 0),
+            rotation: 0
+        };
+    }
+
+    // Straight run along a turned wall - step along the run and line up the backs
+    const angle = neighborRotation * Math.PI / 180;
+    const run = { x: Math.cos(angle), z: -Math.sin(angle) };
+    const out = { x: Math.sin(angle), z: Math.cos(angle) };
+    const step = side === 'right' ? neighbor.width + frameGap : -cabinet.width - frameGap;
+    const backOffset = (cabinet.depth - neighbor.depth) / 2;
+    return {
+        xPosition: neighbor.xPosition + run.x * step + out.x * backOffset,
+        zPosition: neighborZ + run.z * step + out.z * backOffset,
+        rotation: neighborRotation
+    };
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// getBlindCornerLayout, getCornerFootprint, getFrontOpening, getOverlayType, getFaceFrameSettings,
+// getFrontEdge, getFrontEdgeOffset, getFrontRow, getFrontDepthOffset, getSinkFalseFronts,
+// getPlumbingCutout, getCabinetSections, getSectionDrawers, getDrawerOpening,
+// getDrawerTop, getDrawerLayout, getDoorBanks, getTotalDoorCount, getHingeCount, getDoorHandleSide, getDoorSwing,
+// getSystemHoleLines, getHingeLayout, getHingeMachining, getFaceFrameLayout,
+// getFaceFrameParts, getFaceFrameExtents, getJoinerySettings, getHousingDepth, getBoxJoinery,
+// getDrawerBoxJoinery, getDrawerBottom, getClearDepth, getSlide, getSlideLength, getDrawerSystem, getDrawerBoxes, getDrawerSystemParts,
+// getAccessoryLayout, getCornerTurn, getSnapPlacement
@@ -0,0 +1,546 @@
+/*
+ * ========================================
+ * CABINET MODEL MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * This file defines what a cabinet IS in this app - the one shape every
+ * other file reads and writes. A cabinet is a plain object (no class) so
+ * React can keep it in state, the undo history can copy it and a project
+ * file is just those objects written out as JSON.
+ *
+ * WHAT IT DOES:
+ * - Creates a new cabinet with every field filled in (createCabinet)
+ * - Changes a cabinet without breaking it - door counts that fit the width,
+ *   drawers that stay inside the box (setCabinetProperty, changeCabinetType
+ *   and the drawer helpers)
+ * - Writes a project out for saving and reads saved projects back in,
+ *   bringing older projects up to date on the way (serializeProject,
+ *   deserializeProject, migrateCabinet)
+ *
+ * THE CABINET OBJECT (the important fields):
+ *   {
+ *     id, name, type,                 - type is a key of CABINET_TYPES
+ *     width, height, depth,           - outside of the box, inches
+ *     thickness,                      - actual thickness of the box stock
+ *     doors, upperDoors, doubleDoor,  - door COUNTS - the doors are sized by cabinetLayout.js
+ *     drawers: [{ id, height, startY, width?, leftX?, sectionId? }],
+ *                                     - startY is measured up from the bottom of the box
+ *     sections, accessories,          - partitions and pull-outs (see cabinetLayout.js)
+ *     stock, joinery, hardware,       - per-part stock, joints and hardware names
+ *                                     (hardware.pulls is a PULL_CATALOG id)
+ *     drawerBox: { system, outsourced } - metal drawer system or wood boxes,
+ *                                     built or ordered in (see getDrawerBoxes)
+ *     pullPlacement: { door, drawer } - where the pulls go (see PULL_PLACEMENTS)
+ *     expressions?: { width: '= ...' } - dimensions typed as formulas (see expressions.js);
+ *                                     drawers can have one for their height too
+ *     ...                             - see createCabinet for the rest
+ *   }
+ * A cabinet never holds door or drawer objects with their own sizes - those
+ * are always worked out from the box, so they can't disagree with it.
+ *
+ * CHANGING A CABINET:
+ * The change helpers never edit the cabinet they're given. They return
+ * { cabinet, message }: the changed cabinet (or the same one if the change
+ * was refused) and a message for the user, or null if there's nothing to say.
+ *
+ * OLDER PROJECTS:
+ * Projects saved before this model (modelVersion missing) may be missing
+ * newer fields, and the earliest ones hold Cabinet class objects - a single
+ * "door" object, "sides" and "back" components and drawers with no startY.
+ * migrateCabinet turns any of these into the current shape.
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (CABINET_TYPES, DEFAULT_PART_STOCK, STOCK_CATALOG, DEFAULT_JOINERY,
+ *   DEFAULT_DOOR_STYLES, DEFAULT_MATERIAL_COSTS, DEFAULT_LABOR_RATE, hardware lists)
+ *   Must be loaded BEFORE this file via <script> tag in index.html
+ * - cabinetLayout.js (front opening, sections and drawer openings)
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (new cabinets, every cabinet and drawer change, save and load)
+ * - projectManager.js (saves and loads projects in browser storage)
+ * - fileImportExport.js (project files)
+ * - designEngine.js (reads project files, including under Node)
+ */
+
+/**
+ * CABINET_MODEL_VERSION - Saved with every project (as modelVersion)
+ *
+ * Version 1 is everything saved before the version was recorded.
+ */
+const CABINET_MODEL_VERSION = 2;
+
+/**
+ * getMaxDoors - How many doors fit across an opening
+ *
+ * Each door needs at least 8" plus 1" between doors.
+ *
+ * @param {number} cabinetWidth - Width of the opening (inches)
+ * @returns {number} - Most doors that fit (0 if none)
+ */
+function getMaxDoors(cabinetWidth) {
+    const MIN_DOOR_WIDTH = 8; // inches - minimum usable door width
+    const DOOR_SPACING = 1; // inch between doors
+    // Formula: each door needs at least (MIN_DOOR_WIDTH + DOOR_SPACING) inches, except last door
+    return Math.max(0, Math.floor((cabinetWidth - DOOR_SPACING) / (MIN_DOOR_WIDTH + DOOR_SPACING)));
+}
+
+/**
+ * createCabinet - A new cabinet with every field filled in
+ *
+ * @param {string} type - A CABINET_TYPES key (default: 'base')
+ * @param {Object} overrides - Fields to set instead of the defaults (id, name, position...)
+ * @returns {Object} - The cabinet
+ */
+function createCabinet(type = 'base', overrides = {}) {
+    const typeSpec = CABINET_TYPES[type] || CABINET_TYPES.base;
+
+    return {
+        id: Date.now(),
+        name: 'Cabinet',
+        type: type, // key into CABINET_TYPES
+        construction: 'frameless', // or 'faceFrame'
+        xPosition: 0, // X position in layout (inches)
+        zPosition: 0, // Z position (depth/forward-back)
+        rotation: 0, // Degrees about the vertical axis (turned runs at a corner)
+        mountingHeight: 0, // Bottom of box above floor (wall cabinets)
+        width: 24,
+        height: 34.5,
+        depth: 24,
+        material: 'plywood',
+        stock: { ...DEFAULT_PART_STOCK }, // sheet stock per part role - see STOCK_CATALOG
+        joinery: { ...DEFAULT_JOINERY }, // box, back and drawer joints - see JOINERY_TYPES
+        drawerBox: { system: null, outsourced: false }, // DRAWER_SYSTEMS key (null = wood boxes), outsourced = wood boxes ordered in
+        thickness: STOCK_CATALOG[DEFAULT_PART_STOCK.box].actual, // actual thickness of the box stock
+        doors: 0,
+        doorStyle: 'shaker',
+        doubleDoor: false,
+        overlayType: 'fullOverlay', // key into OVERLAY_TYPES - full overlay, partial overlay or inset
+        doorDrawerGap: 0.125, // 1/8" default reveal between fronts
+        doorOverhang: 0.5, // 1/2" default overlay (partial overlay fronts)
+        doorHandles: {}, // {doorIndex: 'left'|'right'} for each door
+        drawers: [],  // array of {id, height, startY} - positioned from bottom
+        sections: [], // vertical partitions - array of {id, width, doors, shelves}, see getCabinetSections
+        accessories: [], // roll-out trays and other pull-outs - array of {id, type, startY, height, count, hingeSpacers}, see getAccessoryLayout
+        drawerStyle: 'shaker',
+        shelves: 1,
+        backPanel: true,
+        toekick: true,
+        toekickHeight: 4,
+        toekickDepth: 3,
+        color: '#8B7355',
+        edgebanding: true,
+        edgebandColor: '#8B7355',
+        hardware: {
+            hinges: HINGE_TYPES[0],
+            slides: SLIDE_TYPES[0],
+            pulls: DEFAULT_PULL // a PULL_CATALOG id
+        },
+        pullPlacement: { door: 'edge', drawer: 'center' }, // keys into PULL_PLACEMENTS - see getPullLayout
+        countertop: false,
+        countertopMaterial: 'Quartz',
+        countertopThickness: 1.25,
+        crown: false,
+        crownHeight: 3,
+        lightRail: false, // wall cabinets - trim under the front that hides the lights
+        lightRailHeight: 1.5,
+        trimReturns: { left: true, right: true }, // crown, light rail and toe-kick skin wrap an exposed end - see trimRuns.js
+        ...typeSpec.defaults,
+        ...overrides
+    };
+}
+
+/**
+ * enforceCabinetInvariants - Puts right anything a cabinet must never be
+ *
+ * - width, height and depth are positive numbers (the type's size otherwise)
+ * - door counts and shelves are whole numbers, never negative; a double
+ *   door cabinet has at most 2 doors
+ * - every drawer has an id, is at least 2" tall and sits inside the box
+ *
+ * Door limits that depend on the width are checked when the width or the
+ * door count changes (setCabinetProperty), not here, so a saved cabinet
+ * loads the way it was saved.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @returns {Object} - A corrected copy of the cabinet
+ */
+function enforceCabinetInvariants(cabinet) {
+    const defaults = createCabinet(cabinet.type);
+    const size = value => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+    const count = (value, max = Infinity) => Math.min(max, Math.max(0, parseInt(value) || 0));
+
+    const fixed = {
+        ...cabinet,
+        width: size(cabinet.width) || defaults.width,
+        height: size(cabinet.height) || defaults.height,
+        depth: size(cabinet.depth) || defaults.depth,
+        doors: count(cabinet.doors, cabinet.doubleDoor ? 2 : Infinity),
+        shelves: count(cabinet.shelves)
+    };
+    if (cabinet.upperDoors !== undefined) {
+        fixed.upperDoors = count(cabinet.upperDoors, cabinet.doubleDoor ? 2 : Infinity);
+    }
+
+    const ids = new Set();
+    fixed.drawers = (cabinet.drawers || [])
+        .filter(d => d.height >= 2 && d.startY >= 0 && d.startY + d.height <= fixed.height + 0.001)
+        .map((d, index) => {
+            let id = d.id ?? Date.now() + index;
+            while (ids.has(id)) id += 1;
+            ids.add(id);
+            return id === d.id ? d : { ...d, id };
+        });
+
+    return fixed;
+}
+
+/**
+ * migrateCabinet - Brings a saved cabinet up to the current model
+ *
+ * Fills in fields added since it was saved (from the type's defaults) and
+ * converts the old Cabinet class shape:
+ * - door { doorType, hinge, pull } -> one door in that style with that hardware
+ * - sides / back components -> material and backPanel
+ * - drawers { height, slide, pull } with no startY -> stacked up from the
+ *   bottom of the front opening
+ * - hardware.pulls holding a pull style ('Bar Pull') -> the first PULL_CATALOG
+ *   pull in that style
+ *
+ * @param {Object} saved - The cabinet as it was saved
+ * @param {number} index - Its place in the project (gives old cabinets an id)
+ * @returns {Object} - The cabinet in the current shape
+ */
+function migrateCabinet(saved, index = 0) {
+    const { door, sides, back, pricing, ...fields } = saved;
+    const type = CABINET_TYPES[fields.type] ? fields.type : 'base';
+    const defaults = createCabinet(type, { id: fields.id ?? Date.now() + index, name: `Cabinet ${index + 1}` });
+    const hardware = { ...defaults.hardware, ...(fields.hardware || {}) };
+
+    // Old Cabinet class objects: door, sides and back were components
+    if (door && typeof door === 'object') {
+        if (fields.doors === undefined) fields.doors = 1;
+        if (door.doorType && !fields.doorStyle) fields.doorStyle = door.doorType;
+        if (door.hinge) hardware.hinges = door.hinge;
+        if (door.pull) hardware.pulls = door.pull;
+    }
+    if (sides && sides.left) {
+        const material = String(sides.left.material || '').toLowerCase();
+        if (!fields.material && DEFAULT_MATERIAL_COSTS[material] !== undefined) fields.material = material;
+        if (fields.thickness === undefined && sides.left.thickness) fields.thickness = sides.left.thickness;
+    }
+    if (back !== undefined && typeof back !== 'boolean' && fields.backPanel === undefined) {
+        fields.backPanel = !!back;
+    }
+
+    const cabinet = {
+        ...defaults,
+        ...fields,
+        type,
+        stock: { ...defaults.stock, ...(fields.stock || {}) },
+        joinery: { ...defaults.joinery, ...(fields.joinery || {}) },
+        drawerBox: { ...defaults.drawerBox, ...(fields.drawerBox || {}) },
+        pullPlacement: { ...defaults.pullPlacement, ...(fields.pullPlacement || {}) },
+        hardware
+    };
+
+    // Before the pull catalog, pulls were a style name - take the first catalog pull in that style
+    if (!PULL_CATALOG[hardware.pulls]) {
+        hardware.pulls = Object.keys(PULL_CATALOG).find(id => PULL_CATALOG[id].style === hardware.pulls) || DEFAULT_PULL;
+    }
+
+    // Cabinets saved before the stock catalog keep the thickness they were built at
+    if (!fields.stock && fields.thickness !== undefined) cabinet.thickness = fields.thickness;
+
+    // Old Drawer class objects had no position - stack them from the bottom
+    if ((fields.drawers || []).some(d => d.startY === undefined)) {
+        let nextY = getDrawerTop({ ...cabinet, drawers: [] });
+        cabinet.drawers = fields.drawers.map((d, drawerIndex) => {
+            if (d.slide && drawerIndex === 0) hardware.slides = d.slide;
+            if (d.startY !== undefined) return d;
+            const drawer = { id: d.id ?? Date.now() + drawerIndex, height: d.height, startY: nextY };
+            nextY += d.height;
+            return drawer;
+        });
+    }
+
+    return enforceCabinetInvariants(cabinet);
+}
+
+/**
+ * setCabinetProperty - Changes one field of a cabinet
+ *
+ * Door counts must fit the front opening (2 at most in Double Door mode).
+ * Making a cabinet narrower drops its door counts to what still fits.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {string} property - The field to change
+ * @param {*} value - The new value
+ * @returns {Object} - { cabinet, message }
+ */
+function setCabinetProperty(cabinet, property, value) {
+    // If updating doors, validate against cabinet width or double door limit
+    if (property === 'doors' || property === 'upperDoors') {
+        const numDoors = parseInt(value);
+        if (cabinet.doubleDoor) {
+            if (numDoors > 2) {
+                return { cabinet, message: 'Double Door mode allows maximum 2 doors.' };
+            }
+        } else {
+            const maxDoors = getMaxDoors(getFrontOpening(cabinet).width);
+            if (numDoors > maxDoors) {
+                return { cabinet, message: `Cannot add that many doors. Maximum for a ${cabinet.width}" wide cabinet is ${maxDoors} door${maxDoors !== 1 ? 's' : ''}. Enable "Double Door" to add a 2nd door.` };
+            }
+        }
+    }
+
+    // If updating width, check if current doors still fit (unless double door mode)
+    if (property === 'width') {
+        const newWidth = parseFloat(value);
+        const maxDoors = getMaxDoors(getFrontOpening({ ...cabinet, width: newWidth }).width);
+        if (!cabinet.doubleDoor && (cabinet.doors > maxDoors || cabinet.upperDoors > maxDoors)) {
+            const reduced = { ...cabinet, [property]: value, doors: Math.min(cabinet.doors, maxDoors) };
+            if (cabinet.upperDoors > maxDoors) reduced.upperDoors = maxDoors;
+            return { cabinet: reduced, message: `Cabinet width of ${newWidth}" can only fit ${maxDoors} door${maxDoors !== 1 ? 's' : ''}. Reducing door count.` };
+        }
+    }
+
+    return { cabinet: { ...cabinet, [property]: value }, message: null };
+}
+
+/**
+ * changeCabinetType - Turns a cabinet into another type
+ *
+ * Builds a new cabinet of the type (createCabinet) and carries over what
+ * belongs to the cabinet rather than its type: where it sits, its name,
+ * stock, joinery, finish, fronts and hardware. Everything laid out in the
+ * old box - drawers, sections, accessories, door handles, formulas - and
+ * the old type's own settings (blind, sink and corner fields, upper doors)
+ * start over. The width and door count stay unless the new type sets them,
+ * and the doors are cut back to what fits the new front opening.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {string} type - A CABINET_TYPES key
+ * @returns {Object} - { cabinet, message }
+ */
+function changeCabinetType(cabinet, type) {
+    const typeSpec = CABINET_TYPES[type];
+    if (!typeSpec) return { cabinet, message: `Unknown cabinet type "${type}".` };
+
+    const kept = {};
+    ['id', 'name', 'xPosition', 'zPosition', 'rotation', 'construction', 'material', 'stock', 'joinery', 'drawerBox',
+        'thickness', 'doorStyle', 'drawerStyle', 'doubleDoor', 'overlayType', 'doorDrawerGap', 'doorOverhang',
+        'color', 'edgebanding', 'edgebandColor', 'hardware', 'pullPlacement', 'trimReturns', 'countertopMaterial',
+        'countertopThickness', 'crown', 'crownHeight', 'lightRail', 'lightRailHeight'].forEach(field => {
+        if (cabinet[field] !== undefined) kept[field] = cabinet[field];
+    });
+    if (typeSpec.allowsCountertop && cabinet.countertop !== undefined) kept.countertop = cabinet.countertop;
+
+    const changed = createCabinet(type, {
+        ...kept,
+        width: typeSpec.defaults.width ?? cabinet.width,
+        doors: typeSpec.defaults.doors ?? cabinet.doors
+    });
+
+    let message = null;
+    const maxDoors = getMaxDoors(getFrontOpening(changed).width);
+    if (!changed.doubleDoor && changed.doors > maxDoors) {
+        changed.doors = maxDoors;
+        message = `A ${changed.width}" wide ${typeSpec.name} can only fit ${maxDoors} door${maxDoors !== 1 ? 's' : ''}. Reducing door count.`;
+    }
+
+    return { cabinet: enforceCabinetInvariants(changed), message };
+}
+
+/**
+ * addCabinetDrawer - Adds a 6" drawer above the drawers already in the cabinet
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {*} sectionId - Section to add it to, when the box has partitions (default: the first)
+ * @returns {Object} - { cabinet, message }
+ */
+function addCabinetDrawer(cabinet, sectionId) {
+    if (CABINET_TYPES[cabinet.type]?.cornerShape) {
+        return { cabinet, message: 'Corner cabinets do not take drawers.' };
+    }
+    if (CABINET_TYPES[cabinet.type]?.sinkBase) {
+        return { cabinet, message: 'Sink bases use false fronts instead of drawers.' };
+    }
+    const existingDrawers = cabinet.drawers || [];
+    const sections = getCabinetSections(cabinet);
+    const section = sections && (sections.find(entry => entry.section.id === sectionId) || sections[0]);
+    const topOfLastDrawer = section
+        ? getDrawerTop(cabinet, getSectionDrawers(cabinet, section))
+        : getDrawerTop(cabinet);
+
+    // Check if adding a 6-inch drawer would exceed cabinet height
+    if (topOfLastDrawer + 6 > cabinet.height) {
+        return { cabinet, message: 'Cannot add drawer: would exceed cabinet height. Minimum drawer height is 2 inches.' };
+    }
+
+    const newDrawer = {
+        id: Date.now(),
+        height: 6,
+        startY: topOfLastDrawer
+    };
+    if (section) newDrawer.sectionId = section.section.id;
+
+    return { cabinet: { ...cabinet, drawers: [...existingDrawers, newDrawer] }, message: null };
+}
+
+/**
+ * updateCabinetDrawer - Changes the height, position or slot of one drawer
+ *
+ * A drawer stays at least 2" tall and inside the box. A side-by-side slot
+ * stays at least 6" wide, inside the front opening and off the other
+ * drawers in its row.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {*} drawerId - The drawer's id
+ * @param {string} property - 'height', 'startY', 'width' or 'leftX'
+ * @param {*} value - The new value (inches)
+ * @returns {Object} - { cabinet, message }
+ */
+function updateCabinetDrawer(cabinet, drawerId, property, value) {
+    const d = (cabinet.drawers || []).find(drawer => drawer.id === drawerId);
+    if (!d) return { cabinet, message: null };
+
+    const numValue = parseFloat(value);
+    const openingWidth = getDrawerOpening(cabinet, d).width;
+    const refuse = message => ({ cabinet, message });
+
+    // If updating height, enforce minimum 2 inches
+    if (property === 'height') {
+        if (numValue < 2) {
+            return refuse('Drawer height must be at least 2 inches');
+        }
+        // Check if new height would exceed cabinet height
+        if (d.startY + numValue > cabinet.height) {
+            return refuse(`Drawer height cannot exceed remaining cabinet space. Maximum: ${(cabinet.height - d.startY).toFixed(1)} inches`);
+        }
+    }
+    // If updating position, make sure it doesn't push drawer past cabinet height
+    if (property === 'startY') {
+        if (numValue + d.height > cabinet.height) {
+            return refuse('Drawer position would exceed cabinet height');
+        }
+    }
+    // Side-by-side drawers - keep the slot inside the front opening
+    if (property === 'width') {
+        if (numValue < 6) {
+            return refuse('Drawer width must be at least 6 inches');
+        }
+        if ((d.leftX || 0) + numValue > openingWidth) {
+            return refuse(`Drawer would run past the front opening. Maximum: ${(openingWidth - (d.leftX || 0)).toFixed(1)} inches`);
+        }
+    }
+    if (property === 'leftX') {
+        if (numValue < 0 || numValue + (d.width || openingWidth) > openingWidth) {
+            return refuse(`Drawer position would run past the front opening. Maximum: ${(openingWidth - (d.width || openingWidth)).toFixed(1)} inches`);
+        }
+    }
+
+    const updated = { ...d, [property]: numValue };
+    // Moving a drawer sideways can't put it on top of another one in the row
+    // (drawers in other sections are on the other side of a partition)
+    if (property === 'width' || property === 'leftX') {
+        const span = dr => ({ left: dr.leftX || 0, right: (dr.leftX || 0) + (dr.width || openingWidth) });
+        const mine = span(updated);
+        const blocking = cabinet.drawers.findIndex(other => {
+            if (other.id === d.id || getDrawerOpening(cabinet, other).leftX !== getDrawerOpening(cabinet, d).leftX) return false;
+            const theirs = span(other);
+            const sharesHeight = other.startY < updated.startY + updated.height && updated.startY < other.startY + other.height;
+            return sharesHeight && theirs.left < mine.right - 0.01 && mine.left < theirs.right - 0.01;
+        });
+        if (blocking >= 0) {
+            return refuse(`Drawer would overlap drawer ${blocking + 1}`);
+        }
+    }
+
+    return { cabinet: { ...cabinet, drawers: cabinet.drawers.map(dr => (dr.id === drawerId ? updated : dr)) }, message: null };
+}
+
+/**
+ * splitCabinetDrawer - Splits a drawer into two side-by-side drawers that share its slot
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {*} drawerId - The drawer's id
+ * @returns {Object} - { cabinet, message }
+ */
+function splitCabinetDrawer(cabinet, drawerId) {
+    const d = (cabinet.drawers || []).find(drawer => drawer.id === drawerId);
+    if (!d) return { cabinet, message: null };
+
+    const leftX = d.leftX || 0;
+    const halfWidth = (d.width || getDrawerOpening(cabinet, d).width) / 2;
+    if (halfWidth < 6) {
+        return { cabinet, message: 'Drawer is too narrow to split. Each half must be at least 6 inches wide.' };
+    }
+
+    const drawers = [];
+    cabinet.drawers.forEach(drawer => {
+        if (drawer.id !== drawerId) {
+            drawers.push(drawer);
+            return;
+        }
+        drawers.push({ ...drawer, leftX, width: halfWidth });
+        drawers.push({ ...drawer, id: Date.now(), leftX: leftX + halfWidth, width: halfWidth });
+    });
+    return { cabinet: { ...cabinet, drawers }, message: null };
+}
+
+/**
+ * removeCabinetDrawer - Takes a drawer out of a cabinet
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {*} drawerId - The drawer's id
+ * @returns {Object} - { cabinet, message }
+ */
+function removeCabinetDrawer(cabinet, drawerId) {
+    return { cabinet: { ...cabinet, drawers: (cabinet.drawers || []).filter(d => d.id !== drawerId) }, message: null };
+}
+
+/**
+ * serializeProject - The project as it is written to storage or a file
+ *
+ * @param {Object} project - { name, cabinets, materialCosts, laborRate, doorStyles, variables, countertops, ... }
+ *   Any other fields (date, selectedUnit...) are written as they are.
+ * @returns {Object} - Plain JSON-ready data with modelVersion set
+ */
+function serializeProject(project) {
+    return JSON.parse(JSON.stringify({
+        ...project,
+        modelVersion: CABINET_MODEL_VERSION,
+        cabinets: project.cabinets || []
+    }));
+}
+
+/**
+ * deserializeProject - A saved project, brought up to the current model
+ *
+ * Works on anything saved by this app: browser storage, exported files and
+ * the older Cabinet class projects. Missing door styles, prices, labor
+ * rate, project variables and countertops get the defaults a new project starts with.
+ *
+ * @param {Object} data - The saved project
+ * @returns {Object} - { ...data, name, cabinets, doorStyles, materialCosts, laborRate, variables, countertops, modelVersion }
+ */
+function deserializeProject(data) {
+    return {
+        ...data,
+        name: data.name || data.projectName || 'Untitled Project',
+        cabinets: (data.cabinets || []).map(migrateCabinet),
+        doorStyles: data.doorStyles && data.doorStyles.length > 0 ? data.doorStyles : DEFAULT_DOOR_STYLES,
+        materialCosts: { ...DEFAULT_MATERIAL_COSTS, ...(data.materialCosts || {}) },
+        laborRate: data.laborRate ?? DEFAULT_LABOR_RATE,
+        variables: data.variables || {},
+        countertops: data.countertops || [],
+        modelVersion: CABINET_MODEL_VERSION
+    };
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// CABINET_MODEL_VERSION, getMaxDoors, createCabinet, enforceCabinetInvariants, migrateCabinet,
+// setCabinetProperty, changeCabinetType, addCabinetDrawer, updateCabinetDrawer, splitCabinetDrawer,
+// removeCabinetDrawer, serializeProject, deserializeProject
@@ -10,10 +10,19 @@
  * hardware choices you use repeatedly.
  * 
  * WHAT IT DOES:
- * - Defines standard door styles and their dimensions
+ * - Defines the starting door style library and panel types
  * - Lists available hardware options (hinges, slides, pulls)
- * - Sets drawer box specifications
+ * - Lists slide lengths and the clearances each maker asks for
+ * - Lists the metal drawer systems and their bottom and back deductions
+ * - Lists the pulls the shop buys and the rules for where they go
+ * - Sets how many hinges a door gets and the 35mm cup and 32mm line boring
+ * - Sets how far doors swing open in the 3D view
+ * - Sets drawer box specifications and smart drawer/door defaults
+ * - Sets the starting material prices and labor rate
+ * - Lists the sheet stock the shop buys (nominal and actual thickness)
  * - Defines construction methods (frameless vs face frame)
+ * - Defines door overlay modes (full overlay, partial overlay, inset)
+ * - Defines joinery methods for the box, back and drawer boxes
  * 
  * WHY SEPARATE FILE?
  * Having all these standards in one place makes it easy to:
@@ -25,62 +34,106 @@
  * - None! This is just a list of standards
  * 
  * USED BY (what files need this one):
- * - cabinetClasses.js (uses these specs when creating cabinets)
+ * - cabinetModel.js (uses these specs when creating cabinets)
  * - CabinetDesigner.js (shows these options in dropdown menus)
  */
 
 /**
- * DOOR_SPECS - Standard specifications for different door styles
+ * PANEL_TYPES - What fills the middle of a door
  * 
- * WHAT IT IS:
- * This is like a recipe book for door styles. Each door type has its own
- * set of measurements that define how it's built.
- * 
- * DOOR TYPES EXPLAINED:
+ * TYPES EXPLAINED:
+ * - Slab: no frame at all - the door is one flat piece of 3/4" stock
+ * - Flat Panel: frame (rails and stiles) around a thin flat panel (shaker)
+ * - Raised Panel: frame around a thicker panel with a raised center
+ * - Glass: frame around a glass pane held in a rabbet instead of a groove
  * 
- * SHAKER DOOR:
- * - Most common cabinet door style
- * - Has a frame (rails and stiles) with a center panel
- * - railWidth: how wide the horizontal pieces are (top and bottom)
- * - stileWidth: how wide the vertical pieces are (left and right sides)
- * - panelThickness: how thick the center panel is
- * - panelSetback: how far back the panel sits in the frame groove
+ * SETTINGS EXPLAINED:
+ * - framed: true if the door is built from rails, stiles and a panel
+ * - centerRaise: how far a raised panel stands proud of the frame
+ */
+const PANEL_TYPES = {
+    slab: { name: 'Slab (no frame)', framed: false },
+    flat: { name: 'Flat Panel', framed: true },
+    raised: { name: 'Raised Panel', framed: true, centerRaise: 0.25 },
+    glass: { name: 'Glass', framed: true }
+};
+
+/**
+ * DEFAULT_DOOR_STYLES - The door style library a new project starts with
  * 
- * FLAT DOOR (also called slab door):
- * - Simplest style - just a flat piece of wood
- * - thickness: how thick the door panel is
+ * WHAT IT IS:
+ * Every project keeps its own list of door styles (the door style library)
+ * and each cabinet picks one for its doors (doorStyle) and one for its drawer
+ * fronts (drawerStyle) by id. Change a style once and every door built with
+ * it changes. These are the starting styles - copy one and set your own shop
+ * sizes rather than editing the list here.
  * 
- * RAISED PANEL DOOR:
- * - Traditional style with raised center
- * - Similar to shaker but the center is raised up
- * - centerRaise: how much the center sticks up from the edges
+ * SETTINGS EXPLAINED:
+ * - id: how cabinets refer to the style (kept when the style is renamed)
+ * - name: what shows in the dropdowns
+ * - panelType: a key of PANEL_TYPES
+ * - profile: name of the edge profile on the frame (cutter set), for the shop
+ * - stileWidth: width of the vertical frame pieces (left and right)
+ * - topRailWidth / bottomRailWidth: width of the horizontal frame pieces.
+ *   Many shops run a wider bottom rail (3") so the door doesn't look top heavy.
+ * - grooveDepth: depth of the groove the panel sits in. Cope and stick rails
+ *   have a stub tenon this long on each end, so rails are cut that much longer.
+ * - panelThickness: thickness of the panel (or glass)
+ * - panelClearance: gap left at each edge of the panel inside the groove so
+ *   a wood panel can swell without pushing the frame apart (1/16" is typical)
  * 
- * GLASS DOOR:
- * - Has a frame with glass insert instead of wood panel
- * - Typically narrower frame to show more glass
- * - glassThickness: how thick the glass pane is
+ * Slab styles ignore the frame settings.
  */
-const DOOR_SPECS = {
-    shaker: { 
-        railWidth: 2.5,        // Horizontal frame pieces: 2.5 inches wide
-        stileWidth: 2.5,       // Vertical frame pieces: 2.5 inches wide
-        panelThickness: 0.25,  // Center panel: 1/4 inch thick
-        panelSetback: 0.375    // Panel sits back 3/8 inch in the groove
+const DEFAULT_DOOR_STYLES = [
+    {
+        id: 'shaker',
+        name: 'Shaker',
+        panelType: 'flat',
+        profile: 'Square',
+        stileWidth: 2.5,         // Vertical frame pieces: 2.5 inches wide
+        topRailWidth: 2.5,       // Horizontal frame pieces: 2.5 inches wide
+        bottomRailWidth: 2.5,
+        grooveDepth: 0.375,      // 3/8" groove
+        panelThickness: 0.25,    // Center panel: 1/4 inch thick
+        panelClearance: 0.0625   // 1/16" each edge for wood movement
     },
-    flat: { 
-        thickness: 0.75        // Simple flat door: 3/4 inch thick
+    {
+        id: 'flat',
+        name: 'Flat/Slab',
+        panelType: 'slab',
+        profile: 'Eased Edge',
+        stileWidth: 0,
+        topRailWidth: 0,
+        bottomRailWidth: 0,
+        grooveDepth: 0,
+        panelThickness: 0.75,    // Simple flat door: 3/4 inch thick
+        panelClearance: 0
     },
-    raised: { 
-        railWidth: 2.5,        // Frame pieces: 2.5 inches wide
-        stileWidth: 2.5, 
-        centerRaise: 0.25      // Center raised up 1/4 inch
+    {
+        id: 'raised',
+        name: 'Raised Panel',
+        panelType: 'raised',
+        profile: 'Ogee',
+        stileWidth: 2.5,
+        topRailWidth: 2.5,
+        bottomRailWidth: 2.5,
+        grooveDepth: 0.375,
+        panelThickness: 0.625,   // 5/8" panel, edges thinned to fit the groove
+        panelClearance: 0.0625
     },
-    glass: { 
-        railWidth: 2,          // Narrower frame: 2 inches (to show more glass)
-        stileWidth: 2, 
-        glassThickness: 0.125  // Glass: 1/8 inch thick
+    {
+        id: 'glass',
+        name: 'Glass Insert',
+        panelType: 'glass',
+        profile: 'Square',
+        stileWidth: 2,           // Narrower frame: 2 inches (to show more glass)
+        topRailWidth: 2,
+        bottomRailWidth: 2,
+        grooveDepth: 0.375,      // Rabbet depth - glass is held with stops
+        panelThickness: 0.125,   // Glass: 1/8 inch thick
+        panelClearance: 0.0625
     }
-};
+];
 
 /**
  * DRAWER_BOX - Standard measurements for drawer box construction
@@ -93,19 +146,224 @@ const DOOR_SPECS = {
  * - sideThickness: How thick the left/right side pieces are (1/2 inch)
  * - bottomThickness: How thick the bottom panel is (1/4 inch, usually plywood)
  * - frontBackHeight: How tall the front and back pieces are (4 inches minimum)
- * - slidesClearance: Extra space needed on each side for drawer slides (1/2 inch)
+ * - topClearance: Room left over a drawer box so it can be tipped out of its slides
  * 
  * WHY THESE NUMBERS?
  * - 1/2" sides are strong enough to hold together but not too bulky
  * - 1/4" bottom (plywood) is standard and sits in a groove
  * - 4" front/back height gives good strength for the drawer bottom groove
- * - 1/2" clearance per side gives room for standard drawer slides to move
  */
 const DRAWER_BOX = {
     sideThickness: 0.5,      // Left and right sides: 1/2 inch thick
     bottomThickness: 0.25,   // Bottom panel: 1/4 inch thick (plywood)
     frontBackHeight: 4,      // Front and back: 4 inches tall minimum
-    slidesClearance: 0.5     // Space needed for slides: 1/2 inch per side
+    topClearance: 0.5        // Space above the box: 1/2 inch
+};
+
+/**
+ * SMART_DEFAULTS - Starting sizes for automatic drawer and door layouts
+ *
+ * - drawerReveal / doorReveal: gap between fronts (1/8 inch)
+ * - drawerHeights: the drawer sizes a "smart" drawer stack is built from
+ * - doorWidth: when a door is too narrow to use or wide enough to split
+ */
+const SMART_DEFAULTS = {
+    // Standard reveal (gap) between drawer fronts
+    drawerReveal: 0.125, // 1/8 inch gap between drawers
+    doorReveal: 0.125,   // 1/8 inch gap between doors
+
+    // Optimal drawer heights for different purposes
+    drawerHeights: {
+        small: 4,      // Utensil/small items drawer
+        medium: 6,     // Standard drawer
+        large: 8,      // Large drawer
+        deep: 10       // Deep drawer (pots/pans)
+    },
+
+    // Door width recommendations
+    doorWidth: {
+        min: 8,        // Minimum usable door width
+        optimalMin: 12, // Optimal minimum for comfortable use
+        optimalMax: 24, // Optimal maximum before needing to split
+        max: 30        // Maximum before requiring split
+    }
+};
+
+/**
+ * DEFAULT_MATERIAL_COSTS - Price per 4x8 sheet (or board-foot equivalent) a new project starts with
+ *
+ * Keys are the materials parts are priced with when they aren't cut from a
+ * STOCK_CATALOG sheet (solid wood face frames, trim). Sheet stock has its own
+ * price (pricePerSheet) - a stock id key in materialCosts overrides it. Each
+ * project keeps its own copy (materialCosts) that can be edited.
+ */
+const DEFAULT_MATERIAL_COSTS = {
+    'plywood': 45,
+    'hardwood': 75,
+    'mdf': 35,
+    'birch': 65,
+    'oak': 70,
+    'maple': 85,
+    'cherry': 95,
+    'walnut': 100,
+    'melamine': 40
+};
+
+/**
+ * DEFAULT_LABOR_RATE - Shop labor rate a new project starts with (dollars per hour)
+ */
+const DEFAULT_LABOR_RATE = 50;
+
+/**
+ * STOCK_CATALOG - The sheet goods the shop buys
+ *
+ * WHAT IT IS:
+ * Sheet goods are sold by a nominal thickness but are almost never that
+ * thick. "3/4 plywood" is really 23/32", and Baltic birch is metric (18mm).
+ * Each entry keeps both, so the cut list can say what to buy (nominal) and
+ * the joinery and box sizes can use what actually comes off the truck.
+ *
+ * FIELDS:
+ * - name: what the shop calls it
+ * - material: the materialCosts key the sheet is priced with
+ * - nominal: the thickness it's sold as (inches)
+ * - actual: the thickness it really measures (inches)
+ * - pricePerSheet: what a 4x8 sheet costs (a project can set its own in
+ *   materialCosts, keyed by the stock id)
+ */
+const STOCK_CATALOG = {
+    'ply-3/4': { name: '3/4" Plywood', material: 'plywood', nominal: 0.75, actual: 0.71875, pricePerSheet: 45 },  // 23/32"
+    'ply-1/2': { name: '1/2" Plywood', material: 'plywood', nominal: 0.5, actual: 0.46875, pricePerSheet: 38 },   // 15/32"
+    'ply-1/4': { name: '1/4" Plywood', material: 'plywood', nominal: 0.25, actual: 0.21875, pricePerSheet: 25 },  // 7/32"
+    'birch-3/4': { name: '18mm Baltic Birch', material: 'birch', nominal: 0.75, actual: 0.7087, pricePerSheet: 65 },
+    'birch-1/2': { name: '12mm Baltic Birch', material: 'birch', nominal: 0.5, actual: 0.4724, pricePerSheet: 52 },
+    'birch-1/4': { name: '6mm Baltic Birch', material: 'birch', nominal: 0.25, actual: 0.2362, pricePerSheet: 35 },
+    'mdf-3/4': { name: '3/4" MDF', material: 'mdf', nominal: 0.75, actual: 0.75, pricePerSheet: 35 },
+    'mdf-1/4': { name: '1/4" MDF', material: 'mdf', nominal: 0.25, actual: 0.25, pricePerSheet: 18 },
+    'mel-5/8': { name: '16mm Melamine', material: 'melamine', nominal: 0.625, actual: 0.6299, pricePerSheet: 40 },  // metal drawer system bottoms and backs
+    'oak-3/4': { name: '3/4" Oak Plywood', material: 'oak', nominal: 0.75, actual: 0.71875, pricePerSheet: 70 },
+    'maple-3/4': { name: '3/4" Maple Plywood', material: 'maple', nominal: 0.75, actual: 0.71875, pricePerSheet: 85 },
+    'cherry-3/4': { name: '3/4" Cherry Plywood', material: 'cherry', nominal: 0.75, actual: 0.71875, pricePerSheet: 95 },
+    'walnut-3/4': { name: '3/4" Walnut Plywood', material: 'walnut', nominal: 0.75, actual: 0.71875, pricePerSheet: 100 },
+    // thin veneer plywood for the panels of framed doors
+    'oak-1/4': { name: '1/4" Oak Plywood', material: 'oak', nominal: 0.25, actual: 0.21875, pricePerSheet: 40 },
+    'maple-1/4': { name: '1/4" Maple Plywood', material: 'maple', nominal: 0.25, actual: 0.21875, pricePerSheet: 45 },
+    'cherry-1/4': { name: '1/4" Cherry Plywood', material: 'cherry', nominal: 0.25, actual: 0.21875, pricePerSheet: 55 },
+    'walnut-1/4': { name: '1/4" Walnut Plywood', material: 'walnut', nominal: 0.25, actual: 0.21875, pricePerSheet: 60 }
+};
+
+/**
+ * PART_STOCK_ROLES - The groups of parts a cabinet picks stock for
+ *
+ * Each cabinet has a "stock" field mapping every role to a STOCK_CATALOG id.
+ * DEFAULT_PART_STOCK is what a new cabinet starts with.
+ *
+ * - box: sides, top, bottom, stretchers, partitions
+ * - back: back panel
+ * - shelves: adjustable and fixed shelves
+ * - drawerBox: drawer and pull-out box sides, fronts and backs
+ * - drawerBottom: drawer and pull-out bottoms
+ * - fronts: doors, drawer fronts, false fronts and fillers
+ */
+const PART_STOCK_ROLES = {
+    box: 'Box',
+    back: 'Back',
+    shelves: 'Shelves',
+    drawerBox: 'Drawer Box',
+    drawerBottom: 'Drawer Bottom',
+    fronts: 'Fronts'
+};
+
+const DEFAULT_PART_STOCK = {
+    box: 'ply-3/4',
+    back: 'ply-1/4',
+    shelves: 'ply-3/4',
+    drawerBox: 'ply-1/2',
+    drawerBottom: 'ply-1/4',
+    fronts: 'ply-3/4'
+};
+
+/**
+ * COUNTERTOP_MATERIALS - What a run countertop can be made of
+ *
+ * WHAT IT IS:
+ * Stone and solid surface come in slabs, and no piece can be bigger than
+ * the slab it's cut from - that's what decides where the seams go. Sizes are
+ * typical for each material; ask the fabricator if you're close.
+ *
+ * FIELDS:
+ * - thickness: the usual finished thickness (inches)
+ * - maxLength / maxDepth: the largest piece a slab yields (inches)
+ */
+const COUNTERTOP_MATERIALS = {
+    'Quartz': { thickness: 1.25, maxLength: 120, maxDepth: 55 },
+    'Granite': { thickness: 1.25, maxLength: 114, maxDepth: 66 },
+    'Marble': { thickness: 1.25, maxLength: 108, maxDepth: 60 },
+    'Solid Surface': { thickness: 0.5, maxLength: 144, maxDepth: 30 },
+    'Laminate': { thickness: 1.5, maxLength: 144, maxDepth: 25.5 },
+    'Butcher Block': { thickness: 1.5, maxLength: 144, maxDepth: 25 }
+};
+
+/**
+ * COUNTERTOP_CUTOUTS - Holes the fabricator cuts in a countertop
+ *
+ * Sizes are the hole, not the fixture - a 33" undermount sink bowl is
+ * about 30 x 17. setback is from the finished front edge to the hole.
+ */
+const COUNTERTOP_CUTOUTS = {
+    sink: { name: 'Sink', width: 30, depth: 17, setback: 3 },
+    cooktop: { name: 'Cooktop', width: 28.5, depth: 19.5, setback: 2.5 }
+};
+
+/**
+ * TRIM_TYPES - Trim that runs along the face of a row of cabinets
+ *
+ * WHAT IT IS:
+ * Crown on top, light rail under the wall cabinets (it hides the under-cabinet
+ * lights), and the skin that covers the toe-kick. Each runs continuously
+ * along cabinets that sit side by side and turns corners with them (see
+ * trimRuns.js), instead of a stick per cabinet.
+ *
+ * FIELDS:
+ * - enabledBy: the cabinet setting that turns it on
+ * - heightProperty: the cabinet setting for how tall it is
+ * - wallOnly: only on wall-mounted cabinets
+ * - toekickOnly: only on cabinets with a toe-kick
+ * - projection: how far it stands off the face (inches)
+ * - mitered: corners are mitered (false: butted, like a toe-kick skin)
+ * - miterAllowance: extra length bought for each mitered end (inches)
+ * - stockLength: the length it's sold in (inches)
+ */
+const TRIM_TYPES = {
+    crown: {
+        name: 'Crown Molding',
+        enabledBy: 'crown',
+        heightProperty: 'crownHeight',
+        projection: 2,
+        mitered: true,
+        miterAllowance: 4,
+        stockLength: 96
+    },
+    lightRail: {
+        name: 'Light Rail',
+        enabledBy: 'lightRail',
+        heightProperty: 'lightRailHeight',
+        wallOnly: true,
+        projection: 0.75,
+        mitered: true,
+        miterAllowance: 2,
+        stockLength: 96
+    },
+    toeKick: {
+        name: 'Toe-Kick Skin',
+        enabledBy: 'toekick',
+        heightProperty: 'toekickHeight',
+        toekickOnly: true,
+        projection: 0.25,
+        mitered: false,
+        miterAllowance: 0,
+        stockLength: 96
+    }
 };
 
 /**
@@ -133,6 +391,88 @@ const HINGE_TYPES = [
     'Butt Hinge'          // Traditional exposed hinge
 ];
 
+/**
+ * HINGE_BORING - How many hinges a door gets and where they are bored
+ *
+ * HOW MANY:
+ * Tall doors twist and heavy doors sag, so a door gets the larger of
+ * - countByHeight: the first entry its height fits under
+ * - its weight (face area x poundsPerSquareFoot, for a 3/4" door) divided
+ *   by poundsPerHinge
+ *
+ * WHERE:
+ * - edgeDistance: the top and bottom hinges are this far in from the ends
+ *   of the door (inches); any others are spaced evenly between them
+ * - cupDiameterMm / cupDepthMm: the 35mm cup in the back of the door
+ * - cupEdgeMm: from the door edge to the edge of the cup (the "boring
+ *   distance" on the hinge data sheet)
+ * - dowelSpacingMm / dowelInsetMm / dowelDiameterMm / dowelDepthMm: the two
+ *   press-in dowels beside each cup - this far apart, this much further in
+ *   from the door edge than the cup center
+ * Boring sizes are metric - the bits and jigs are.
+ */
+const HINGE_BORING = {
+    countByHeight: [
+        { maxHeight: 40, hinges: 2 },
+        { maxHeight: 60, hinges: 3 },
+        { maxHeight: 80, hinges: 4 },
+        { maxHeight: Infinity, hinges: 5 }
+    ],
+    poundsPerSquareFoot: 2.5,
+    poundsPerHinge: 10,
+    edgeDistance: 3,
+    cupDiameterMm: 35,
+    cupDepthMm: 13,
+    cupEdgeMm: 5,
+    dowelSpacingMm: 45,
+    dowelInsetMm: 9.5,
+    dowelDiameterMm: 8,
+    dowelDepthMm: 11
+};
+
+/**
+ * FRONT_MOTION - How doors and drawers open in the 3D view
+ *
+ * - hingeOpening: degrees a door swings open on each HINGE_TYPES hinge
+ *   (concealed hinges stop at 110, a butt hinge folds nearly flat)
+ * - seconds: how long a front takes to swing or slide all the way
+ *
+ * Drawers come out as far as their slides go (the extension in
+ * SLIDE_CATALOG and DRAWER_SYSTEMS).
+ */
+const FRONT_MOTION = {
+    hingeOpening: {
+        'Concealed (Blum)': 110,
+        'Concealed (Grass)': 110,
+        'European': 110,
+        'Butt Hinge': 170
+    },
+    seconds: 0.6
+};
+
+/**
+ * SYSTEM_32 - Line boring on the sides of frameless cabinets
+ *
+ * WHAT IT IS:
+ * Two lines of 5mm holes down the inside of each side, 32mm apart. Hinge
+ * mounting plates, shelf pins and slides all screw into them, so every hinge
+ * is moved to sit centered between two holes of the front line.
+ *
+ * - pitchMm: between holes
+ * - setbackMm: the front line from the front edge, the back line from the
+ *   face of the back
+ * - holeDiameterMm / holeDepthMm: the holes
+ * - endClearanceMm: first hole above the bottom, last below the top, clear
+ *   of the box screws
+ */
+const SYSTEM_32 = {
+    pitchMm: 32,
+    setbackMm: 37,
+    holeDiameterMm: 5,
+    holeDepthMm: 13,
+    endClearanceMm: 64
+};
+
 /**
  * SLIDE_TYPES - Available drawer slide options
  * 
@@ -160,11 +500,186 @@ const SLIDE_TYPES = [
 ];
 
 /**
- * PULL_TYPES - Available drawer pull and handle options
+ * SLIDE_CATALOG - Lengths and clearances for each slide type
+ *
+ * WHAT IT IS:
+ * Every slide maker publishes how much room their slide needs, and the
+ * drawer box has to be built to it - too wide and the slide binds, too
+ * narrow and it falls off. Keyed by the SLIDE_TYPES names (plus the
+ * heavy-duty slides pull-out trash cans ride on).
+ *
+ * FIELDS (inches):
+ * - manufacturer: whose clearances these are
+ * - lengths: the lengths sold, shortest first, with the price of a pair
+ * - sideClearance: gap between the box side and the cabinet side, each side
+ * - bottomClearance: room under the box (undermount and center-mount
+ *   runners sit there)
+ * - rearClearance: room behind the slide, in front of the back
+ * - loadRating: pounds a pair is rated for
+ * - extension: how far the drawer comes out, as a share of the slide
+ *   length (1 is full extension - the 3D view opens drawers this far)
+ * - note: how it mounts (goes on the cut list)
+ *
+ * A drawer gets the longest length that fits in front of the back, and its
+ * box is that long (see getDrawerBoxes).
+ */
+const SLIDE_CATALOG = {
+    'Undermount (Blum)': {
+        manufacturer: 'Blum',
+        lengths: [
+            { length: 12, pricePerPair: 38.00 },
+            { length: 15, pricePerPair: 41.00 },
+            { length: 18, pricePerPair: 45.00 },
+            { length: 21, pricePerPair: 49.00 }
+        ],
+        sideClearance: 0.21875,  // 7/32" - the box is 7/16" narrower than the opening
+        bottomClearance: 0.5,
+        rearClearance: 0.25,
+        loadRating: 100,
+        extension: 1,
+        note: 'Locking devices under the front of the box, notch the back'
+    },
+    'Side Mount': {
+        manufacturer: 'Accuride',
+        lengths: [
+            { length: 12, pricePerPair: 12.00 },
+            { length: 14, pricePerPair: 13.00 },
+            { length: 16, pricePerPair: 14.00 },
+            { length: 18, pricePerPair: 15.00 },
+            { length: 20, pricePerPair: 16.50 },
+            { length: 22, pricePerPair: 18.00 },
+            { length: 24, pricePerPair: 20.00 }
+        ],
+        sideClearance: 0.5,
+        bottomClearance: 0.125,
+        rearClearance: 0.25,
+        loadRating: 100,
+        extension: 1,
+        note: 'Ball bearing - centered on the box sides'
+    },
+    'Center Mount': {
+        manufacturer: 'Knape & Vogt',
+        lengths: [
+            { length: 12, pricePerPair: 10.00 },
+            { length: 14, pricePerPair: 10.50 },
+            { length: 16, pricePerPair: 11.00 },
+            { length: 18, pricePerPair: 12.00 },
+            { length: 20, pricePerPair: 13.00 },
+            { length: 22, pricePerPair: 14.00 }
+        ],
+        sideClearance: 0.125,
+        bottomClearance: 0.5,
+        rearClearance: 0.5,
+        loadRating: 35,
+        extension: 0.75,
+        note: 'One runner under the middle of the box, rear bracket on the back'
+    },
+    'Soft-Close': {
+        manufacturer: 'Accuride',
+        lengths: [
+            { length: 12, pricePerPair: 28.00 },
+            { length: 14, pricePerPair: 30.00 },
+            { length: 16, pricePerPair: 32.00 },
+            { length: 18, pricePerPair: 35.00 },
+            { length: 20, pricePerPair: 37.00 },
+            { length: 22, pricePerPair: 39.00 }
+        ],
+        sideClearance: 0.5,
+        bottomClearance: 0.125,
+        rearClearance: 0.5,      // the damper sits behind the slide
+        loadRating: 100,
+        extension: 1,
+        note: 'Side mount with a soft-close damper at the back'
+    },
+    'Heavy-Duty (Trash)': {
+        manufacturer: 'Accuride',
+        lengths: [
+            { length: 18, pricePerPair: 36.00 },
+            { length: 20, pricePerPair: 38.00 },
+            { length: 22, pricePerPair: 40.00 },
+            { length: 24, pricePerPair: 43.00 }
+        ],
+        sideClearance: 0.5,
+        bottomClearance: 0.125,
+        rearClearance: 0.25,
+        loadRating: 150,
+        extension: 1,
+        note: 'Full extension - rated for a full bin'
+    }
+};
+
+/**
+ * DRAWER_SYSTEMS - Metal drawer systems (steel sides that come with their runners)
+ *
+ * WHAT IT IS:
+ * Instead of building four wood sides, the shop buys a pair of steel sides
+ * on their own runners and cuts only a bottom and a back to the maker's
+ * deductions. A cabinet picks one with cabinet.drawerBox.system (null
+ * builds wood boxes with the drawer joint from JOINERY_TYPES).
+ *
+ * FIELDS (mm, the way the makers publish them):
+ * - lengths: nominal lengths (NL) sold - the length of the sides
+ * - heights: side heights by the maker's code, with the height of the wood
+ *   back that goes with each and the price of a set (sides, runners and
+ *   front and back fixing brackets for one drawer)
+ * - bottomWidthDeduction / backWidthDeduction: the bottom and back are the
+ *   inside width of the cabinet (LW) less these
+ * - bottomLengthDeduction: the bottom is the nominal length less this
+ * - rearClearance: room the runners need behind the nominal length
+ * - bottomClearance: room under the sides for the runners
+ * - panelStock: the STOCK_CATALOG stock the bottom and back are cut from
+ * - loadRating: pounds a drawer is rated for
+ * - extension: share of the nominal length the drawer pulls out (1 is full extension)
+ * - note: how it mounts (goes on the cut list)
+ */
+const DRAWER_SYSTEMS = {
+    tandembox: {
+        name: 'Blum Tandembox antaro',
+        manufacturer: 'Blum',
+        lengths: [270, 300, 350, 400, 450, 500, 550],
+        heights: {
+            M: { side: 83, back: 68, pricePerSet: 62.00 },
+            K: { side: 115, back: 100, pricePerSet: 68.00 },
+            D: { side: 203, back: 167, pricePerSet: 88.00 }  // with a gallery rail for pot drawers
+        },
+        bottomWidthDeduction: 75,
+        backWidthDeduction: 87,
+        bottomLengthDeduction: 24,
+        rearClearance: 3,
+        bottomClearance: 3,
+        panelStock: 'mel-5/8',
+        loadRating: 143,   // 65 kg
+        extension: 1,
+        note: 'Runners on the cabinet sides, front fixing brackets into the drawer front'
+    },
+    legrabox: {
+        name: 'Blum Legrabox pure',
+        manufacturer: 'Blum',
+        lengths: [270, 300, 350, 400, 450, 500, 550, 600],
+        heights: {
+            M: { side: 90.5, back: 70, pricePerSet: 96.00 },
+            K: { side: 128.5, back: 101, pricePerSet: 104.00 },
+            C: { side: 177, back: 166, pricePerSet: 118.00 },
+            F: { side: 241, back: 218, pricePerSet: 132.00 }
+        },
+        bottomWidthDeduction: 35,
+        backWidthDeduction: 38,
+        bottomLengthDeduction: 10,
+        rearClearance: 3,
+        bottomClearance: 3,
+        panelStock: 'mel-5/8',
+        loadRating: 154,   // 70 kg
+        extension: 1,
+        note: 'Runners on the cabinet sides, front fixing brackets into the drawer front'
+    }
+};
+
+/**
+ * PULL_TYPES - Styles of drawer pull and door handle
  * 
  * WHAT IT IS:
- * List of hardware you grab to open drawers and doors.
- * Different styles suit different cabinet designs.
+ * The kinds of hardware you grab to open drawers and doors. Every pull in
+ * PULL_CATALOG is one of these styles.
  * 
  * TYPES EXPLAINED:
  * - Bar Pull: Horizontal bar, modern look, easy to grab
@@ -186,6 +701,99 @@ const PULL_TYPES = [
     'Recessed'       // Contemporary, carved in
 ];
 
+/**
+ * PULL_CATALOG - The pulls and knobs the shop buys
+ *
+ * WHAT IT IS:
+ * Pulls are sold by center-to-center - the spacing of their two screw
+ * holes - not by how long they are. The holes are what gets drilled, so
+ * each entry keeps both. The sizes are metric (96mm, 128mm...) because
+ * pull makers work to the same 32mm steps as the line boring.
+ *
+ * FIELDS (sizes in mm, as they are sold):
+ * - name: what the shop calls it
+ * - style: one of PULL_TYPES
+ * - centerToCenter: hole spacing (0 = a single screw, like a knob)
+ * - length: overall length (diameter for a knob)
+ * - width: across the pull (the pocket width for a recessed pull)
+ * - projection: how far it stands off the front
+ * - finish: plating or color
+ * - price: dollars each
+ * - mount: 'face' (screws through the front), 'edge' (screws into the back
+ *   of the front, the pull hooks over the top edge) or 'routed' (sits in a
+ *   pocket routed into the face)
+ */
+const PULL_CATALOG = {
+    'bar-96': { name: '96mm Bar Pull', style: 'Bar Pull', centerToCenter: 96, length: 136, width: 12, projection: 35, finish: 'Satin Nickel', price: 4.50, mount: 'face' },
+    'bar-128': { name: '128mm Bar Pull', style: 'Bar Pull', centerToCenter: 128, length: 168, width: 12, projection: 35, finish: 'Satin Nickel', price: 5.25, mount: 'face' },
+    'bar-160': { name: '160mm Bar Pull', style: 'Bar Pull', centerToCenter: 160, length: 200, width: 12, projection: 35, finish: 'Matte Black', price: 6.00, mount: 'face' },
+    'bar-320': { name: '320mm Appliance Pull', style: 'Bar Pull', centerToCenter: 320, length: 380, width: 16, projection: 40, finish: 'Brushed Stainless', price: 14.00, mount: 'face' },
+    'cup-76': { name: '3" Cup Pull', style: 'Cup Pull', centerToCenter: 76, length: 95, width: 30, projection: 25, finish: 'Oil-Rubbed Bronze', price: 5.00, mount: 'face' },
+    'cup-96': { name: '96mm Cup Pull', style: 'Cup Pull', centerToCenter: 96, length: 115, width: 30, projection: 25, finish: 'Antique Brass', price: 6.00, mount: 'face' },
+    'knob-32': { name: '1 1/4" Knob', style: 'Knob', centerToCenter: 0, length: 32, width: 32, projection: 28, finish: 'Satin Nickel', price: 3.00, mount: 'face' },
+    'knob-38': { name: '1 1/2" Knob', style: 'Knob', centerToCenter: 0, length: 38, width: 38, projection: 30, finish: 'Antique Brass', price: 3.50, mount: 'face' },
+    'edge-100': { name: '100mm Edge Pull', style: 'Edge Pull', centerToCenter: 64, length: 100, width: 20, projection: 18, finish: 'Matte Black', price: 6.50, mount: 'edge' },
+    'recessed-120': { name: '120mm Flush Pull', style: 'Recessed', centerToCenter: 0, length: 120, width: 40, projection: 0, finish: 'Brushed Stainless', price: 8.00, mount: 'routed' }
+};
+
+/**
+ * DEFAULT_PULL - The catalog pull a new cabinet starts with
+ */
+const DEFAULT_PULL = 'bar-128';
+
+/**
+ * PULL_PLACEMENTS - Where a pull goes on a door or drawer front
+ *
+ * Door pulls go near the top of a base door and near the bottom of a wall
+ * door (or the upper doors of a tall cabinet) - the end you can reach.
+ * Drawer fronts take their pull lying down, centered across the front.
+ *
+ * DOOR RULES:
+ * - edge: upright beside the edge that opens, the end of the pull 3"
+ *   (PULL_RULES.edgeOffset) from the top (or bottom) edge of the door
+ * - rail: lying down, centered on the top rail (bottom rail on wall doors).
+ *   Slab doors have no rail, so they use the edge rule.
+ * - center: upright beside the edge that opens, halfway up - tall pantry doors
+ *
+ * DRAWER RULES:
+ * - center: centered on the front
+ * - rail: centered on the top rail. Slab fronts use the upper third.
+ * - upperThird: centered across, a third of the way down the front
+ */
+const PULL_PLACEMENTS = {
+    door: {
+        edge: { name: '3" from the edge' },
+        rail: { name: 'Centered on the top rail' },
+        center: { name: 'Centered on the door' }
+    },
+    drawer: {
+        center: { name: 'Centered on the drawer' },
+        rail: { name: 'Centered on the top rail' },
+        upperThird: { name: 'Upper third' }
+    }
+};
+
+/**
+ * PULL_RULES - Measurements the pull placements work to (inches)
+ *
+ * - edgeOffset: the edge rule's gap from the door edge to the end of the pull
+ * - slabInset: a slab door has no stile to center on - the pull runs this
+ *   far in from the opening edge
+ * - twoPullWidth: drawer fronts this wide or wider get two pulls, a quarter
+ *   of the way in from each end
+ * - holeDiameter: through-hole for the pull screws (8-32 and M4 both pass a 3/16" hole)
+ * - edgeScrewDrop: an edge pull's screws go into the back this far from the edge
+ * - routedDepth: depth of the pocket for a recessed pull
+ */
+const PULL_RULES = {
+    edgeOffset: 3,
+    slabInset: 1.5,
+    twoPullWidth: 30,
+    holeDiameter: 0.1875,
+    edgeScrewDrop: 0.375,
+    routedDepth: 0.375
+};
+
 /**
  * CONSTRUCTION_TYPES - Different methods of cabinet construction
  * 
@@ -207,6 +815,14 @@ const PULL_TYPES = [
  * - Traditional look
  * - frameWidth: how wide each frame piece is (1.5 inches standard)
  * - frameThickness: how thick the frame is (3/4 inch, same as doors)
+ * - stileWidth / topRailWidth / bottomRailWidth / midStileWidth / midRailWidth:
+ *   starting widths of each kind of frame piece (a cabinet can change them
+ *   in cabinet.faceFrame)
+ * - overhang: how far the outside stiles hang past the box sides, so frames
+ *   of neighboring cabinets butt together
+ * - scribeLeft / scribeRight: extra width on an outside stile that meets a
+ *   wall, trimmed to fit when the cabinet is installed
+ * - material: face frames are solid wood (a materialCosts key)
  * 
  * WHICH TO USE:
  * - Frameless: Modern designs, European-style, maximizes space
@@ -222,10 +838,484 @@ const CONSTRUCTION_TYPES = {
         name: 'Face Frame',
         description: 'Traditional face frame construction',
         frameWidth: 1.5,       // Each frame piece is 1.5 inches wide
-        frameThickness: 0.75   // Frame is 3/4 inch thick (standard)
+        frameThickness: 0.75,  // Frame is 3/4 inch thick (standard)
+        stileWidth: 1.5,       // Outside stiles
+        topRailWidth: 1.5,
+        bottomRailWidth: 1.5,
+        midStileWidth: 1.5,    // Between door pairs, side-by-side drawers and at partitions
+        midRailWidth: 1.5,     // Between drawers, and between drawers and doors
+        overhang: 0.25,        // Past each box side
+        scribeLeft: 0,
+        scribeRight: 0,
+        material: 'hardwood'
+    }
+};
+
+/**
+ * OVERLAY_TYPES - How the doors and drawer fronts sit on the cabinet face
+ *
+ * WHAT IT IS:
+ * Each cabinet has an "overlayType" field. Together with the reveal (gap
+ * between fronts, cabinet.doorDrawerGap) and the overlay (cabinet.doorOverhang)
+ * it decides how big every door and drawer front is. The box edges or face
+ * frame the fronts close against come from the construction type.
+ *
+ * SIDE VIEW OF ONE EDGE (| = side or stile, [ ] = front):
+ *
+ *   Full overlay     Partial overlay     Inset
+ *   [======]         [====]              |[====]
+ *   |                |                   |
+ *
+ * - fullOverlay: fronts cover the whole edge - only the reveal shows between
+ *   fronts and between cabinets
+ * - partialOverlay: fronts lap over the opening by the overlay, so part of the
+ *   side or frame shows around them
+ * - inset: fronts sit inside the opening, flush with the face, with the
+ *   reveal all round
+ */
+const OVERLAY_TYPES = {
+    fullOverlay: {
+        name: 'Full Overlay',
+        description: 'Fronts cover the box edges - only the reveal shows'
+    },
+    partialOverlay: {
+        name: 'Partial Overlay',
+        description: 'Fronts lap the opening by the overlay'
+    },
+    inset: {
+        name: 'Inset',
+        description: 'Fronts sit flush inside the opening'
+    }
+};
+
+/**
+ * JOINERY_TYPES - How the box, the back and the drawer boxes go together
+ *
+ * WHAT IT IS:
+ * Each cabinet has a "joinery" field picking one method for each of the
+ * three assemblies (DEFAULT_JOINERY fills in anything it leaves out).
+ * The joint decides how long the parts are - a top housed in a dado is
+ * longer than one butted between the sides - and what machining the parts
+ * need before assembly.
+ *
+ * SETTINGS EXPLAINED:
+ * - housing: what is cut into the mating part - 'dado' (groove across the
+ *   part), 'rabbet' (step on the edge), 'groove' (with the grain), or null
+ *   when the parts just butt together. A housed part gets longer by the
+ *   depth of the housing on each end.
+ * - note: the machining / assembly step for the cut list
+ * - applied (backs): the back covers the whole back of the box instead of
+ *   fitting between the sides
+ * - fullLength (drawers): the front and back run the full width of the box
+ *   (dovetails) instead of fitting between the sides
+ * - dowels (drawers): dowel holes through the sides into the ends of the
+ *   front and back
+ *
+ * DEFAULT_JOINERY depths:
+ * - dadoDepth: depth of the dados in the box sides (1/4" in 3/4" stock)
+ * - rabbetDepth: depth of a rabbet, as a fraction of the stock it's cut in
+ * - backGrooveDepth: depth of the groove a captured back sits in
+ * - backInset: how far the groove for a captured back is from the back edge
+ * - bottomGrooveDepth: depth of the groove in the sides, front and back of a
+ *   drawer box that the bottom slides into
+ */
+const JOINERY_TYPES = {
+    box: {
+        butt: { name: 'Butt (screws)', housing: null, note: 'Butt joint - glue and screw through the sides' },
+        dado: { name: 'Dado', housing: 'dado', note: 'Top and bottom housed in dados in the sides' },
+        rabbet: { name: 'Rabbet', housing: 'rabbet', note: 'Top and bottom sit in rabbets on the ends of the sides' },
+        confirmat: { name: 'Confirmat', housing: null, note: 'Confirmat screws - 7mm stepped holes through the sides, 5mm pilot into the edges' },
+        pocketScrew: { name: 'Pocket Screw', housing: null, note: 'Pocket holes on the hidden face of the top and bottom' }
+    },
+    back: {
+        inset: { name: 'Inset (screwed)', housing: null, note: 'Fits between the sides - screw through the sides into cleats' },
+        groove: { name: 'Captured (groove)', housing: 'groove', note: 'Slides into grooves in the sides' },
+        rabbet: { name: 'Rabbet', housing: 'rabbet', note: 'Sits in rabbets on the back edges of the sides' },
+        applied: { name: 'Applied (nailed on)', housing: null, note: 'Covers the back of the box - glue and brad nail', applied: true }
+    },
+    drawer: {
+        butt: { name: 'Butt (nailed)', housing: null, note: 'Front and back between the sides - glue and brad nail' },
+        dado: { name: 'Dado', housing: 'dado', note: 'Front and back housed in dados in the sides' },
+        rabbet: { name: 'Rabbet', housing: 'rabbet', note: 'Front and back sit in rabbets on the ends of the sides' },
+        dovetail: { name: 'Dovetail', housing: null, note: 'Through dovetails - tails on the sides, pins on the front and back', fullLength: true },
+        doweled: { name: 'Doweled', housing: null, note: 'Front and back between the sides - glue and 8mm dowels', dowels: true }
+    }
+};
+
+const DEFAULT_JOINERY = {
+    box: 'butt',
+    back: 'inset',
+    drawer: 'butt',
+    dadoDepth: 0.25,
+    rabbetDepth: 0.5,       // half the thickness of the stock
+    backGrooveDepth: 0.25,
+    backInset: 0.75,
+    bottomGrooveDepth: 0.25
+};
+
+/**
+ * CABINET_TYPES - The kinds of cabinet boxes the designer can build
+ *
+ * WHAT IT IS:
+ * Each cabinet has a "type" field. The type decides where the box sits
+ * (on the floor or hung on the wall), which parts go into the cut list,
+ * and which starting sizes a new cabinet gets.
+ *
+ * TYPES EXPLAINED:
+ *
+ * BASE CABINET:
+ * - Sits on the floor on a toekick
+ * - Top is open with front and back stretchers (countertop covers it)
+ * - Standard: 34 1/2" tall, 24" deep
+ *
+ * WALL CABINET:
+ * - Hangs on the wall, no toekick and no countertop
+ * - Solid top and a finished bottom (you see the bottom when standing)
+ * - Hanging rails (nailers) across the back are screwed to the studs
+ * - mountingHeight: distance from the floor to the bottom of the box
+ *   (54" leaves 18" above a standard 36" countertop)
+ * - Standard: 30" tall, 12" deep
+ *
+ * TALL CABINET (pantry / oven tower):
+ * - Sits on the floor on a toekick and runs up to 84"-96"
+ * - Solid top (nothing sits on it)
+ * - A fixed mid-shelf ties the sides together halfway up and splits the
+ *   front into a lower and an upper bank of doors
+ * - midShelfHeight: top of the fixed shelf, measured from the floor
+ * - upperDoors: how many doors in the upper bank (the lower bank uses "doors")
+ *
+ * BLIND CORNER CABINETS (base and wall):
+ * - Used where two runs meet in an L. One end of the box (the "blind" end)
+ *   goes into the corner and the other run butts against its face.
+ * - The covered part of the face gets a dead panel (blind panel) instead of a door
+ * - blindSide: 'left' or 'right' - which end goes into the corner
+ * - blindDepth: depth of the adjoining run that covers the face (24" base, 12" wall)
+ * - pullOutDistance: how far the blind end sits away from the side wall.
+ *   Pulling the box out makes a wider door opening.
+ * - fillerWidth: filler between the blind cabinet face and the adjoining run,
+ *   so doors and pulls on both runs clear each other (3" is typical)
+ *
+ * CORNER CABINETS (lazy susan and diagonal):
+ * - One box fills the whole corner. "width" is the length along each wall
+ *   (both walls are the same) and "depth" is how deep each arm is.
+ * - cornerSide: 'left' or 'right' - which end of the run the corner is on
+ * - Lazy susan: L-shaped box, two door leaves hinged together (bi-fold)
+ *   across the inside corner, and a 2-tier kidney turntable set inside.
+ *   turntableType picks the set from HARDWARE_SPECS.turntables.
+ * - Diagonal: the front corner is cut off at 45 degrees and the door sits
+ *   on the angled face. The end panels get a 45 degree bevel on the front edge.
+ *
+ * SINK BASE:
+ * - A base cabinet for under the sink. No adjustable shelf (the trap is in the way).
+ * - The top row gets false drawer fronts instead of drawers (the bowl is there)
+ * - falseFrontStyle: 'tiltOut' (hinged at the bottom, holds a sponge tray) or 'fixed'
+ * - falseFrontHeight: height of the false front row
+ * - The back is optional (turn off backPanel). With a back, plumbingCutout cuts
+ *   a hole for the supply and drain lines - plumbingCutoutWidth/Height, and
+ *   plumbingCutoutBottom measured from the bottom of the back.
+ * - A floor protection mat goes in the bottom to catch leaks
+ *
+ * SETTINGS EXPLAINED:
+ * - mounted: 'floor' or 'wall' - where the box sits
+ * - allowsToekick: whether the toekick option makes sense for this type
+ * - allowsCountertop: whether a countertop can sit on this type
+ * - solidTop: true for a full top panel, false for front/back stretchers
+ * - splitDoors: true if the front has an upper and lower bank of doors
+ * - blindCorner: true if one end of the face is a dead panel for an L corner
+ * - cornerShape: 'lShape' or 'diagonal' for boxes that fill the corner, null otherwise
+ * - sinkBase: true for the sink base (false fronts, plumbing cutout, no shelves)
+ * - allowsAccessories: whether roll-out trays and other pull-outs fit (see ACCESSORY_TYPES)
+ * - biFold: true if the door leaves are hinged to each other (only one is hinged to the box)
+ * - standards: which standard sizes (base, wall or tall) the type is checked against
+ * - defaults: values applied when a cabinet is created or switched to this type
+ */
+const CABINET_TYPES = {
+    base: {
+        name: 'Base Cabinet',
+        mounted: 'floor',
+        allowsToekick: true,
+        allowsCountertop: true,
+        solidTop: false,
+        splitDoors: false,
+        blindCorner: false,
+        cornerShape: null,
+        allowsAccessories: true,
+        standards: 'base',
+        defaults: {
+            height: 34.5,
+            depth: 24,
+            toekick: true,
+            mountingHeight: 0
+        }
+    },
+    wall: {
+        name: 'Wall Cabinet',
+        mounted: 'wall',
+        allowsToekick: false,
+        allowsCountertop: false,
+        solidTop: true,
+        splitDoors: false,
+        blindCorner: false,
+        cornerShape: null,
+        allowsAccessories: false,
+        standards: 'wall',
+        hangingRailHeight: 3,      // Hanging rails are 3 inches tall
+        defaults: {
+            height: 30,
+            depth: 12,
+            toekick: false,
+            countertop: false,
+            shelves: 2,
+            mountingHeight: 54     // Bottom of box 54" off the floor
+        }
+    },
+    tall: {
+        name: 'Tall / Pantry Cabinet',
+        mounted: 'floor',
+        allowsToekick: true,
+        allowsCountertop: false,
+        solidTop: true,
+        splitDoors: true,
+        blindCorner: false,
+        cornerShape: null,
+        allowsAccessories: true,
+        standards: 'tall',
+        defaults: {
+            height: 84,
+            depth: 24,
+            toekick: true,
+            countertop: false,
+            shelves: 4,
+            mountingHeight: 0,
+            doors: 2,
+            upperDoors: 2,
+            midShelfHeight: 50     // Top of fixed shelf 50" off the floor
+        }
+    },
+    blindBase: {
+        name: 'Blind Corner Base',
+        mounted: 'floor',
+        allowsToekick: true,
+        allowsCountertop: true,
+        solidTop: false,
+        splitDoors: false,
+        blindCorner: true,
+        cornerShape: null,
+        allowsAccessories: true,
+        standards: 'base',
+        defaults: {
+            width: 42,
+            height: 34.5,
+            depth: 24,
+            toekick: true,
+            mountingHeight: 0,
+            doors: 1,
+            blindSide: 'left',
+            blindDepth: 24,        // Adjoining base run is 24" deep
+            pullOutDistance: 3,    // Blind end 3" off the side wall
+            fillerWidth: 3         // 3" filler so pulls clear
+        }
+    },
+    blindWall: {
+        name: 'Blind Corner Wall',
+        mounted: 'wall',
+        allowsToekick: false,
+        allowsCountertop: false,
+        solidTop: true,
+        splitDoors: false,
+        blindCorner: true,
+        cornerShape: null,
+        allowsAccessories: false,
+        standards: 'wall',
+        hangingRailHeight: 3,
+        defaults: {
+            width: 36,
+            height: 30,
+            depth: 12,
+            toekick: false,
+            countertop: false,
+            shelves: 2,
+            mountingHeight: 54,
+            doors: 1,
+            blindSide: 'left',
+            blindDepth: 12,        // Adjoining wall run is 12" deep
+            pullOutDistance: 3,
+            fillerWidth: 3
+        }
+    },
+    sinkBase: {
+        name: 'Sink Base',
+        mounted: 'floor',
+        allowsToekick: true,
+        allowsCountertop: true,
+        solidTop: false,
+        splitDoors: false,
+        blindCorner: false,
+        cornerShape: null,
+        allowsAccessories: true,
+        sinkBase: true,
+        standards: 'base',
+        defaults: {
+            width: 36,
+            height: 34.5,
+            depth: 24,
+            toekick: true,
+            mountingHeight: 0,
+            doors: 2,
+            shelves: 0,            // The trap is where a shelf would go
+            falseFrontStyle: 'tiltOut',
+            falseFrontHeight: 6,
+            backPanel: true,
+            plumbingCutout: true,
+            plumbingCutoutWidth: 24,
+            plumbingCutoutHeight: 12,
+            plumbingCutoutBottom: 6
+        }
+    },
+    lazySusan: {
+        name: 'Lazy Susan Corner',
+        mounted: 'floor',
+        allowsToekick: true,
+        allowsCountertop: true,
+        solidTop: false,
+        splitDoors: false,
+        blindCorner: false,
+        cornerShape: 'lShape',
+        allowsAccessories: false,
+        biFold: true,
+        standards: 'base',
+        defaults: {
+            width: 36,             // 36" along each wall
+            height: 34.5,
+            depth: 24,
+            toekick: true,
+            mountingHeight: 0,
+            doors: 2,              // Two bi-fold leaves
+            shelves: 0,            // Turntables instead of shelves
+            cornerSide: 'left',
+            turntableType: 'Kidney 28"'
+        }
+    },
+    diagonalBase: {
+        name: 'Diagonal Corner Base',
+        mounted: 'floor',
+        allowsToekick: true,
+        allowsCountertop: true,
+        solidTop: false,
+        splitDoors: false,
+        blindCorner: false,
+        cornerShape: 'diagonal',
+        allowsAccessories: false,
+        standards: 'base',
+        defaults: {
+            width: 36,
+            height: 34.5,
+            depth: 24,
+            toekick: true,
+            mountingHeight: 0,
+            doors: 1,
+            shelves: 1,
+            cornerSide: 'left'
+        }
+    },
+    diagonalWall: {
+        name: 'Diagonal Corner Wall',
+        mounted: 'wall',
+        allowsToekick: false,
+        allowsCountertop: false,
+        solidTop: true,
+        splitDoors: false,
+        blindCorner: false,
+        cornerShape: 'diagonal',
+        allowsAccessories: false,
+        standards: 'wall',
+        hangingRailHeight: 3,
+        defaults: {
+            width: 24,             // 24" along each wall
+            height: 30,
+            depth: 12,
+            toekick: false,
+            countertop: false,
+            shelves: 2,
+            mountingHeight: 54,
+            doors: 1,
+            cornerSide: 'left'
+        }
+    }
+};
+
+/**
+ * ACCESSORY_TYPES - Pull-outs and inserts that go inside a cabinet behind the doors
+ *
+ * WHAT IT IS:
+ * Each cabinet keeps a list of interior accessories (cabinet.accessories).
+ * Every accessory fills the clear width inside the box (or inside its section
+ * when the box has partitions) and stands on its own - it has no front, the
+ * door covers it.
+ *
+ * TYPES EXPLAINED:
+ * - Roll-Out Tray: shallow drawer box on slides (pots, pans, cans)
+ * - Pull-Out Trash: slide-out base with a back and a frame that holds the bins
+ * - Tray Dividers: fixed vertical panels for baking sheets and cutting boards
+ * - Spice Pull-Out: tall narrow box on slides with fixed shelves
+ *
+ * HINGE CLEARANCE:
+ * Concealed hinges (and the edge of an open door) stand into the opening,
+ * so anything on slides behind a door has to be narrower than the box.
+ * The slides mount on spacers that bring them in past the hinges.
+ *
+ * SETTINGS EXPLAINED:
+ * - slides: true if the accessory rolls out on a pair of slides
+ * - slideType: slide to use instead of the cabinet's drawer slides (null = same slides)
+ * - defaultHeight: height of a new accessory in inches
+ * - defaultCount: what "count" starts at - dividers, bins or shelves (null = not used)
+ * - countLabel: what "count" means for this type
+ * - binSize: trash bins the frame is cut for (pull-out trash only)
+ * - minWidth: narrowest box that is still useful
+ */
+const ACCESSORY_TYPES = {
+    rollOutTray: {
+        name: 'Roll-Out Tray',
+        slides: true,
+        slideType: null,
+        defaultHeight: 4,
+        defaultCount: null,
+        countLabel: null,
+        minWidth: 9
+    },
+    pullOutTrash: {
+        name: 'Pull-Out Trash',
+        slides: true,
+        slideType: 'Heavy-Duty (Trash)',  // Full-extension, rated for a full bin
+        defaultHeight: 18,
+        defaultCount: 2,
+        countLabel: 'Bins',
+        binSize: '35 qt',                 // Bins are sold by size (see the shopping list)
+        minWidth: 12
+    },
+    trayDivider: {
+        name: 'Tray Dividers',
+        slides: false,
+        slideType: null,
+        defaultHeight: 20,
+        defaultCount: 3,
+        countLabel: 'Dividers',
+        minWidth: 6
+    },
+    spicePullOut: {
+        name: 'Spice Pull-Out',
+        slides: true,
+        slideType: null,
+        defaultHeight: 24,
+        defaultCount: 3,
+        countLabel: 'Shelves',
+        minWidth: 3
     }
 };
 
 // These constants are now globally available when this script loads
 // Other scripts loaded after this one can use:
-// DOOR_SPECS, DRAWER_BOX, HINGE_TYPES, SLIDE_TYPES, PULL_TYPES, CONSTRUCTION_TYPES
+// PANEL_TYPES, DEFAULT_DOOR_STYLES, DRAWER_BOX, SMART_DEFAULTS, DEFAULT_MATERIAL_COSTS, DEFAULT_LABOR_RATE, STOCK_CATALOG, PART_STOCK_ROLES, DEFAULT_PART_STOCK,
+// COUNTERTOP_MATERIALS, COUNTERTOP_CUTOUTS, TRIM_TYPES, HINGE_TYPES, HINGE_BORING, FRONT_MOTION, SYSTEM_32, SLIDE_TYPES, SLIDE_CATALOG, DRAWER_SYSTEMS, PULL_TYPES, PULL_CATALOG, DEFAULT_PULL,
+// PULL_PLACEMENTS, PULL_RULES, CONSTRUCTION_TYPES,
+// OVERLAY_TYPES, JOINERY_TYPES, DEFAULT_JOINERY, CABINET_TYPES, ACCESSORY_TYPES
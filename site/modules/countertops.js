@@ -0,0 +1,832 @@
+/*
+ * ========================================
+ * COUNTERTOPS MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * A countertop that spans a whole run of base cabinets - one top for the
+ * sink wall, an L around the corner - instead of a slab on each box. It
+ * knows its overhangs, backsplash, sink and cooktop cutouts and where it is
+ * seamed, and it turns all of that into the sheet the stone shop fabricates
+ * from (pieces, sizes, square footage, cutout locations).
+ *
+ * THE COUNTERTOP OBJECT (project.countertops):
+ *   {
+ *     id, name,
+ *     cabinetIds: [ ... ],      - the cabinets it sits on
+ *     material, thickness,      - see COUNTERTOP_MATERIALS
+ *     frontOverhang,            - past the front of the boxes (1 1/2" clears the doors)
+ *     leftOverhang,             - past the exposed ends, as you face the cabinets
+ *     rightOverhang,              (0 where the top dies into a wall or appliance)
+ *     backsplash: { height, thickness },  - height 0 for none
+ *     cornerJoint,              - 'butt' (the longer leg runs through) or 'miter'
+ *     cutouts: [ { id, type, cabinetId, width, depth, offset, setback } ],
+ *              - centered on the cabinet, moved sideways by offset, setback from the front edge
+ *     seams: [ { id, cabinetId, at } ]
+ *              - across the top, 'at' inches from the left end of that cabinet
+ *   }
+ *
+ * HOW THE SHAPE IS WORKED OUT (getCountertopLayout):
+ * 1. Every cabinet gives a rectangle from its back to frontOverhang past its
+ *    front. Lazy susan and diagonal corners give one for each arm - the top
+ *    over a corner is square even when the doors are angled. A blind corner
+ *    with a turned run gives the piece that bridges over the filler to it.
+ * 2. Rectangles facing the same way that touch make a leg (a straight run).
+ * 3. Where two legs meet at a right angle, each is stretched back to the
+ *    other's wall, so they share the corner square.
+ * 4. Ends that don't meet another leg get the side overhangs.
+ * 5. The outline of all the legs together is the one piece drawn in 3D.
+ *    The fabrication pieces come from cutting the legs at the corner joint
+ *    and at the seams.
+ *
+ * Positions follow createCabinet3D and getSnapPlacement: xPosition/zPosition
+ * are the left end of the box at the middle of its depth, rotation turns the
+ * box about that point (degrees, positive turns the front toward +x).
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (CABINET_TYPES, COUNTERTOP_MATERIALS, COUNTERTOP_CUTOUTS)
+ * - cabinetLayout.js (getCornerFootprint, getBlindCornerLayout, getCornerTurn)
+ * - measurements.js (decimalToFraction, for the fabrication sheet)
+ *   All must be loaded BEFORE this file via <script> tag in index.html
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (countertop editor, 3D countertop, fabrication sheet)
+ * - designEngine.js (countertop fabrication, including under Node)
+ */
+
+// Anything closer than this is the same place (inches)
+const COUNTERTOP_TOLERANCE = 0.01;
+
+// Leg letters on the fabrication sheet (A1, A2, B1...)
+const COUNTERTOP_LEG_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// -180 < rotation <= 180
+const normalizeRotation = (rotation) => {
+    const r = ((((rotation || 0) % 360) + 540) % 360) - 180;
+    return r === -180 ? 180 : r;
+};
+
+// Which way a run goes (run) and which way its fronts face (out)
+const getRunAxes = (rotation) => {
+    const angle = (rotation || 0) * Math.PI / 180;
+    return {
+        run: { x: Math.cos(angle), z: -Math.sin(angle) },
+        out: { x: Math.sin(angle), z: Math.cos(angle) }
+    };
+};
+
+const projectOnto = (p, v) => p.x * v.x + p.z * v.z;
+
+// World points -> { s0, s1, t0, t1 } along (s) and out from (t) a run facing `rotation`
+const toRunFrame = (points, rotation) => {
+    const { run, out } = getRunAxes(rotation);
+    const s = points.map(p => projectOnto(p, run));
+    const t = points.map(p => projectOnto(p, out));
+    return { s0: Math.min(...s), s1: Math.max(...s), t0: Math.min(...t), t1: Math.max(...t) };
+};
+
+// A point along (s) and out from (t) a run -> world
+const fromRunFrame = (s, t, rotation) => {
+    const { run, out } = getRunAxes(rotation);
+    return { x: s * run.x + t * out.x, z: s * run.z + t * out.z };
+};
+
+// A run-frame rectangle -> its four world corners
+const runRectToWorld = (rect, rotation) => [
+    fromRunFrame(rect.s0, rect.t0, rotation),
+    fromRunFrame(rect.s1, rect.t0, rotation),
+    fromRunFrame(rect.s1, rect.t1, rotation),
+    fromRunFrame(rect.s0, rect.t1, rotation)
+];
+
+// Shoelace area (square inches)
+const polygonArea = (points) => Math.abs(points.reduce((sum, p, i) => {
+    const next = points[(i + 1) % points.length];
+    return sum + p.x * next.z - next.x * p.z;
+}, 0)) / 2;
+
+// Inside or on the edge of a convex or concave polygon
+const pointInPolygon = (point, points) => {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.z > point.z) !== (b.z > point.z) &&
+            point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// Keeps the part of a convex polygon on keepPoint's side of the line a-b
+const clipPolygon = (points, a, b, keepPoint) => {
+    const side = p => (b.x - a.x) * (p.z - a.z) - (b.z - a.z) * (p.x - a.x);
+    const keepSign = Math.sign(side(keepPoint));
+    const inside = p => side(p) * keepSign >= -COUNTERTOP_TOLERANCE;
+    const result = [];
+    points.forEach((current, i) => {
+        const previous = points[(i + points.length - 1) % points.length];
+        const crossing = () => {
+            const d1 = side(previous);
+            const d2 = side(current);
+            const f = d1 / (d1 - d2);
+            return { x: previous.x + (current.x - previous.x) * f, z: previous.z + (current.z - previous.z) * f };
+        };
+        if (inside(current)) {
+            if (!inside(previous)) result.push(crossing());
+            result.push(current);
+        } else if (inside(previous)) {
+            result.push(crossing());
+        }
+    });
+    return result;
+};
+
+/**
+ * traceRectangleOutline - The outline of overlapping rectangles
+ *
+ * The rectangles are cut into a grid on all their edges; the outline is
+ * every grid edge with a filled cell on one side only, chained into loops.
+ *
+ * @param {Array} rects - { s0, s1, t0, t1 } rectangles, all square to each other
+ * @returns {Array} - Loops of { s, t } points, the filled side on the left
+ */
+function traceRectangleOutline(rects) {
+    const snap = v => Math.round(v * 1000) / 1000;
+    const ss = [...new Set(rects.flatMap(r => [snap(r.s0), snap(r.s1)]))].sort((a, b) => a - b);
+    const ts = [...new Set(rects.flatMap(r => [snap(r.t0), snap(r.t1)]))].sort((a, b) => a - b);
+
+    const cells = ss.slice(0, -1).map((s, i) => ts.slice(0, -1).map((t, j) => {
+        const cs = (ss[i] + ss[i + 1]) / 2;
+        const ct = (ts[j] + ts[j + 1]) / 2;
+        return rects.some(r => cs > r.s0 && cs < r.s1 && ct > r.t0 && ct < r.t1);
+    }));
+    const filled = (i, j) => i >= 0 && j >= 0 && i < ss.length - 1 && j < ts.length - 1 && cells[i][j];
+
+    // Grid edges between filled and empty cells, going round the filled side counter-clockwise
+    const edges = [];
+    cells.forEach((column, i) => column.forEach((isFilled, j) => {
+        if (!isFilled) return;
+        if (!filled(i, j - 1)) edges.push([[i, j], [i + 1, j]]);
+        if (!filled(i + 1, j)) edges.push([[i + 1, j], [i + 1, j + 1]]);
+        if (!filled(i, j + 1)) edges.push([[i + 1, j + 1], [i, j + 1]]);
+        if (!filled(i - 1, j)) edges.push([[i, j + 1], [i, j]]);
+    }));
+
+    const byStart = {};
+    edges.forEach((edge, index) => {
+        const key = edge[0].join(',');
+        (byStart[key] = byStart[key] || []).push(index);
+    });
+
+    const used = new Set();
+    const loops = [];
+    edges.forEach((first, firstIndex) => {
+        if (used.has(firstIndex)) return;
+        const loop = [];
+        let index = firstIndex;
+        while (index !== undefined && !used.has(index)) {
+            used.add(index);
+            loop.push(edges[index][0]);
+            index = (byStart[edges[index][1].join(',')] || []).find(i => !used.has(i));
+        }
+
+        // Drop points in the middle of a straight side
+        const corners = loop.filter((p, i) => {
+            const prev = loop[(i + loop.length - 1) % loop.length];
+            const next = loop[(i + 1) % loop.length];
+            return !((prev[0] === p[0] && p[0] === next[0]) || (prev[1] === p[1] && p[1] === next[1]));
+        });
+        if (corners.length >= 4) loops.push(corners.map(([i, j]) => ({ s: ss[i], t: ts[j] })));
+    });
+    return loops;
+}
+
+/**
+ * createCountertop - A new run countertop
+ *
+ * @param {Array} cabinetIds - The cabinets it sits on
+ * @param {Object} overrides - Anything to set (name, material...)
+ * @returns {Object} - The countertop
+ */
+function createCountertop(cabinetIds, overrides = {}) {
+    const material = COUNTERTOP_MATERIALS[overrides.material] ? overrides.material : 'Quartz';
+    return {
+        id: Date.now(),
+        name: 'Countertop',
+        cabinetIds: [...cabinetIds],
+        material,
+        thickness: COUNTERTOP_MATERIALS[material].thickness,
+        frontOverhang: 1.5,
+        leftOverhang: 0,
+        rightOverhang: 0,
+        backsplash: { height: 4, thickness: 0.75 },
+        cornerJoint: 'butt',
+        cutouts: [],
+        seams: [],
+        ...overrides
+    };
+}
+
+/**
+ * createCountertopCutout - A sink or cooktop cutout centered on a cabinet
+ *
+ * @param {string} type - COUNTERTOP_CUTOUTS key ('sink', 'cooktop')
+ * @param {*} cabinetId - The cabinet it's centered on
+ * @returns {Object} - The cutout
+ */
+function createCountertopCutout(type, cabinetId) {
+    const spec = COUNTERTOP_CUTOUTS[type] || COUNTERTOP_CUTOUTS.sink;
+    return {
+        id: Date.now(),
+        type: COUNTERTOP_CUTOUTS[type] ? type : 'sink',
+        cabinetId,
+        width: spec.width,
+        depth: spec.depth,
+        offset: 0,
+        setback: spec.setback
+    };
+}
+
+/**
+ * getCabinetCounterRects - The top a single cabinet needs, in run frames
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {Object} countertop - The countertop (for the front overhang)
+ * @param {Array} rotations - Rotations of all cabinets under the countertop
+ * @returns {Array} - { rotation, cabinetId, s0, s1, t0, t1 } rectangles
+ */
+function getCabinetCounterRects(cabinet, countertop, rotations) {
+    const rotation = normalizeRotation(cabinet.rotation);
+    const { run, out } = getRunAxes(rotation);
+    const origin = { x: cabinet.xPosition || 0, z: cabinet.zPosition || 0 };
+    const overhang = countertop.frontOverhang || 0;
+    const zBack = -cabinet.depth / 2;
+
+    const toWorld = (x, z) => ({ x: origin.x + x * run.x + z * out.x, z: origin.z + x * run.z + z * out.z });
+    const rectOf = (x0, x1, z0, z1, frameRotation) => ({
+        ...toRunFrame([toWorld(x0, z0), toWorld(x1, z0), toWorld(x1, z1), toWorld(x0, z1)], frameRotation),
+        rotation: frameRotation,
+        cabinetId: cabinet.id
+    });
+
+    // Lazy susan and diagonal corners - one arm along each wall
+    const footprint = getCornerFootprint(cabinet);
+    if (footprint) {
+        const W = cabinet.width;
+        const arm = Math.min(cabinet.depth, W) + overhang;
+        const turned = normalizeRotation(rotation + (footprint.side === 'left' ? 90 : -90));
+        return [
+            rectOf(0, W, zBack, zBack + arm, rotation),
+            footprint.side === 'left'
+                ? rectOf(0, arm, zBack, zBack + W, turned)
+                : rectOf(W - arm, W, zBack, zBack + W, turned)
+        ];
+    }
+
+    const rects = [rectOf(0, cabinet.width, zBack, cabinet.depth / 2 + overhang, rotation)];
+
+    // Blind corner with a turned run - bridge over the pull-out space and the filler to it
+    const blind = getBlindCornerLayout(cabinet);
+    if (blind && rotation === 0) {
+        const turned = blind.side === 'left' ? 90 : -90;
+        if (rotations.includes(turned)) {
+            const turn = getCornerTurn(cabinet);
+            const reach = blind.blindDepth + overhang;
+            const x0 = blind.side === 'left' ? turn.wallX : turn.wallX - reach;
+            const z0 = origin.z + zBack;
+            rects.push({
+                ...toRunFrame([{ x: x0, z: z0 }, { x: x0 + reach, z: z0 }, { x: x0 + reach, z: turn.startZ }, { x: x0, z: turn.startZ }], turned),
+                rotation: turned,
+                cabinetId: cabinet.id
+            });
+        }
+    }
+    return rects;
+}
+
+// The leg a cabinet's run position is measured along (its own facing)
+const findCabinetLeg = (legs, cabinet) => legs.find(leg =>
+    leg.cabinetIds.includes(cabinet.id) && leg.rotation === normalizeRotation(cabinet.rotation));
+
+// Where a cabinet's left end is along its leg
+const cabinetRunStart = (cabinet, leg) => projectOnto({ x: cabinet.xPosition || 0, z: cabinet.zPosition || 0 }, leg.run);
+
+/**
+ * getCountertopLayout - Everything about a countertop's shape
+ *
+ * @param {Object} countertop - The countertop
+ * @param {Array} cabinets - All cabinets in the project
+ * @returns {Object} - {
+ *   cabinets,        - the cabinets it sits on
+ *   height,          - top of the cabinets (where the countertop sits)
+ *   legs,            - straight runs: { label, rotation, run, out, s0, s1, t0, t1, cabinetIds, joined }
+ *   joints,          - corners: { legs: [a, b], ends: { [a]: 's0'|'s1', [b]: ... }, through }
+ *   outline,         - loops of world { x, z } points - the single piece drawn in 3D
+ *   pieces,          - what the fabricator cuts: { label, leg, points, s0, s1, t0, t1, area, ends }
+ *   cutouts,         - { ...cutout, name, cabinet, points, center, piece, s0, s1 }
+ *   backsplashes,    - { label, start, end, length, inward }
+ *   warnings
+ * }
+ */
+function getCountertopLayout(countertop, cabinets) {
+    const onTop = countertop.cabinetIds
+        .map(id => cabinets.find(c => c.id === id))
+        .filter(c => c && (CABINET_TYPES[c.type] || CABINET_TYPES.base).allowsCountertop);
+    const warnings = [];
+    const empty = { cabinets: onTop, height: 0, legs: [], joints: [], outline: [], pieces: [], cutouts: [], backsplashes: [], warnings };
+    if (onTop.length === 0) {
+        warnings.push(`${countertop.name} isn't on any base cabinets.`);
+        return empty;
+    }
+
+    const rotations = onTop.map(c => normalizeRotation(c.rotation));
+    const rects = onTop.flatMap(c => getCabinetCounterRects(c, countertop, rotations));
+
+    // 1. Legs - rectangles facing the same way that touch
+    const legs = [];
+    [...new Set(rects.map(r => r.rotation))].forEach(rotation => {
+        const sorted = rects.filter(r => r.rotation === rotation).sort((a, b) => a.s0 - b.s0);
+        const runLegs = [];
+        sorted.forEach(r => {
+            const leg = runLegs.find(l => r.s0 <= l.s1 + 0.5 && r.t0 < l.t1 && r.t1 > l.t0);
+            if (leg) {
+                leg.s1 = Math.max(leg.s1, r.s1);
+                leg.t0 = Math.min(leg.t0, r.t0);
+                leg.t1 = Math.max(leg.t1, r.t1);
+                if (!leg.cabinetIds.includes(r.cabinetId)) leg.cabinetIds.push(r.cabinetId);
+            } else {
+                runLegs.push({ rotation, ...getRunAxes(rotation), s0: r.s0, s1: r.s1, t0: r.t0, t1: r.t1, cabinetIds: [r.cabinetId], joined: {} });
+            }
+        });
+        legs.push(...runLegs);
+    });
+    const order = id => countertop.cabinetIds.indexOf(id);
+    legs.sort((a, b) => Math.min(...a.cabinetIds.map(order)) - Math.min(...b.cabinetIds.map(order)));
+    legs.forEach((leg, i) => { leg.label = COUNTERTOP_LEG_LETTERS[i % COUNTERTOP_LEG_LETTERS.length]; });
+
+    // 2. Corners - stretch each leg back to the other's wall
+    const joints = [];
+    legs.forEach((a, i) => legs.slice(i + 1).forEach((b, k) => {
+        const j = i + 1 + k;
+        if (Math.abs(normalizeRotation(b.rotation - a.rotation)) !== 90) return;
+        if (a.joined.s0 && a.joined.s1) return;
+
+        const stretch = (leg, other) => {
+            const target = projectOnto(other.out, leg.run) * other.t0;
+            const end = Math.abs(target - leg.s0) < Math.abs(target - leg.s1) ? 's0' : 's1';
+            if (Math.abs(target - leg[end]) > other.t1 - other.t0 + 1) return null;
+            return { end, s0: end === 's0' ? Math.min(leg.s0, target) : leg.s0, s1: end === 's1' ? Math.max(leg.s1, target) : leg.s1 };
+        };
+        const sa = stretch(a, b);
+        const sb = stretch(b, a);
+        if (!sa || !sb || a.joined[sa.end] || b.joined[sb.end]) return;
+
+        // Only a corner if the stretched legs really overlap
+        const ra = { s0: sa.s0, s1: sa.s1, t0: a.t0, t1: a.t1 };
+        const rb = toRunFrame(runRectToWorld({ s0: sb.s0, s1: sb.s1, t0: b.t0, t1: b.t1 }, b.rotation), a.rotation);
+        const overlap = Math.min(ra.s1, rb.s1) - Math.max(ra.s0, rb.s0) > COUNTERTOP_TOLERANCE &&
+            Math.min(ra.t1, rb.t1) - Math.max(ra.t0, rb.t0) > COUNTERTOP_TOLERANCE;
+        if (!overlap) return;
+
+        a.s0 = sa.s0; a.s1 = sa.s1;
+        b.s0 = sb.s0; b.s1 = sb.s1;
+        const through = (b.s1 - b.s0) > (a.s1 - a.s0) + COUNTERTOP_TOLERANCE ? j : i;
+        const joint = { legs: [i, j], ends: { [i]: sa.end, [j]: sb.end }, through };
+        a.joined[sa.end] = joint;
+        b.joined[sb.end] = joint;
+        joints.push(joint);
+    }));
+
+    // 3. Side overhangs on the ends that don't turn a corner
+    legs.forEach(leg => {
+        if (!leg.joined.s0) leg.s0 -= countertop.leftOverhang || 0;
+        if (!leg.joined.s1) leg.s1 += countertop.rightOverhang || 0;
+    });
+
+    // 4. The single piece - legs square to each other trace one outline
+    const baseRotation = legs[0].rotation;
+    const square = legs.every(leg => Math.abs(normalizeRotation(leg.rotation - baseRotation)) % 90 === 0);
+    const outline = square
+        ? traceRectangleOutline(legs.map(leg => toRunFrame(runRectToWorld(leg, leg.rotation), baseRotation)))
+            .map(loop => loop.map(p => fromRunFrame(p.s, p.t, baseRotation)))
+        : legs.map(leg => runRectToWorld(leg, leg.rotation));
+    if (!square) warnings.push(`${countertop.name} has runs that aren't square to each other - they can't be joined into one top.`);
+
+    // 5. Fabrication pieces - trim butt joints, cut miters, then split at seams
+    const legRects = legs.map(leg => ({ s0: leg.s0, s1: leg.s1, t0: leg.t0, t1: leg.t1 }));
+    if (countertop.cornerJoint !== 'miter') {
+        joints.forEach(joint => {
+            const otherIndex = joint.legs.find(index => index !== joint.through);
+            const through = legs[joint.through];
+            const other = legs[otherIndex];
+            legRects[otherIndex][joint.ends[otherIndex]] = projectOnto(through.out, other.run) * through.t1;
+        });
+    }
+    let legPolygons = legs.map((leg, i) => runRectToWorld(legRects[i], leg.rotation));
+    if (countertop.cornerJoint === 'miter') {
+        joints.forEach(joint => {
+            const [a, b] = joint.legs.map(index => legs[index]);
+            const wallCorner = { x: a.t0 * a.out.x + b.t0 * b.out.x, z: a.t0 * a.out.z + b.t0 * b.out.z };
+            const innerCorner = { x: a.t1 * a.out.x + b.t1 * b.out.x, z: a.t1 * a.out.z + b.t1 * b.out.z };
+            joint.legs.forEach(index => {
+                const leg = legs[index];
+                const farEnd = joint.ends[index] === 's0' ? leg.s1 : leg.s0;
+                const keep = fromRunFrame(farEnd, (leg.t0 + leg.t1) / 2, leg.rotation);
+                legPolygons[index] = clipPolygon(legPolygons[index], wallCorner, innerCorner, keep);
+            });
+        });
+    }
+
+    const seamCuts = legs.map(() => []);
+    (countertop.seams || []).forEach(seam => {
+        const cabinet = onTop.find(c => c.id === seam.cabinetId);
+        const leg = cabinet && findCabinetLeg(legs, cabinet);
+        if (!leg) {
+            warnings.push(`A seam is on a cabinet that isn't under ${countertop.name}.`);
+            return;
+        }
+        seamCuts[legs.indexOf(leg)].push(cabinetRunStart(cabinet, leg) + (seam.at || 0));
+    });
+
+    const pieces = [];
+    legs.forEach((leg, legIndex) => {
+        let parts = [legPolygons[legIndex]];
+        [...seamCuts[legIndex]].sort((a, b) => a - b).forEach(s => {
+            const a = fromRunFrame(s, 0, leg.rotation);
+            const b = fromRunFrame(s, 1, leg.rotation);
+            parts = parts.flatMap(points => {
+                const range = toRunFrame(points, leg.rotation);
+                if (s <= range.s0 + 0.25 || s >= range.s1 - 0.25) return [points];
+                return [
+                    clipPolygon(points, a, b, fromRunFrame(s - 1, 0, leg.rotation)),
+                    clipPolygon(points, a, b, fromRunFrame(s + 1, 0, leg.rotation))
+                ];
+            });
+        });
+
+        parts.map(points => ({ points, ...toRunFrame(points, leg.rotation) }))
+            .sort((p, q) => p.s0 - q.s0)
+            .forEach((part, i, all) => {
+                const endOf = (end, isLegEnd) => {
+                    if (!isLegEnd) return { kind: 'seam' };
+                    const joint = leg.joined[end];
+                    if (!joint) return { kind: 'finished', overhang: end === 's0' ? (countertop.leftOverhang || 0) : (countertop.rightOverhang || 0) };
+                    const otherIndex = joint.legs.find(index => index !== legIndex);
+                    if (countertop.cornerJoint === 'miter') return { kind: 'miter', otherLeg: otherIndex };
+                    return { kind: joint.through === legIndex ? 'through' : 'butt', otherLeg: otherIndex };
+                };
+                pieces.push({
+                    label: `${leg.label}${i + 1}`,
+                    leg: legIndex,
+                    ...part,
+                    area: polygonArea(part.points),
+                    ends: { s0: endOf('s0', i === 0), s1: endOf('s1', i === all.length - 1) }
+                });
+            });
+    });
+
+    // Corner ends name the piece across the joint
+    pieces.forEach(piece => ['s0', 's1'].forEach(end => {
+        const info = piece.ends[end];
+        if (info.otherLeg === undefined) return;
+        const joint = legs[piece.leg].joined[end];
+        const otherEnd = joint.ends[info.otherLeg];
+        const otherPieces = pieces.filter(p => p.leg === info.otherLeg);
+        const across = otherEnd === 's0' ? otherPieces[0] : otherPieces[otherPieces.length - 1];
+        info.otherPiece = across ? across.label : legs[info.otherLeg].label;
+    }));
+
+    // Cutouts
+    const cutouts = (countertop.cutouts || []).map(cutout => {
+        const spec = COUNTERTOP_CUTOUTS[cutout.type] || COUNTERTOP_CUTOUTS.sink;
+        const cabinet = onTop.find(c => c.id === cutout.cabinetId);
+        const leg = cabinet && findCabinetLeg(legs, cabinet);
+        if (!leg) {
+            warnings.push(`A ${spec.name.toLowerCase()} cutout is on a cabinet that isn't under ${countertop.name}.`);
+            return null;
+        }
+        const center = cabinetRunStart(cabinet, leg) + cabinet.width / 2 + (cutout.offset || 0);
+        const front = leg.t1 - (cutout.setback || 0);
+        const rect = { s0: center - cutout.width / 2, s1: center + cutout.width / 2, t0: front - cutout.depth, t1: front };
+        const points = runRectToWorld(rect, leg.rotation);
+        const centerPoint = fromRunFrame(center, front - cutout.depth / 2, leg.rotation);
+        const piece = pieces.find(p => p.leg === legs.indexOf(leg) && pointInPolygon(centerPoint, p.points));
+        const within = piece && runRectToWorld({
+            s0: rect.s0 + COUNTERTOP_TOLERANCE, s1: rect.s1 - COUNTERTOP_TOLERANCE,
+            t0: rect.t0 + COUNTERTOP_TOLERANCE, t1: rect.t1 - COUNTERTOP_TOLERANCE
+        }, leg.rotation).every(p => pointInPolygon(p, piece.points));
+        if (!within) {
+            warnings.push(`The ${spec.name.toLowerCase()} cutout on ${cabinet.name} runs across a seam or off the edge of ${countertop.name}.`);
+        }
+        return { ...cutout, name: spec.name, cabinet, points, center: centerPoint, piece: piece ? piece.label : null, ...rect };
+    }).filter(Boolean);
+
+    // Backsplash - the outline edges that run along a wall
+    const backsplashes = [];
+    const splash = countertop.backsplash || {};
+    if (splash.height > 0) {
+        outline.forEach(loop => {
+            const walls = loop.map((start, i) => {
+                const end = loop[(i + 1) % loop.length];
+                const length = Math.hypot(end.x - start.x, end.z - start.z);
+                const dir = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+                const outward = { x: dir.z, z: -dir.x };
+                const mid = { x: (start.x + end.x) / 2, z: (start.z + end.z) / 2 };
+                const leg = legs.find(l =>
+                    projectOnto(outward, l.out) < -1 + COUNTERTOP_TOLERANCE &&
+                    Math.abs(projectOnto(mid, l.out) - l.t0) < COUNTERTOP_TOLERANCE &&
+                    projectOnto(mid, l.run) > l.s0 - COUNTERTOP_TOLERANCE &&
+                    projectOnto(mid, l.run) < l.s1 + COUNTERTOP_TOLERANCE);
+                return leg ? { start, end, dir, inward: leg.out, length } : null;
+            });
+
+            // Where two runs of backsplash meet in a corner, the second butts the first
+            walls.forEach((wall, i) => {
+                if (!wall) return;
+                const previous = walls[(i + walls.length - 1) % walls.length];
+                const trim = previous && previous !== wall ? splash.thickness : 0;
+                const start = { x: wall.start.x + wall.dir.x * trim, z: wall.start.z + wall.dir.z * trim };
+                backsplashes.push({ start, end: wall.end, length: wall.length - trim, inward: wall.inward });
+            });
+        });
+        backsplashes.forEach((piece, i) => { piece.label = `BS${i + 1}`; });
+    }
+
+    return {
+        cabinets: onTop,
+        height: Math.max(...onTop.map(c => c.height)),
+        legs,
+        joints,
+        outline,
+        pieces,
+        cutouts,
+        backsplashes,
+        warnings
+    };
+}
+
+/**
+ * getCountertopFabrication - What the stone shop needs to make the countertop
+ *
+ * Also checks every piece fits on a slab of the chosen material.
+ *
+ * @param {Object} countertop - The countertop
+ * @param {Array} cabinets - All cabinets in the project
+ * @returns {Object} - {
+ *   name, material, thickness, layout,
+ *   pieces: [ { label, length, depth, squareFeet, leftEnd, rightEnd, cutouts: [ { name, width, depth, fromLeft, fromFront } ] } ],
+ *   backsplashes: [ { label, length, height, thickness, squareFeet } ],
+ *   totals: { topSquareFeet, backsplashSquareFeet, squareFeet, finishedEdge, cutouts },
+ *   warnings
+ * }
+ */
+function getCountertopFabrication(countertop, cabinets) {
+    const layout = getCountertopLayout(countertop, cabinets);
+    const slab = COUNTERTOP_MATERIALS[countertop.material] || COUNTERTOP_MATERIALS.Quartz;
+    const warnings = [...layout.warnings];
+
+    const describeEnd = (info) => {
+        if (info.kind === 'finished') return info.overhang > 0 ? `Finished (${decimalToFraction(info.overhang)} overhang)` : 'Finished';
+        if (info.kind === 'seam') return 'Seam';
+        if (info.kind === 'miter') return `45° miter to ${info.otherPiece}`;
+        if (info.kind === 'through') return `Runs through - ${info.otherPiece} butts its front edge`;
+        return `Butts front edge of ${info.otherPiece}`;
+    };
+
+    const pieces = layout.pieces.map(piece => {
+        const leg = layout.legs[piece.leg];
+        const length = piece.s1 - piece.s0;
+        const depth = piece.t1 - piece.t0;
+        const fits = (length <= slab.maxLength + COUNTERTOP_TOLERANCE && depth <= slab.maxDepth + COUNTERTOP_TOLERANCE) ||
+            (length <= slab.maxDepth + COUNTERTOP_TOLERANCE && depth <= slab.maxLength + COUNTERTOP_TOLERANCE);
+        if (!fits) {
+            warnings.push(`Piece ${piece.label} (${decimalToFraction(length)} x ${decimalToFraction(depth)}) is bigger than a ${countertop.material} slab (${slab.maxLength}" x ${slab.maxDepth}") - add a seam.`);
+        }
+        return {
+            label: piece.label,
+            length,
+            depth,
+            squareFeet: piece.area / 144,
+            leftEnd: describeEnd(piece.ends.s0),
+            rightEnd: describeEnd(piece.ends.s1),
+            cutouts: layout.cutouts.filter(c => c.piece === piece.label).map(c => ({
+                name: c.name,
+                width: c.width,
+                depth: c.depth,
+                fromLeft: (c.s0 + c.s1) / 2 - piece.s0,
+                fromFront: leg.t1 - c.t1
+            }))
+        };
+    });
+
+    const splash = countertop.backsplash || {};
+    const backsplashes = layout.backsplashes.map(piece => ({
+        label: piece.label,
+        length: piece.length,
+        height: splash.height,
+        thickness: splash.thickness,
+        squareFeet: piece.length * splash.height / 144
+    }));
+
+    // Finished edge - everything round the outline that isn't against a wall
+    const outlineLength = layout.outline.reduce((sum, loop) => sum + loop.reduce((s, p, i) => {
+        const next = loop[(i + 1) % loop.length];
+        return s + Math.hypot(next.x - p.x, next.z - p.z);
+    }, 0), 0);
+    const wallLength = layout.legs.reduce((sum, leg) => sum + layout.outline.reduce((s, loop) => s + loop.reduce((t, p, i) => {
+        const next = loop[(i + 1) % loop.length];
+        const onWall = [p, next].every(q => Math.abs(projectOnto(q, leg.out) - leg.t0) < COUNTERTOP_TOLERANCE);
+        return onWall ? t + Math.hypot(next.x - p.x, next.z - p.z) : t;
+    }, 0), 0), 0);
+
+    const topSquareFeet = pieces.reduce((sum, p) => sum + p.squareFeet, 0);
+    const backsplashSquareFeet = backsplashes.reduce((sum, b) => sum + b.squareFeet, 0);
+    return {
+        name: countertop.name,
+        material: countertop.material,
+        thickness: countertop.thickness,
+        layout,
+        pieces,
+        backsplashes,
+        totals: {
+            topSquareFeet,
+            backsplashSquareFeet,
+            squareFeet: topSquareFeet + backsplashSquareFeet,
+            finishedEdge: Math.max(0, outlineLength - wallLength),
+            cutouts: layout.cutouts.length
+        },
+        warnings
+    };
+}
+
+/**
+ * suggestCountertopSeams - Seams so every piece fits on a slab
+ *
+ * Seams go on cabinet joints where possible (the seam is supported and
+ * lines up with the boxes), never through a cutout, and as few as possible.
+ *
+ * @param {Object} countertop - The countertop
+ * @param {Array} cabinets - All cabinets in the project
+ * @returns {Array} - The seams (replaces countertop.seams)
+ */
+function suggestCountertopSeams(countertop, cabinets) {
+    const layout = getCountertopLayout({ ...countertop, seams: [] }, cabinets);
+    const maxLength = (COUNTERTOP_MATERIALS[countertop.material] || COUNTERTOP_MATERIALS.Quartz).maxLength;
+    const seams = [];
+
+    layout.pieces.forEach(piece => {
+        const leg = layout.legs[piece.leg];
+        const runCabinets = layout.cabinets
+            .filter(c => findCabinetLeg(layout.legs, c) === leg)
+            .map(c => ({ cabinet: c, start: cabinetRunStart(c, leg) }))
+            .sort((a, b) => a.start - b.start);
+        if (runCabinets.length === 0) return;
+
+        // Keep 2" of solid top either side of a cutout
+        const clear = s => layout.cutouts.every(c => !(findCabinetLeg(layout.legs, c.cabinet) === leg && s > c.s0 - 2 && s < c.s1 + 2));
+        const joints = runCabinets
+            .map(({ cabinet, start }) => ({ s: start + cabinet.width, cabinet, at: cabinet.width }))
+            .filter(j => clear(j.s));
+
+        let start = piece.s0;
+        while (piece.s1 - start > maxLength + COUNTERTOP_TOLERANCE) {
+            const fitting = joints.filter(j => j.s > start + 12 && j.s <= start + maxLength && j.s < piece.s1 - COUNTERTOP_TOLERANCE);
+            let seam = fitting[fitting.length - 1];
+            if (!seam) {
+                const s = start + maxLength;
+                const under = runCabinets.filter(r => r.start <= s).pop() || runCabinets[0];
+                seam = { s, cabinet: under.cabinet, at: s - under.start };
+            }
+            seams.push({ id: Date.now() + seams.length, cabinetId: seam.cabinet.id, at: Math.round(seam.at * 16) / 16 });
+            start = seam.s;
+        }
+    });
+    return seams;
+}
+
+/**
+ * getCountertopDrawingSVG - Top view of the pieces, cutouts and backsplash for the fabrication sheet
+ *
+ * @param {Object} layout - From getCountertopLayout
+ * @returns {string} - SVG markup (back wall at the top)
+ */
+function getCountertopDrawingSVG(layout) {
+    const all = [...layout.pieces.flatMap(p => p.points), ...layout.outline.flat()];
+    if (all.length === 0) return '';
+    const margin = 6;
+    const minX = Math.min(...all.map(p => p.x)) - margin;
+    const minZ = Math.min(...all.map(p => p.z)) - margin;
+    const width = Math.max(...all.map(p => p.x)) + margin - minX;
+    const height = Math.max(...all.map(p => p.z)) + margin - minZ;
+    const path = points => points.map(p => `${(p.x - minX).toFixed(2)},${(p.z - minZ).toFixed(2)}`).join(' ');
+    const centroid = points => ({
+        x: points.reduce((s, p) => s + p.x, 0) / points.length,
+        z: points.reduce((s, p) => s + p.z, 0) / points.length
+    });
+
+    return `<svg viewBox="0 0 ${width.toFixed(2)} ${height.toFixed(2)}" width="100%" style="max-height: 400px; background: white;">
+        ${layout.pieces.map(piece => {
+            const c = centroid(piece.points);
+            return `<polygon points="${path(piece.points)}" fill="#eee" stroke="#333" stroke-width="0.4"/>
+                <text x="${(c.x - minX).toFixed(2)}" y="${(c.z - minZ).toFixed(2)}" font-size="4" text-anchor="middle" fill="#ff6b35">${piece.label}</text>`;
+        }).join('')}
+        ${layout.cutouts.map(cutout => `<polygon points="${path(cutout.points)}" fill="white" stroke="#333" stroke-width="0.3" stroke-dasharray="1,1"/>`).join('')}
+        ${layout.backsplashes.map(b => `<line x1="${(b.start.x - minX).toFixed(2)}" y1="${(b.start.z - minZ).toFixed(2)}" x2="${(b.end.x - minX).toFixed(2)}" y2="${(b.end.z - minZ).toFixed(2)}" stroke="#4a90e2" stroke-width="1.2"/>`).join('')}
+    </svg>`;
+}
+
+/**
+ * exportCountertopSheetHTML - Printable fabrication sheet for the stone supplier
+ *
+ * @param {Array} fabrications - From getCountertopFabrication, one per countertop
+ * @param {string} projectName - Project name for the title
+ * @returns {string} - HTML document
+ */
+function exportCountertopSheetHTML(fabrications, projectName) {
+    const grand = fabrications.reduce((sum, f) => sum + f.totals.squareFeet, 0);
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Countertop Fabrication - ${projectName}</title>
+            <style>
+                body { font-family: Arial, sans-serif; margin: 40px; }
+                h1 { color: #ff6b35; border-bottom: 2px solid #ff6b35; padding-bottom: 10px; }
+                h2 { color: #333; margin-top: 30px; border-bottom: 1px solid #ddd; padding-bottom: 5px; }
+                h3 { color: #555; margin-bottom: 5px; }
+                table { width: 100%; border-collapse: collapse; margin: 10px 0 20px; }
+                th { background: #ff6b35; color: white; padding: 8px; text-align: left; }
+                td { border: 1px solid #ddd; padding: 6px; vertical-align: top; }
+                tr:nth-child(even) { background: #f9f9f9; }
+                .summary { background: #ffe8df; padding: 15px; border-radius: 5px; margin-top: 20px; }
+                .warning { color: #c0392b; }
+                .note { font-style: italic; color: #666; }
+                @media print {
+                    body { margin: 20px; }
+                    .countertop { page-break-after: always; }
+                }
+            </style>
+        </head>
+        <body>
+            <h1>Countertop Fabrication - ${projectName}</h1>
+            <p>Generated on ${new Date().toLocaleDateString()} &middot; ${fabrications.length} countertop(s) &middot; ${grand.toFixed(2)} sq ft in all</p>
+            ${fabrications.map(f => `
+                <div class="countertop">
+                    <h2>${f.name}</h2>
+                    <p>${f.material}, ${decimalToFraction(f.thickness)} thick</p>
+                    ${getCountertopDrawingSVG(f.layout)}
+                    <p class="note">Top view, back wall at the top. Dashed: cutouts. Blue: backsplash.</p>
+
+                    <h3>Pieces</h3>
+                    <table>
+                        <tr><th>Piece</th><th>Length</th><th>Depth</th><th>Sq Ft</th><th>Left End</th><th>Right End</th><th>Cutouts</th></tr>
+                        ${f.pieces.map(p => `
+                            <tr>
+                                <td><strong>${p.label}</strong></td>
+                                <td>${decimalToFraction(p.length)}</td>
+                                <td>${decimalToFraction(p.depth)}</td>
+                                <td>${p.squareFeet.toFixed(2)}</td>
+                                <td>${p.leftEnd}</td>
+                                <td>${p.rightEnd}</td>
+                                <td>${p.cutouts.map(c => `${c.name} ${decimalToFraction(c.width)} x ${decimalToFraction(c.depth)} - centered ${decimalToFraction(c.fromLeft)} from left end, ${decimalToFraction(c.fromFront)} from front edge`).join('<br>') || '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+
+                    ${f.backsplashes.length > 0 ? `
+                        <h3>Backsplash</h3>
+                        <table>
+                            <tr><th>Piece</th><th>Length</th><th>Height</th><th>Thickness</th><th>Sq Ft</th></tr>
+                            ${f.backsplashes.map(b => `
+                                <tr>
+                                    <td><strong>${b.label}</strong></td>
+                                    <td>${decimalToFraction(b.length)}</td>
+                                    <td>${decimalToFraction(b.height)}</td>
+                                    <td>${decimalToFraction(b.thickness)}</td>
+                                    <td>${b.squareFeet.toFixed(2)}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    ` : ''}
+
+                    <div class="summary">
+                        <strong>Countertop:</strong> ${f.totals.topSquareFeet.toFixed(2)} sq ft &middot;
+                        <strong>Backsplash:</strong> ${f.totals.backsplashSquareFeet.toFixed(2)} sq ft &middot;
+                        <strong>Total:</strong> ${f.totals.squareFeet.toFixed(2)} sq ft<br>
+                        <strong>Finished edge:</strong> ${(f.totals.finishedEdge / 12).toFixed(1)} lin ft &middot;
+                        <strong>Cutouts:</strong> ${f.totals.cutouts}
+                    </div>
+                    ${f.warnings.map(w => `<p class="warning">⚠️ ${w}</p>`).join('')}
+                </div>
+            `).join('')}
+        </body>
+        </html>
+    `;
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// createCountertop, createCountertopCutout, getCountertopLayout, getCountertopFabrication,
+// suggestCountertopSeams, getCountertopDrawingSVG, exportCountertopSheetHTML, pointInPolygon
@@ -0,0 +1,1506 @@
+/*
+ * ========================================
+ * DESIGN ENGINE MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * Turns a project (its cabinets, door styles, material prices and labor
+ * rate) into everything the shop needs: the cut list, the hardware, the
+ * sheet goods to buy and a price. None of it touches React, the 3D scene
+ * or the page, so the designer, the print export and the shopping list
+ * all get the same numbers - and it runs under plain Node too, for
+ * batch-processing saved project files.
+ *
+ * WHAT IT DOES:
+ * - Builds the cut list for every cabinet (box, face frame, fronts,
+ *   drawer boxes, accessories and hardware rows)
+ * - Totals sheet goods by stock and prices them
+ * - Groups parts onto 4x8 sheets for the sheet optimizer
+ * - Lists the door, drawer front and false front sizes
+ * - Counts the hardware and estimates labor and the project price
+ * - Counts hinges by door size and lists the cup, plate and 32mm line boring
+ * - Names the pulls from the pull catalog and counts them by placement
+ * - Sizes the drawer boxes to the slide catalog and picks the slide length
+ * - Builds drawer boxes in wood, on a metal drawer system or as boxes ordered in
+ * - Works out the drawer heights for a stack
+ * - Names every cabinet by its catalog SKU (see cabinetCatalog.js) on the
+ *   cut list and the cabinet schedule
+ * - Lays out the run countertops for the stone shop (see countertops.js)
+ * - Totals the crown, light rail and toe-kick skin runs (see trimRuns.js)
+ *
+ * PROJECT JSON (what a saved or exported project file holds):
+ *   { name, cabinets: [...], doorStyles: [...], materialCosts: {...}, laborRate, variables: {...}, countertops: [...] }
+ * Older files are brought up to date first (see cabinetModel.js) and
+ * anything missing falls back to the defaults a new project starts with.
+ * Dimensions written as expressions are worked out again (see expressions.js),
+ * so a file edited by hand - a new ceiling height, say - prices correctly.
+ *
+ * RUNNING UNDER NODE:
+ *   node modules/designEngine.js kitchen.json pantry.json
+ *   node modules/designEngine.js --json kitchen.json
+ * prints a summary (or the full result with --json) for each project file.
+ * require('./designEngine') gives the same functions to other Node scripts.
+ *
+ * DEPENDENCIES (what this file needs):
+ * - measurements.js (decimalToFraction, for cut list notes)
+ * - constants.js (cabinet types, door styles, stock, joinery, material prices, smart defaults)
+ * - cabinetLayout.js (front sizing, sections, face frames, accessories, joinery, hinge boring,
+ *   drawer boxes and slides)
+ * - doorStyleLibrary.js (door frame parts)
+ * - stockCatalog.js (sheet stock per part, and the thinner sheet door panels come off)
+ * - cabinetModel.js (brings older saved projects up to date)
+ * - expressions.js (dimensions written as expressions)
+ * - validation.js and cabinetCatalog.js (SKUs)
+ * - countertops.js (countertop pieces and square footage)
+ * - trimRuns.js (trim footage and stock lengths)
+ * - pullLayout.js (pull catalog lookups and pull counts)
+ * In the browser index.html loads these first. Under Node this file loads
+ * them itself (see the bottom of the file).
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (cut list, materials, sheet optimization, pricing, smart drawers)
+ * - printExport.js (cut list and materials pages)
+ * - shoppingListGenerator.js (sheet goods)
+ * - cabinetCatalog.js (drawer stacks for drawer bases)
+ */
+
+// Labor estimate - hours to build, finish and install one cabinet
+const LABOR_HOURS_PER_CABINET = 4;
+
+// Sheet goods are estimated on 4x8 sheets (32 sq ft)
+const SHEET_AREA_SQFT = 32;
+
+/**
+ * calculateOptimalDrawerHeights - Drawer heights for a full stack of drawers
+ *
+ * Returns an array of drawer heights that fit evenly with proper reveals.
+ *
+ * @param {number} cabinetHeight - Height of the cabinet (inches)
+ * @param {number} toekickHeight - Height of the toe kick (0 if none)
+ * @returns {Array} - Drawer heights from the top drawer down
+ */
+function calculateOptimalDrawerHeights(cabinetHeight, toekickHeight = 0) {
+    const availableHeight = cabinetHeight - toekickHeight;
+    const reveal = SMART_DEFAULTS.drawerReveal;
+    
+    // Different drawer configurations based on available height
+    if (availableHeight < 18) {
+        // Small cabinet: 2 small drawers
+        const drawerHeight = (availableHeight - reveal) / 2;
+        return [drawerHeight, drawerHeight];
+    } else if (availableHeight < 24) {
+        // Medium cabinet: 3 small/medium drawers
+        const drawerHeight = (availableHeight - reveal * 2) / 3;
+        return [drawerHeight, drawerHeight, drawerHeight];
+    } else if (availableHeight < 36) {
+        // Standard base cabinet: 1 small + 2 medium drawers
+        const totalReveals = reveal * 2;
+        const smallDrawer = SMART_DEFAULTS.drawerHeights.small;
+        const remaining = availableHeight - smallDrawer - totalReveals;
+        const mediumDrawer = remaining / 2;
+        return [smallDrawer, mediumDrawer, mediumDrawer];
+    } else {
+        // Tall cabinet: 1 small + 1 medium + 1 or more large drawers
+        const totalReveals = reveal * 3;
+        const smallDrawer = SMART_DEFAULTS.drawerHeights.small;
+        const mediumDrawer = SMART_DEFAULTS.drawerHeights.medium;
+        const remaining = availableHeight - smallDrawer - mediumDrawer - totalReveals;
+        
+        if (remaining < 16) {
+            return [smallDrawer, mediumDrawer, remaining];
+        } else {
+            // Split remaining into 2 large drawers
+            const largeDrawer = remaining / 2;
+            return [smallDrawer, mediumDrawer, largeDrawer, largeDrawer];
+        }
+    }
+}
+
+/**
+ * getOptimalDrawerStack - A full stack of drawers for a cabinet
+ *
+ * Drawers from calculateOptimalDrawerHeights, stacked up from the top of
+ * the toe kick with the standard reveal between them.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @returns {Array} - Drawers [{ id, height, startY }]
+ */
+function getOptimalDrawerStack(cabinet) {
+    const toekickHeight = cabinet.toekick ? cabinet.toekickHeight : 0;
+    const reveal = SMART_DEFAULTS.drawerReveal;
+    let currentY = toekickHeight;
+
+    return calculateOptimalDrawerHeights(cabinet.height, toekickHeight).map((height, index) => {
+        const drawer = { id: Date.now() + index, height, startY: currentY };
+        currentY += height + reveal;
+        return drawer;
+    });
+}
+
+/**
+ * generateCutList - Every part and hardware row for a set of cabinets
+ *
+ * Each row is { cabinet, sku, part, quantity, width, height, thickness, material,
+ * stock, notes, grainDirection, edgebanding, hardware, assemblySequence }.
+ * Hardware rows have material 'hardware' and no size. Sheet parts carry the
+ * STOCK_CATALOG id they're cut from in "stock". Doors (or their stiles),
+ * frameless sides and partitions carry the hinge and line boring in
+ * "machining" (see getHingeMachining).
+ *
+ * @param {Array} cabinets - The project's cabinets
+ * @param {Array} doorStyles - The project's door style library
+ * @returns {Array} - Cut list rows in assembly order
+ */
+function generateCutList(cabinets, doorStyles = DEFAULT_DOOR_STYLES) {
+    const cutList = [];
+    let assemblySequence = 1;
+
+    // rails, stiles and panel of a framed door or drawer front - sized from the door style library
+    const pushFramedFrontParts = (cabinet, partName, count, width, height, style, note, machining) => {
+        const frame = getDoorFrameParts(style, width, height);
+        const frontStock = getPartStock(cabinet, 'fronts');
+        const panelStock = style.panelType === 'glass' ? null : getPanelStock(frontStock, frame.panelThickness);
+        const styleNote = `${style.name}, ${style.profile}`;
+        const pushRails = (part, quantity, railWidth, position) => cutList.push({
+        cabinet: cabinet.name,
+        part,
+        quantity,
+        width: frame.railLength,
+        height: railWidth,
+        thickness: frontStock.actual,
+        material: frontStock.material,
+        stock: frontStock.id,
+        notes: `${note} ${position} - ${styleNote}, includes ${decimalToFraction(style.grooveDepth)} tenons`,
+        grainDirection: 'horizontal',
+        edgebanding: 'all edges',
+        hardware: 'Cope & stick joints',
+        assemblySequence: assemblySequence++
+        });
+
+        if (frame.topRailWidth === frame.bottomRailWidth) {
+        pushRails(`${partName} Rails`, count * 2, frame.topRailWidth, 'T/B');
+        } else {
+        pushRails(`${partName} Top Rails`, count, frame.topRailWidth, 'Top');
+        pushRails(`${partName} Bottom Rails`, count, frame.bottomRailWidth, 'Bottom');
+        }
+        cutList.push({
+        cabinet: cabinet.name,
+        part: `${partName} Stiles`,
+        quantity: count * 2,
+        width: frame.stileWidth,
+        height: frame.stileLength,
+        thickness: frontStock.actual,
+        material: frontStock.material,
+        stock: frontStock.id,
+        notes: `${note} L/R - ${styleNote}${machining ? ' - hinge cups in the hinge stiles' : ''}`,
+        grainDirection: 'vertical',
+        edgebanding: 'all edges',
+        hardware: 'Cope & stick joints',
+        ...(machining ? { machining } : {}),
+        assemblySequence: assemblySequence++
+        });
+        cutList.push({
+        cabinet: cabinet.name,
+        part: `${partName} ${count === 1 ? 'Panel' : 'Panels'}`,
+        quantity: count,
+        width: frame.panelWidth,
+        height: frame.panelHeight,
+        thickness: frame.panelThickness,
+        material: panelStock ? panelStock.material : 'glass',
+        ...(panelStock ? { stock: panelStock.id } : {}),
+        notes: `${PANEL_TYPES[style.panelType].name} - ${decimalToFraction(style.panelClearance)} clearance each edge`,
+        grainDirection: style.panelType === 'glass' ? 'n/a' : 'vertical',
+        edgebanding: 'none (fits in groove)',
+        hardware: 'None',
+        assemblySequence: assemblySequence++
+        });
+    };
+
+    cabinets.forEach(cabinet => {
+        const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+        const footprint = getCornerFootprint(cabinet);
+        const firstRow = cutList.length; // every row for this cabinet gets its SKU at the end
+        const partStock = getCabinetStock(cabinet); // sheet stock for each part role
+        const hingeLayout = getHingeLayout(cabinet, partStock.back.actual);
+        const hingeMachining = getHingeMachining(cabinet, partStock.back.actual);
+        const pull = getCabinetPull(cabinet);
+        const pullCounts = countPulls(getPullLayout(cabinet, doorStyles));
+        const pullPlacement = getPullPlacement(cabinet);
+        const pullDrilling = pull.mount === 'routed' ? 'rout pocket'
+            : pull.centers > 0 ? `${pull.centerToCenter}mm centers` : 'one hole';
+
+        if (footprint) {
+        // corner box: two finished ends, two structural backs and shaped top/bottom
+        const deckWidth = cabinet.width - cabinet.thickness;
+        const isDiagonal = footprint.shape === 'diagonal';
+        const deckShape = isDiagonal ? 'clipped' : 'L-shaped';
+        const deckNotes = isDiagonal
+            ? `Clip front corner at 45° - ${footprint.legWidth}" legs, ${footprint.diagonalLength.toFixed(3)}" cut`
+            : `Cut ${footprint.legWidth}" x ${footprint.legWidth}" notch from front corner`;
+
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'End Panel',
+            quantity: 2,
+            width: cabinet.depth,
+            height: cabinet.height,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: isDiagonal ? 'Bevel 45° on front edge to meet diagonal face' : 'Arm ends, finished',
+            bevelAngle: footprint.bevelAngle,
+            grainDirection: 'vertical',
+            edgebanding: isDiagonal ? 'none (beveled)' : 'front edge',
+            hardware: 'Shelf pins if adjustable',
+            assemblySequence: assemblySequence++
+        });
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Back (long wall)',
+            quantity: 1,
+            width: cabinet.width,
+            height: cabinet.height,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: 'Structural back, runs into the corner',
+            grainDirection: 'vertical',
+            edgebanding: 'none',
+            hardware: 'Screws into studs',
+            assemblySequence: assemblySequence++
+        });
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Back (short wall)',
+            quantity: 1,
+            width: cabinet.width - cabinet.thickness,
+            height: cabinet.height,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: 'Butts the long back in the corner',
+            grainDirection: 'vertical',
+            edgebanding: 'none',
+            hardware: 'Screws into studs',
+            assemblySequence: assemblySequence++
+        });
+        cutList.push({
+            cabinet: cabinet.name,
+            part: typeSpec.mounted === 'wall' ? `Top / Finished Bottom (${deckShape})` : `Top/Bottom (${deckShape})`,
+            quantity: 2,
+            width: deckWidth,
+            height: deckWidth,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: deckNotes,
+            bevelAngle: footprint.bevelAngle,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edges',
+            hardware: 'None',
+            assemblySequence: assemblySequence++
+        });
+        if (cabinet.shelves > 0) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: `Shelf (${deckShape})`,
+            quantity: cabinet.shelves,
+            width: deckWidth,
+            height: deckWidth,
+            thickness: partStock.shelves.actual,
+            material: partStock.shelves.material,
+            stock: partStock.shelves.id,
+            notes: `${deckNotes}, set back 1" from the front`,
+            bevelAngle: footprint.bevelAngle,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edges',
+            hardware: 'Shelf pins (4 per shelf)',
+            assemblySequence: assemblySequence++
+        });
+        }
+        if (typeSpec.hangingRailHeight) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Hanging Rail',
+            quantity: 4,
+            width: cabinet.width - cabinet.thickness * 2,
+            height: typeSpec.hangingRailHeight,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: `Top and bottom of each back, mount at ${cabinet.mountingHeight || 0}" AFF`,
+            grainDirection: 'horizontal',
+            edgebanding: 'none',
+            hardware: 'Cabinet screws into studs',
+            assemblySequence: assemblySequence++
+        });
+        }
+        } else {
+        // box parts - sized for the box and back joinery (see getBoxJoinery)
+        const boxJoinery = getBoxJoinery(cabinet, partStock.back.actual);
+        const betweenSides = cabinet.width - (cabinet.thickness * 2);
+        const topBottomNote = boxJoinery.topBottomMachining.join(' - ');
+        const sideBoring = hingeMachining.sides.map(group => group.label);
+        cutList.push({
+        cabinet: cabinet.name,
+        part: 'Side Panel',
+        quantity: 2,
+        width: cabinet.depth,
+        height: cabinet.height,
+        thickness: partStock.box.actual,
+        material: partStock.box.material,
+        stock: partStock.box.id,
+        notes: ['Full height sides', ...boxJoinery.sideMachining, ...sideBoring].join(' - '),
+        grainDirection: 'vertical',
+        edgebanding: 'front edge',
+        hardware: 'Shelf pins if adjustable',
+        machining: hingeMachining.sides,
+        assemblySequence: assemblySequence++
+        });
+
+        const topBottomWidth = boxJoinery.topBottomWidth;
+
+        // partitions sit in dados across the top and bottom
+        const sections = getCabinetSections(cabinet);
+        const dadoDepth = boxJoinery.settings.dadoDepth;
+        const dadoNote = sections
+            ? ` - ${cabinet.thickness}" x ${dadoDepth}" dado${sections.length > 2 ? 's' : ''} at ${sections.filter(entry => entry.partitionX !== null).map(entry => `${(entry.partitionX - cabinet.thickness).toFixed(3)}"`).join(', ')} from left`
+            : '';
+
+        if (typeSpec.solidTop) {
+        // wall and tall cabinets: solid top panel instead of stretchers
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Top',
+            quantity: 1,
+            width: topBottomWidth,
+            height: cabinet.depth,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: `Between sides - ${topBottomNote}${dadoNote}`,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'None',
+            assemblySequence: assemblySequence++
+        });
+        cutList.push({
+            cabinet: cabinet.name,
+            part: typeSpec.mounted === 'wall' ? 'Finished Bottom' : 'Bottom',
+            quantity: 1,
+            width: topBottomWidth,
+            height: cabinet.depth,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: `${typeSpec.mounted === 'wall' ? 'Exposed underside - good face down' : 'Between sides'} - ${topBottomNote}${dadoNote}`,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'None',
+            assemblySequence: assemblySequence++
+        });
+        } else if (typeSpec.sinkBase) {
+        // sink bases: the bowl drops in from above, so stretchers instead of a top
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Bottom',
+            quantity: 1,
+            width: topBottomWidth,
+            height: cabinet.depth,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: `Between sides - ${topBottomNote} - seal all edges against leaks`,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'None',
+            assemblySequence: assemblySequence++
+        });
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Top Stretchers',
+            quantity: 2,
+            width: topBottomWidth,
+            height: cabinet.thickness * 3,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: 'Front and back - leave the top open for the sink',
+            grainDirection: 'horizontal',
+            edgebanding: 'none',
+            hardware: 'Pocket screws',
+            assemblySequence: assemblySequence++
+        });
+        } else {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Top/Bottom',
+            quantity: 2,
+            width: topBottomWidth,
+            height: cabinet.depth,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: `Between sides - ${topBottomNote}${dadoNote}`,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'None',
+            assemblySequence: assemblySequence++
+        });
+        }
+
+        // wall cabinets hang from rails screwed to the studs
+        if (typeSpec.hangingRailHeight) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Hanging Rail',
+            quantity: 2,
+            width: betweenSides,
+            height: typeSpec.hangingRailHeight,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: `Top and bottom nailers, mount at ${cabinet.mountingHeight || 0}" AFF`,
+            grainDirection: 'horizontal',
+            edgebanding: 'none',
+            hardware: 'Cabinet screws into studs',
+            assemblySequence: assemblySequence++
+        });
+        }
+
+        // tall cabinets: fixed shelf ties the sides together and splits the doors
+        if (typeSpec.splitDoors) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Fixed Mid-Shelf',
+            quantity: 1,
+            width: boxJoinery.topBottomHousing > 0 ? betweenSides + dadoDepth * 2 : betweenSides,
+            height: cabinet.depth - 0.25,
+            thickness: partStock.shelves.actual,
+            material: partStock.shelves.material,
+            stock: partStock.shelves.id,
+            notes: `Fixed, top at ${cabinet.midShelfHeight || cabinet.height / 2}" - ${boxJoinery.topBottomHousing > 0 ? `${dadoDepth}" dados in the sides` : 'screw through the sides'}`,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'Cabinet screws or confirmats',
+            assemblySequence: assemblySequence++
+        });
+        }
+
+        // partitions - housed in the top and bottom dados
+        if (sections) {
+        const boxBottom = typeSpec.allowsToekick && cabinet.toekick ? cabinet.toekickHeight : 0;
+        // hinge plates are laid out from the bottom of the cabinet - move them onto the partition
+        const partitionBottom = boxBottom + cabinet.thickness - dadoDepth;
+        const partitionMachining = Object.values(hingeMachining.partitions).flat().map(group => ({
+            ...group,
+            holes: group.holes.map(hole => ({ x: hole.x, y: hole.y - partitionBottom }))
+        }));
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Partition',
+            quantity: sections.length - 1,
+            width: cabinet.depth - 0.25 - (typeSpec.hangingRailHeight ? cabinet.thickness : 0),
+            height: cabinet.height - boxBottom - cabinet.thickness * 2 + dadoDepth * 2,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: `Vertical divider - fits ${dadoDepth}" dados in top and bottom${typeSpec.hangingRailHeight ? ', stops in front of hanging rails' : ''}`,
+            grainDirection: 'vertical',
+            edgebanding: 'front edge',
+            hardware: 'Glue + screws through top and bottom, shelf pins both faces',
+            ...(partitionMachining.length > 0 ? { machining: partitionMachining } : {}),
+            assemblySequence: assemblySequence++
+        });
+        sections.forEach(entry => {
+            if (!entry.section.shelves) return;
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `Section ${entry.index + 1} Shelf`,
+            quantity: entry.section.shelves,
+            width: entry.clearWidth,
+            height: cabinet.depth - 1,
+            thickness: partStock.shelves.actual,
+            material: partStock.shelves.material,
+            stock: partStock.shelves.id,
+            notes: 'Adjustable',
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'Shelf pins (4 per shelf)',
+            assemblySequence: assemblySequence++
+            });
+        });
+        }
+
+        // shelves - none in a sink base, the plumbing is in the way
+        if (cabinet.shelves > 0 && !typeSpec.sinkBase && !sections) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Shelf',
+            quantity: cabinet.shelves,
+            width: betweenSides,
+            height: cabinet.depth - 1,
+            thickness: partStock.shelves.actual,
+            material: partStock.shelves.material,
+            stock: partStock.shelves.id,
+            notes: 'Adjustable',
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'Shelf pins (4 per shelf)',
+            assemblySequence: assemblySequence++
+        });
+        }
+
+        // back panel - sink bases may have a hole cut for the plumbing
+        const plumbingCutout = getPlumbingCutout(cabinet);
+        if (cabinet.backPanel) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Back Panel',
+            quantity: 1,
+            width: boxJoinery.backWidth,
+            height: boxJoinery.backHeight,
+            thickness: partStock.back.actual,
+            material: partStock.back.material,
+            stock: partStock.back.id,
+            notes: plumbingCutout
+                ? `${boxJoinery.backMachining.join(' - ')} - cut ${plumbingCutout.width}" x ${plumbingCutout.height}" plumbing hole, centered, ${plumbingCutout.bottomY}" up`
+                : boxJoinery.backMachining.join(' - '),
+            grainDirection: 'vertical',
+            edgebanding: 'none',
+            hardware: 'Brad nails or staples',
+            assemblySequence: assemblySequence++
+        });
+        }
+        }
+
+        // face frame - solid wood stiles and rails (see getFaceFrameLayout)
+        const faceFrameSettings = getFaceFrameSettings(cabinet);
+        getFaceFrameParts(cabinet).forEach(({ part, quantity, length, width }) => {
+        const isStile = part.endsWith('Stile');
+        const scribe = part === 'Left Stile' ? faceFrameSettings.scribeLeft : part === 'Right Stile' ? faceFrameSettings.scribeRight : 0;
+        cutList.push({
+            cabinet: cabinet.name,
+            part: `Face Frame ${part}${quantity > 1 ? 's' : ''}`,
+            quantity,
+            width: isStile ? width : length,
+            height: isStile ? length : width,
+            thickness: faceFrameSettings.frameThickness,
+            material: faceFrameSettings.material,
+            notes: scribe > 0
+                ? `Hangs ${decimalToFraction(faceFrameSettings.overhang)} past the box + ${decimalToFraction(scribe)} scribe - trim to the wall`
+                : part === 'Left Stile' || part === 'Right Stile'
+                ? `Hangs ${decimalToFraction(faceFrameSettings.overhang)} past the box side`
+                : (isStile ? 'Fits between the rails' : 'Fits between the stiles'),
+            grainDirection: isStile ? 'vertical' : 'horizontal',
+            edgebanding: 'none (solid wood)',
+            hardware: 'Pocket screws + glue',
+            assemblySequence: assemblySequence++
+        });
+        });
+
+        // drawer parts - each drawer sized to its own slot in the front opening
+        const drawerBoxes = getDrawerBoxes(cabinet, partStock.back.actual);
+        if (cabinet.drawers && cabinet.drawers.length > 0) {
+        getDrawerLayout(cabinet).forEach(({ index: i, frontWidth, frontHeight }) => {
+
+            const drawerStyle = getDoorStyle(cabinet.drawerStyle, doorStyles);
+            if (isFramedStyle(drawerStyle)) {
+            pushFramedFrontParts(cabinet, `Drawer ${i+1}`, 1, frontWidth, frontHeight, drawerStyle, 'Drawer front');
+            } else {
+            cutList.push({
+                cabinet: cabinet.name,
+                part: `Drawer ${i+1} Front`,
+                quantity: 1,
+                width: frontWidth,
+                height: frontHeight,
+                thickness: partStock.fronts.actual,
+                material: partStock.fronts.material,
+                stock: partStock.fronts.id,
+                notes: `${drawerStyle.name}, ${drawerStyle.profile}`,
+                grainDirection: 'vertical',
+                edgebanding: 'all edges',
+                hardware: 'Drawer pull',
+                assemblySequence: assemblySequence++
+            });
+            }
+
+            // drawer box - sized to the slide's clearances, front and back sized for the drawer joinery
+            const box = drawerBoxes[i];
+            const { boxWidth, boxHeight, boxDepth } = box;
+
+            // metal drawer system - steel sides on their runners, cut the bottom and back to the maker's deductions
+            if (box.system) {
+            const panelStock = getStock(box.system.panelStock);
+            const systemParts = getDrawerSystemParts(box);
+            const deductions = DRAWER_SYSTEMS[box.system.id];
+            const sideSize = `${box.height ? box.height.key : box.system.heights[0].key}, ${box.slideLengthMm ? `${box.slideLengthMm}mm` : 'no length fits'}`;
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer Sides (${box.system.name} ${sideSize})`,
+            quantity: 1,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: `Drawer ${i+1} - pair of sides with runners and fixing brackets, ${box.system.loadRating} lb`,
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: box.system.note,
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer ${i+1} Bottom`,
+            quantity: 1,
+            width: systemParts.bottom.width,
+            height: systemParts.bottom.depth,
+            thickness: panelStock.actual,
+            material: panelStock.material,
+            stock: panelStock.id,
+            notes: `LW - ${deductions.bottomWidthDeduction}mm x NL - ${deductions.bottomLengthDeduction}mm`,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'Screws up into the side flanges',
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer ${i+1} Back`,
+            quantity: 1,
+            width: systemParts.back.width,
+            height: systemParts.back.height,
+            thickness: panelStock.actual,
+            material: panelStock.material,
+            stock: panelStock.id,
+            notes: `LW - ${deductions.backWidthDeduction}mm`,
+            grainDirection: 'horizontal',
+            edgebanding: 'top edge only',
+            hardware: 'Back fixing brackets',
+            assemblySequence: assemblySequence++
+            });
+            return;
+            }
+
+            const drawerJoinery = getDrawerBoxJoinery(cabinet, boxWidth, partStock.drawerBox.actual);
+
+            // ordered from a drawer box maker - one line per box, by its outside sizes
+            if (cabinet.drawerBox?.outsourced) {
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer Box, ${drawerJoinery.joint.name} (${decimalToFraction(boxWidth)} W x ${decimalToFraction(boxHeight)} H x ${decimalToFraction(boxDepth)} D)`,
+            quantity: 1,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: `Drawer ${i+1} - ordered, outside sizes, ${partStock.drawerBox.name} sides`,
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: 'Drawer slides mount here',
+            assemblySequence: assemblySequence++
+            });
+            return;
+            }
+
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer ${i+1} Box Sides`,
+            quantity: 2,
+            width: boxDepth,
+            height: boxHeight,
+            thickness: partStock.drawerBox.actual,
+            material: partStock.drawerBox.material,
+            stock: partStock.drawerBox.id,
+            notes: `${partStock.drawerBox.name} sides - ${drawerJoinery.sideMachining}`,
+            grainDirection: 'horizontal',
+            edgebanding: 'top edge only',
+            hardware: 'Drawer slides mount here',
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer ${i+1} Box Front/Back`,
+            quantity: 2,
+            width: drawerJoinery.frontBackWidth,
+            height: boxHeight,
+            thickness: partStock.drawerBox.actual,
+            material: partStock.drawerBox.material,
+            stock: partStock.drawerBox.id,
+            notes: `${partStock.drawerBox.name} F/B - ${drawerJoinery.frontBackMachining}`,
+            grainDirection: 'horizontal',
+            edgebanding: 'top edge only',
+            hardware: drawerJoinery.joint.name,
+            assemblySequence: assemblySequence++
+            });
+            const bottom = getDrawerBottom(cabinet, boxWidth, boxDepth, partStock.drawerBox.actual);
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer ${i+1} Bottom`,
+            quantity: 1,
+            width: bottom.width,
+            height: bottom.depth,
+            thickness: partStock.drawerBottom.actual,
+            material: partStock.drawerBottom.material,
+            stock: partStock.drawerBottom.id,
+            notes: `${partStock.drawerBottom.name} bottom - ${decimalToFraction(partStock.drawerBottom.actual)} x ${decimalToFraction(bottom.groove)} groove in the sides, front and back`,
+            grainDirection: 'horizontal',
+            edgebanding: 'none',
+            hardware: 'Slides in groove',
+            assemblySequence: assemblySequence++
+            });
+        });
+        }
+
+        // interior accessories - each gets its own box parts (see getAccessoryLayout)
+        getAccessoryLayout(cabinet, partStock.back.actual).forEach(entry => {
+        const { label, boxWidth, boxDepth, height, count } = entry;
+        const side = partStock.drawerBox.actual;
+        const type = entry.accessory.type;
+
+        if (type === 'rollOutTray') {
+            const trayJoinery = getDrawerBoxJoinery(cabinet, boxWidth, side);
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Sides`,
+            quantity: 2,
+            width: boxDepth,
+            height: height,
+            thickness: partStock.drawerBox.actual,
+            material: partStock.drawerBox.material,
+            stock: partStock.drawerBox.id,
+            notes: `${partStock.drawerBox.name} sides - ${trayJoinery.sideMachining}`,
+            grainDirection: 'horizontal',
+            edgebanding: 'top edge only',
+            hardware: 'Slides mount here',
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Front/Back`,
+            quantity: 2,
+            width: trayJoinery.frontBackWidth,
+            height: height,
+            thickness: partStock.drawerBox.actual,
+            material: partStock.drawerBox.material,
+            stock: partStock.drawerBox.id,
+            notes: `${partStock.drawerBox.name} F/B - ${trayJoinery.frontBackMachining} - scoop the front for a grip`,
+            grainDirection: 'horizontal',
+            edgebanding: 'top edge only',
+            hardware: trayJoinery.joint.name,
+            assemblySequence: assemblySequence++
+            });
+            const bottom = getDrawerBottom(cabinet, boxWidth, boxDepth, side);
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Bottom`,
+            quantity: 1,
+            width: bottom.width,
+            height: bottom.depth,
+            thickness: partStock.drawerBottom.actual,
+            material: partStock.drawerBottom.material,
+            stock: partStock.drawerBottom.id,
+            notes: `${partStock.drawerBottom.name} bottom - ${decimalToFraction(partStock.drawerBottom.actual)} x ${decimalToFraction(bottom.groove)} groove in the sides, front and back`,
+            grainDirection: 'horizontal',
+            edgebanding: 'none',
+            hardware: 'Slides in groove',
+            assemblySequence: assemblySequence++
+            });
+        }
+
+        if (type === 'pullOutTrash') {
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Base`,
+            quantity: 1,
+            width: boxWidth,
+            height: boxDepth,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: 'Slides mount under the edges',
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'Trash slides',
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Back`,
+            quantity: 1,
+            width: boxWidth,
+            height: height - 0.75,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: 'Stands on the base',
+            grainDirection: 'vertical',
+            edgebanding: 'top edge only',
+            hardware: 'Glue + screws through base',
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Bin Frame`,
+            quantity: 1,
+            width: boxWidth,
+            height: boxDepth - 0.75,
+            thickness: partStock.box.actual,
+            material: partStock.box.material,
+            stock: partStock.box.id,
+            notes: `Cut ${count} bin opening${count !== 1 ? 's' : ''} to fit the bin rims`,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'Screws through back',
+            assemblySequence: assemblySequence++
+            });
+        }
+
+        if (type === 'trayDivider') {
+            const spacing = entry.clearWidth / (count + 1);
+            cutList.push({
+            cabinet: cabinet.name,
+            part: label,
+            quantity: count,
+            width: boxDepth,
+            height: height - 1,
+            thickness: partStock.drawerBox.actual,
+            material: partStock.drawerBox.material,
+            stock: partStock.drawerBox.id,
+            notes: `Fits 1/4" dados in the cleats, ${spacing.toFixed(2)}" on center`,
+            grainDirection: 'vertical',
+            edgebanding: 'front edge',
+            hardware: 'None',
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Cleats`,
+            quantity: 2,
+            width: entry.clearWidth,
+            height: 1.5,
+            thickness: 0.75,
+            material: 'hardwood',
+            notes: `Top and bottom - ${count} dados, 1/4" deep`,
+            grainDirection: 'horizontal',
+            edgebanding: 'none',
+            hardware: 'Screws into cabinet sides',
+            assemblySequence: assemblySequence++
+            });
+        }
+
+        if (type === 'spicePullOut') {
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Sides`,
+            quantity: 2,
+            width: boxDepth,
+            height: height,
+            thickness: partStock.drawerBox.actual,
+            material: partStock.drawerBox.material,
+            stock: partStock.drawerBox.id,
+            notes: `${partStock.drawerBox.name} sides`,
+            grainDirection: 'vertical',
+            edgebanding: 'front edge',
+            hardware: 'Slides mount here',
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Top/Bottom`,
+            quantity: 2,
+            width: boxWidth - side * 2,
+            height: boxDepth,
+            thickness: partStock.drawerBox.actual,
+            material: partStock.drawerBox.material,
+            stock: partStock.drawerBox.id,
+            notes: 'Between the sides',
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'Glue + brads',
+            assemblySequence: assemblySequence++
+            });
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Shelves`,
+            quantity: count,
+            width: boxWidth - side * 2,
+            height: boxDepth,
+            thickness: partStock.drawerBox.actual,
+            material: partStock.drawerBox.material,
+            stock: partStock.drawerBox.id,
+            notes: `Fixed, ${(height / (count + 1)).toFixed(2)}" apart`,
+            grainDirection: 'horizontal',
+            edgebanding: 'front edge',
+            hardware: 'Glue + brads',
+            assemblySequence: assemblySequence++
+            });
+        }
+
+        if (entry.spacer > 0) {
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Hinge Spacers`,
+            quantity: 2,
+            width: boxDepth,
+            height: Math.min(height, DRAWER_BOX.frontBackHeight),
+            thickness: entry.spacer,
+            material: 'hardwood',
+            notes: 'Brings the slides in past the door hinges',
+            grainDirection: 'horizontal',
+            edgebanding: 'none',
+            hardware: 'Screws into cabinet sides',
+            assemblySequence: assemblySequence++
+            });
+        }
+
+        if (entry.slide) {
+            const { slide, slideLength } = entry;
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Slides (${slide.type}${slideLength ? ` ${slideLength}"` : ''})`,
+            quantity: 2,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: slideLength
+                ? `${slide.manufacturer}, ${slideLength}" pair, ${slide.loadRating} lb`
+                : `No ${slide.type} slide fits ${decimalToFraction(entry.clearDepth)} deep`,
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: entry.spacer > 0 ? 'Mount on the hinge spacers' : 'Mount on the cabinet sides',
+            assemblySequence: assemblySequence++
+            });
+        }
+
+        if (type === 'pullOutTrash') {
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${label} Bins`,
+            quantity: count,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: entry.spec.binSize,
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: 'Rims hang in the bin frame',
+            assemblySequence: assemblySequence++
+            });
+        }
+        });
+
+        // door parts - one set per bank (tall cabinets have upper and lower doors)
+        getDoorBanks(cabinet).forEach(bank => {
+        const { doorWidth, doorHeight, doorCount } = bank;
+        const prefix = bank.label ? `${bank.label} ` : '';
+
+        const doorStyle = getDoorStyle(cabinet.doorStyle, doorStyles);
+        const hingesPerDoor = hingeLayout.doors.find(door => door.bank.key === bank.key).count;
+        if (isFramedStyle(doorStyle)) {
+            pushFramedFrontParts(cabinet, `${prefix}Door`, doorCount, doorWidth, doorHeight, doorStyle, 'Door', hingeMachining.doors[bank.key]);
+        } else {
+            cutList.push({
+            cabinet: cabinet.name,
+            part: `${prefix}Door`,
+            quantity: doorCount,
+            width: doorWidth,
+            height: doorHeight,
+            thickness: partStock.fronts.actual,
+            material: partStock.fronts.material,
+            stock: partStock.fronts.id,
+            notes: `${doorStyle.name}, ${doorStyle.profile} - ${hingesPerDoor} x ${HINGE_BORING.cupDiameterMm}mm hinge cups per door`,
+            grainDirection: 'vertical',
+            edgebanding: 'all edges',
+            hardware: `Hinges (${hingesPerDoor} per door) + pull`,
+            machining: hingeMachining.doors[bank.key],
+            assemblySequence: assemblySequence++
+            });
+        }
+        });
+
+        // sink base false fronts - drawer style fronts with no box behind them
+        const falseFronts = getSinkFalseFronts(cabinet);
+        if (falseFronts) {
+        const { frontWidth, frontHeight, count } = falseFronts;
+        const styleNote = falseFronts.style === 'tiltOut' ? 'Tilt-out' : 'Fixed - screw from inside';
+
+        const frontStyle = getDoorStyle(cabinet.drawerStyle, doorStyles);
+        if (isFramedStyle(frontStyle)) {
+            pushFramedFrontParts(cabinet, 'False Front', count, frontWidth, frontHeight, frontStyle, styleNote);
+        } else {
+            cutList.push({
+            cabinet: cabinet.name,
+            part: 'False Front',
+            quantity: count,
+            width: frontWidth,
+            height: frontHeight,
+            thickness: partStock.fronts.actual,
+            material: partStock.fronts.material,
+            stock: partStock.fronts.id,
+            notes: `${styleNote}, ${frontStyle.name}`,
+            grainDirection: 'vertical',
+            edgebanding: 'all edges',
+            hardware: falseFronts.style === 'tiltOut' ? 'Tilt-out hinges + pull' : 'Screws from inside',
+            assemblySequence: assemblySequence++
+            });
+        }
+
+        if (falseFronts.style === 'tiltOut') {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Tilt-Out Hinges',
+            quantity: count * 2,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: '1 pair per false front',
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: 'Pivot at bottom edge, mount to sides',
+            assemblySequence: assemblySequence++
+        });
+        cutList.push({
+            cabinet: cabinet.name,
+            part: `False Front Pulls (${getPullLabel(pull)})`,
+            quantity: pullCounts.falseFront,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: pullCounts.falseFront > count ? '2 per tilt-out' : '1 per tilt-out',
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: `${PULL_PLACEMENTS.drawer[pullPlacement.drawer].name}, ${pullDrilling}`,
+            assemblySequence: assemblySequence++
+        });
+        }
+        }
+
+        // blind corner - dead panel on the covered end and the filler for the adjoining run
+        const blind = getBlindCornerLayout(cabinet);
+        if (blind) {
+        const frontHeight = cabinet.height - (typeSpec.allowsToekick && cabinet.toekick ? cabinet.toekickHeight : 0) - 1;
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Blind Panel',
+            quantity: 1,
+            width: blind.deadPanelWidth,
+            height: frontHeight,
+            thickness: partStock.fronts.actual,
+            material: partStock.fronts.material,
+            stock: partStock.fronts.id,
+            notes: `Dead front, ${blind.side} end - screw from inside`,
+            grainDirection: 'vertical',
+            edgebanding: 'all edges',
+            hardware: 'Screws from inside box',
+            assemblySequence: assemblySequence++
+        });
+        if (blind.fillerWidth > 0) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Corner Filler',
+            quantity: 1,
+            width: blind.fillerWidth,
+            height: frontHeight,
+            thickness: partStock.fronts.actual,
+            material: partStock.fronts.material,
+            stock: partStock.fronts.id,
+            notes: `Mount on adjoining run, butts blind face (pulled ${blind.pullOutDistance}" off wall)`,
+            grainDirection: 'vertical',
+            edgebanding: 'front edge',
+            hardware: 'Screws through face frame or side',
+            assemblySequence: assemblySequence++
+        });
+        }
+        }
+
+        // hardware - only one leaf of a bi-fold pair hangs on the box
+        const totalDoors = getTotalDoorCount(cabinet);
+        const hungHinges = hingeLayout.doors.filter(door => door.member?.kind !== 'leaf');
+        const leafHinges = hingeLayout.doors.filter(door => door.member?.kind === 'leaf');
+        // "2 per door", or "2 each on 2 doors, 3 each on 1 door" when the doors differ
+        const hingeNote = (doors, unit) => {
+            const counts = [...new Set(doors.map(door => door.count))].sort((a, b) => a - b);
+            if (counts.length === 1) return `${counts[0]} per ${unit}`;
+            return counts.map(count => {
+                const n = doors.filter(door => door.count === count).length;
+                return `${count} each on ${n} ${unit}${n !== 1 ? 's' : ''}`;
+            }).join(', ');
+        };
+        if (totalDoors > 0) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: `Hinges (${cabinet.hardware.hinges})`,
+            quantity: hungHinges.reduce((sum, door) => sum + door.count, 0),
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: hingeNote(hungHinges, 'door'),
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: hingeLayout.lines
+                ? `Centers ${HINGE_BORING.edgeDistance}" from top/bottom, moved onto the 32mm line`
+                : `Centers ${HINGE_BORING.edgeDistance}" from top/bottom`,
+            assemblySequence: assemblySequence++
+        });
+        cutList.push({
+            cabinet: cabinet.name,
+            part: `Door Pulls (${getPullLabel(pull)})`,
+            quantity: pullCounts.door,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: typeSpec.biFold ? '1 per bi-fold pair' : '1 per door',
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: `${PULL_PLACEMENTS.door[pullPlacement.door].name}, ${pullDrilling}`,
+            assemblySequence: assemblySequence++
+        });
+        }
+
+        if (typeSpec.biFold && totalDoors > 0) {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: 'Bi-Fold Hinges',
+            quantity: leafHinges.reduce((sum, door) => sum + door.count, 0),
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: hingeNote(leafHinges, 'bi-fold pair'),
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: 'Join the two door leaves',
+            assemblySequence: assemblySequence++
+        });
+        }
+
+        if (footprint && footprint.shape === 'lShape') {
+        cutList.push({
+            cabinet: cabinet.name,
+            part: `Lazy Susan Set (${cabinet.turntableType || 'Kidney 28"'})`,
+            quantity: 1,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: '2 tiers, pole and bearings',
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: 'Pole centered in the corner, notch toward the doors',
+            assemblySequence: assemblySequence++
+        });
+        }
+
+        if (drawerBoxes.length > 0) {
+        const { slide, slideLength, system } = drawerBoxes[0];
+        // metal drawer systems come with their runners (see the Drawer Sides rows)
+        if (!system) cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer Slides (${slide.type}${slideLength ? ` ${slideLength}"` : ''})`,
+            quantity: drawerBoxes.length * 2,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: slideLength
+                ? `${slide.manufacturer}, ${slideLength}" pair/drawer, ${slide.loadRating} lb`
+                : `No ${slide.type} slide fits ${decimalToFraction(drawerBoxes[0].clearDepth)} deep`,
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: slide.note,
+            assemblySequence: assemblySequence++
+        });
+        cutList.push({
+            cabinet: cabinet.name,
+            part: `Drawer Pulls (${getPullLabel(pull)})`,
+            quantity: pullCounts.drawer,
+            width: 0,
+            height: 0,
+            thickness: 0,
+            material: 'hardware',
+            notes: pullCounts.drawer > cabinet.drawers.length ? `2 on fronts ${PULL_RULES.twoPullWidth}" and wider` : '1 per drawer',
+            grainDirection: 'n/a',
+            edgebanding: 'n/a',
+            hardware: `${PULL_PLACEMENTS.drawer[pullPlacement.drawer].name}, ${pullDrilling}`,
+            assemblySequence: assemblySequence++
+        });
+        }
+
+        const sku = getCabinetSku(cabinet);
+        cutList.slice(firstRow).forEach(row => {
+            row.sku = sku;
+        });
+    });
+
+    return cutList;
+}
+
+/**
+ * calculateMaterials - Sheet goods and solid wood needed, and what they cost
+ *
+ * Sheet parts group by the stock they're cut from and are priced by that
+ * stock (see getSheetPrice), solid wood by material. Glass and hardware
+ * rows are left out.
+ *
+ * @param {Array} cutList - From generateCutList
+ * @param {Object} materialCosts - Price per sheet for each material, or stock id
+ * @returns {Object} - Keyed by stock id (or material): { name, material, area (sq ft),
+ *   sheets, costPerSheet, cost }
+ */
+function calculateMaterials(cutList, materialCosts = DEFAULT_MATERIAL_COSTS) {
+    const materialUsage = {};
+
+    // sheet parts group by the stock they're cut from, solid wood by material
+    cutList.forEach(item => {
+        if (item.material === 'hardware' || item.material === 'glass') return;
+
+        const key = item.stock || item.material;
+        const area = (item.width * item.height * item.quantity) / 144;
+
+        if (!materialUsage[key]) {
+            materialUsage[key] = { name: getStockLabel(item), material: item.material, area: 0, sheets: 0, costPerSheet: getSheetPrice(item, materialCosts), cost: 0 };
+        }
+        materialUsage[key].area += area;
+    });
+
+    Object.values(materialUsage).forEach(usage => {
+        usage.sheets = Math.ceil(usage.area / SHEET_AREA_SQFT);
+        usage.cost = usage.sheets * usage.costPerSheet;
+    });
+
+    return materialUsage;
+}
+
+/**
+ * generateSheetOptimization - Parts grouped onto 4x8 sheets
+ *
+ * Adds 10% to the part area for saw kerf and edge trimming.
+ *
+ * @param {Array} cutList - From generateCutList
+ * @returns {Object} - Keyed by stock id: { name, material, thickness, nominal, parts,
+ *   totalArea (sq in), sheetsNeeded, wastePercent }. Parts are largest first.
+ */
+function generateSheetOptimization(cutList) {
+    const sheetSize = { width: 96, height: 48 }; // 4x8 sheet in inches
+    const sheetArea = sheetSize.width * sheetSize.height; // 4608 sq in
+    
+    // Group parts by the sheet stock they're cut from (material and thickness for anything else)
+    const partsByMaterial = {};
+    
+    cutList.forEach(item => {
+        if (item.material === 'hardware' || item.material === 'glass' || item.width === 0 || item.height === 0) return;
+        
+        const stock = getStock(item.stock);
+        const key = stock ? stock.id : `${item.material}-${item.thickness}`;
+        if (!partsByMaterial[key]) {
+            partsByMaterial[key] = {
+                name: stock ? stock.name : item.material,
+                material: item.material,
+                thickness: item.thickness,
+                nominal: stock ? stock.nominal : item.thickness,
+                parts: [],
+                totalArea: 0,
+                sheetsNeeded: 0,
+                wastePercent: 0
+            };
+        }
+        
+        for (let i = 0; i < item.quantity; i++) {
+            const partArea = item.width * item.height;
+            partsByMaterial[key].parts.push({
+                name: item.part,
+                cabinet: item.cabinet,
+                width: item.width,
+                height: item.height,
+                area: partArea
+            });
+            partsByMaterial[key].totalArea += partArea;
+        }
+    });
+    
+    // Calculate sheets needed for each material/thickness combination
+    Object.values(partsByMaterial).forEach(group => {
+        // Add 10% waste factor for saw kerf and edge trimming
+        const adjustedArea = group.totalArea * 1.1;
+        group.sheetsNeeded = Math.ceil(adjustedArea / sheetArea);
+        group.wastePercent = ((group.sheetsNeeded * sheetArea - group.totalArea) / (group.sheetsNeeded * sheetArea) * 100).toFixed(1);
+        
+        // Sort parts by area (largest first) for better visualization
+        group.parts.sort((a, b) => b.area - a.area);
+    });
+    
+    return partsByMaterial;
+}
+
+/**
+ * getHardwareList - The hardware rows of a cut list, totalled
+ *
+ * @param {Array} cutList - From generateCutList
+ * @returns {Array} - [{ part, quantity, cabinets }] in the order first needed
+ */
+function getHardwareList(cutList) {
+    const hardware = {};
+    cutList.forEach(item => {
+        if (item.material !== 'hardware') return;
+        if (!hardware[item.part]) {
+            hardware[item.part] = { part: item.part, quantity: 0, cabinets: [] };
+        }
+        hardware[item.part].quantity += item.quantity;
+        if (!hardware[item.part].cabinets.includes(item.cabinet)) {
+            hardware[item.part].cabinets.push(item.cabinet);
+        }
+    });
+    return Object.values(hardware);
+}
+
+/**
+ * getFrontSizes - Finished sizes of a cabinet's doors, drawer fronts and false fronts
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { cabinet, doors: [{ label, count, width, height }],
+ *   drawers: [{ width, height }], falseFronts: { count, width, height } or null }
+ */
+function getFrontSizes(cabinet) {
+    const falseFronts = getSinkFalseFronts(cabinet);
+    return {
+        cabinet: cabinet.name,
+        doors: getDoorBanks(cabinet).map(bank => ({
+            label: bank.label,
+            count: bank.doorCount,
+            width: bank.doorWidth,
+            height: bank.doorHeight
+        })),
+        drawers: getDrawerLayout(cabinet).map(({ frontWidth, frontHeight }) => ({ width: frontWidth, height: frontHeight })),
+        falseFronts: falseFronts
+            ? { count: falseFronts.count, width: falseFronts.frontWidth, height: falseFronts.frontHeight }
+            : null
+    };
+}
+
+/**
+ * calculatePricing - Material, labor and total price for a project
+ *
+ * @param {Object} materials - From calculateMaterials
+ * @param {number} cabinetCount - Number of cabinets in the project
+ * @param {number} laborRate - Labor rate ($/hour)
+ * @returns {Object} - { materialCost, laborHours, laborCost, total }
+ */
+function calculatePricing(materials, cabinetCount, laborRate = DEFAULT_LABOR_RATE) {
+    const materialCost = Object.values(materials).reduce((sum, data) => sum + data.cost, 0);
+    const laborHours = cabinetCount * LABOR_HOURS_PER_CABINET;
+    const laborCost = laborHours * laborRate;
+    return { materialCost, laborHours, laborCost, total: materialCost + laborCost };
+}
+
+/**
+ * runDesignEngine - Everything the shop needs for a project
+ *
+ * @param {Object} project - Project JSON: { name, cabinets, doorStyles, materialCosts, laborRate, variables, countertops }
+ * @returns {Object} - { name, schedule, parts, hardware, materials, sheets, fronts, countertops, trim, pricing }
+ *   schedule lists each cabinet for the quote: { cabinet, sku, width, height, depth }
+ *   countertops are fabrication summaries (see getCountertopFabrication), without the layout geometry
+ *   trim is the footage per kind (see getTrimSummary), without the run geometry
+ */
+function runDesignEngine(project) {
+    // Saved files may be from an older version of the app
+    const { name, doorStyles, materialCosts, laborRate, ...saved } = deserializeProject(project);
+    const { cabinets } = resolveProjectExpressions(saved.cabinets, saved.variables);
+
+    const parts = generateCutList(cabinets, doorStyles);
+    const materials = calculateMaterials(parts, materialCosts);
+
+    return {
+        name,
+        schedule: cabinets.map(cabinet => ({
+            cabinet: cabinet.name,
+            sku: getCabinetSku(cabinet),
+            width: cabinet.width,
+            height: cabinet.height,
+            depth: cabinet.depth
+        })),
+        parts,
+        hardware: getHardwareList(parts),
+        materials,
+        sheets: generateSheetOptimization(parts),
+        fronts: cabinets.map(getFrontSizes),
+        countertops: saved.countertops.map(countertop => {
+            const { layout, ...fabrication } = getCountertopFabrication(countertop, cabinets);
+            return fabrication;
+        }),
+        trim: getTrimSummary(cabinets).map(({ runs, ...totals }) => ({ ...totals, runs: runs.length })),
+        pricing: calculatePricing(materials, cabinets.length, laborRate)
+    };
+}
+
+// Under Node there is no index.html to load the other modules, so load them
+// into the global scope here - the functions above find them the same way
+// they do in the browser.
+if (typeof module !== 'undefined' && module.exports) {
+    const fs = require('fs');
+    const path = require('path');
+    const vm = require('vm');
+
+    ['measurements.js', 'constants.js', 'cabinetLayout.js', 'doorStyleLibrary.js', 'stockCatalog.js', 'cabinetModel.js', 'expressions.js',
+        'validation.js', 'cabinetCatalog.js', 'countertops.js', 'trimRuns.js', 'pullLayout.js'].forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+
+    module.exports = {
+        calculateOptimalDrawerHeights,
+        getOptimalDrawerStack,
+        generateCutList,
+        calculateMaterials,
+        generateSheetOptimization,
+        getHardwareList,
+        getFrontSizes,
+        calculatePricing,
+        runDesignEngine
+    };
+
+    // node designEngine.js [--json] project.json ... - batch-process saved project files
+    if (require.main === module) {
+        const args = process.argv.slice(2);
+        const asJson = args.includes('--json');
+        const files = args.filter(arg => arg !== '--json');
+
+        if (files.length === 0) {
+            console.error('Usage: node designEngine.js [--json] project.json ...');
+            process.exit(1);
+        }
+
+        files.forEach(file => {
+            const result = runDesignEngine(JSON.parse(fs.readFileSync(file, 'utf8')));
+            if (asJson) {
+                console.log(JSON.stringify({ file, ...result }, null, 2));
+                return;
+            }
+            console.log(`${file}: ${result.name}`);
+            console.log(`  ${result.fronts.length} cabinets (${result.schedule.map(row => row.sku).join(', ')}), ${result.parts.length} cut list rows`);
+            Object.values(result.materials).forEach(data => {
+                console.log(`  ${data.name}: ${data.area.toFixed(1)} sq ft, ${data.sheets} sheets, $${data.cost.toFixed(2)}`);
+            });
+            result.hardware.forEach(item => console.log(`  ${item.part}: ${item.quantity}`));
+            result.countertops.forEach(top => {
+                console.log(`  ${top.name}: ${top.material}, ${top.pieces.length} pieces, ${top.totals.squareFeet.toFixed(1)} sq ft`);
+                top.warnings.forEach(warning => console.log(`    ${warning}`));
+            });
+            result.trim.forEach(trim => {
+                console.log(`  ${trim.name}: ${trim.linearFeet.toFixed(1)} ft (${trim.allowanceFeet.toFixed(1)} ft with miters), ${trim.sticks} x ${trim.stockLength / 12}' sticks`);
+            });
+            console.log(`  Materials $${result.pricing.materialCost.toFixed(2)} + labor $${result.pricing.laborCost.toFixed(2)} (${result.pricing.laborHours} h) = $${result.pricing.total.toFixed(2)}`);
+        });
+    }
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// calculateOptimalDrawerHeights, getOptimalDrawerStack, generateCutList, calculateMaterials,
+// generateSheetOptimization, getHardwareList, getFrontSizes, calculatePricing, runDesignEngine
@@ -0,0 +1,139 @@
+/*
+ * ========================================
+ * DOOR STYLE LIBRARY MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * Each project keeps its own door style library - the shop's rail and stile
+ * sizes, panel type, profile and panel clearance. This file looks styles up
+ * and works out the frame and panel parts of a door from its style, so the
+ * 3D view, the cut list and the shop drawings all build the same door.
+ *
+ * WHAT IT DOES:
+ * - Finds a style in the library by id (falls back to the first style)
+ * - Sizes the stiles, rails and panel of a framed door
+ * - Makes new styles for the library and checks a style makes sense
+ *
+ * DOOR FRAME EXPLAINED (cope and stick):
+ *
+ *   +--+-------------------+--+
+ *   |  |     top rail      |  |
+ *   |  +-------------------+  |
+ *   |S |                   | S|   S = stile (full door height)
+ *   |  |      panel        |  |
+ *   |  |                   |  |
+ *   |  +-------------------+  |
+ *   |  |    bottom rail    |  |
+ *   +--+-------------------+--+
+ *
+ * - Stiles run the full height of the door
+ * - Rails fit between the stiles, plus a stub tenon (grooveDepth) into each stile
+ * - The panel fills the opening plus the groove on every edge, less the
+ *   panel clearance on every edge
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (PANEL_TYPES, DEFAULT_DOOR_STYLES)
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (3D doors, cut list and the door style library editor)
+ * - printExport.js (shop drawings)
+ */
+
+/**
+ * getDoorStyle - Find a style in the project's door style library
+ *
+ * Cabinets store the style id. If the id isn't in the library (the style was
+ * deleted, or the project is older than the library) the first style is used.
+ *
+ * @param {string} styleId - The style id stored on the cabinet (doorStyle or drawerStyle)
+ * @param {Array} doorStyles - The project's door style library
+ * @returns {Object} - The door style
+ */
+function getDoorStyle(styleId, doorStyles = DEFAULT_DOOR_STYLES) {
+    const library = doorStyles && doorStyles.length > 0 ? doorStyles : DEFAULT_DOOR_STYLES;
+    return library.find(style => style.id === styleId) || library[0];
+}
+
+/**
+ * isFramedStyle - Whether doors in this style are built from rails, stiles and a panel
+ *
+ * @param {Object} style - A door style
+ * @returns {boolean}
+ */
+function isFramedStyle(style) {
+    return !!(PANEL_TYPES[style.panelType] || PANEL_TYPES.slab).framed;
+}
+
+/**
+ * getDoorFrameParts - Frame and panel sizes for one door or drawer front
+ *
+ * @param {Object} style - A door style
+ * @param {number} width - Finished width of the door
+ * @param {number} height - Finished height of the door
+ * @returns {Object|null} - { stileWidth, stileLength, topRailWidth, bottomRailWidth,
+ *   railLength, openingWidth, openingHeight, panelWidth, panelHeight, panelThickness }
+ *   or null for slab styles. The opening is the visible panel area between the frame pieces.
+ */
+function getDoorFrameParts(style, width, height) {
+    if (!isFramedStyle(style)) return null;
+
+    const openingWidth = Math.max(0, width - style.stileWidth * 2);
+    const openingHeight = Math.max(0, height - style.topRailWidth - style.bottomRailWidth);
+    const panelOversize = (style.grooveDepth - style.panelClearance) * 2;
+
+    return {
+        stileWidth: style.stileWidth,
+        stileLength: height,
+        topRailWidth: style.topRailWidth,
+        bottomRailWidth: style.bottomRailWidth,
+        railLength: openingWidth + style.grooveDepth * 2,
+        openingWidth,
+        openingHeight,
+        panelWidth: Math.max(0, openingWidth + panelOversize),
+        panelHeight: Math.max(0, openingHeight + panelOversize),
+        panelThickness: style.panelThickness
+    };
+}
+
+/**
+ * createDoorStyle - A new style for the library, copied from an existing one
+ *
+ * @param {Array} doorStyles - The project's door style library
+ * @param {Object} baseStyle - Style to copy (defaults to the first style)
+ * @returns {Object} - The new style with its own id and a "(copy)" name
+ */
+function createDoorStyle(doorStyles, baseStyle = doorStyles[0] || DEFAULT_DOOR_STYLES[0]) {
+    const ids = doorStyles.map(style => style.id);
+    let id = `style-${Date.now()}`;
+    while (ids.includes(id)) id += '-1';
+    return { ...baseStyle, id, name: `${baseStyle.name} (copy)` };
+}
+
+/**
+ * validateDoorStyle - Checks that a style can be built
+ *
+ * @param {Object} style - A door style
+ * @returns {Array} - Warning messages (empty when the style is fine)
+ */
+function validateDoorStyle(style) {
+    const warnings = [];
+    if (!style.name || !style.name.trim()) {
+        warnings.push('⚠️ Style needs a name.');
+    }
+    if (!isFramedStyle(style)) return warnings;
+
+    if (style.stileWidth <= 0 || style.topRailWidth <= 0 || style.bottomRailWidth <= 0) {
+        warnings.push(`⚠️ ${style.name}: Rails and stiles must be wider than 0".`);
+    }
+    if (style.panelClearance < 0 || style.panelClearance >= style.grooveDepth) {
+        warnings.push(`⚠️ ${style.name}: Panel clearance (${style.panelClearance}") must be less than the groove depth (${style.grooveDepth}").`);
+    }
+    if (style.panelThickness <= 0 || style.panelThickness >= 0.75) {
+        warnings.push(`⚠️ ${style.name}: Panel thickness (${style.panelThickness}") must be thinner than the 3/4" frame.`);
+    }
+    return warnings;
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// getDoorStyle, isFramedStyle, getDoorFrameParts, createDoorStyle, validateDoorStyle
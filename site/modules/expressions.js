@@ -0,0 +1,386 @@
+/*
+ * ========================================
+ * EXPRESSIONS MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * Lets a dimension be a formula instead of a number. Type "=" first and the
+ * field is worked out from project variables and other cabinets, and it
+ * follows them when they change:
+ *
+ *   = ceilingHeight - 54 - crownHeight       (project variables)
+ *   = (runLength - 3) / 4                    (four equal cabinets in a run)
+ *   = Cabinet 2.width                        (match another cabinet)
+ *   = (height - toekickHeight) / 4           (this cabinet's own fields)
+ *
+ * WHAT IT DOES:
+ * - Works out the value of an expression (evaluateExpression)
+ * - Re-works every expression in a project - project variables, cabinet
+ *   fields and drawer heights - and catches circular references
+ *   (resolveProjectExpressions)
+ * - Sets a cabinet or drawer dimension from what was typed, keeping the
+ *   expression when there is one (setCabinetDimension, setDrawerDimension)
+ *
+ * WHAT AN EXPRESSION CAN USE:
+ * - Numbers, including fractions the way they're typed anywhere else
+ *   ("36 3/4", "3/4", 12.5 - inch marks are ignored)
+ * - + - * / and parentheses
+ * - min(a, b, ...), max(a, b, ...), round(x), floor(x), ceil(x), abs(x)
+ * - Project variable names (letters, digits and _, starting with a letter)
+ * - Another cabinet's number fields: Cabinet Name.field
+ * - Any number field of the cabinet the expression is on, by its name,
+ *   when no project variable has that name
+ *
+ * WHERE EXPRESSIONS ARE KEPT:
+ * - cabinet.expressions = { width: '= runLength / 4', ... }
+ * - drawer.expressions = { height: '= ...' }
+ * - project variables: { ceilingHeight: '96', crownHeight: '= 3 1/2' }
+ * The number fields (cabinet.width, drawer.height) always hold the last
+ * worked-out value, so everything else in the app just reads numbers.
+ *
+ * DEPENDENCIES (what this file needs):
+ * - measurements.js (parseFraction)
+ * - cabinetModel.js (setCabinetProperty, updateCabinetDrawer - worked-out
+ *   values follow the same rules as typed ones)
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (dimension inputs, project variables panel, re-working values)
+ * - designEngine.js (project files with expressions, including under Node)
+ */
+
+// Functions an expression can call
+const EXPRESSION_FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    abs: Math.abs
+};
+
+/**
+ * isExpression - Whether typed text is an expression (starts with "=")
+ *
+ * @param {*} text - What was typed
+ * @returns {boolean}
+ */
+function isExpression(text) {
+    return typeof text === 'string' && text.trim().startsWith('=');
+}
+
+/**
+ * isVariableName - Whether a name can be used as a project variable
+ *
+ * @param {string} name - The variable name
+ * @returns {boolean}
+ */
+function isVariableName(name) {
+    return /^[A-Za-z_]\w*$/.test(name) && !EXPRESSION_FUNCTIONS[name];
+}
+
+/**
+ * evaluateExpression - The value of an expression
+ *
+ * @param {string} text - The expression, with or without the leading "="
+ *   (a plain number like "36 3/4" works too)
+ * @param {Function} lookup - lookup(name) for a variable, lookup(cabinetName, field)
+ *   for a cabinet reference - returns the number or throws
+ * @returns {number} - The value
+ * @throws {Error} - With a message for the user when the expression is wrong
+ */
+function evaluateExpression(text, lookup) {
+    const source = String(text).trim().replace(/^=/, '').replace(/"/g, '');
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+    };
+    const rest = () => source.slice(pos);
+    const fail = message => {
+        throw new Error(message);
+    };
+
+    const parseSum = () => {
+        let value = parseProduct();
+        skipSpace();
+        while (source[pos] === '+' || source[pos] === '-') {
+            const op = source[pos++];
+            const right = parseProduct();
+            value = op === '+' ? value + right : value - right;
+            skipSpace();
+        }
+        return value;
+    };
+
+    const parseProduct = () => {
+        let value = parseUnary();
+        skipSpace();
+        while (source[pos] === '*' || source[pos] === '/') {
+            const op = source[pos++];
+            const right = parseUnary();
+            if (op === '/' && right === 0) fail('Division by zero');
+            value = op === '*' ? value * right : value / right;
+            skipSpace();
+        }
+        return value;
+    };
+
+    const parseUnary = () => {
+        skipSpace();
+        if (source[pos] === '-') {
+            pos++;
+            return -parseUnary();
+        }
+        if (source[pos] === '+') {
+            pos++;
+            return parseUnary();
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        skipSpace();
+        if (pos >= source.length) fail('Expression is incomplete');
+
+        // Parentheses
+        if (source[pos] === '(') {
+            pos++;
+            const value = parseSum();
+            skipSpace();
+            if (source[pos] !== ')') fail('Missing )');
+            pos++;
+            return value;
+        }
+
+        // Numbers - a mixed fraction like "36 3/4" is one number
+        const mixed = rest().match(/^\d+\s+\d+\/\d+/);
+        if (mixed) {
+            pos += mixed[0].length;
+            return parseFraction(mixed[0]);
+        }
+        const number = rest().match(/^(\d+\.?\d*|\.\d+)/);
+        if (number) {
+            pos += number[0].length;
+            return parseFloat(number[0]);
+        }
+
+        // Another cabinet's field: "Cabinet 2.width" (names can have spaces)
+        const reference = rest().match(/^([A-Za-z_][\w ]*?)\s*\.\s*([A-Za-z_]\w*)/);
+        if (reference) {
+            pos += reference[0].length;
+            return lookup(reference[1].trim(), reference[2]);
+        }
+
+        // Variables and functions
+        const name = rest().match(/^[A-Za-z_]\w*/);
+        if (name) {
+            pos += name[0].length;
+            skipSpace();
+            if (source[pos] !== '(') return lookup(name[0]);
+
+            const fn = EXPRESSION_FUNCTIONS[name[0]];
+            if (!fn) fail(`Unknown function "${name[0]}"`);
+            pos++;
+            const args = [parseSum()];
+            skipSpace();
+            while (source[pos] === ',') {
+                pos++;
+                args.push(parseSum());
+                skipSpace();
+            }
+            if (source[pos] !== ')') fail('Missing )');
+            pos++;
+            return fn(...args);
+        }
+
+        return fail(`Unexpected "${source[pos]}"`);
+    };
+
+    const value = parseSum();
+    skipSpace();
+    if (pos < source.length) fail(`Unexpected "${source[pos]}"`);
+    if (!Number.isFinite(value)) fail('Expression is not a number');
+    return value;
+}
+
+/**
+ * resolveProjectExpressions - Works out every expression in a project
+ *
+ * Expressions can read each other in any order; each is worked out once.
+ * One that leads back to itself (a = b, b = a) is a circular reference and
+ * gets an error instead of a value. A worked-out value the cabinet can't
+ * take (doors that don't fit, a drawer taller than the box) is an error too
+ * and the field keeps its last value.
+ *
+ * @param {Array} cabinets - The project's cabinets
+ * @param {Object} variables - Project variables { name: text }
+ * @returns {Object} - {
+ *     cabinets: with the worked-out values filled in (the same array when nothing changed),
+ *     variables: { name: value },
+ *     errors: { key: message } - keys are "var:name", "cabinetId:field" and
+ *       "cabinetId:drawer:drawerId:height"
+ *   }
+ */
+function resolveProjectExpressions(cabinets, variables = {}) {
+    const values = {};
+    const errors = {};
+    const visiting = [];
+
+    const findCabinet = name => cabinets.find(c => String(c.name || '').trim().toLowerCase() === name.toLowerCase());
+
+    // Work out one expression, watching for one that leads back to itself
+    const evaluateNode = (key, label, text, lookup) => {
+        if (key in values) return values[key];
+        const cycleStart = visiting.findIndex(entry => entry.key === key);
+        if (cycleStart >= 0) {
+            const path = [...visiting.slice(cycleStart).map(entry => entry.label), label];
+            throw new Error(`Circular reference: ${path.join(' → ')}`);
+        }
+        visiting.push({ key, label });
+        try {
+            values[key] = evaluateExpression(text, lookup);
+        } finally {
+            visiting.pop();
+        }
+        return values[key];
+    };
+
+    const variableValue = name => evaluateNode(`var:${name}`, name, String(variables[name]), scopeFor(null));
+
+    const cabinetFieldValue = (cabinet, field) => {
+        const text = cabinet.expressions?.[field];
+        if (text === undefined) {
+            if (typeof cabinet[field] !== 'number') throw new Error(`${cabinet.name} has no "${field}"`);
+            return cabinet[field];
+        }
+        return evaluateNode(`${cabinet.id}:${field}`, `${cabinet.name}.${field}`, text, scopeFor(cabinet));
+    };
+
+    // What names mean inside an expression on this cabinet (null for project variables)
+    const scopeFor = cabinet => (name, field) => {
+        if (field !== undefined) {
+            const other = findCabinet(name);
+            if (!other) throw new Error(`No cabinet named "${name}"`);
+            return cabinetFieldValue(other, field);
+        }
+        if (Object.prototype.hasOwnProperty.call(variables, name)) return variableValue(name);
+        if (cabinet && typeof cabinet[name] === 'number') return cabinetFieldValue(cabinet, name);
+        throw new Error(`Unknown variable "${name}"`);
+    };
+
+    const tryValue = (key, work) => {
+        try {
+            return work();
+        } catch (error) {
+            errors[key] = error.message;
+            return undefined;
+        }
+    };
+    const differs = (a, b) => typeof a !== 'number' || Math.abs(a - b) > 1e-9;
+
+    const resolvedVariables = {};
+    Object.keys(variables).forEach(name => {
+        const value = tryValue(`var:${name}`, () => variableValue(name));
+        if (value !== undefined) resolvedVariables[name] = value;
+    });
+
+    let changed = false;
+    const resolvedCabinets = cabinets.map(cabinet => {
+        let next = cabinet;
+
+        Object.keys(cabinet.expressions || {}).forEach(field => {
+            const key = `${cabinet.id}:${field}`;
+            const value = tryValue(key, () => cabinetFieldValue(cabinet, field));
+            if (value === undefined || !differs(next[field], value)) return;
+            if (value < 0 || (value === 0 && ['width', 'height', 'depth'].includes(field))) {
+                errors[key] = `${field} can't be ${value}`;
+                return;
+            }
+            const result = setCabinetProperty(next, field, value);
+            if (result.cabinet === next) {
+                errors[key] = result.message;
+            } else {
+                next = result.cabinet;
+            }
+        });
+
+        (cabinet.drawers || []).forEach((drawer, index) => {
+            const text = drawer.expressions?.height;
+            if (text === undefined) return;
+            const key = `${cabinet.id}:drawer:${drawer.id}:height`;
+            const label = `${cabinet.name} drawer ${index + 1} height`;
+            const value = tryValue(key, () => evaluateNode(key, label, text, scopeFor(cabinet)));
+            if (value === undefined || !differs(drawer.height, value)) return;
+            const result = updateCabinetDrawer(next, drawer.id, 'height', value);
+            if (result.cabinet === next) {
+                errors[key] = result.message;
+            } else {
+                next = result.cabinet;
+            }
+        });
+
+        if (next !== cabinet) changed = true;
+        return next;
+    });
+
+    return {
+        cabinets: changed ? resolvedCabinets : cabinets,
+        variables: resolvedVariables,
+        errors
+    };
+}
+
+/**
+ * setCabinetDimension - Sets a cabinet dimension from what was typed
+ *
+ * An expression is kept on the cabinet and worked out by
+ * resolveProjectExpressions. Anything else is a number (fractions allowed)
+ * and replaces any expression the field had.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {string} property - The field (width, height, depth, toekickHeight...)
+ * @param {string} text - What was typed
+ * @returns {Object} - { cabinet, message } (see cabinetModel.js)
+ */
+function setCabinetDimension(cabinet, property, text) {
+    if (isExpression(text)) {
+        return { cabinet: { ...cabinet, expressions: { ...(cabinet.expressions || {}), [property]: text } }, message: null };
+    }
+
+    const { [property]: dropped, ...expressions } = cabinet.expressions || {};
+    const plain = { ...cabinet, expressions };
+    const result = setCabinetProperty(plain, property, parseFraction(text));
+    return result.cabinet === plain ? { cabinet, message: result.message } : result;
+}
+
+/**
+ * setDrawerDimension - Sets a drawer's height from what was typed
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {*} drawerId - The drawer's id
+ * @param {string} property - 'height'
+ * @param {string} text - What was typed (a number or an expression)
+ * @returns {Object} - { cabinet, message } (see cabinetModel.js)
+ */
+function setDrawerDimension(cabinet, drawerId, property, text) {
+    const withDrawer = change => ({
+        ...cabinet,
+        drawers: cabinet.drawers.map(d => (d.id === drawerId ? change(d) : d))
+    });
+
+    if (isExpression(text)) {
+        return { cabinet: withDrawer(d => ({ ...d, expressions: { ...(d.expressions || {}), [property]: text } })), message: null };
+    }
+
+    const plain = withDrawer(d => {
+        const { [property]: dropped, ...expressions } = d.expressions || {};
+        return { ...d, expressions };
+    });
+    const result = updateCabinetDrawer(plain, drawerId, property, parseFraction(text));
+    return result.cabinet === plain ? { cabinet, message: result.message } : result;
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// EXPRESSION_FUNCTIONS, isExpression, isVariableName, evaluateExpression,
+// resolveProjectExpressions, setCabinetDimension, setDrawerDimension
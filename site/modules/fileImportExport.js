@@ -4,12 +4,15 @@
  * ========================================
  * 
  * PURPOSE:
- * Handles saving projects to downloadable files and loading them back.
- * This is better than browser storage because files can be backed up,
- * shared, and work across different computers.
+ * Handles saving projects and cabinet templates to downloadable files and
+ * loading them back. This is better than browser storage because files can
+ * be backed up, shared, and work across different computers.
  * 
  * DEPENDENCIES:
- * - None! Uses browser's built-in File APIs
+ * - Browser's built-in File APIs
+ * - cabinetModel.js (serializeProject / deserializeProject - files from
+ *   older versions are brought up to date when they're imported)
+ * - templateLibrary.js (normalizeTemplates - checks template files)
  * 
  * USED BY:
  * - scripts.js (main app calls these functions)
@@ -26,23 +29,47 @@
  * - fileName: optional custom name (defaults to project name)
  */
 function exportProjectToFile(projectData, fileName = null) {
+    // Add export metadata
+    return downloadJsonFile({
+        ...serializeProject(projectData),
+        exportDate: new Date().toISOString(),
+        version: '1.0',
+        appName: 'Cabinet Designer Pro'
+    }, fileName || projectData.name || 'cabinet-project');
+}
+
+/**
+ * exportTemplatesToFile - Download cabinet templates as a .json file
+ * 
+ * PARAMETERS:
+ * - templates: array of templates (see templateLibrary.js)
+ * - fileName: optional custom name (defaults to "cabinet-templates")
+ */
+function exportTemplatesToFile(templates, fileName = null) {
+    return downloadJsonFile({
+        templates: JSON.parse(JSON.stringify(templates)),
+        exportDate: new Date().toISOString(),
+        version: '1.0',
+        appName: 'Cabinet Designer Pro'
+    }, fileName || 'cabinet-templates');
+}
+
+/**
+ * downloadJsonFile - Download data as a dated .json file
+ * 
+ * RETURNS:
+ * {success: true, fileName} or {success: false, error: 'message'}
+ */
+function downloadJsonFile(exportData, baseName) {
     try {
         // Create the file name
-        const safeName = (fileName || projectData.name || 'cabinet-project')
+        const safeName = baseName
             .replace(/[^a-z0-9]/gi, '-')
             .toLowerCase();
         
         const timestamp = new Date().toISOString().split('T')[0];
         const fullFileName = `${safeName}-${timestamp}.json`;
         
-        // Add export metadata
-        const exportData = {
-            ...projectData,
-            exportDate: new Date().toISOString(),
-            version: '1.0',
-            appName: 'Cabinet Designer Pro'
-        };
-        
         // Convert to JSON string (pretty printed for readability)
         const jsonString = JSON.stringify(exportData, null, 2);
         
@@ -86,6 +113,63 @@ function exportProjectToFile(projectData, fileName = null) {
  *   callback will receive: (success, data, errorMessage)
  */
 function importProjectFromFile(callback) {
+    chooseJsonFile(data => {
+        // Validate that it's a cabinet project
+        if (!data.cabinets || !Array.isArray(data.cabinets)) {
+            callback(false, null, 'Invalid project file: missing cabinets data');
+            return;
+        }
+        
+        // Validate each cabinet has required fields
+        for (let i = 0; i < data.cabinets.length; i++) {
+            const cab = data.cabinets[i];
+            if (!cab.width || !cab.height || !cab.depth) {
+                callback(false, null, `Invalid cabinet data at index ${i}`);
+                return;
+            }
+        }
+        
+        // Success! Bring older files up to the current cabinet model
+        callback(true, deserializeProject(data), null);
+    }, callback);
+}
+
+/**
+ * importTemplatesFromFile - Load cabinet templates from a .json file
+ * 
+ * WHAT IT DOES:
+ * Opens a file picker and reads templates exported by exportTemplatesToFile.
+ * Templates that are missing their cabinet or its dimensions are skipped.
+ * 
+ * PARAMETERS:
+ * - callback: receives (success, templates, errorMessage)
+ */
+function importTemplatesFromFile(callback) {
+    chooseJsonFile(data => {
+        if (!Array.isArray(data.templates)) {
+            callback(false, null, 'Invalid template file: missing templates');
+            return;
+        }
+        
+        const templates = normalizeTemplates(data.templates);
+        if (templates.length === 0) {
+            callback(false, null, 'The file has no usable templates');
+            return;
+        }
+        
+        callback(true, templates, null);
+    }, callback);
+}
+
+/**
+ * chooseJsonFile - Open a file picker and read the chosen .json file
+ * 
+ * PARAMETERS:
+ * - handleData: called with the parsed file when it was read
+ * - callback: the import's callback - receives (false, null, errorMessage)
+ *   when no file was chosen or it couldn't be read
+ */
+function chooseJsonFile(handleData, callback) {
     // Create a hidden file input
     const input = document.createElement('input');
     input.type = 'file';
@@ -109,25 +193,7 @@ function importProjectFromFile(callback) {
         try {
             // Read the file
             const text = await file.text();
-            const data = JSON.parse(text);
-            
-            // Validate that it's a cabinet project
-            if (!data.cabinets || !Array.isArray(data.cabinets)) {
-                callback(false, null, 'Invalid project file: missing cabinets data');
-                return;
-            }
-            
-            // Validate each cabinet has required fields
-            for (let i = 0; i < data.cabinets.length; i++) {
-                const cab = data.cabinets[i];
-                if (!cab.width || !cab.height || !cab.depth) {
-                    callback(false, null, `Invalid cabinet data at index ${i}`);
-                    return;
-                }
-            }
-            
-            // Success!
-            callback(true, data, null);
+            handleData(JSON.parse(text));
             
         } catch (error) {
             if (error instanceof SyntaxError) {
@@ -117,6 +117,23 @@ const Download = ({ size = 24, color = "currentColor" }) => (
     </svg>
 );
 
+/**
+ * Upload Icon
+ * 
+ * USED FOR: Import or open-from-file button
+ * LOOKS LIKE: An up arrow coming out of a box/tray
+ */
+const Upload = ({ size = 24, color = "currentColor" }) => (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
+        {/* Bottom tray/box the file comes from */}
+        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+        {/* Arrow pointing up */}
+        <polyline points="17 8 12 3 7 8"></polyline>
+        {/* Vertical line of the arrow */}
+        <line x1="12" y1="3" x2="12" y2="15"></line>
+    </svg>
+);
+
 /**
  * Plus Icon
  * 
@@ -240,6 +257,7 @@ window.Box = Box;
 window.Ruler = Ruler;
 window.FileText = FileText;
 window.Download = Download;
+window.Upload = Upload;
 window.Plus = Plus;
 window.Trash2 = Trash2;
 window.Save = Save;
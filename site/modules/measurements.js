@@ -20,7 +20,6 @@
  * - None! This file works completely on its own
  * 
  * USED BY (what files need this one):
- * - cabinetClasses.js (for cabinet dimensions)
  * - CabinetDesigner.js (for displaying measurements to you)
  * 
  */
@@ -185,7 +184,8 @@ function decimalToFraction(decimal) {
  * 
  * WHAT IT DOES:
  * Takes a decimal measurement and shows it in both fractional and decimal
- * format so you can see it the way you're comfortable with.
+ * format so you can see it the way you're comfortable with - or just one of
+ * them, when the measurement format setting asks for it.
  * 
  * WHY BOTH FORMATS?
  * - Fractions are easier to measure with a tape measure
@@ -194,17 +194,27 @@ function decimalToFraction(decimal) {
  * EXAMPLE:
  * Input: 1.5   → Output: "1 1/2" (1.500")"
  * Input: 0.75  → Output: "3/4" (0.750")"
+ * Input: 0.75, 'fraction' → Output: "3/4""
+ * Input: 0.75, 'decimal'  → Output: "0.750""
+ * 
+ * @param {number} decimal - The measurement in inches
+ * @param {string} format - 'both' (default), 'fraction' or 'decimal'
  */
-function formatMeasurement(decimal) {
+function formatMeasurement(decimal, format = 'both') {
     // If the measurement is zero or negative, just return zero
     if (decimal <= 0) return '0"';
     
     // Convert the decimal to a fraction
     const fraction = decimalToFraction(decimal);
     
-    // Return both formats: fraction (decimal)
     // The .toFixed(3) shows exactly 3 decimal places
-    return `${fraction} (${decimal.toFixed(3)}")`;
+    const decimalStr = `${decimal.toFixed(3)}"`;
+    
+    if (format === 'fraction') return fraction;
+    if (format === 'decimal') return decimalStr;
+    
+    // Return both formats: fraction (decimal)
+    return `${fraction} (${decimalStr})`;
 }
 
 // These functions are now globally available when this script loads
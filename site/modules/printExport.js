@@ -12,8 +12,22 @@
  * - Professional PDF layouts with proper page breaks
  * - Multi-page support for large projects
  * - Shop drawing templates with dimensions
+ * - Hinge cup, mounting plate and 32mm line boring drawn on each shop drawing
+ * - Full-size pull drilling templates to print and tape to the fronts
  * - QR code generation for project tracking
  * - Print-optimized styling
+ * - Door frame parts (stiles, rails, panel) sized from the project's door style library
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (CABINET_TYPES, PANEL_TYPES, DEFAULT_DOOR_STYLES, OVERLAY_TYPES, HINGE_BORING, SYSTEM_32)
+ * - cabinetLayout.js (door banks and front sizes, sections, accessories, joinery, hinge and line boring,
+ *   drawer slides)
+ * - doorStyleLibrary.js (getDoorStyle, getDoorFrameParts)
+ * - stockCatalog.js (getCabinetStock, getStockLabel - sheet stock for the materials table)
+ * - designEngine.js (runDesignEngine - cut list and shopping list pages)
+ * - cabinetCatalog.js (getCabinetSku - SKU on the overview)
+ * - pullLayout.js (pull positions and holes for the drilling templates)
+ * - measurements.js (decimalToFraction - drill sizes)
  */
 
 /**
@@ -52,14 +66,235 @@ function generateQRCode(text, size = 128) {
     return canvas.toDataURL();
 }
 
+/**
+ * Shop drawing rows for the stiles, rails and panel of framed doors or fronts.
+ * Slab styles have no frame parts, so they get no rows.
+ */
+function generateFrontFrameRows(style, label, count, width, height) {
+    const frame = getDoorFrameParts(style, width, height);
+    if (!frame) return '';
+
+    const rails = frame.topRailWidth === frame.bottomRailWidth
+        ? [[`${label} Rails`, count * 2, frame.topRailWidth]]
+        : [[`${label} Top Rails`, count, frame.topRailWidth], [`${label} Bottom Rails`, count, frame.bottomRailWidth]];
+    const rows = [
+        ...rails.map(([part, quantity, railWidth]) => [part, `3/4" ${style.profile}`, quantity, `${frame.railLength.toFixed(3)}" × ${railWidth}"`]),
+        [`${label} Stiles`, `3/4" ${style.profile}`, count * 2, `${frame.stileWidth}" × ${frame.stileLength.toFixed(3)}"`],
+        [`${label} Panels (${style.panelClearance}" clearance)`, `${frame.panelThickness}" ${PANEL_TYPES[style.panelType].name}`, count, `${frame.panelWidth.toFixed(3)}" × ${frame.panelHeight.toFixed(3)}"`]
+    ];
+
+    return rows.map(([part, material, quantity, size]) => `
+                    <tr style="background: #f9f9f9;">
+                        <td style="border: 1px solid #000; padding: 10px;">&nbsp;&nbsp;${part}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${material}</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">${quantity}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${size}</td>
+                    </tr>
+    `).join('');
+}
+
+/**
+ * Shop drawing boring diagrams - the sides (inside face, front edge on the
+ * left) with the 32mm line holes and hinge plates, and the back of each
+ * door with its 35mm cups and dowels. Drawn to scale from getHingeMachining.
+ */
+function generateBoringDiagrams(cabinet, backThickness) {
+    const { lines, doors } = getHingeLayout(cabinet, backThickness);
+    const machining = getHingeMachining(cabinet, backThickness);
+    if (doors.length === 0 && !lines) return '';
+
+    const scale = 220 / cabinet.height;
+    const mm = value => value / MM_PER_INCH * scale;
+    const panel = (title, width, height, holes) => `
+        <div style="display: inline-block; margin: 0 16px 12px 0; vertical-align: top; text-align: center; font-size: 11px;">
+            <svg width="${width * scale + 2}" height="${height * scale + 2}" viewBox="-1 -1 ${width * scale + 2} ${height * scale + 2}">
+                <rect x="0" y="0" width="${width * scale}" height="${height * scale}" fill="#fafafa" stroke="#000" stroke-width="1"/>
+                ${holes.join('')}
+            </svg>
+            <div>${title}</div>
+        </div>
+    `;
+    // y is measured up from the bottom of the part, the drawing goes down from the top
+    const circle = (x, y, height, diameterMm, color) =>
+        `<circle cx="${x * scale}" cy="${(height - y) * scale}" r="${Math.max(1, mm(diameterMm) / 2)}" fill="${color}" stroke="#000" stroke-width="0.5"/>`;
+
+    const sides = ['left', 'right'].map(side => {
+        const plates = machining.sides.filter(group => group.operation === 'plate' && group.label.toLowerCase().startsWith(side));
+        if (!lines && plates.length === 0) return '';
+        const holes = [
+            ...(lines ? machining.sides[0].holes.map(h => circle(h.x, h.y, cabinet.height, SYSTEM_32.holeDiameterMm, '#fff')) : []),
+            ...plates.flatMap(group => group.holes.map(h => circle(h.x, h.y, cabinet.height, SYSTEM_32.holeDiameterMm, '#ff6b35')))
+        ];
+        return panel(`${side === 'left' ? 'Left' : 'Right'} side, inside (front at left)`, cabinet.depth, cabinet.height, holes);
+    }).join('');
+
+    // one drawing per different door - mirror images are drawn separately
+    const drawn = new Set();
+    const doorPanels = doors.map(door => {
+        const key = `${door.bank.key}-${door.hingeSide}`;
+        if (drawn.has(key)) return '';
+        drawn.add(key);
+        const groups = (machining.doors[door.bank.key] || []).filter(group => group.label.includes(`${door.hingeSide} edge`));
+        // from the back, a door hinged on its left edge has its hinges on the right
+        const fromEdge = x => door.hingeSide === 'left' ? door.doorWidth - x : x;
+        const holes = groups.flatMap(group => group.holes.map(h =>
+            circle(fromEdge(h.x), h.y, door.doorHeight, group.diameterMm, group.operation === 'cup' ? '#ddd' : '#fff')));
+        const count = doors.filter(other => `${other.bank.key}-${other.hingeSide}` === key).length;
+        const label = `${door.bank.label ? door.bank.label + ' ' : ''}door, back (hinged ${door.hingeSide}) x${count} - cups ${door.hingeYs.map(y => `${y.toFixed(3)}"`).join(', ')} up`;
+        return panel(label, door.doorWidth, door.doorHeight, holes);
+    }).join('');
+
+    return `
+        <div style="margin-bottom: 20px; page-break-inside: avoid;">
+            <h2 style="margin: 0 0 15px 0; font-size: 18px; border-bottom: 2px solid #ff6b35; padding-bottom: 8px;">
+                HINGE &amp; LINE BORING
+            </h2>
+            <div>${sides}${doorPanels}</div>
+            <ul style="margin: 0; padding-left: 20px; font-size: 12px; line-height: 1.6;">
+                ${doors.length > 0 ? `<li>Cups: ${HINGE_BORING.cupDiameterMm}mm x ${HINGE_BORING.cupDepthMm}mm deep, centers ${(HINGE_BORING.cupEdgeMm + HINGE_BORING.cupDiameterMm / 2).toFixed(1)}mm from the hinge edge; dowels ${HINGE_BORING.dowelDiameterMm}mm, ${HINGE_BORING.dowelSpacingMm}mm apart</li>` : ''}
+                ${lines ? `<li>Line boring: ${SYSTEM_32.holeDiameterMm}mm x ${SYSTEM_32.holeDepthMm}mm deep, ${SYSTEM_32.pitchMm}mm apart, ${SYSTEM_32.setbackMm}mm from the front edge and the face of the back - first hole ${lines.holeYs[0].toFixed(3)}" up (orange: hinge plate screws)</li>` : ''}
+                ${doors.filter(door => door.member?.kind === 'partition').map(door => `<li>Partition ${door.member.index + 1}, ${door.member.side} face: hinge plates centered ${door.plateYs.map(y => `${y.toFixed(3)}"`).join(', ')} up from the cabinet bottom, ${SYSTEM_32.setbackMm}mm from the front</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Full-size drilling templates for the pulls (see getPullLayout)
+ *
+ * One template per different pull position - fronts of the same size with
+ * the pull in the same place share one. Templates are drawn 1:1 in inches:
+ * print at actual size (no "fit to page") and check the 1" bar first.
+ * A template covers the holes and any edge of the front within 4" of them,
+ * to butt against; the pull's center lines run across it so it can be lined
+ * up on pencil marks where no edge is close. Edge pulls screw on from the
+ * back, so theirs are drawn as seen from the back.
+ */
+function generateDrillingTemplates(cabinets, doorStyles = DEFAULT_DOOR_STYLES) {
+    const margin = 1; // paper round the holes
+    const reach = 4;  // edges this close to the holes are drawn on the template
+    const templates = [];
+
+    cabinets.forEach(cabinet => {
+        getPullLayout(cabinet, doorStyles).forEach(front => {
+            front.pulls.forEach((placed, pullIndex) => {
+                // from the back, the front is flipped left to right
+                const flip = x => placed.face === 'back' ? front.width - x : x;
+                const holes = placed.holes.map(h => ({ x: flip(h.x), y: h.y }));
+                const center = { x: flip(placed.x), y: placed.y };
+                const key = JSON.stringify([front.pull.id, placed.face, front.width.toFixed(3), front.height.toFixed(3), center.x.toFixed(3), center.y.toFixed(3), placed.vertical]);
+                const use = `${cabinet.name} - ${front.label}${front.pulls.length > 1 ? (pullIndex === 0 ? ', left pull' : ', right pull') : ''}`;
+                const match = templates.find(template => template.key === key);
+                if (match) match.uses.push(use);
+                else templates.push({ key, front, placed, holes, center, uses: [use] });
+            });
+        });
+    });
+    if (templates.length === 0) return '';
+
+    const drawTemplate = ({ front, placed, holes, center, uses }) => {
+        const { pull, width, height } = front;
+        const pocket = placed.pocket;
+        const xs = pocket ? [center.x - pocket.width / 2, center.x + pocket.width / 2] : holes.map(h => h.x);
+        const ys = pocket ? [center.y - pocket.height / 2, center.y + pocket.height / 2] : holes.map(h => h.y);
+        let x0 = Math.max(0, Math.min(...xs) - margin);
+        let x1 = Math.min(width, Math.max(...xs) + margin);
+        let y0 = Math.max(0, Math.min(...ys) - margin);
+        let y1 = Math.min(height, Math.max(...ys) + margin);
+        if (x0 <= reach) x0 = 0;
+        if (width - x1 <= reach) x1 = width;
+        if (y0 <= reach) y0 = 0;
+        if (height - y1 <= reach) y1 = height;
+
+        // drawn in inches, y up from the bottom of the front (so the svg y is -y)
+        const edges = [
+            x0 === 0 ? `<line x1="0" y1="${-y1}" x2="0" y2="${-y0}" stroke="#000" stroke-width="0.06"/>` : '',
+            x1 === width ? `<line x1="${width}" y1="${-y1}" x2="${width}" y2="${-y0}" stroke="#000" stroke-width="0.06"/>` : '',
+            y0 === 0 ? `<line x1="${x0}" y1="0" x2="${x1}" y2="0" stroke="#000" stroke-width="0.06"/>` : '',
+            y1 === height ? `<line x1="${x0}" y1="${-height}" x2="${x1}" y2="${-height}" stroke="#000" stroke-width="0.06"/>` : ''
+        ].join('');
+        const centerLines = `
+            <line x1="${center.x}" y1="${-y1}" x2="${center.x}" y2="${-y0}" stroke="#888" stroke-width="0.01" stroke-dasharray="0.15 0.08"/>
+            <line x1="${x0}" y1="${-center.y}" x2="${x1}" y2="${-center.y}" stroke="#888" stroke-width="0.01" stroke-dasharray="0.15 0.08"/>
+        `;
+        const marks = pocket
+            ? `<rect x="${center.x - pocket.width / 2}" y="${-center.y - pocket.height / 2}" width="${pocket.width}" height="${pocket.height}" fill="none" stroke="#000" stroke-width="0.02"/>`
+            : holes.map(h => `
+                <circle cx="${h.x}" cy="${-h.y}" r="${PULL_RULES.holeDiameter / 2}" fill="none" stroke="#000" stroke-width="0.015"/>
+                <line x1="${h.x - 0.3}" y1="${-h.y}" x2="${h.x + 0.3}" y2="${-h.y}" stroke="#000" stroke-width="0.01"/>
+                <line x1="${h.x}" y1="${-h.y - 0.3}" x2="${h.x}" y2="${-h.y + 0.3}" stroke="#000" stroke-width="0.01"/>
+            `).join('');
+
+        const side = placed.face === 'back' ? 'back (seen from the back)' : 'face';
+        const listed = values => [...new Set(values.sort((p, q) => p - q).map(v => `${v.toFixed(3)}"`))].join(' and ');
+        const where = pocket
+            ? `Pocket ${pocket.width.toFixed(3)}" x ${pocket.height.toFixed(3)}" x ${pocket.depth}" deep, centered ${center.x.toFixed(3)}" from the left edge and ${center.y.toFixed(3)}" up`
+            : `Holes ${listed(holes.map(h => h.x))} from the left edge, ${listed(holes.map(h => h.y))} up from the bottom`;
+        const drill = pocket ? 'Rout to depth - no holes'
+            : placed.face === 'back' ? 'Pilot holes for the pull screws - stop short of the face'
+            : `Drill ${decimalToFraction(PULL_RULES.holeDiameter)} through from the face`;
+
+        return `
+            <div style="display: inline-block; vertical-align: top; margin: 0 0.25in 0.3in 0; page-break-inside: avoid; font-size: 11px;">
+                <div style="font-weight: bold; margin-bottom: 4px;">${pull.name} - ${width.toFixed(3)}" x ${height.toFixed(3)}" ${front.kind === 'door' ? 'door' : 'front'}, ${side}</div>
+                <svg width="${x1 - x0}in" height="${y1 - y0}in" viewBox="${x0} ${-y1} ${x1 - x0} ${y1 - y0}" style="border: 1px dashed #aaa; display: block;">
+                    ${edges}${centerLines}${marks}
+                </svg>
+                <div style="margin-top: 4px; max-width: ${Math.max(3, x1 - x0)}in;">
+                    ${where}.<br/>${drill}.<br/>
+                    x${uses.length}: ${uses.join('; ')}
+                    ${x1 - x0 > 7.5 ? '<br/><b>Wider than a letter page - print landscape or tape two sheets.</b>' : ''}
+                </div>
+            </div>
+        `;
+    };
+
+    return `
+        <div class="page-break">
+            <h1 style="font-size: 22px; margin: 0 0 8px 0;">PULL DRILLING TEMPLATES</h1>
+            <div style="font-size: 12px; margin-bottom: 12px;">
+                Print at 100% (actual size). This bar must measure 1":
+                <svg width="1in" height="0.2in" viewBox="0 0 1 0.2" style="vertical-align: middle;">
+                    <line x1="0" y1="0.1" x2="1" y2="0.1" stroke="#000" stroke-width="0.03"/>
+                    <line x1="0.015" y1="0" x2="0.015" y2="0.2" stroke="#000" stroke-width="0.03"/>
+                    <line x1="0.985" y1="0" x2="0.985" y2="0.2" stroke="#000" stroke-width="0.03"/>
+                </svg>
+                Solid lines are edges of the front - butt the template against them. Dashed lines are the pull's center lines.
+            </div>
+            ${templates.map(drawTemplate).join('')}
+        </div>
+    `;
+}
+
 /**
  * Generate a professional shop drawing for a cabinet
+ * doorStyles is the project's door style library (doors are sized from it)
  */
-function generateShopDrawing(cabinet, projectName = 'Untitled', cabinetNumber = 1) {
+function generateShopDrawing(cabinet, projectName = 'Untitled', cabinetNumber = 1, doorStyles = DEFAULT_DOOR_STYLES) {
     const date = new Date().toLocaleDateString();
     const qrData = `${projectName}-${cabinet.id}`;
     const qrCode = generateQRCode(qrData, 100);
     
+    // Door rows from the layout module
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const doorBanks = getDoorBanks(cabinet);
+    const totalDoors = getTotalDoorCount(cabinet);
+    const midShelfHeight = cabinet.midShelfHeight || cabinet.height / 2;
+    const blind = getBlindCornerLayout(cabinet);
+    const falseFronts = getSinkFalseFronts(cabinet);
+    const pull = getCabinetPull(cabinet);
+    const pullCount = countPulls(getPullLayout(cabinet, doorStyles)).total;
+    const plumbingCutout = getPlumbingCutout(cabinet);
+    const sections = getCabinetSections(cabinet);
+    const partStock = getCabinetStock(cabinet);
+    const drawerBoxes = getDrawerBoxes(cabinet, partStock.back.actual);
+    const boxJoinery = getBoxJoinery(cabinet, partStock.back.actual);
+    const drawerJoinery = getDrawerBoxJoinery(cabinet, cabinet.width, partStock.drawerBox.actual);
+    const frontBottom = typeSpec.allowsToekick && cabinet.toekick ? cabinet.toekickHeight : 0;
+    const doorStyle = getDoorStyle(cabinet.doorStyle, doorStyles);
+    const drawerStyle = getDoorStyle(cabinet.drawerStyle, doorStyles);
+    const hingeCount = getHingeLayout(cabinet, partStock.back.actual).doors.reduce((sum, door) => sum + door.count, 0);
+    
     return `
     <div class="shop-drawing-page" style="
         page-break-after: always;
@@ -178,25 +413,84 @@ function generateShopDrawing(cabinet, projectName = 'Untitled', cabinetNumber =
                     </div>
                     
                     <!-- Door/Drawer representation -->
-                    ${cabinet.door ? `
+                    ${doorBanks.map(bank => Array.from({ length: bank.doorCount }).map((_, i) => `
                         <div style="
                             position: absolute;
-                            inset: 10px;
+                            left: ${bank.doorLefts[i] / cabinet.width * 100}%;
+                            width: ${bank.doorWidth / cabinet.width * 100}%;
+                            top: ${(cabinet.height - bank.frontBottom - bank.doorHeight) / cabinet.height * 100}%;
+                            height: ${bank.doorHeight / cabinet.height * 100}%;
                             border: 2px solid #666;
                             background: white;
+                            box-sizing: border-box;
                         "></div>
+                    `).join('')).join('')}
+                    
+                    ${falseFronts ? Array.from({ length: falseFronts.count }).map((_, i) => `
+                        <!-- Sink base false front -->
+                        <div style="
+                            position: absolute;
+                            left: ${(falseFronts.frontLeft + i * (falseFronts.frontWidth + falseFronts.reveal)) / cabinet.width * 100}%;
+                            width: ${falseFronts.frontWidth / cabinet.width * 100}%;
+                            top: ${(cabinet.height - falseFronts.frontBottom - falseFronts.frontHeight) / cabinet.height * 100}%;
+                            height: ${falseFronts.frontHeight / cabinet.height * 100}%;
+                            border: 2px dashed #666;
+                            background: white;
+                            box-sizing: border-box;
+                            font-size: 10px;
+                        ">${falseFronts.style === 'tiltOut' ? 'TILT-OUT' : 'FALSE FRONT'}</div>
+                    `).join('') : ''}
+                    
+                    ${blind ? `
+                        <!-- Blind (dead) panel -->
+                        <div style="
+                            position: absolute;
+                            ${blind.side}: 0;
+                            width: ${blind.deadPanelWidth / cabinet.width * 100}%;
+                            top: 0;
+                            bottom: ${frontBottom / cabinet.height * 100}%;
+                            background: repeating-linear-gradient(45deg, #ddd 0, #ddd 4px, #fff 4px, #fff 8px);
+                            border: 2px solid #666;
+                            box-sizing: border-box;
+                            font-size: 10px;
+                        ">BLIND ${blind.deadPanelWidth}"</div>
+                    ` : ''}
+                    
+                    ${sections ? sections.filter(entry => entry.partitionX !== null).map(entry => `
+                        <!-- Partition -->
+                        <div style="
+                            position: absolute;
+                            left: ${(entry.partitionX + cabinet.thickness / 2) / cabinet.width * 100}%;
+                            top: 0;
+                            bottom: ${frontBottom / cabinet.height * 100}%;
+                            border-left: 2px dashed #000;
+                        "></div>
+                    `).join('') : ''}
+                    
+                    ${typeSpec.splitDoors ? `
+                        <!-- Fixed mid-shelf -->
+                        <div style="
+                            position: absolute;
+                            left: 0;
+                            right: 0;
+                            top: ${(cabinet.height - midShelfHeight) / cabinet.height * 100}%;
+                            border-top: 2px dashed #000;
+                            font-size: 10px;
+                            text-align: left;
+                        ">Fixed shelf @ ${midShelfHeight}"</div>
                     ` : ''}
                     
                     ${cabinet.drawers && cabinet.drawers.length > 0 ? 
-                        cabinet.drawers.map((drawer, idx) => `
+                        getDrawerLayout(cabinet).map(({ frontLeft, frontBottom, frontWidth, frontHeight }) => `
                             <div style="
                                 position: absolute;
-                                left: 10px;
-                                right: 10px;
-                                height: ${drawer.height}px;
-                                top: ${10 + idx * (drawer.height + 5)}px;
+                                left: ${frontLeft / cabinet.width * 100}%;
+                                width: ${frontWidth / cabinet.width * 100}%;
+                                top: ${(cabinet.height - frontBottom - frontHeight) / cabinet.height * 100}%;
+                                height: ${frontHeight / cabinet.height * 100}%;
                                 border: 2px solid #666;
                                 background: white;
+                                box-sizing: border-box;
                             "></div>
                         `).join('') 
                     : ''}
@@ -221,68 +515,163 @@ function generateShopDrawing(cabinet, projectName = 'Untitled', cabinetNumber =
                 <tbody>
                     <tr>
                         <td style="border: 1px solid #000; padding: 10px;">Box - Left Side</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.thickness}" Plywood</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.box.name}</td>
                         <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
                         <td style="border: 1px solid #000; padding: 10px;">${cabinet.depth}" × ${cabinet.height}"</td>
                     </tr>
                     <tr style="background: #f9f9f9;">
                         <td style="border: 1px solid #000; padding: 10px;">Box - Right Side</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.thickness}" Plywood</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.box.name}</td>
                         <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
                         <td style="border: 1px solid #000; padding: 10px;">${cabinet.depth}" × ${cabinet.height}"</td>
                     </tr>
                     <tr>
                         <td style="border: 1px solid #000; padding: 10px;">Box - Top</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.thickness}" Plywood</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.box.name}</td>
                         <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.width - cabinet.thickness * 2}" × ${cabinet.depth}"</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${boxJoinery.topBottomWidth}" × ${cabinet.depth}"</td>
                     </tr>
                     <tr style="background: #f9f9f9;">
                         <td style="border: 1px solid #000; padding: 10px;">Box - Bottom</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.thickness}" Plywood</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.box.name}</td>
                         <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.width - cabinet.thickness * 2}" × ${cabinet.depth}"</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${boxJoinery.topBottomWidth}" × ${cabinet.depth}"</td>
                     </tr>
                     <tr>
                         <td style="border: 1px solid #000; padding: 10px;">Box - Back</td>
-                        <td style="border: 1px solid #000; padding: 10px;">1/4" Plywood</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.back.name}</td>
                         <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.width}" × ${cabinet.height}"</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${boxJoinery.backWidth}" × ${boxJoinery.backHeight}"</td>
+                    </tr>
+                    ${getFaceFrameParts(cabinet).map(({ part, quantity, length, width }) => `
+                    <tr style="background: #f9f9f9;">
+                        <td style="border: 1px solid #000; padding: 10px;">Face Frame - ${part}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">3/4" Solid ${getFaceFrameSettings(cabinet).material}</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">${quantity}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${length}" × ${width}"</td>
                     </tr>
-                    ${cabinet.shelves > 0 ? `
+                    `).join('')}
+                    ${sections ? `
+                    <tr>
+                        <td style="border: 1px solid #000; padding: 10px;">Partitions (${sections.map(entry => `${entry.clearWidth.toFixed(3)}"`).join(' | ')} clear)</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.box.name}</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">${sections.length - 1}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.depth - 0.25 - (typeSpec.hangingRailHeight ? cabinet.thickness : 0)}" × ${cabinet.height - frontBottom - cabinet.thickness * 2 + 0.5}"</td>
+                    </tr>
+                    ${sections.filter(entry => entry.section.shelves > 0).map(entry => `
+                    <tr style="background: #f9f9f9;">
+                        <td style="border: 1px solid #000; padding: 10px;">Section ${entry.index + 1} Shelves</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.shelves.name}</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">${entry.section.shelves}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${entry.clearWidth.toFixed(3)}" × ${cabinet.depth - 1}"</td>
+                    </tr>
+                    `).join('')}
+                    ` : ''}
+                    ${cabinet.shelves > 0 && !typeSpec.sinkBase && !sections ? `
                     <tr style="background: #f9f9f9;">
                         <td style="border: 1px solid #000; padding: 10px;">Shelves</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.thickness}" Plywood</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.shelves.name}</td>
                         <td style="border: 1px solid #000; padding: 10px; text-align: center;">${cabinet.shelves}</td>
                         <td style="border: 1px solid #000; padding: 10px;">${cabinet.width - cabinet.thickness * 2}" × ${cabinet.depth - 1}"</td>
                     </tr>
                     ` : ''}
-                    ${cabinet.door ? `
+                    ${typeSpec.splitDoors ? `
                     <tr>
-                        <td style="border: 1px solid #000; padding: 10px;">Door</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.door.style}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">Fixed Mid-Shelf (top @ ${midShelfHeight}")</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.shelves.name}</td>
                         <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
-                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.door.width}" × ${cabinet.door.height}"</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${cabinet.width - cabinet.thickness * 2}" × ${cabinet.depth - 0.25}"</td>
                     </tr>
                     ` : ''}
+                    ${falseFronts ? `
+                    <tr>
+                        <td style="border: 1px solid #000; padding: 10px;">False Fronts (${falseFronts.style === 'tiltOut' ? 'tilt-out' : 'fixed'})</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${drawerStyle.name} (${drawerStyle.profile})</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">${falseFronts.count}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${falseFronts.frontWidth.toFixed(3)}" × ${falseFronts.frontHeight.toFixed(3)}"</td>
+                    </tr>
+                    ${generateFrontFrameRows(drawerStyle, 'False Front', falseFronts.count, falseFronts.frontWidth, falseFronts.frontHeight)}
+                    ` : ''}
+                    ${plumbingCutout ? `
+                    <tr style="background: #f9f9f9;">
+                        <td style="border: 1px solid #000; padding: 10px;">Plumbing Cutout in Back (centered, ${plumbingCutout.bottomY}" up)</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.back.name} back</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${plumbingCutout.width}" × ${plumbingCutout.height}"</td>
+                    </tr>
+                    ` : ''}
+                    ${blind ? `
+                    <tr style="background: #f9f9f9;">
+                        <td style="border: 1px solid #000; padding: 10px;">Blind Panel (${blind.side} end, pulled ${blind.pullOutDistance}" off wall)</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.fronts.name}</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${blind.deadPanelWidth}" × ${cabinet.height - frontBottom - 1}"</td>
+                    </tr>
+                    <tr>
+                        <td style="border: 1px solid #000; padding: 10px;">Corner Filler (adjoining run)</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${partStock.fronts.name}</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">1</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${blind.fillerWidth}" × ${cabinet.height - frontBottom - 1}"</td>
+                    </tr>
+                    ` : ''}
+                    ${doorBanks.map(bank => `
+                    <tr>
+                        <td style="border: 1px solid #000; padding: 10px;">${bank.label ? bank.label + ' ' : ''}Doors</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${doorStyle.name} (${doorStyle.profile})</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">${bank.doorCount}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${bank.doorWidth.toFixed(3)}" × ${bank.doorHeight.toFixed(3)}"</td>
+                    </tr>
+                    ${generateFrontFrameRows(doorStyle, `${bank.label ? bank.label + ' ' : ''}Door`, bank.doorCount, bank.doorWidth, bank.doorHeight)}
+                    `).join('')}
+                    ${getAccessoryLayout(cabinet, partStock.back.actual).map(entry => `
+                    <tr style="background: #f9f9f9;">
+                        <td style="border: 1px solid #000; padding: 10px;">${entry.label} (${entry.bottomY}" up${entry.spacer > 0 ? `, ${entry.spacer}" hinge spacers` : ''})</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${entry.slide ? `${entry.slide.type} ${entry.slideLength ? `${entry.slideLength}"` : '(no length fits)'} slides` : 'Fixed'}</td>
+                        <td style="border: 1px solid #000; padding: 10px; text-align: center;">${entry.spec.countLabel ? `${entry.count} ${entry.spec.countLabel.toLowerCase()}` : 1}</td>
+                        <td style="border: 1px solid #000; padding: 10px;">${entry.boxWidth.toFixed(3)}" × ${entry.boxDepth}" × ${entry.height}"</td>
+                    </tr>
+                    `).join('')}
                 </tbody>
             </table>
         </div>
         
+        <!-- Joinery and machining (see getBoxJoinery) -->
+        <div style="margin-bottom: 20px;">
+            <h2 style="margin: 0 0 15px 0; font-size: 18px; border-bottom: 2px solid #ff6b35; padding-bottom: 8px;">
+                JOINERY &amp; MACHINING
+            </h2>
+            <ul style="margin: 0; padding-left: 20px; font-size: 14px; line-height: 1.8;">
+                <li>Box: ${boxJoinery.boxJoint.name}${boxJoinery.sideMachining.length > 0 ? ` - sides: ${boxJoinery.sideMachining.join('; ')}` : ''}</li>
+                <li>Top/Bottom: ${boxJoinery.topBottomMachining.join('; ')}</li>
+                ${cabinet.backPanel ? `<li>Back: ${boxJoinery.backJoint.name} - ${boxJoinery.backMachining.join('; ')}</li>` : ''}
+                ${drawerBoxes.length > 0 && drawerBoxes[0].system ?
+                    `<li>Drawer Boxes: ${drawerBoxes[0].system.name} - steel sides, cut the bottom and back to the maker's deductions</li>`
+                : drawerBoxes.length > 0 ?
+                    `<li>Drawer Boxes: ${drawerJoinery.joint.name}${cabinet.drawerBox?.outsourced ? ' - ordered in, outside sizes on the cut list' : ` - sides: ${drawerJoinery.sideMachining}; front/back: ${drawerJoinery.frontBackMachining}`}</li>`
+                : ''}
+            </ul>
+        </div>
+        
+        <!-- Hinge cups, plates and 32mm line boring (see getHingeMachining) -->
+        ${generateBoringDiagrams(cabinet, partStock.back.actual)}
+        
         <!-- Hardware Requirements -->
         <div style="margin-bottom: 20px;">
             <h2 style="margin: 0 0 15px 0; font-size: 18px; border-bottom: 2px solid #ff6b35; padding-bottom: 8px;">
                 HARDWARE REQUIRED
             </h2>
             <ul style="margin: 0; padding-left: 20px; font-size: 14px; line-height: 1.8;">
-                ${cabinet.door ? `<li>Door Hinges: 2 pcs (European concealed recommended)</li>` : ''}
-                ${cabinet.drawers && cabinet.drawers.length > 0 ? 
-                    `<li>Drawer Slides: ${cabinet.drawers.length} pairs (soft-close undermount recommended)</li>` 
+                ${totalDoors > 0 ? `<li>Door Hinges: ${hingeCount} pcs (${OVERLAY_TYPES[getOverlayType(cabinet)].name.toLowerCase()} European concealed, ${cabinet.doorDrawerGap ?? 0.125}" reveal)</li>` : ''}
+                ${drawerBoxes.length > 0 && drawerBoxes[0].system ? 
+                    `<li>Drawer Sides &amp; Runners: ${drawerBoxes.length} sets (${drawerBoxes[0].system.name}${drawerBoxes[0].slideLengthMm ? `, ${drawerBoxes[0].slideLengthMm}mm` : ''})</li>` 
+                : ''}
+                ${drawerBoxes.length > 0 && !drawerBoxes[0].system ? 
+                    `<li>Drawer Slides: ${drawerBoxes.length} pairs (${drawerBoxes[0].slide.type}${drawerBoxes[0].slideLength ? `, ${drawerBoxes[0].slideLength}"` : ' - no length fits, see warnings'})</li>` 
                 : ''}
                 <li>Shelf Pins: ${cabinet.shelves * 4} pcs (if adjustable shelves)</li>
                 <li>Back Panel Fasteners: 12-16 pcs (18ga brad nails or staples)</li>
-                ${cabinet.door || (cabinet.drawers && cabinet.drawers.length > 0) ? 
-                    `<li>Cabinet Pulls/Knobs: ${cabinet.door ? 1 : 0 + (cabinet.drawers ? cabinet.drawers.length : 0)} pcs</li>` 
+                ${pullCount > 0 ? 
+                    `<li>Cabinet Pulls/Knobs: ${pullCount} pcs (${getPullLabel(pull)}${pull.centerToCenter ? `, ${pull.centerToCenter}mm centers` : ''}) - see the drilling templates</li>` 
                 : ''}
             </ul>
         </div>
@@ -326,7 +715,9 @@ function generatePrintDocument(cabinets, projectName = 'Untitled Project', optio
         includeCoverPage = true,
         includeCutList = true,
         includeShoppingList = true,
-        includeShopDrawings = true
+        includeShopDrawings = true,
+        includeDrillingTemplates = false,
+        doorStyles = DEFAULT_DOOR_STYLES
     } = options;
     
     const date = new Date().toLocaleDateString();
@@ -486,6 +877,7 @@ function generatePrintDocument(cabinets, projectName = 'Untitled Project', optio
                 <tr>
                     <th>#</th>
                     <th>Cabinet Name</th>
+                    <th>SKU</th>
                     <th>Width</th>
                     <th>Height</th>
                     <th>Depth</th>
@@ -497,23 +889,127 @@ function generatePrintDocument(cabinets, projectName = 'Untitled Project', optio
                 <tr>
                     <td>${idx + 1}</td>
                     <td><strong>${cab.name}</strong></td>
+                    <td>${getCabinetSku(cab)}</td>
                     <td>${cab.width}"</td>
                     <td>${cab.height}"</td>
                     <td>${cab.depth}"</td>
-                    <td>${cab.door ? 'Door' : cab.drawers && cab.drawers.length > 0 ? `${cab.drawers.length} Drawer` : 'Open'}</td>
+                    <td>${getTotalDoorCount(cab) > 0 ? 'Door' : cab.drawers && cab.drawers.length > 0 ? `${cab.drawers.length} Drawer` : 'Open'}</td>
                 </tr>
                 `).join('')}
             </tbody>
         </table>
     </div>
     `;
-    
+
+    // Cut list and shopping list come from the design engine so they match the designer
+    const design = (includeCutList || includeShoppingList)
+        ? runDesignEngine({ cabinets, doorStyles, materialCosts: options.materialCosts, laborRate: options.laborRate })
+        : null;
+
+    // Cut List
+    if (includeCutList) {
+        html += `
+    <div class="page-break" style="padding: 40px;">
+        <h1 class="section-header">CUT LIST</h1>
+        <table>
+            <thead>
+                <tr>
+                    <th>Cabinet</th>
+                    <th>SKU</th>
+                    <th>Part</th>
+                    <th>Qty</th>
+                    <th>Width</th>
+                    <th>Height</th>
+                    <th>Thickness</th>
+                    <th>Material</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${design.parts.filter(item => item.material !== 'hardware').map(item => `
+                <tr>
+                    <td>${item.cabinet}</td>
+                    <td>${item.sku}</td>
+                    <td>${item.part}</td>
+                    <td>${item.quantity}</td>
+                    <td>${item.width.toFixed(3)}"</td>
+                    <td>${item.height.toFixed(3)}"</td>
+                    <td>${item.thickness}"</td>
+                    <td>${getStockLabel(item)}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    </div>
+    `;
+    }
+
+    // Shopping List - sheet goods, hardware and the project price
+    if (includeShoppingList) {
+        html += `
+    <div class="page-break" style="padding: 40px;">
+        <h1 class="section-header">SHOPPING LIST</h1>
+        <table>
+            <thead>
+                <tr>
+                    <th>Material</th>
+                    <th>Area (sq ft)</th>
+                    <th>Sheets (4x8)</th>
+                    <th>Cost/Sheet</th>
+                    <th>Cost</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.values(design.materials).map(data => `
+                <tr>
+                    <td>${data.name}</td>
+                    <td>${data.area.toFixed(2)}</td>
+                    <td>${data.sheets}</td>
+                    <td>$${data.costPerSheet.toFixed(2)}</td>
+                    <td>$${data.cost.toFixed(2)}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${design.hardware.length > 0 ? `
+        <table>
+            <thead>
+                <tr>
+                    <th>Hardware</th>
+                    <th>Qty</th>
+                    <th>Cabinets</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${design.hardware.map(item => `
+                <tr>
+                    <td>${item.part}</td>
+                    <td>${item.quantity}</td>
+                    <td>${item.cabinets.join(', ')}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ` : ''}
+        <div style="font-size: 16px; line-height: 2;">
+            <div><strong>Materials:</strong> $${design.pricing.materialCost.toFixed(2)}</div>
+            <div><strong>Labor (${design.pricing.laborHours} hrs):</strong> $${design.pricing.laborCost.toFixed(2)}</div>
+            <div><strong>Total:</strong> $${design.pricing.total.toFixed(2)}</div>
+        </div>
+    </div>
+    `;
+    }
+
     // Shop Drawings
     if (includeShopDrawings) {
         cabinets.forEach((cabinet, idx) => {
-            html += generateShopDrawing(cabinet, projectName, idx + 1);
+            html += generateShopDrawing(cabinet, projectName, idx + 1, doorStyles);
         });
     }
+
+    // Pull drilling templates (full size)
+    if (includeDrillingTemplates) {
+        html += generateDrillingTemplates(cabinets, doorStyles);
+    }
     
     html += `
     </body>
@@ -568,8 +1064,24 @@ function openPrintPreview(cabinets, projectName = 'Untitled Project', options =
     };
 }
 
+/**
+ * Open the pull drilling templates on their own, ready to print at actual size
+ */
+function openDrillingTemplates(cabinets, projectName = 'Untitled Project', doorStyles = DEFAULT_DOOR_STYLES) {
+    openPrintPreview(cabinets, projectName, {
+        includeCoverPage: false,
+        includeCutList: false,
+        includeShoppingList: false,
+        includeShopDrawings: false,
+        includeDrillingTemplates: true,
+        doorStyles
+    });
+}
+
 // Make functions globally available
 window.generateShopDrawing = generateShopDrawing;
+window.generateDrillingTemplates = generateDrillingTemplates;
+window.openDrillingTemplates = openDrillingTemplates;
 window.generatePrintDocument = generatePrintDocument;
 window.exportProjectAsPDF = exportProjectAsPDF;
 window.openPrintPreview = openPrintPreview;
@@ -25,7 +25,8 @@
  * will be deleted. For permanent backups, export your projects to files.
  * 
  * DEPENDENCIES (what this file needs):
- * - None! Works independently with the browser's built-in storage
+ * - cabinetModel.js (serializeProject / deserializeProject - the saved
+ *   cabinet shape and bringing older saves up to date)
  * 
  * USED BY (what files need this one):
  * - CabinetDesigner.js (calls these functions to save/load projects)
@@ -52,14 +53,17 @@
  * @param {Array} cabinets - List of all cabinets in the project
  * @param {Object} materialCosts - Cost per sheet/board for each material type
  * @param {number} laborRate - Your hourly labor rate in dollars
+ * @param {Array} doorStyles - The project's door style library (see doorStyleLibrary.js)
+ * @param {Object} variables - Project variables for dimension expressions (see expressions.js)
+ * @param {Array} countertops - Run countertops (see countertops.js)
  * 
  * RETURNS:
  * true if the save was successful, false if cancelled or failed
  * 
  * EXAMPLE:
- * saveProjectToStorage('Kitchen Remodel', myCabinets, costs, 50);
+ * saveProjectToStorage('Kitchen Remodel', myCabinets, costs, 50, doorStyles, { ceilingHeight: '96' }, []);
  */
-const saveProjectToStorage = (projectName, cabinets, materialCosts, laborRate) => {
+const saveProjectToStorage = (projectName, cabinets, materialCosts, laborRate, doorStyles, variables, countertops) => {
     // CHECK IF NAME IS VALID
     // .trim() removes spaces from the beginning and end
     // If the name is empty or only spaces, alert the user
@@ -70,13 +74,18 @@ const saveProjectToStorage = (projectName, cabinets, materialCosts, laborRate) =
     
     // CREATE THE PROJECT DATA PACKAGE
     // This bundles everything together in one object
-    const projectData = {
+    // serializeProject (cabinetModel.js) stamps the model version so the
+    // project can be brought up to date when a later version loads it
+    const projectData = serializeProject({
         name: projectName,
         date: new Date().toISOString(),  // Current date/time in standard format
         cabinets: cabinets,              // All your cabinet data
         materialCosts: materialCosts,    // Cost information
-        laborRate: laborRate             // Your hourly rate
-    };
+        laborRate: laborRate,            // Your hourly rate
+        doorStyles: doorStyles,          // Your shop's door styles
+        variables: variables,            // Ceiling height, run length... for expressions
+        countertops: countertops         // Run countertops over the base cabinets
+    });
     
     // GET EXISTING PROJECTS
     // localStorage.getItem() retrieves data from browser storage
@@ -129,7 +138,7 @@ const saveProjectToStorage = (projectName, cabinets, materialCosts, laborRate) =
  * @param {string} projectName - The name of the project you want to load
  * 
  * RETURNS:
- * The project data object if found, or undefined if not found
+ * The project data object if found (in the current cabinet model), or undefined if not found
  * 
  * WHAT YOU GET BACK:
  * {
@@ -137,7 +146,9 @@ const saveProjectToStorage = (projectName, cabinets, materialCosts, laborRate) =
  *   date: "2025-12-20T10:30:00.000Z",
  *   cabinets: [...],
  *   materialCosts: {...},
- *   laborRate: 50
+ *   laborRate: 50,
+ *   doorStyles: [...],  (the starting styles on projects saved before the door style library)
+ *   modelVersion: 2
  * }
  * 
  * EXAMPLE:
@@ -155,7 +166,10 @@ const loadProjectFromStorage = (projectName) => {
     // Search for the project with the matching name
     // .find() returns the first project where the name matches
     // If no match is found, it returns undefined
-    return savedProjects.find(p => p.name === projectName);
+    const project = savedProjects.find(p => p.name === projectName);
+    
+    // Projects saved by older versions are brought up to date (see cabinetModel.js)
+    return project && deserializeProject(project);
 };
 
 /**
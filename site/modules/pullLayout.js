@@ -0,0 +1,287 @@
+/*
+ * ========================================
+ * PULL LAYOUT MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * Each cabinet picks one pull from PULL_CATALOG and a placement rule for its
+ * doors and one for its drawer fronts. This file works out where every pull
+ * sits on every front and where its screw holes get drilled, so the 3D view,
+ * the cut list, the shopping list and the drilling templates all put the
+ * pull in the same place.
+ *
+ * WHAT IT DOES:
+ * - Finds a pull in PULL_CATALOG by id (sizes come back in inches)
+ * - Places the pulls on each door, drawer front and tilt-out false front
+ * - Gives the screw holes (or the routed pocket) for each pull
+ *
+ * MEASURING A FRONT (looking at its face):
+ *
+ *   +---------------------+
+ *   |                  |  |   door pull, upright beside the opening edge
+ *   |                  o  |   (the hinges are on the other edge)
+ *   |                  |  |
+ *   |                  o  |  <- screw holes, centerToCenter apart
+ *   |                     |
+ *   |                     |
+ *   +---------------------+
+ *   ^ x = 0, y = 0 at the bottom left corner
+ *
+ * Edge pulls screw on from the back, so their holes are on the back face -
+ * still measured from the left of the face side (see the templates in
+ * printExport.js, which flip them to be drilled from the back).
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (PULL_CATALOG, DEFAULT_PULL, PULL_PLACEMENTS, PULL_RULES, CABINET_TYPES)
+ * - cabinetLayout.js (getDoorBanks, getDoorHandleSide, getDrawerLayout,
+ *   getSinkFalseFronts, MM_PER_INCH)
+ * - doorStyleLibrary.js (getDoorStyle, getDoorFrameParts)
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (3D pulls and the pull selects)
+ * - designEngine.js (pull rows in the cut list)
+ * - shoppingListGenerator.js (pulls to buy, priced from the catalog)
+ * - printExport.js (drilling templates)
+ */
+
+/**
+ * getPull - Find a pull in the pull catalog
+ *
+ * The catalog keeps the sizes in mm, the way pulls are sold. The pull comes
+ * back with inch sizes as well, since the fronts are laid out in inches.
+ *
+ * @param {string} pullId - A PULL_CATALOG id
+ * @returns {Object|null} - { id, name, style, finish, price, mount, centerToCenter,
+ *   length, width, projection (mm), centers, lengthIn, widthIn, projectionIn (inches) }
+ *   or null if the id isn't in the catalog
+ */
+function getPull(pullId) {
+    const pull = PULL_CATALOG[pullId];
+    if (!pull) return null;
+    return {
+        id: pullId,
+        ...pull,
+        centers: pull.centerToCenter / MM_PER_INCH,
+        lengthIn: pull.length / MM_PER_INCH,
+        widthIn: pull.width / MM_PER_INCH,
+        projectionIn: pull.projection / MM_PER_INCH
+    };
+}
+
+/**
+ * getCabinetPull - The pull a cabinet uses
+ *
+ * A cabinet holding an id that is no longer in the catalog gets the default pull.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - The pull (see getPull)
+ */
+function getCabinetPull(cabinet) {
+    return getPull(cabinet.hardware?.pulls) || getPull(DEFAULT_PULL);
+}
+
+/**
+ * getPullLabel - How a pull is named on the cut list and shopping list
+ *
+ * @param {Object} pull - A pull from getPull
+ * @returns {string} - e.g. '128mm Bar Pull, Satin Nickel'
+ */
+function getPullLabel(pull) {
+    return `${pull.name}, ${pull.finish}`;
+}
+
+/**
+ * getPullPlacement - The placement rules a cabinet uses
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { door, drawer } - keys into PULL_PLACEMENTS
+ */
+function getPullPlacement(cabinet) {
+    const placement = cabinet.pullPlacement || {};
+    return {
+        door: PULL_PLACEMENTS.door[placement.door] ? placement.door : 'edge',
+        drawer: PULL_PLACEMENTS.drawer[placement.drawer] ? placement.drawer : 'center'
+    };
+}
+
+/**
+ * placePull - One pull at a point on a front, with its holes
+ *
+ * @param {Object} pull - A pull from getPull
+ * @param {number} x - Center of the pull from the left of the front
+ * @param {number} y - Center of the pull from the bottom of the front
+ * @param {boolean} vertical - True if the pull stands upright
+ * @param {number} frontHeight - Height of the front (edge pulls screw on just below its edge)
+ * @returns {Object} - { x, y, vertical, face, holes: [{ x, y }], pocket }
+ */
+function placePull(pull, x, y, vertical, frontHeight) {
+    if (pull.mount === 'routed') {
+        // no screws - a pocket the size of the pull
+        const pocket = vertical
+            ? { width: pull.widthIn, height: pull.lengthIn, depth: PULL_RULES.routedDepth }
+            : { width: pull.lengthIn, height: pull.widthIn, depth: PULL_RULES.routedDepth };
+        return { x, y, vertical, face: 'front', holes: [], pocket };
+    }
+    if (pull.mount === 'edge') {
+        // the tab hooks over the edge and screws into the back, just inside it
+        const holeY = y > frontHeight / 2 ? frontHeight - PULL_RULES.edgeScrewDrop : PULL_RULES.edgeScrewDrop;
+        const holes = pull.centers > 0
+            ? [{ x: x - pull.centers / 2, y: holeY }, { x: x + pull.centers / 2, y: holeY }]
+            : [{ x, y: holeY }];
+        return { x, y, vertical: false, face: 'back', holes, pocket: null };
+    }
+    if (pull.centers <= 0) return { x, y, vertical, face: 'front', holes: [{ x, y }], pocket: null };
+    const half = pull.centers / 2;
+    const holes = vertical
+        ? [{ x, y: y - half }, { x, y: y + half }]
+        : [{ x: x - half, y }, { x: x + half, y }];
+    return { x, y, vertical, face: 'front', holes, pocket: null };
+}
+
+/**
+ * getPullLayout - Every pull on a cabinet, front by front
+ *
+ * DOORS: one pull, near the opening edge (see getDoorHandleSide), placed
+ * by the door rule (see PULL_PLACEMENTS) at the top of a base door and the
+ * bottom of a wall door or tall upper door. An upright pull is centered on
+ * the stile, or PULL_RULES.slabInset in from the edge of a slab door.
+ * A bi-fold pair has one pull, on the free edge of its second leaf.
+ *
+ * DRAWERS AND TILT-OUT FRONTS: lying down, centered across the front (two,
+ * a quarter of the way in from each end, on fronts PULL_RULES.twoPullWidth
+ * or wider). Up and down they follow the drawer rule. Fixed false fronts
+ * don't get a pull.
+ *
+ * Edge pulls always sit on the edge you reach - lying along the top edge
+ * (the bottom edge of a wall door), their end PULL_RULES.edgeOffset in
+ * from the opening edge of a door.
+ *
+ * @param {Object} cabinet - The cabinet object
+ * @param {Array} doorStyles - The project's door style library (rail and stile widths)
+ * @returns {Array} - One entry per front that gets a pull:
+ *   { kind, index, label, frontLeft, frontBottom, width, height, pull, pulls }
+ *   kind is 'door', 'drawer' or 'falseFront', index the door number, drawer
+ *   index or false front number; frontLeft/frontBottom are measured from the
+ *   left end and bottom of the cabinet. pulls is a list from placePull - x
+ *   and y from the bottom left of the front
+ */
+function getPullLayout(cabinet, doorStyles) {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const pull = getCabinetPull(cabinet);
+    const placement = getPullPlacement(cabinet);
+    const doorStyle = getDoorStyle(cabinet.doorStyle, doorStyles);
+    const drawerStyle = getDoorStyle(cabinet.drawerStyle, doorStyles);
+    const halfLength = pull.lengthIn / 2;
+    const fronts = [];
+
+    // keep the whole pull on the front (centered if it's longer than the front)
+    const clamp = (value, size) => (halfLength * 2 >= size ? size / 2 : Math.max(halfLength, Math.min(size - halfLength, value)));
+
+    getDoorBanks(cabinet).forEach(bank => {
+        const reachTop = typeSpec.mounted !== 'wall' && bank.key !== 'upper';
+        const { doorWidth: width, doorHeight: height } = bank;
+        const frame = getDoorFrameParts(doorStyle, width, height);
+
+        for (let j = 0; j < bank.doorCount; j++) {
+            const doorIndex = bank.firstDoorIndex + j;
+            let side = getDoorHandleSide(cabinet, doorIndex);
+            if (typeSpec.biFold) {
+                // the first leaf of a pair hangs on the box, the second carries the pull
+                if (j % 2 === 0 && j < bank.doorCount - 1) continue;
+                if (j % 2 === 1) side = 'right';
+            }
+
+            let entry;
+            if (pull.mount === 'edge') {
+                const along = PULL_RULES.edgeOffset + pull.lengthIn / 2;
+                entry = placePull(pull, side === 'left' ? along : width - along, reachTop ? height : 0, false, height);
+            } else if (placement.door === 'rail' && frame) {
+                const y = reachTop ? height - frame.topRailWidth / 2 : frame.bottomRailWidth / 2;
+                entry = placePull(pull, width / 2, y, false, height);
+            } else {
+                const inset = frame ? frame.stileWidth / 2 : PULL_RULES.slabInset;
+                const x = side === 'left' ? inset : width - inset;
+                let y = height / 2;
+                if (placement.door !== 'center') y = reachTop ? height - PULL_RULES.edgeOffset - halfLength : PULL_RULES.edgeOffset + halfLength;
+                entry = placePull(pull, x, clamp(y, height), true, height);
+            }
+
+            fronts.push({
+                kind: 'door',
+                index: doorIndex,
+                label: `Door ${doorIndex + 1}${bank.label ? ` (${bank.label})` : ''}`,
+                frontLeft: bank.doorLefts[j],
+                frontBottom: bank.frontBottom,
+                width,
+                height,
+                pull,
+                pulls: [entry]
+            });
+        }
+    });
+
+    // drawers and tilt-outs - across the front
+    const placeAcross = (width, height) => {
+        const xs = width >= PULL_RULES.twoPullWidth ? [width / 4, width * 3 / 4] : [width / 2];
+        if (pull.mount === 'edge') return xs.map(x => placePull(pull, x, height, false, height));
+        const frame = getDoorFrameParts(drawerStyle, width, height);
+        let rule = placement.drawer;
+        if (rule === 'rail' && !frame) rule = 'upperThird';
+        let y = height / 2;
+        if (rule === 'rail') y = height - frame.topRailWidth / 2;
+        if (rule === 'upperThird') y = height * 2 / 3;
+        return xs.map(x => placePull(pull, x, clamp(y, height), false, height));
+    };
+
+    getDrawerLayout(cabinet).forEach(entry => {
+        fronts.push({
+            kind: 'drawer',
+            index: entry.index,
+            label: `Drawer ${entry.index + 1}`,
+            frontLeft: entry.frontLeft,
+            frontBottom: entry.frontBottom,
+            width: entry.frontWidth,
+            height: entry.frontHeight,
+            pull,
+            pulls: placeAcross(entry.frontWidth, entry.frontHeight)
+        });
+    });
+
+    const falseFronts = getSinkFalseFronts(cabinet);
+    if (falseFronts && falseFronts.style === 'tiltOut') {
+        for (let i = 0; i < falseFronts.count; i++) {
+            fronts.push({
+                kind: 'falseFront',
+                index: i,
+                label: `Tilt-Out ${i + 1}`,
+                frontLeft: falseFronts.frontLeft + (falseFronts.frontWidth + falseFronts.reveal) * i,
+                frontBottom: falseFronts.frontBottom,
+                width: falseFronts.frontWidth,
+                height: falseFronts.frontHeight,
+                pull,
+                pulls: placeAcross(falseFronts.frontWidth, falseFronts.frontHeight)
+            });
+        }
+    }
+
+    return fronts;
+}
+
+/**
+ * countPulls - How many pulls a cabinet takes, by kind of front
+ *
+ * @param {Array} fronts - From getPullLayout
+ * @returns {Object} - { door, drawer, falseFront, total }
+ */
+function countPulls(fronts) {
+    const counts = { door: 0, drawer: 0, falseFront: 0, total: 0 };
+    fronts.forEach(front => {
+        counts[front.kind] += front.pulls.length;
+        counts.total += front.pulls.length;
+    });
+    return counts;
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// getPull, getCabinetPull, getPullLabel, getPullPlacement, getPullLayout, countPulls
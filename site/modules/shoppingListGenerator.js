@@ -9,12 +9,22 @@
  * It optimizes sheet material usage and provides practical purchasing guidance.
  * 
  * FEATURES:
- * - Consolidated hardware list (hinges, slides, pulls)
+ * - Consolidated hardware list (hinges, slides by length, pulls by catalog size and finish)
+ * - Metal drawer system sets, and wood drawer boxes ordered in by size
  * - Sheet material optimization (4x8, 5x5 sheets)
  * - Lumber dimension calculations
  * - Finish materials and supplies
  * - Edgebanding calculations
+ * - Crown, light rail and toe-kick skin by the stick (see trimRuns.js)
  * - Standard hardware quantities
+ *
+ * DEPENDENCIES:
+ * - constants.js (CABINET_TYPES, DEFAULT_DOOR_STYLES, JOINERY_TYPES)
+ * - measurements.js (decimalToFraction, for ordered drawer box sizes)
+ * - designEngine.js (cut list and sheet goods, so the list buys what the cut list cuts)
+ * - cabinetLayout.js (door banks, door and hinge counts, blind corner panels, accessories and face frames for plain cabinet objects; drawer slides by length from SLIDE_CATALOG)
+ * - trimRuns.js (getTrimSummary - trim runs, footage and stock lengths)
+ * - pullLayout.js (the catalog pull each cabinet uses, and how many)
  */
 
 // Standard sheet sizes in square feet
@@ -26,24 +36,27 @@ const SHEET_SIZES = {
 
 // Hardware specifications and pricing estimates
 const HARDWARE_SPECS = {
+    // Door hinges are counted by door size (see getHingeCount); tilt-outs go in pairs
     hinges: {
-        'Concealed (Blum)': { priceEach: 3.50, perDoor: 2 },
-        'Concealed (Grass)': { priceEach: 3.00, perDoor: 2 },
-        'European': { priceEach: 2.50, perDoor: 2 },
-        'Butt Hinge': { priceEach: 1.50, perDoor: 2 }
+        'Concealed (Blum)': { priceEach: 3.50 },
+        'Concealed (Grass)': { priceEach: 3.00 },
+        'European': { priceEach: 2.50 },
+        'Butt Hinge': { priceEach: 1.50 },
+        'Bi-Fold Hinge': { priceEach: 6.00 }, // Joins the two lazy susan door leaves
+        'Tilt-Out Hinge': { priceEach: 4.50, perDoor: 2 }  // Sink base false fronts, one pair each
     },
-    slides: {
-        'Undermount (Blum)': { pricePerPair: 45.00 },
-        'Side Mount': { pricePerPair: 15.00 },
-        'Center Mount': { pricePerPair: 12.00 },
-        'Soft-Close': { pricePerPair: 35.00 }
+    // Slides are priced by length from SLIDE_CATALOG, metal drawer systems by the set from DRAWER_SYSTEMS
+    // Drawer boxes ordered from a box maker - a price per box plus the square feet of its four sides, by joint
+    orderedDrawerBoxes: {
+        priceEach: 18.00,
+        perSqFt: { butt: 6.00, dado: 7.00, rabbet: 7.00, doweled: 8.00, dovetail: 12.00 }
     },
-    pulls: {
-        'Bar Pull': { priceEach: 4.50 },
-        'Cup Pull': { priceEach: 5.00 },
-        'Knob': { priceEach: 3.00 },
-        'Edge Pull': { priceEach: 6.50 },
-        'Recessed': { priceEach: 8.00 }
+    // Pulls are priced from PULL_CATALOG (see pullLayout.js)
+    // Lazy susan sets: 2 kidney tiers, center pole and bearings
+    turntables: {
+        'Kidney 24"': { priceEach: 70.00, diameter: 24 },
+        'Kidney 28"': { priceEach: 85.00, diameter: 28 },  // Standard for a 36" corner
+        'Kidney 32"': { priceEach: 110.00, diameter: 32 }  // 42" corner
     }
 };
 
@@ -63,6 +76,13 @@ const EDGEBANDING_SPECS = {
     thicknesses: [0.5, 0.75, 1.0]
 };
 
+// Molding and solid wood trim, per linear foot bought (see TRIM_TYPES)
+const MOLDING_SPECS = {
+    crown: { pricePerFoot: 4.50 },
+    lightRail: { pricePerFoot: 3.00 },
+    toeKick: { pricePerFoot: 1.25 }  // 1/4" prefinished plywood strips
+};
+
 // Miscellaneous supplies
 const MISC_SUPPLIES = {
     'Wood Glue (16oz)': { priceEach: 8.00, estimatedQuantity: 1 },
@@ -72,6 +92,14 @@ const MISC_SUPPLIES = {
     'Masking Tape': { priceEach: 5.00, estimatedQuantity: 1 }
 };
 
+// Floor protection mat for the bottom of a sink base (catches leaks)
+const SINK_BASE_MAT = { priceEach: 30.00 };
+
+// Bins for pull-out trash, by size (see ACCESSORY_TYPES.pullOutTrash.binSize)
+const TRASH_BINS = {
+    '35 qt': { priceEach: 25.00 }
+};
+
 /**
  * Calculate total surface area for a cabinet
  * Used for finish material estimation
@@ -87,20 +115,25 @@ function calculateCabinetSurfaceArea(cabinet) {
     // Face frame or front edge
     totalArea += (cabinet.width * cabinet.height);
     
-    // Doors
-    if (cabinet.door) {
-        const doorArea = cabinet.door.width * cabinet.door.height;
-        totalArea += doorArea * 2; // Both sides of door
-    }
+    // Doors - both sides
+    getDoorBanks(cabinet).forEach(bank => {
+        totalArea += bank.doorWidth * bank.doorHeight * bank.doorCount * 2;
+    });
     
-    // Drawers
+    // Drawers (side-by-side drawers each have their own width)
     if (cabinet.drawers && cabinet.drawers.length > 0) {
-        cabinet.drawers.forEach(drawer => {
-            const drawerFrontArea = (cabinet.width - 2) * drawer.height;
+        getDrawerLayout(cabinet).forEach(({ drawer, frontWidth }) => {
+            const drawerFrontArea = frontWidth * drawer.height;
             totalArea += drawerFrontArea * 2; // Both sides
         });
     }
     
+    // Sink base false fronts
+    const falseFronts = getSinkFalseFronts(cabinet);
+    if (falseFronts) {
+        totalArea += falseFronts.frontWidth * falseFronts.frontHeight * falseFronts.count * 2;
+    }
+    
     return totalArea / 144; // Convert to square feet
 }
 
@@ -111,8 +144,17 @@ function calculateCabinetSurfaceArea(cabinet) {
 function calculateEdgebanding(cabinet) {
     let linearFeet = 0;
     
-    // Shelves - all four edges
-    if (cabinet.shelves > 0) {
+    // Shelves - all four edges (sink bases have none)
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const sections = getCabinetSections(cabinet);
+    if (sections) {
+        sections.forEach(entry => {
+            const perimeterPerShelf = 2 * (entry.clearWidth + cabinet.depth - 1);
+            linearFeet += perimeterPerShelf * (entry.section.shelves || 0);
+        });
+        // Partition front edges
+        linearFeet += (sections.length - 1) * cabinet.height;
+    } else if (cabinet.shelves > 0 && !typeSpec.sinkBase) {
         const shelfWidth = cabinet.width - (cabinet.thickness * 2);
         const shelfDepth = cabinet.depth - 1;
         const perimeterPerShelf = 2 * (shelfWidth + shelfDepth);
@@ -121,16 +163,20 @@ function calculateEdgebanding(cabinet) {
     
     // Drawer fronts - top and bottom edges
     if (cabinet.drawers && cabinet.drawers.length > 0) {
-        cabinet.drawers.forEach(drawer => {
-            const frontWidth = cabinet.width - 2;
+        getDrawerLayout(cabinet).forEach(({ frontWidth }) => {
             linearFeet += frontWidth * 2; // Top and bottom
         });
     }
     
     // Door edges - all four sides
-    if (cabinet.door) {
-        const doorPerimeter = 2 * (cabinet.door.width + cabinet.door.height);
-        linearFeet += doorPerimeter;
+    getDoorBanks(cabinet).forEach(bank => {
+        linearFeet += 2 * (bank.doorWidth + bank.doorHeight) * bank.doorCount;
+    });
+    
+    // Sink base false fronts - all four sides
+    const falseFronts = getSinkFalseFronts(cabinet);
+    if (falseFronts) {
+        linearFeet += 2 * (falseFronts.frontWidth + falseFronts.frontHeight) * falseFronts.count;
     }
     
     return linearFeet / 12; // Convert inches to feet
@@ -158,19 +204,23 @@ function optimizeSheetMaterial(totalSquareFeet, sheetType = '4x8') {
 /**
  * Main function: Generate comprehensive shopping list
  */
-function generateShoppingList(cabinets, materialCosts = {}) {
+function generateShoppingList(cabinets, materialCosts = {}, doorStyles = DEFAULT_DOOR_STYLES) {
     const shoppingList = {
         sheetMaterials: {},
         hardware: {
             hinges: {},
             slides: {},
-            pulls: {}
+            pulls: {},
+            turntables: {},
+            drawerSystems: {},
+            drawerBoxes: {}
         },
         edgebanding: {
             totalLinearFeet: 0,
             rollsNeeded: 0,
             totalCost: 0
         },
+        molding: {},
         finishMaterials: {
             totalSurfaceArea: 0,
             materials: {}
@@ -182,26 +232,24 @@ function generateShoppingList(cabinets, materialCosts = {}) {
         }
     };
     
+    // === SHEET MATERIALS ===
+    // Same part areas as the cut list (see designEngine.js), grouped by stock
+    const materials = calculateMaterials(generateCutList(cabinets, doorStyles), materialCosts);
+    Object.entries(materials).forEach(([key, usage]) => {
+        shoppingList.sheetMaterials[key] = {
+            name: usage.name,
+            totalArea: usage.area,
+            sheets: {},
+            cost: usage.costPerSheet || 50 // Default $50/sheet
+        };
+    });
+    
     // === PROCESS EACH CABINET ===
     cabinets.forEach(cabinet => {
-        // 1. SHEET MATERIALS
-        // Calculate area needed for this cabinet
-        const cabinetArea = calculateCabinetArea(cabinet);
-        
-        Object.entries(cabinetArea).forEach(([material, area]) => {
-            if (!shoppingList.sheetMaterials[material]) {
-                shoppingList.sheetMaterials[material] = {
-                    totalArea: 0,
-                    sheets: {},
-                    cost: materialCosts[material] || 50 // Default $50/sheet
-                };
-            }
-            shoppingList.sheetMaterials[material].totalArea += area;
-        });
-        
-        // 2. HARDWARE - HINGES
-        if (cabinet.door) {
-            const hingeType = cabinet.door.hinge || 'Concealed (Blum)';
+        // 1. HARDWARE - HINGES
+        const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+        const doorCount = getTotalDoorCount(cabinet);
+        const addHinges = (hingeType, quantity) => {
             if (!shoppingList.hardware.hinges[hingeType]) {
                 shoppingList.hardware.hinges[hingeType] = {
                     quantity: 0,
@@ -209,44 +257,134 @@ function generateShoppingList(cabinets, materialCosts = {}) {
                     totalCost: 0
                 };
             }
-            const hingesPerDoor = HARDWARE_SPECS.hinges[hingeType]?.perDoor || 2;
-            shoppingList.hardware.hinges[hingeType].quantity += hingesPerDoor;
+            shoppingList.hardware.hinges[hingeType].quantity += quantity;
+        };
+        if (doorCount > 0) {
+            // Hinges per door go by door size (see getHingeCount); only one leaf
+            // of each bi-fold pair hangs on the box, the other hangs on it
+            const hingeType = cabinet.hardware?.hinges || 'Concealed (Blum)';
+            getHingeLayout(cabinet).doors.forEach(door => {
+                addHinges(door.member?.kind === 'leaf' ? 'Bi-Fold Hinge' : hingeType, door.count);
+            });
         }
         
-        // 3. HARDWARE - SLIDES
-        if (cabinet.drawers && cabinet.drawers.length > 0) {
-            cabinet.drawers.forEach(drawer => {
-                const slideType = drawer.slide || 'Undermount (Blum)';
-                if (!shoppingList.hardware.slides[slideType]) {
-                    shoppingList.hardware.slides[slideType] = {
-                        pairs: 0,
-                        pricePerPair: HARDWARE_SPECS.slides[slideType]?.pricePerPair || 25.00,
-                        totalCost: 0
-                    };
-                }
-                shoppingList.hardware.slides[slideType].pairs += 1;
-            });
+        // Tilt-out false fronts on sink bases swing on their own hinges
+        const falseFronts = getSinkFalseFronts(cabinet);
+        const tiltOuts = falseFronts && falseFronts.style === 'tiltOut' ? falseFronts.count : 0;
+        if (tiltOuts > 0) {
+            addHinges('Tilt-Out Hinge', tiltOuts * HARDWARE_SPECS.hinges['Tilt-Out Hinge'].perDoor);
+        }
+        
+        // 2b. HARDWARE - TURNTABLES (lazy susan)
+        if (typeSpec.cornerShape === 'lShape') {
+            const turntableType = HARDWARE_SPECS.turntables[cabinet.turntableType] ? cabinet.turntableType : 'Kidney 28"';
+            if (!shoppingList.hardware.turntables[turntableType]) {
+                shoppingList.hardware.turntables[turntableType] = {
+                    quantity: 0,
+                    priceEach: HARDWARE_SPECS.turntables[turntableType].priceEach,
+                    totalCost: 0
+                };
+            }
+            shoppingList.hardware.turntables[turntableType].quantity += 1;
         }
         
-        // 4. HARDWARE - PULLS
-        const pullCount = (cabinet.door ? 1 : 0) + (cabinet.drawers ? cabinet.drawers.length : 0);
+        // 2. HARDWARE - SLIDES (drawers, then roll-outs and pull-outs), by type and length
+        const addSlides = (slide, fit) => {
+            const key = fit ? `${slide.type} ${fit.length}"` : slide.type;
+            if (!shoppingList.hardware.slides[key]) {
+                shoppingList.hardware.slides[key] = {
+                    pairs: 0,
+                    length: fit ? fit.length : null,
+                    // no length fits (see validateDrawerSlides) - price the shortest until it's fixed
+                    pricePerPair: (fit || slide.lengths[0]).pricePerPair,
+                    totalCost: 0
+                };
+            }
+            shoppingList.hardware.slides[key].pairs += 1;
+        };
+        const drawerBoxes = getDrawerBoxes(cabinet, getPartStock(cabinet, 'back').actual);
+        drawerBoxes.forEach(box => {
+            if (box.system) return;
+            addSlides(box.slide, box.slideLength ? { length: box.slideLength, pricePerPair: box.pricePerPair } : null);
+        });
+        const accessories = getAccessoryLayout(cabinet, getPartStock(cabinet, 'back').actual);
+        accessories.forEach(entry => {
+            if (entry.slide) {
+                addSlides(entry.slide, entry.slideLength ? { length: entry.slideLength, pricePerPair: entry.pricePerPair } : null);
+            }
+        });
+        
+        // 2b. DRAWER BOXES - metal system sets (sides and runners), or wood boxes ordered in
+        drawerBoxes.forEach(box => {
+            let key;
+            let priceEach;
+            let list;
+            if (box.system) {
+                const height = box.height || box.system.heights[0];
+                key = `${box.system.name} ${height.key}${box.slideLengthMm ? ` ${box.slideLengthMm}mm` : ''}`;
+                priceEach = height.pricePerSet;
+                list = shoppingList.hardware.drawerSystems;
+            } else if (cabinet.drawerBox?.outsourced) {
+                const joint = getJoinerySettings(cabinet).drawer;
+                const spec = HARDWARE_SPECS.orderedDrawerBoxes;
+                const sideArea = (box.boxWidth + box.boxDepth) * 2 * box.boxHeight / 144;
+                key = `${(JOINERY_TYPES.drawer[joint] || JOINERY_TYPES.drawer.butt).name} ${decimalToFraction(box.boxWidth)} x ${decimalToFraction(box.boxHeight)} x ${decimalToFraction(box.boxDepth)}`;
+                priceEach = spec.priceEach + sideArea * (spec.perSqFt[joint] || spec.perSqFt.butt);
+                list = shoppingList.hardware.drawerBoxes;
+            } else {
+                return;
+            }
+            if (!list[key]) list[key] = { quantity: 0, priceEach, totalCost: 0 };
+            list[key].quantity += 1;
+        });
+        
+        // 3. HARDWARE - PULLS (one per door, bi-fold pair and tilt-out, one or two per drawer)
+        const pullCount = countPulls(getPullLayout(cabinet, doorStyles)).total;
         if (pullCount > 0) {
-            // Get pull type from door or first drawer
-            const pullType = cabinet.door?.pull || cabinet.drawers?.[0]?.pull || 'Bar Pull';
-            if (!shoppingList.hardware.pulls[pullType]) {
-                shoppingList.hardware.pulls[pullType] = {
+            const pull = getCabinetPull(cabinet);
+            const pullName = getPullLabel(pull);
+            if (!shoppingList.hardware.pulls[pullName]) {
+                shoppingList.hardware.pulls[pullName] = {
+                    quantity: 0,
+                    centerToCenter: pull.centerToCenter,
+                    priceEach: pull.price,
+                    totalCost: 0
+                };
+            }
+            shoppingList.hardware.pulls[pullName].quantity += pullCount;
+        }
+        
+        // 4b. SINK BASE FLOOR MAT - sized by cabinet width
+        if (typeSpec.sinkBase) {
+            const matName = `Sink Base Floor Mat (${cabinet.width}" cabinet)`;
+            if (!shoppingList.miscSupplies[matName]) {
+                shoppingList.miscSupplies[matName] = {
                     quantity: 0,
-                    priceEach: HARDWARE_SPECS.pulls[pullType]?.priceEach || 4.00,
+                    priceEach: SINK_BASE_MAT.priceEach,
                     totalCost: 0
                 };
             }
-            shoppingList.hardware.pulls[pullType].quantity += pullCount;
+            shoppingList.miscSupplies[matName].quantity += 1;
         }
         
-        // 5. EDGEBANDING
+        // 4c. TRASH BINS - one per opening in each pull-out trash frame
+        accessories.forEach(entry => {
+            if (entry.accessory.type !== 'pullOutTrash' || entry.count <= 0) return;
+            const binName = `Trash Bin (${entry.spec.binSize})`;
+            if (!shoppingList.miscSupplies[binName]) {
+                shoppingList.miscSupplies[binName] = {
+                    quantity: 0,
+                    priceEach: TRASH_BINS[entry.spec.binSize]?.priceEach || 25.00,
+                    totalCost: 0
+                };
+            }
+            shoppingList.miscSupplies[binName].quantity += entry.count;
+        });
+        
+        // 4. EDGEBANDING
         shoppingList.edgebanding.totalLinearFeet += calculateEdgebanding(cabinet);
         
-        // 6. FINISH MATERIALS
+        // 5. FINISH MATERIALS
         shoppingList.finishMaterials.totalSurfaceArea += calculateCabinetSurfaceArea(cabinet);
     });
     
@@ -281,6 +419,15 @@ function generateShoppingList(cabinets, materialCosts = {}) {
         shoppingList.summary.itemCount += pull.quantity;
     });
     
+    // Turntables, metal drawer systems and ordered drawer boxes
+    [shoppingList.hardware.turntables, shoppingList.hardware.drawerSystems, shoppingList.hardware.drawerBoxes].forEach(items => {
+        Object.values(items).forEach(item => {
+            item.totalCost = item.quantity * item.priceEach;
+            shoppingList.summary.totalCost += item.totalCost;
+            shoppingList.summary.itemCount += item.quantity;
+        });
+    });
+    
     // === EDGEBANDING ===
     shoppingList.edgebanding.rollsNeeded = Math.ceil(
         shoppingList.edgebanding.totalLinearFeet / EDGEBANDING_SPECS.rollLength
@@ -289,6 +436,27 @@ function generateShoppingList(cabinets, materialCosts = {}) {
         shoppingList.edgebanding.rollsNeeded * EDGEBANDING_SPECS.pricePerRoll;
     shoppingList.summary.totalCost += shoppingList.edgebanding.totalCost;
     
+    // === SOLID WOOD & MOLDING ===
+    // Bought by the stick - cut lengths plus miter allowance, laid out on stock lengths
+    getTrimSummary(cabinets).forEach(trim => {
+        const purchaseFeet = trim.sticks * trim.stockLength / 12;
+        const pricePerFoot = MOLDING_SPECS[trim.kind].pricePerFoot;
+        shoppingList.molding[trim.name] = {
+            linearFeet: trim.linearFeet,
+            allowanceFeet: trim.allowanceFeet,
+            sticks: trim.sticks,
+            stockLength: trim.stockLength,
+            purchaseFeet,
+            outsideCorners: trim.outsideCorners,
+            insideCorners: trim.insideCorners,
+            returns: trim.returns,
+            pricePerFoot,
+            totalCost: purchaseFeet * pricePerFoot
+        };
+        shoppingList.summary.totalCost += shoppingList.molding[trim.name].totalCost;
+        shoppingList.summary.itemCount += trim.sticks;
+    });
+    
     // === FINISH MATERIALS ===
     // Estimate finish materials based on total surface area
     const surfaceArea = shoppingList.finishMaterials.totalSurfaceArea;
@@ -315,6 +483,13 @@ function generateShoppingList(cabinets, materialCosts = {}) {
     });
     
     // === MISCELLANEOUS SUPPLIES ===
+    // Floor mats and trash bins were counted per cabinet above
+    Object.values(shoppingList.miscSupplies).forEach(item => {
+        item.totalCost = item.quantity * item.priceEach;
+        shoppingList.summary.totalCost += item.totalCost;
+        shoppingList.summary.itemCount += item.quantity;
+    });
+    
     Object.entries(MISC_SUPPLIES).forEach(([item, spec]) => {
         // Scale quantity based on number of cabinets
         const scaledQuantity = Math.max(spec.estimatedQuantity, Math.ceil(cabinets.length / 3));
@@ -329,76 +504,6 @@ function generateShoppingList(cabinets, materialCosts = {}) {
     return shoppingList;
 }
 
-/**
- * Calculate total sheet material area needed for a cabinet
- * Groups by material type
- */
-function calculateCabinetArea(cabinet) {
-    const areas = {};
-    const material = cabinet.material || 'Oak';
-    
-    if (!areas[material]) {
-        areas[material] = 0;
-    }
-    
-    // Cabinet box
-    // Sides (2)
-    areas[material] += 2 * ((cabinet.depth * cabinet.height) / 144);
-    // Top and bottom (2)
-    areas[material] += 2 * ((cabinet.width * cabinet.depth) / 144);
-    
-    // Back panel (1/4" plywood)
-    if (cabinet.backPanel) {
-        const backMaterial = 'Plywood (1/4")';
-        if (!areas[backMaterial]) {
-            areas[backMaterial] = 0;
-        }
-        areas[backMaterial] += (cabinet.width * cabinet.height) / 144;
-    }
-    
-    // Shelves
-    if (cabinet.shelves > 0) {
-        const shelfWidth = cabinet.width - (cabinet.thickness * 2);
-        const shelfDepth = cabinet.depth - 1;
-        areas[material] += cabinet.shelves * ((shelfWidth * shelfDepth) / 144);
-    }
-    
-    // Door
-    if (cabinet.door) {
-        areas[material] += (cabinet.door.width * cabinet.door.height) / 144;
-    }
-    
-    // Drawer fronts and boxes
-    if (cabinet.drawers && cabinet.drawers.length > 0) {
-        const drawerBoxMaterial = 'Plywood (1/2")';
-        if (!areas[drawerBoxMaterial]) {
-            areas[drawerBoxMaterial] = 0;
-        }
-        
-        cabinet.drawers.forEach(drawer => {
-            // Drawer front
-            const frontWidth = cabinet.width - 2;
-            const frontHeight = drawer.height - 0.5;
-            areas[material] += (frontWidth * frontHeight) / 144;
-            
-            // Drawer box (sides, front, back)
-            const boxHeight = 4; // Standard 4" drawer box height
-            const sideArea = 2 * ((cabinet.depth * boxHeight) / 144);
-            const frontBackArea = 2 * (((cabinet.width - 2) * boxHeight) / 144);
-            areas[drawerBoxMaterial] += sideArea + frontBackArea;
-            
-            // Drawer bottom
-            const bottomMaterial = 'Plywood (1/4")';
-            if (!areas[bottomMaterial]) {
-                areas[bottomMaterial] = 0;
-            }
-            areas[bottomMaterial] += ((cabinet.width - 2) * (cabinet.depth - 2)) / 144;
-        });
-    }
-    
-    return areas;
-}
-
 /**
  * Export shopping list to CSV format
  */
@@ -408,8 +513,8 @@ function exportShoppingListCSV(shoppingList, projectName) {
     // Sheet Materials
     csv += 'SHEET MATERIALS\n';
     csv += 'Material,Total Sq Ft,Sheets Needed,Sheet Size,Waste %,Cost/Sheet,Total Cost\n';
-    Object.entries(shoppingList.sheetMaterials).forEach(([material, data]) => {
-        csv += `${material},${data.totalArea.toFixed(2)},${data.sheets.sheetsNeeded},${data.sheets.sheetSize},${data.sheets.wastePercent}%,$${data.cost.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
+    Object.values(shoppingList.sheetMaterials).forEach(data => {
+        csv += `"${data.name.replace(/"/g, '""')}",${data.totalArea.toFixed(2)},${data.sheets.sheetsNeeded},${data.sheets.sheetSize},${data.sheets.wastePercent}%,$${data.cost.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
     });
     csv += '\n';
     
@@ -425,24 +530,64 @@ function exportShoppingListCSV(shoppingList, projectName) {
     csv += 'DRAWER SLIDES\n';
     csv += 'Type,Pairs Needed,Price/Pair,Total Cost\n';
     Object.entries(shoppingList.hardware.slides).forEach(([type, data]) => {
-        csv += `${type},${data.pairs},$${data.pricePerPair.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
+        csv += `"${type.replace(/"/g, '""')}",${data.pairs},$${data.pricePerPair.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
     });
     csv += '\n';
     
     // Hardware - Pulls
     csv += 'PULLS & KNOBS\n';
-    csv += 'Type,Quantity,Price Each,Total Cost\n';
+    csv += 'Type,Centers,Quantity,Price Each,Total Cost\n';
     Object.entries(shoppingList.hardware.pulls).forEach(([type, data]) => {
-        csv += `${type},${data.quantity},$${data.priceEach.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
+        csv += `"${type}",${data.centerToCenter ? `${data.centerToCenter}mm` : '-'},${data.quantity},$${data.priceEach.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
     });
     csv += '\n';
     
+    // Hardware - Turntables
+    if (Object.keys(shoppingList.hardware.turntables).length > 0) {
+        csv += 'LAZY SUSAN TURNTABLES\n';
+        csv += 'Type,Sets,Price/Set,Total Cost\n';
+        Object.entries(shoppingList.hardware.turntables).forEach(([type, data]) => {
+            csv += `${type},${data.quantity},$${data.priceEach.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
+        });
+        csv += '\n';
+    }
+    
+    // Hardware - Metal drawer systems
+    if (Object.keys(shoppingList.hardware.drawerSystems).length > 0) {
+        csv += 'METAL DRAWER SYSTEMS\n';
+        csv += 'Type,Sets,Price/Set,Total Cost\n';
+        Object.entries(shoppingList.hardware.drawerSystems).forEach(([type, data]) => {
+            csv += `${type},${data.quantity},$${data.priceEach.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
+        });
+        csv += '\n';
+    }
+    
+    // Ordered drawer boxes
+    if (Object.keys(shoppingList.hardware.drawerBoxes).length > 0) {
+        csv += 'ORDERED DRAWER BOXES (W x H x D)\n';
+        csv += 'Box,Quantity,Price Each,Total Cost\n';
+        Object.entries(shoppingList.hardware.drawerBoxes).forEach(([type, data]) => {
+            csv += `"${type.replace(/"/g, '""')}",${data.quantity},$${data.priceEach.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
+        });
+        csv += '\n';
+    }
+    
     // Edgebanding
     csv += 'EDGEBANDING\n';
     csv += 'Linear Feet,Rolls Needed,Price/Roll,Total Cost\n';
     csv += `${shoppingList.edgebanding.totalLinearFeet.toFixed(1)},${shoppingList.edgebanding.rollsNeeded},$${EDGEBANDING_SPECS.pricePerRoll.toFixed(2)},$${shoppingList.edgebanding.totalCost.toFixed(2)}\n`;
     csv += '\n';
     
+    // Solid Wood & Molding
+    if (Object.keys(shoppingList.molding).length > 0) {
+        csv += 'SOLID WOOD & MOLDING\n';
+        csv += 'Item,Linear Feet,With Miter Allowance,Sticks,Stock Length,Price/Ft,Total Cost\n';
+        Object.entries(shoppingList.molding).forEach(([item, data]) => {
+            csv += `${item},${data.linearFeet.toFixed(1)},${data.allowanceFeet.toFixed(1)},${data.sticks},${data.stockLength / 12}',$${data.pricePerFoot.toFixed(2)},$${data.totalCost.toFixed(2)}\n`;
+        });
+        csv += '\n';
+    }
+    
     // Finish Materials
     csv += 'FINISH MATERIALS\n';
     csv += 'Material,Gallons,Price/Gallon,Total Cost\n';
@@ -509,9 +654,9 @@ function exportShoppingListHTML(shoppingList, projectName) {
                     <th>Cost/Sheet</th>
                     <th>Total Cost</th>
                 </tr>
-                ${Object.entries(shoppingList.sheetMaterials).map(([material, data]) => `
+                ${Object.values(shoppingList.sheetMaterials).map(data => `
                     <tr>
-                        <td>${material}</td>
+                        <td>${data.name}</td>
                         <td>${data.totalArea.toFixed(2)}</td>
                         <td>${data.sheets.sheetsNeeded}</td>
                         <td>${data.sheets.sheetSize}</td>
@@ -562,11 +707,32 @@ function exportShoppingListHTML(shoppingList, projectName) {
             <table>
                 <tr>
                     <th>Type</th>
+                    <th>Centers</th>
                     <th>Quantity</th>
                     <th>Price Each</th>
                     <th>Total Cost</th>
                 </tr>
                 ${Object.entries(shoppingList.hardware.pulls).map(([type, data]) => `
+                    <tr>
+                        <td>${type}</td>
+                        <td>${data.centerToCenter ? `${data.centerToCenter}mm` : '-'}</td>
+                        <td>${data.quantity}</td>
+                        <td class="cost">$${data.priceEach.toFixed(2)}</td>
+                        <td class="cost">$${data.totalCost.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+            
+            ${Object.keys(shoppingList.hardware.turntables).length > 0 ? `
+            <h2>Lazy Susan Turntables</h2>
+            <table>
+                <tr>
+                    <th>Type</th>
+                    <th>Sets</th>
+                    <th>Price/Set</th>
+                    <th>Total Cost</th>
+                </tr>
+                ${Object.entries(shoppingList.hardware.turntables).map(([type, data]) => `
                     <tr>
                         <td>${type}</td>
                         <td>${data.quantity}</td>
@@ -575,6 +741,47 @@ function exportShoppingListHTML(shoppingList, projectName) {
                     </tr>
                 `).join('')}
             </table>
+            ` : ''}
+            
+            ${Object.keys(shoppingList.hardware.drawerSystems).length > 0 ? `
+            <h2>Metal Drawer Systems</h2>
+            <table>
+                <tr>
+                    <th>Type</th>
+                    <th>Sets</th>
+                    <th>Price/Set</th>
+                    <th>Total Cost</th>
+                </tr>
+                ${Object.entries(shoppingList.hardware.drawerSystems).map(([type, data]) => `
+                    <tr>
+                        <td>${type}</td>
+                        <td>${data.quantity}</td>
+                        <td class="cost">$${data.priceEach.toFixed(2)}</td>
+                        <td class="cost">$${data.totalCost.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+            ` : ''}
+            
+            ${Object.keys(shoppingList.hardware.drawerBoxes).length > 0 ? `
+            <h2>Ordered Drawer Boxes (W x H x D)</h2>
+            <table>
+                <tr>
+                    <th>Box</th>
+                    <th>Quantity</th>
+                    <th>Price Each</th>
+                    <th>Total Cost</th>
+                </tr>
+                ${Object.entries(shoppingList.hardware.drawerBoxes).map(([type, data]) => `
+                    <tr>
+                        <td>${type}</td>
+                        <td>${data.quantity}</td>
+                        <td class="cost">$${data.priceEach.toFixed(2)}</td>
+                        <td class="cost">$${data.totalCost.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+            ` : ''}
             
             <h2>Edgebanding</h2>
             <table>
@@ -592,6 +799,32 @@ function exportShoppingListHTML(shoppingList, projectName) {
                 </tr>
             </table>
             
+            ${Object.keys(shoppingList.molding).length > 0 ? `
+            <h2>Solid Wood &amp; Molding</h2>
+            <table>
+                <tr>
+                    <th>Item</th>
+                    <th>Linear Feet</th>
+                    <th>With Miter Allowance</th>
+                    <th>Corners / Returns</th>
+                    <th>Sticks</th>
+                    <th>Price/Ft</th>
+                    <th>Total Cost</th>
+                </tr>
+                ${Object.entries(shoppingList.molding).map(([item, data]) => `
+                    <tr>
+                        <td>${item}</td>
+                        <td>${data.linearFeet.toFixed(1)}</td>
+                        <td>${data.allowanceFeet.toFixed(1)}</td>
+                        <td>${data.outsideCorners} out, ${data.insideCorners} in / ${data.returns}</td>
+                        <td>${data.sticks} x ${data.stockLength / 12}'</td>
+                        <td class="cost">$${data.pricePerFoot.toFixed(2)}</td>
+                        <td class="cost">$${data.totalCost.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+            ` : ''}
+            
             <h2>Finish Materials</h2>
             <table>
                 <tr>
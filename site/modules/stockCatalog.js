@@ -0,0 +1,123 @@
+/*
+ * ========================================
+ * STOCK CATALOG MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * Each cabinet picks the sheet stock its parts are cut from - one stock for
+ * the box, one for the back, the shelves, the drawer boxes, the drawer
+ * bottoms and the fronts. This file looks that stock up so the cut list,
+ * the material totals and the sheet optimizer all group parts by the sheet
+ * they really come off, at its real (actual) thickness.
+ *
+ * WHAT IT DOES:
+ * - Finds a sheet in STOCK_CATALOG by id
+ * - Works out the stock a cabinet uses for each part role
+ * - Picks the thinner sheet framed door panels are cut from
+ * - Prices a sheet of each stock (a project's own price or the catalog's)
+ * - Labels cut list rows with the stock name (or the material for solid wood)
+ *
+ * NOMINAL VS ACTUAL:
+ * - Nominal is what the sheet is sold as ("3/4 plywood") - what to buy
+ * - Actual is what it measures (23/32") - what the box sizes, dados and
+ *   cut list thickness use
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (STOCK_CATALOG, PART_STOCK_ROLES, DEFAULT_PART_STOCK, DEFAULT_MATERIAL_COSTS)
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (cut list, material totals, sheet optimization and the stock selects)
+ */
+
+/**
+ * getStock - Find a sheet in the stock catalog
+ *
+ * @param {string} stockId - A STOCK_CATALOG id
+ * @returns {Object|null} - The stock with its id ({ id, name, material, nominal, actual }),
+ *   or null if the id isn't in the catalog
+ */
+function getStock(stockId) {
+    const stock = STOCK_CATALOG[stockId];
+    return stock ? { id: stockId, ...stock } : null;
+}
+
+/**
+ * getPartStock - The stock a cabinet uses for one part role
+ *
+ * Cabinets from before the stock catalog have no "stock" field, and a
+ * cabinet can hold an id that is no longer in the catalog - both get the
+ * role's default stock.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {string} role - A PART_STOCK_ROLES key (box, back, shelves, drawerBox, drawerBottom, fronts)
+ * @returns {Object} - The stock ({ id, name, material, nominal, actual })
+ */
+function getPartStock(cabinet, role) {
+    return getStock((cabinet.stock || {})[role]) || getStock(DEFAULT_PART_STOCK[role]);
+}
+
+/**
+ * getCabinetStock - The stock for every part role of a cabinet
+ *
+ * @param {Object} cabinet - The cabinet
+ * @returns {Object} - { box, back, shelves, drawerBox, drawerBottom, fronts }, each a stock
+ */
+function getCabinetStock(cabinet) {
+    const partStock = {};
+    Object.keys(PART_STOCK_ROLES).forEach(role => {
+        partStock[role] = getPartStock(cabinet, role);
+    });
+    return partStock;
+}
+
+/**
+ * getPanelStock - The sheet the panels of framed fronts are cut from
+ *
+ * Panels are thinner than the frame around them, so they come off the
+ * thinnest sheet of the fronts material that is at least as thick as the
+ * door style's panel (a raised panel is machined down from thicker stock).
+ *
+ * @param {Object} frontStock - The cabinet's fronts stock (getPartStock(cabinet, 'fronts'))
+ * @param {number} panelThickness - The door style's panel thickness
+ * @returns {Object} - A stock ({ id, name, material, nominal, actual }) - the fronts
+ *   stock itself when no thinner sheet of its material will do
+ */
+function getPanelStock(frontStock, panelThickness) {
+    const sheets = Object.keys(STOCK_CATALOG)
+        .map(getStock)
+        .filter(stock => stock.material === frontStock.material && stock.nominal >= panelThickness)
+        .sort((a, b) => a.nominal - b.nominal);
+    return sheets[0] || frontStock;
+}
+
+/**
+ * getSheetPrice - What one sheet of a cut list row's stock costs
+ *
+ * A project can price a stock itself (materialCosts keyed by the stock id);
+ * otherwise the catalog price is used. Rows not cut from catalog stock
+ * (solid wood) are priced by their material.
+ *
+ * @param {Object} item - A cut list row
+ * @param {Object} materialCosts - The project's prices
+ * @returns {number} - Dollars per sheet (or board-foot equivalent)
+ */
+function getSheetPrice(item, materialCosts = DEFAULT_MATERIAL_COSTS) {
+    const stock = getStock(item.stock);
+    if (!stock) return materialCosts[item.material] || 0;
+    return materialCosts[stock.id] ?? stock.pricePerSheet;
+}
+
+/**
+ * getStockLabel - What to show in the material column of a cut list row
+ *
+ * @param {Object} item - A cut list row
+ * @returns {string} - The stock name for sheet parts, otherwise the material
+ */
+function getStockLabel(item) {
+    const stock = getStock(item.stock);
+    return stock ? stock.name : item.material;
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// getStock, getPartStock, getCabinetStock, getPanelStock, getSheetPrice, getStockLabel
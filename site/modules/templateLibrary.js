@@ -0,0 +1,173 @@
+/*
+ * ========================================
+ * TEMPLATE LIBRARY MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * Keeps the cabinets you've tuned - drawer stack, hardware, toe kick, door
+ * style and all - so the next project can start from them instead of a
+ * blank box. Think of it as the shop's own catalog next to the standard one
+ * (cabinetCatalog.js).
+ *
+ * HOW IT SAVES:
+ * Templates live in localStorage under their own key ('cabinetTemplates'),
+ * apart from the saved projects ('cabinetProjects'). Deleting a project
+ * never touches the templates, and every project can use all of them.
+ * Export them to a file (fileImportExport.js) to back them up or share them.
+ *
+ * THE TEMPLATE OBJECT:
+ *   {
+ *     id, name, date,
+ *     cabinet: { ... },      - the cabinet as it was saved, without its place
+ *                              in the layout (id, position) or expressions
+ *     doorStyles: [ ... ],   - the door styles it uses, so a project without
+ *                              them gets them when the template is inserted
+ *     modelVersion           - see cabinetModel.js
+ *   }
+ *
+ * DEPENDENCIES (what this file needs):
+ * - cabinetModel.js (migrateCabinet, CABINET_MODEL_VERSION - templates saved
+ *   by older versions are brought up to date when they're read)
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (Save as Template, the template library)
+ * - fileImportExport.js (template files)
+ */
+
+// localStorage key - separate from 'cabinetProjects'
+const TEMPLATE_STORAGE_KEY = 'cabinetTemplates';
+
+/**
+ * createTemplateFromCabinet - A template made from a cabinet in a project
+ *
+ * The cabinet keeps everything that makes it what it is. Where it sits in
+ * the layout is left behind, and dimensions worked out from expressions keep
+ * their current value - the next project may not have the same variables.
+ *
+ * @param {Object} cabinet - The cabinet to save
+ * @param {string} name - The template's name
+ * @param {Array} doorStyles - The project's door style library
+ * @returns {Object} - The template
+ */
+const createTemplateFromCabinet = (cabinet, name, doorStyles = []) => {
+    const { id, xPosition, zPosition, rotation, expressions, ...rest } = JSON.parse(JSON.stringify(cabinet));
+    const styleIds = [cabinet.doorStyle, cabinet.drawerStyle];
+
+    return {
+        id: Date.now(),
+        name: name,
+        date: new Date().toISOString(),
+        cabinet: {
+            ...rest,
+            name: name,
+            drawers: (rest.drawers || []).map(({ expressions: drawerExpressions, ...drawer }) => drawer)
+        },
+        doorStyles: doorStyles.filter(style => styleIds.includes(style.id)),
+        modelVersion: CABINET_MODEL_VERSION
+    };
+};
+
+/**
+ * normalizeTemplates - Checks and brings up to date templates read from storage or a file
+ *
+ * @param {Array} templates - Templates as they were saved
+ * @returns {Array} - The usable ones, in the current cabinet model
+ */
+const normalizeTemplates = (templates) => {
+    return (Array.isArray(templates) ? templates : [])
+        .filter(t => t && t.cabinet && t.cabinet.width > 0 && t.cabinet.height > 0 && t.cabinet.depth > 0)
+        .map((t, index) => ({
+            ...t,
+            id: t.id ?? Date.now() + index,
+            name: t.name || t.cabinet.name || `Template ${index + 1}`,
+            cabinet: migrateCabinet(t.cabinet, index),
+            doorStyles: t.doorStyles || [],
+            modelVersion: CABINET_MODEL_VERSION
+        }));
+};
+
+/**
+ * getAllTemplates - Every template in the library
+ *
+ * @returns {Array} - Templates, oldest first
+ */
+const getAllTemplates = () => {
+    return normalizeTemplates(JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_KEY) || '[]'));
+};
+
+/**
+ * saveTemplatesToStorage - Adds templates to the library
+ *
+ * A template with the same name as one already there replaces it - the
+ * caller should ask first (see findTemplateByName).
+ *
+ * @param {Array} newTemplates - Templates to add
+ * @returns {Array} - The whole library after saving
+ */
+const saveTemplatesToStorage = (newTemplates) => {
+    const names = new Set(newTemplates.map(t => t.name));
+    const templates = [...getAllTemplates().filter(t => !names.has(t.name)), ...newTemplates];
+    localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(templates));
+    return templates;
+};
+
+/**
+ * findTemplateByName - The template with this name, if there is one
+ *
+ * @param {string} name - Template name
+ * @returns {Object|undefined}
+ */
+const findTemplateByName = (name) => {
+    return getAllTemplates().find(t => t.name === name);
+};
+
+/**
+ * deleteTemplateFromStorage - Removes a template from the library
+ *
+ * Doesn't ask for confirmation - the caller should.
+ *
+ * @param {*} templateId - The template's id
+ * @returns {Array} - The whole library after deleting
+ */
+const deleteTemplateFromStorage = (templateId) => {
+    const templates = getAllTemplates().filter(t => t.id !== templateId);
+    localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(templates));
+    return templates;
+};
+
+/**
+ * instantiateTemplate - A new cabinet for a project, made from a template
+ *
+ * @param {Object} template - The template
+ * @param {Object} overrides - Where and what it is in this project (id, name, xPosition...)
+ * @returns {Object} - The new cabinet, with fresh drawer ids
+ */
+const instantiateTemplate = (template, overrides = {}) => {
+    const cabinet = JSON.parse(JSON.stringify(template.cabinet));
+    const baseId = Date.now();
+    return migrateCabinet({
+        ...cabinet,
+        drawers: (cabinet.drawers || []).map((drawer, index) => ({ ...drawer, id: baseId + index + 1 })),
+        ...overrides
+    });
+};
+
+/**
+ * mergeTemplateDoorStyles - A project's door styles plus any a template needs
+ *
+ * Styles the project already has (same id) are left as they are.
+ *
+ * @param {Array} doorStyles - The project's door style library
+ * @param {Object} template - The template being inserted
+ * @returns {Array} - The library (the same array if nothing was added)
+ */
+const mergeTemplateDoorStyles = (doorStyles, template) => {
+    const missing = (template.doorStyles || []).filter(style => !doorStyles.some(s => s.id === style.id));
+    return missing.length > 0 ? [...doorStyles, ...missing] : doorStyles;
+};
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// TEMPLATE_STORAGE_KEY, createTemplateFromCabinet, normalizeTemplates, getAllTemplates,
+// saveTemplatesToStorage, findTemplateByName, deleteTemplateFromStorage,
+// instantiateTemplate, mergeTemplateDoorStyles
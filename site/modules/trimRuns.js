@@ -0,0 +1,366 @@
+/*
+ * ========================================
+ * TRIM RUNS MODULE
+ * ========================================
+ *
+ * PURPOSE:
+ * Crown molding, light rail and toe-kick skin are bought and installed as
+ * long runs, not a stick per cabinet. This file finds the runs - cabinets
+ * that sit side by side with the trim turned on - follows them round the
+ * corners, wraps the exposed ends, and works out what to buy: linear feet,
+ * miter allowance and how many stock lengths.
+ *
+ * WHAT IT DOES:
+ * - Puts a trim line along the face of each cabinet that has the trim
+ *   (crown on top, light rail under a wall cabinet, skin on the toe-kick)
+ * - Joins lines that meet: straight through, a step where the depth changes,
+ *   or a square corner (inside or outside) - the L at a lazy susan or a blind
+ *   corner is found the same way
+ * - Adds a return back to the wall on each exposed end (an end with no
+ *   cabinet beside it, and the cabinet's trimReturns not turned off)
+ * - Cuts each run into pieces and lays the pieces out on stock lengths
+ *
+ * THE RUN OBJECT (getTrimRuns):
+ *   {
+ *     kind, cabinetIds, closed,
+ *     level: { bottom, top },   - height of the trim above the floor
+ *     vertices: [ { x, z } ],   - along the face of the cabinets, returns included
+ *     pieces: [ { start, end, dir, length, cutLength, ends: [startEnd, endEnd], isReturn } ]
+ *              - ends are 'outside', 'inside' (corners) or 'square'
+ *              - cutLength is the long point: outside miters reach past the face by the projection
+ *   }
+ *
+ * Positions follow createCabinet3D and getSnapPlacement: xPosition/zPosition
+ * are the left end of the box at the middle of its depth, rotation turns the
+ * box about that point (degrees, positive turns the front toward +x).
+ *
+ * DEPENDENCIES (what this file needs):
+ * - constants.js (TRIM_TYPES, CABINET_TYPES)
+ * - cabinetLayout.js (getCornerFootprint, getFaceFrameSettings, getFaceFrameExtents,
+ *   getOverlayType, FRONT_THICKNESS)
+ *   All must be loaded BEFORE this file via <script> tag in index.html
+ *
+ * USED BY (what files need this one):
+ * - scripts.js (crown and light rail in 3D)
+ * - shoppingListGenerator.js (molding section)
+ * - designEngine.js (trim totals, including under Node)
+ */
+
+// Cabinet ends closer than this are touching (inches)
+const TRIM_JOIN_GAP = 1;
+
+// A corner can reach this far past the end of a line (blind corner fillers)
+const TRIM_CORNER_REACH = 6;
+
+// A step in the run (deeper cabinet beside a shallower one) up to this deep
+const TRIM_MAX_STEP = 30;
+
+const trimDot = (a, b) => a.x * b.x + a.z * b.z;
+const trimCross = (a, b) => a.x * b.z - a.z * b.x;
+
+/**
+ * hasTrim - Whether a cabinet gets a kind of trim
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {string} kind - TRIM_TYPES key
+ * @returns {boolean}
+ */
+function hasTrim(cabinet, kind) {
+    const spec = TRIM_TYPES[kind];
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    if (!spec || !cabinet[spec.enabledBy]) return false;
+    if (spec.wallOnly && typeSpec.mounted !== 'wall') return false;
+    if (spec.toekickOnly && !typeSpec.allowsToekick) return false;
+    return true;
+}
+
+// How high the trim sits - attach is the cabinet edge it's fixed to
+const getTrimLevel = (cabinet, kind) => {
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const bottom = typeSpec.mounted === 'wall' ? (cabinet.mountingHeight || 0) : 0;
+    const size = cabinet[TRIM_TYPES[kind].heightProperty] || 0;
+    if (kind === 'crown') return { bottom: bottom + cabinet.height, top: bottom + cabinet.height + size, attach: bottom + cabinet.height };
+    if (kind === 'lightRail') return { bottom: bottom - size, top: bottom, attach: bottom };
+    return { bottom: 0, top: size, attach: size / 2 };
+};
+
+// How far in front of the box the trim line is - the door faces, or the toe-kick recess (negative)
+const getTrimFaceOffset = (cabinet, kind) => {
+    if (kind === 'toeKick') return -(cabinet.toekickDepth || 3);
+    const frame = getFaceFrameSettings(cabinet);
+    return (frame ? frame.frameThickness : 0) + (getOverlayType(cabinet) === 'inset' ? 0 : FRONT_THICKNESS);
+};
+
+/**
+ * getCabinetTrimLines - The trim lines along the face of one cabinet
+ *
+ * One line for a rectangular cabinet, one per front face for a lazy susan
+ * or diagonal corner. Each runs left to right as you face it.
+ *
+ * @param {Object} cabinet - The cabinet
+ * @param {string} kind - TRIM_TYPES key
+ * @returns {Array} - { cabinet, start, end, length, dir, out, level, returnDepth }
+ */
+function getCabinetTrimLines(cabinet, kind) {
+    const angle = (cabinet.rotation || 0) * Math.PI / 180;
+    const run = { x: Math.cos(angle), z: -Math.sin(angle) };
+    const out = { x: Math.sin(angle), z: Math.cos(angle) };
+    const origin = { x: cabinet.xPosition || 0, z: cabinet.zPosition || 0 };
+    const toWorld = (x, z) => ({ x: origin.x + x * run.x + z * out.x, z: origin.z + x * run.z + z * out.z });
+    const face = getTrimFaceOffset(cabinet, kind);
+    const level = getTrimLevel(cabinet, kind);
+
+    const footprint = getCornerFootprint(cabinet);
+    const zBack = -cabinet.depth / 2;
+    const extents = kind === 'toeKick' ? { left: 0, right: 0 } : getFaceFrameExtents(cabinet);
+    const edges = footprint
+        ? footprint.frontEdges.map(edge => ({
+            start: { x: edge.start.x, z: zBack + edge.start.z },
+            end: { x: edge.end.x, z: zBack + edge.end.z },
+            normal: edge.normal
+        }))
+        : [{ start: { x: -extents.left, z: cabinet.depth / 2 }, end: { x: cabinet.width + extents.right, z: cabinet.depth / 2 }, normal: { x: 0, z: 1 } }];
+    const returnDepth = (footprint ? Math.min(cabinet.depth, cabinet.width) : cabinet.depth) + face;
+
+    return edges.map(edge => {
+        const a = toWorld(edge.start.x + edge.normal.x * face, edge.start.z + edge.normal.z * face);
+        const b = toWorld(edge.end.x + edge.normal.x * face, edge.end.z + edge.normal.z * face);
+        const normal = { x: edge.normal.x * run.x + edge.normal.z * out.x, z: edge.normal.x * run.z + edge.normal.z * out.z };
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        let dir = { x: (b.x - a.x) / length, z: (b.z - a.z) / length };
+
+        // Left to right as you face it - the face is on the left of the direction of travel
+        const flip = trimCross(dir, normal) < 0;
+        if (flip) dir = { x: -dir.x, z: -dir.z };
+        return { cabinet, start: flip ? b : a, end: flip ? a : b, length, dir, out: normal, level, returnDepth };
+    });
+}
+
+// How the end of line a meets the start of line b, or null if they don't meet
+const getTrimJoin = (a, b) => {
+    const cross = trimCross(a.dir, b.dir);
+    const gap = { x: b.start.x - a.end.x, z: b.start.z - a.end.z };
+
+    // Straight on, or a step out or in where the depth changes
+    if (Math.abs(cross) < 1e-6) {
+        if (trimDot(a.dir, b.dir) < 0) return null;
+        const along = trimDot(gap, a.dir);
+        const offset = trimDot(gap, a.out);
+        if (Math.abs(along) > TRIM_JOIN_GAP) return null;
+        if (Math.abs(offset) <= 0.05) return { kind: 'straight', score: Math.abs(along) };
+        if (Math.abs(offset) <= TRIM_MAX_STEP) return { kind: 'step', offset, score: Math.abs(along) + Math.abs(offset) };
+        return null;
+    }
+
+    // Square corners only
+    if (Math.abs(Math.abs(cross) - 1) > 1e-6) return null;
+    const d = { x: b.start.x - a.start.x, z: b.start.z - a.start.z };
+    const tA = trimCross(d, b.dir) / cross;
+    const tB = trimCross(d, a.dir) / cross;
+    const nearEnds = tA >= a.length - TRIM_CORNER_REACH || tB <= TRIM_CORNER_REACH;
+    if (tA <= TRIM_JOIN_GAP || tA > a.length + TRIM_CORNER_REACH) return null;
+    if (tB < -TRIM_CORNER_REACH || tB >= b.length - TRIM_JOIN_GAP || !nearEnds) return null;
+    return {
+        kind: 'corner',
+        point: { x: a.start.x + a.dir.x * tA, z: a.start.z + a.dir.z * tA },
+        score: Math.abs(tA - a.length) + Math.abs(tB)
+    };
+};
+
+// Is there a cabinet against this end of a line at the trim's height?
+const isTrimEndCovered = (line, atEnd, cabinets) => {
+    const sign = atEnd ? 1 : -1;
+    const corner = atEnd ? line.end : line.start;
+    const probe = {
+        x: corner.x + line.dir.x * sign * 0.5 - line.out.x * line.returnDepth / 2,
+        z: corner.z + line.dir.z * sign * 0.5 - line.out.z * line.returnDepth / 2
+    };
+    return cabinets.some(other => {
+        if (other.id === line.cabinet.id) return false;
+        const typeSpec = CABINET_TYPES[other.type] || CABINET_TYPES.base;
+        const bottom = typeSpec.mounted === 'wall' ? (other.mountingHeight || 0) : 0;
+        if (line.level.attach < bottom - 0.01 || line.level.attach > bottom + other.height + 0.01) return false;
+        const angle = (other.rotation || 0) * Math.PI / 180;
+        const rel = { x: probe.x - (other.xPosition || 0), z: probe.z - (other.zPosition || 0) };
+        const x = rel.x * Math.cos(angle) - rel.z * Math.sin(angle);
+        const z = rel.x * Math.sin(angle) + rel.z * Math.cos(angle);
+        return x > 0 && x < other.width && z > -other.depth / 2 && z < other.depth / 2;
+    });
+};
+
+/**
+ * getTrimRuns - Every run of one kind of trim in a project
+ *
+ * @param {Array} cabinets - All cabinets in the project
+ * @param {string} kind - TRIM_TYPES key ('crown', 'lightRail', 'toeKick')
+ * @returns {Array} - Runs (see the top of this file)
+ */
+function getTrimRuns(cabinets, kind) {
+    const spec = TRIM_TYPES[kind];
+    const lines = cabinets.filter(c => hasTrim(c, kind)).flatMap(c => getCabinetTrimLines(c, kind));
+
+    // Best joins first; each line has at most one line after it and one before
+    const candidates = [];
+    lines.forEach((a, i) => lines.forEach((b, j) => {
+        if (i === j || Math.abs(a.level.attach - b.level.attach) > 0.5) return;
+        const join = getTrimJoin(a, b);
+        if (join) candidates.push({ from: i, to: j, ...join });
+    }));
+    const next = {};
+    const previous = {};
+    candidates.sort((p, q) => p.score - q.score).forEach(join => {
+        if (next[join.from] || previous[join.to] || next[join.to]?.to === join.from) return;
+        next[join.from] = join;
+        previous[join.to] = join;
+    });
+
+    // Walk the chains - open ones from their first line, then any closed loops
+    const visited = new Set();
+    const chains = [];
+    const walk = (first) => {
+        const chain = [];
+        let index = first;
+        while (index !== undefined && !visited.has(index)) {
+            visited.add(index);
+            chain.push(index);
+            index = next[index]?.to;
+        }
+        return chain;
+    };
+    lines.forEach((line, i) => { if (!previous[i]) chains.push({ indexes: walk(i), closed: false }); });
+    lines.forEach((line, i) => { if (!visited.has(i)) chains.push({ indexes: walk(i), closed: true }); });
+
+    return chains.map(({ indexes, closed }) => {
+        const chainLines = indexes.map(i => lines[i]);
+        const first = chainLines[0];
+        const last = chainLines[chainLines.length - 1];
+
+        // Points where the run turns
+        const turns = [];
+        indexes.forEach((index, k) => {
+            const join = next[index];
+            if (!join || (k === indexes.length - 1 && !closed)) return;
+            const line = lines[index];
+            if (join.kind === 'step') {
+                turns.push(line.end);
+                turns.push({ x: line.end.x + line.out.x * join.offset, z: line.end.z + line.out.z * join.offset });
+            } else if (join.kind === 'corner') {
+                turns.push(join.point);
+            }
+        });
+
+        let vertices;
+        let returns = { start: false, end: false };
+        if (closed) {
+            vertices = turns;
+        } else {
+            returns = {
+                start: first.cabinet.trimReturns?.left !== false && !isTrimEndCovered(first, false, cabinets),
+                end: last.cabinet.trimReturns?.right !== false && !isTrimEndCovered(last, true, cabinets)
+            };
+            vertices = [first.start, ...turns, last.end];
+            if (returns.start) vertices.unshift({ x: first.start.x - first.out.x * first.returnDepth, z: first.start.z - first.out.z * first.returnDepth });
+            if (returns.end) vertices.push({ x: last.end.x - last.out.x * last.returnDepth, z: last.end.z - last.out.z * last.returnDepth });
+        }
+
+        // Pieces between the turns, with the long point for the cut
+        const count = closed ? vertices.length : vertices.length - 1;
+        const edges = Array.from({ length: count }, (_, i) => {
+            const start = vertices[i];
+            const end = vertices[(i + 1) % vertices.length];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            return { start, end, length, dir: { x: (end.x - start.x) / length, z: (end.z - start.z) / length } };
+        }).filter(edge => edge.length > 0.01);
+        const cornerAt = (before, after) => trimCross(before.dir, after.dir) > 0 ? 'inside' : 'outside';
+        const pieces = edges.map((edge, i) => {
+            const before = edges[i - 1] || (closed ? edges[edges.length - 1] : null);
+            const after = edges[i + 1] || (closed ? edges[0] : null);
+            const ends = [before ? cornerAt(before, edge) : 'square', after ? cornerAt(edge, after) : 'square'];
+            return {
+                ...edge,
+                ends,
+                cutLength: edge.length + ends.filter(end => end === 'outside').length * spec.projection,
+                isReturn: (returns.start && i === 0) || (returns.end && i === edges.length - 1)
+            };
+        });
+
+        return {
+            kind,
+            cabinetIds: [...new Set(chainLines.map(line => line.cabinet.id))],
+            closed,
+            level: first.level,
+            vertices,
+            pieces
+        };
+    });
+}
+
+/**
+ * layoutTrimStock - Lays the cut pieces out on stock lengths
+ *
+ * Longest first, each into the first stick it fits; a piece longer than a
+ * stick is spliced from full sticks and the rest.
+ *
+ * @param {Array} cutLengths - Lengths to cut, allowance included (inches)
+ * @param {number} stockLength - Length of a stick (inches)
+ * @returns {Object} - { sticks: [remaining lengths], splices }
+ */
+function layoutTrimStock(cutLengths, stockLength) {
+    const sticks = [];
+    let splices = 0;
+    [...cutLengths].sort((a, b) => b - a).forEach(length => {
+        let rest = length;
+        while (rest > stockLength) {
+            sticks.push(0);
+            rest -= stockLength;
+            splices++;
+        }
+        const index = sticks.findIndex(remaining => remaining >= rest);
+        if (index >= 0) sticks[index] -= rest;
+        else sticks.push(stockLength - rest);
+    });
+    return { sticks, splices };
+}
+
+/**
+ * getTrimSummary - What trim a project needs, kind by kind
+ *
+ * @param {Array} cabinets - All cabinets in the project
+ * @returns {Array} - One per kind that is used: {
+ *   kind, name, runs,
+ *   pieces,            - number of pieces to cut
+ *   outsideCorners, insideCorners, returns,
+ *   linearFeet,        - long points added up
+ *   allowanceFeet,     - linearFeet plus the miter allowance
+ *   sticks, stockLength, splices
+ * }
+ */
+function getTrimSummary(cabinets) {
+    return Object.entries(TRIM_TYPES).map(([kind, spec]) => {
+        const runs = getTrimRuns(cabinets, kind);
+        if (runs.length === 0) return null;
+        const pieces = runs.flatMap(r => r.pieces);
+        const corners = end => pieces.reduce((sum, p) => sum + p.ends.filter(e => e === end).length, 0);
+        const cutLengths = pieces.map(p => p.cutLength + (spec.mitered ? p.ends.filter(e => e !== 'square').length * spec.miterAllowance : 0));
+        const stock = layoutTrimStock(cutLengths, spec.stockLength);
+        return {
+            kind,
+            name: spec.name,
+            runs,
+            pieces: pieces.length,
+            // every corner is counted once from each piece that meets it
+            outsideCorners: corners('outside') / 2,
+            insideCorners: corners('inside') / 2,
+            returns: pieces.filter(p => p.isReturn).length,
+            linearFeet: pieces.reduce((sum, p) => sum + p.cutLength, 0) / 12,
+            allowanceFeet: cutLengths.reduce((sum, length) => sum + length, 0) / 12,
+            sticks: stock.sticks.length,
+            stockLength: spec.stockLength,
+            splices: stock.splices
+        };
+    }).filter(Boolean);
+}
+
+// These functions are now globally available when this script loads
+// Other scripts loaded after this one can use:
+// hasTrim, getCabinetTrimLines, getTrimRuns, layoutTrimStock, getTrimSummary
@@ -9,6 +9,7 @@
  * - Structural integrity checks
  * - Standard size suggestions
  * - Conflict detection (drawer/door overlap)
+ * - Drawer and roll-out slides that fit the cabinet depth (SLIDE_CATALOG)
  */
 
 // Industry standard dimension constraints (in inches)
@@ -24,19 +25,23 @@ const DIMENSION_CONSTRAINTS = {
         max: 96,          // Maximum standard height
         base: [30, 34.5], // Standard base cabinet heights
         wall: [12, 15, 18, 24, 30, 36, 42], // Standard wall cabinet heights
-        tall: [84, 90, 96] // Standard tall cabinet heights
+        tall: [84, 90, 96], // Standard tall cabinet heights
+        vanity: [30.5, 34.5] // Standard and comfort-height vanities
     },
     depth: {
         min: 6,           // Minimum practical depth
         max: 30,          // Maximum standard depth
         base: [24],       // Standard base cabinet depth
         wall: [12, 14],   // Standard wall cabinet depth
-        tall: [24]        // Standard tall cabinet depth
+        tall: [24],       // Standard tall cabinet depth
+        vanity: [21]      // Standard vanity depth
     },
     drawer: {
         minHeight: 2,     // Minimum drawer height
         maxHeight: 12,    // Maximum practical drawer height
         minGap: 0.125,    // Minimum gap between drawers
+        minWidth: 6,      // Narrowest side-by-side drawer slot
+        lightSlideMaxWidth: 24, // Widest box on slides rated under 50 lb
         recommended: [4, 6, 8, 10] // Recommended drawer heights
     },
     door: {
@@ -44,6 +49,29 @@ const DIMENSION_CONSTRAINTS = {
         maxWidth: 24,     // Maximum door width without center stile
         minHeight: 12,    // Minimum door height
         gap: 0.125        // Standard reveal/gap
+    },
+    corner: {
+        turntableClearance: 6 // Turntable diameter must be this much smaller than the width
+    },
+    accessory: {
+        hingeClearance: 1,     // Hinges and an open door stand this far into the opening
+        minHeight: 2           // Lowest roll-out tray that still holds anything
+    },
+    sinkBase: {
+        minWidth: 30,          // Narrowest box that takes a standard bowl
+        minFalseFront: 4,      // Shorter than this and the tilt-out tray won't fit
+        maxFalseFront: 10
+    },
+    blindCorner: {
+        minFiller: 1.5,   // Smallest filler that lets pulls clear the adjoining run
+        maxPullOut: 6     // Pulling out further wastes floor space
+    },
+    mounting: {
+        wall: {
+            min: 50,      // Lowest bottom edge (keeps ~14" above a 36" countertop)
+            standard: 54, // 18" above a 36" countertop
+            maxTop: 96    // Top of box should stay under a standard 8' ceiling
+        }
     }
 };
 
@@ -110,6 +138,42 @@ function findClosestStandard(value, standards) {
     );
 }
 
+/**
+ * getStandardsType - Which standard sizes (base, wall, tall) a cabinet follows
+ * 
+ * Blind corner cabinets follow the base or wall standards, and vanities from
+ * the catalog (see cabinetCatalog.js) follow the vanity standards.
+ * CABINET_TYPES is only there in the browser, so fall back to the raw type elsewhere.
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {string} - 'base', 'wall', 'tall' or 'vanity'
+ */
+function getStandardsType(cabinet) {
+    if (typeof getCatalogEntry !== 'undefined' && cabinet.catalogId) {
+        return getCatalogEntry(cabinet).standards;
+    }
+    const typeSpec = typeof CABINET_TYPES !== 'undefined' ? CABINET_TYPES[cabinet.type] : null;
+    return (typeSpec && typeSpec.standards) || cabinet.type || 'base';
+}
+
+/**
+ * getDoorRunWidth - How much of the cabinet face the doors share
+ * 
+ * The whole width, except on a blind corner, where the dead panel takes part
+ * of the face and the doors only fill the opening beside it (see
+ * getFrontOpening in cabinetLayout.js, when it is loaded).
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {number} - Width in inches
+ */
+function getDoorRunWidth(cabinet) {
+    const typeSpec = typeof CABINET_TYPES !== 'undefined' ? CABINET_TYPES[cabinet.type] : null;
+    if (typeSpec && typeSpec.blindCorner && typeof getFrontOpening !== 'undefined') {
+        return getFrontOpening(cabinet).width;
+    }
+    return cabinet.width;
+}
+
 /**
  * validateCabinetDimensions - Validates all cabinet dimensions together
  * 
@@ -119,11 +183,12 @@ function findClosestStandard(value, standards) {
 function validateCabinetDimensions(cabinet) {
     const allWarnings = [];
     const allSuggestions = [];
+    const cabinetType = getStandardsType(cabinet);
     
     // Validate each dimension
     const widthCheck = validateDimension('width', cabinet.width);
-    const heightCheck = validateDimension('height', cabinet.height, 'base');
-    const depthCheck = validateDimension('depth', cabinet.depth, 'base');
+    const heightCheck = validateDimension('height', cabinet.height, cabinetType);
+    const depthCheck = validateDimension('depth', cabinet.depth, cabinetType);
     
     allWarnings.push(...widthCheck.warnings, ...heightCheck.warnings, ...depthCheck.warnings);
     allSuggestions.push(...widthCheck.suggestions, ...heightCheck.suggestions, ...depthCheck.suggestions);
@@ -138,7 +203,7 @@ function validateCabinetDimensions(cabinet) {
     }
     
     // Wide cabinet door warning
-    if (cabinet.width > DIMENSION_CONSTRAINTS.width.warning && cabinet.doors === 1) {
+    if (getDoorRunWidth(cabinet) > DIMENSION_CONSTRAINTS.width.warning && cabinet.doors === 1) {
         allSuggestions.push(`💡 Cabinet wider than ${DIMENSION_CONSTRAINTS.width.warning}" should use double doors or multiple doors.`);
     }
     
@@ -146,6 +211,386 @@ function validateCabinetDimensions(cabinet) {
     return { isValid, warnings: allWarnings, suggestions: allSuggestions };
 }
 
+/**
+ * validateWallMounting - Checks where a wall cabinet hangs
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { isValid, warnings, suggestions }
+ */
+function validateWallMounting(cabinet) {
+    const warnings = [];
+    const suggestions = [];
+    
+    if (getStandardsType(cabinet) !== 'wall') {
+        return { isValid: true, warnings, suggestions };
+    }
+    
+    const limits = DIMENSION_CONSTRAINTS.mounting.wall;
+    const mountingHeight = cabinet.mountingHeight || 0;
+    const topOfCabinet = mountingHeight + cabinet.height;
+    
+    if (mountingHeight < limits.min) {
+        warnings.push(`⚠️ Wall cabinet bottom (${mountingHeight}") is too close to the countertop. Minimum: ${limits.min}".`);
+    }
+    
+    if (topOfCabinet > limits.maxTop) {
+        warnings.push(`⚠️ Top of wall cabinet (${topOfCabinet}") is above a ${limits.maxTop}" ceiling.`);
+    }
+    
+    if (Math.abs(mountingHeight - limits.standard) > 0.5) {
+        suggestions.push(`💡 Standard wall cabinet mounting height: ${limits.standard}" to the bottom.`);
+    }
+    
+    if (cabinet.drawers && cabinet.drawers.length > 0) {
+        suggestions.push('💡 Drawers in a wall cabinet are hard to reach. Consider doors only.');
+    }
+    
+    const isValid = warnings.length === 0;
+    return { isValid, warnings, suggestions };
+}
+
+/**
+ * validateFixedShelf - Checks the fixed mid-shelf of a tall cabinet
+ * 
+ * The fixed shelf splits the front into a lower and upper bank of doors,
+ * so both banks need room for a door and the drawers must stay below it.
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { isValid, warnings, suggestions }
+ */
+function validateFixedShelf(cabinet) {
+    const warnings = [];
+    const suggestions = [];
+    
+    if (cabinet.type !== 'tall') {
+        return { isValid: true, warnings, suggestions };
+    }
+    
+    const midShelfHeight = cabinet.midShelfHeight || cabinet.height / 2;
+    const doorStartY = cabinet.toekick ? cabinet.toekickHeight : 0;
+    const highestDrawer = cabinet.drawers && cabinet.drawers.length > 0
+        ? Math.max(...cabinet.drawers.map(d => d.startY + d.height))
+        : doorStartY;
+    
+    if (midShelfHeight >= cabinet.height) {
+        warnings.push(`⚠️ Fixed shelf (${midShelfHeight}") extends beyond the top of the cabinet (${cabinet.height}").`);
+    }
+    
+    if (highestDrawer > midShelfHeight) {
+        warnings.push(`⚠️ Drawers (top at ${highestDrawer}") overlap the fixed shelf at ${midShelfHeight}".`);
+    }
+    
+    const lowerSpace = midShelfHeight - highestDrawer;
+    if (cabinet.doors > 0 && lowerSpace < DIMENSION_CONSTRAINTS.door.minHeight) {
+        warnings.push(`⚠️ Not enough space for lower doors (${lowerSpace.toFixed(1)}"). Minimum door height: ${DIMENSION_CONSTRAINTS.door.minHeight}".`);
+    }
+    
+    const upperSpace = cabinet.height - midShelfHeight;
+    if (cabinet.upperDoors > 0 && upperSpace < DIMENSION_CONSTRAINTS.door.minHeight) {
+        warnings.push(`⚠️ Not enough space for upper doors (${upperSpace.toFixed(1)}"). Minimum door height: ${DIMENSION_CONSTRAINTS.door.minHeight}".`);
+    }
+    
+    if (!cabinet.upperDoors) {
+        suggestions.push('💡 Upper section has no doors - it will be open shelving.');
+    }
+    
+    const isValid = warnings.length === 0;
+    return { isValid, warnings, suggestions };
+}
+
+/**
+ * validateBlindCorner - Checks the dead panel, filler and pull-out of a blind corner
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { isValid, warnings, suggestions }
+ */
+function validateBlindCorner(cabinet) {
+    const warnings = [];
+    const suggestions = [];
+    
+    if (cabinet.type !== 'blindBase' && cabinet.type !== 'blindWall') {
+        return { isValid: true, warnings, suggestions };
+    }
+    
+    const limits = DIMENSION_CONSTRAINTS.blindCorner;
+    const blindDepth = cabinet.blindDepth || 0;
+    const pullOut = cabinet.pullOutDistance || 0;
+    const fillerWidth = cabinet.fillerWidth || 0;
+    // Same math as getBlindCornerLayout: covered face plus the adjoining door thickness
+    const deadPanelWidth = Math.max(0, blindDepth - pullOut) + 0.75;
+    const openingWidth = cabinet.width - deadPanelWidth;
+    
+    if (openingWidth < DIMENSION_CONSTRAINTS.door.minWidth) {
+        warnings.push(`⚠️ Blind panel (${deadPanelWidth}") extends beyond the usable face. Door opening is only ${openingWidth.toFixed(1)}". Minimum: ${DIMENSION_CONSTRAINTS.door.minWidth}".`);
+        suggestions.push('💡 Widen the cabinet or increase the pull-out distance.');
+    }
+    
+    if (fillerWidth < limits.minFiller) {
+        warnings.push(`⚠️ Filler (${fillerWidth}") is too narrow - doors and pulls on the adjoining run will hit. Minimum: ${limits.minFiller}".`);
+    }
+    
+    if (pullOut < 0 || pullOut > limits.maxPullOut) {
+        suggestions.push(`💡 Blind corner pull-out is usually 0" to ${limits.maxPullOut}".`);
+    }
+    
+    if (pullOut > blindDepth) {
+        warnings.push(`⚠️ Pull-out (${pullOut}") is more than the blind depth (${blindDepth}") - the adjoining run will not cover the blind end.`);
+    }
+    
+    const isValid = warnings.length === 0;
+    return { isValid, warnings, suggestions };
+}
+
+/**
+ * validatePartitions - Checks the sections of a cabinet with vertical partitions
+ * 
+ * Sections fill the door opening (see getCabinetSections in cabinetLayout.js),
+ * which on a blind corner stops at the dead panel.
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { isValid, warnings, suggestions }
+ */
+function validatePartitions(cabinet) {
+    const warnings = [];
+    const suggestions = [];
+    
+    if (!cabinet.sections || cabinet.sections.length < 2) {
+        return { isValid: true, warnings, suggestions };
+    }
+    
+    const thickness = cabinet.thickness || 0.75;
+    const opening = typeof getFrontOpening !== 'undefined' ? getFrontOpening(cabinet) : { leftX: 0, width: cabinet.width };
+    const spanWidth = Math.min(cabinet.width - thickness, opening.leftX + opening.width) - Math.max(thickness, opening.leftX);
+    const totalClear = spanWidth - thickness * (cabinet.sections.length - 1);
+    const fixedWidth = cabinet.sections.slice(0, -1).reduce((sum, section) => sum + (section.width || 0), 0);
+    const lastWidth = totalClear - fixedWidth;
+    const minWidth = DIMENSION_CONSTRAINTS.drawer.minWidth;
+    
+    if (lastWidth < 0) {
+        warnings.push(`⚠️ Section ${cabinet.sections.length} extends beyond the ${opening.width < cabinet.width ? 'door opening' : 'box'} - the sections before it need ${(fixedWidth + thickness * (cabinet.sections.length - 1)).toFixed(2)}" and there is ${spanWidth.toFixed(2)}".`);
+        suggestions.push('💡 Narrow the sections or widen the cabinet.');
+    }
+    
+    cabinet.sections.forEach((section, index) => {
+        const clearWidth = index === cabinet.sections.length - 1 ? lastWidth : section.width;
+        if (clearWidth < 0) return; // reported above
+        if (clearWidth < minWidth) {
+            warnings.push(`⚠️ Section ${index + 1}: Clear width (${clearWidth.toFixed(2)}") is below minimum (${minWidth}").`);
+        } else if (section.doors > 0 && clearWidth / section.doors - 1 < DIMENSION_CONSTRAINTS.door.minWidth) {
+            warnings.push(`⚠️ Section ${index + 1}: Too narrow for ${section.doors} door${section.doors !== 1 ? 's' : ''}.`);
+        }
+        
+        // Doors sit above the drawers in the same section
+        const drawers = (cabinet.drawers || []).filter(drawer =>
+            drawer.sectionId === section.id || (index === 0 && !cabinet.sections.some(s => s.id === drawer.sectionId)));
+        if (section.doors > 0 && drawers.length > 0) {
+            const highestDrawer = Math.max(...drawers.map(d => d.startY + d.height));
+            const availableSpaceForDoor = cabinet.height - highestDrawer;
+            if (availableSpaceForDoor < DIMENSION_CONSTRAINTS.door.minHeight) {
+                warnings.push(`⚠️ Section ${index + 1}: Not enough space for door (${availableSpaceForDoor.toFixed(1)}") above the drawers.`);
+            }
+        }
+    });
+    
+    const isValid = warnings.length === 0;
+    return { isValid, warnings, suggestions };
+}
+
+/**
+ * validateAccessories - Checks roll-out trays, pull-out trash, tray dividers and spice pull-outs
+ * 
+ * Anything on slides behind a door has to clear the hinges, so it needs hinge
+ * spacers. Each accessory also has to fit inside the box: above the floor and
+ * the drawers, below the top (or the false fronts, or the fixed mid-shelf),
+ * and clear of the other accessories in the same space.
+ * Sizes come from getAccessoryLayout (cabinetLayout.js) when it is loaded.
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { isValid, warnings, suggestions }
+ */
+function validateAccessories(cabinet) {
+    const warnings = [];
+    const suggestions = [];
+    
+    if (!cabinet.accessories || cabinet.accessories.length === 0 || typeof getAccessoryLayout === 'undefined') {
+        return { isValid: true, warnings, suggestions };
+    }
+    
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const limits = DIMENSION_CONSTRAINTS.accessory;
+    const entries = getAccessoryLayout(cabinet, getPartStock(cabinet, 'back').actual);
+    if (entries.length === 0) {
+        warnings.push(`⚠️ ${typeSpec.name} cabinets do not take roll-outs or pull-outs - the accessories are left out.`);
+        return { isValid: false, warnings, suggestions };
+    }
+    
+    const thickness = cabinet.thickness || 0.75;
+    const boxBottom = typeSpec.allowsToekick && cabinet.toekick ? cabinet.toekickHeight : 0;
+    const floor = boxBottom + thickness;
+    const falseFronts = getSinkFalseFronts(cabinet);
+    const top = falseFronts ? falseFronts.bottomY : cabinet.height - thickness;
+    const midShelfHeight = cabinet.midShelfHeight || cabinet.height / 2;
+    const sections = getCabinetSections(cabinet);
+    
+    entries.forEach(entry => {
+        const { label, bottomY, height } = entry;
+        const topY = bottomY + height;
+        
+        // Trays on slides have to clear the door hinges
+        if (entry.spec.slides && entry.behindDoors && entry.spacer < limits.hingeClearance) {
+            warnings.push(`⚠️ ${label}: Will hit the door hinges - hinges stand about ${limits.hingeClearance}" into the opening.`);
+            suggestions.push(`💡 Turn on hinge spacers for ${label} so the slides mount clear of the hinges.`);
+        }
+        
+        // Anything on slides needs a slide length that fits in front of the back
+        if (entry.slide && entry.slideLength === null) {
+            const shortest = entry.slide.lengths[0].length;
+            const needed = shortest + entry.slide.rearClearance;
+            warnings.push(`⚠️ ${label}: no slide fits - the shortest ${entry.slide.type} slide (${shortest.toFixed(2)}") needs ${needed.toFixed(2)}" and the box has ${entry.clearDepth.toFixed(2)}".`);
+            suggestions.push(`💡 Make the cabinet at least ${(cabinet.depth + needed - entry.clearDepth).toFixed(2)}" deep for ${label}.`);
+        }
+
+        if (entry.boxWidth < entry.spec.minWidth) {
+            warnings.push(`⚠️ ${label}: Box is only ${entry.boxWidth.toFixed(2)}" wide (needs at least ${entry.spec.minWidth}").`);
+        }
+        if (height < limits.minHeight) {
+            warnings.push(`⚠️ ${label}: Height (${height}") is below minimum (${limits.minHeight}").`);
+        }
+        
+        if (bottomY < floor - 0.01) {
+            warnings.push(`⚠️ ${label} extends beyond the bottom of the box (starts ${bottomY}", floor is at ${floor}").`);
+        } else if (topY > top + 0.01) {
+            warnings.push(`⚠️ ${label} extends beyond the top of the ${falseFronts ? 'door opening (false fronts)' : 'box'}.`);
+        }
+        if (typeSpec.splitDoors && bottomY < midShelfHeight && topY > midShelfHeight - thickness) {
+            warnings.push(`⚠️ ${label}: Runs into the fixed mid-shelf at ${midShelfHeight}".`);
+        }
+        
+        // Drawers fill the bottom of the opening - accessories go above them
+        const section = sections && sections.find(s => s.interiorLeft === entry.interiorLeft);
+        const drawers = section ? getSectionDrawers(cabinet, section) : (cabinet.drawers || []);
+        if (drawers.length > 0 && bottomY < getDrawerTop(cabinet, drawers) - 0.01) {
+            warnings.push(`⚠️ ${label}: Would overlap the drawers - start it at ${getDrawerTop(cabinet, drawers)}" or higher.`);
+        }
+    });
+    
+    // Accessories sharing the same space can't overlap
+    entries.forEach((entry, i) => {
+        entries.slice(i + 1).forEach(other => {
+            if (other.interiorLeft !== entry.interiorLeft) return;
+            if (entry.bottomY < other.bottomY + other.height && other.bottomY < entry.bottomY + entry.height) {
+                warnings.push(`⚠️ ${entry.label} and ${other.label} overlap.`);
+            }
+        });
+    });
+    
+    const isValid = warnings.length === 0;
+    return { isValid, warnings, suggestions };
+}
+
+/**
+ * validateSinkBase - Checks false fronts and the plumbing cutout on a sink base
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { isValid, warnings, suggestions }
+ */
+function validateSinkBase(cabinet) {
+    const warnings = [];
+    const suggestions = [];
+    
+    if (cabinet.type !== 'sinkBase') {
+        return { isValid: true, warnings, suggestions };
+    }
+    
+    const limits = DIMENSION_CONSTRAINTS.sinkBase;
+    const falseFrontHeight = cabinet.falseFrontHeight || 0;
+    if (falseFrontHeight < limits.minFalseFront || falseFrontHeight > limits.maxFalseFront) {
+        warnings.push(`⚠️ False front height (${falseFrontHeight}") should be between ${limits.minFalseFront}" and ${limits.maxFalseFront}".`);
+    }
+    
+    if (cabinet.width < limits.minWidth) {
+        warnings.push(`⚠️ Sink base is ${cabinet.width}" wide. Most sinks need at least a ${limits.minWidth}" cabinet.`);
+    }
+    
+    if (cabinet.drawers && cabinet.drawers.length > 0) {
+        warnings.push('⚠️ Drawers in a sink base will hit the bowl and the plumbing. Use false fronts.');
+    }
+    
+    if (cabinet.shelves > 0) {
+        suggestions.push('💡 Sink bases are built without an adjustable shelf - the shelves setting is ignored.');
+    }
+    
+    if (cabinet.backPanel && cabinet.plumbingCutout) {
+        const backWidth = cabinet.width - cabinet.thickness * 2;
+        const cutoutTop = (cabinet.plumbingCutoutBottom || 0) + (cabinet.plumbingCutoutHeight || 0);
+        if ((cabinet.plumbingCutoutWidth || 0) > backWidth - 2) {
+            warnings.push(`⚠️ Plumbing cutout (${cabinet.plumbingCutoutWidth}") is wider than the back allows (${backWidth - 2}"). It will be trimmed.`);
+        }
+        if (cutoutTop > cabinet.height - 1) {
+            warnings.push(`⚠️ Plumbing cutout runs to ${cutoutTop}" but the back is only ${cabinet.height}" tall. It will be trimmed.`);
+        }
+    } else if (cabinet.backPanel) {
+        suggestions.push('💡 Add a plumbing cutout or leave the back off so the supply and drain lines can get in.');
+    }
+    
+    const isValid = warnings.length === 0;
+    return { isValid, warnings, suggestions };
+}
+
+/**
+ * validateCornerCabinet - Checks lazy susan and diagonal corner cabinets
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { isValid, warnings, suggestions }
+ */
+function validateCornerCabinet(cabinet) {
+    const warnings = [];
+    const suggestions = [];
+    const cornerTypes = ['lazySusan', 'diagonalBase', 'diagonalWall'];
+    
+    if (!cornerTypes.includes(cabinet.type)) {
+        return { isValid: true, warnings, suggestions };
+    }
+    
+    const legWidth = cabinet.width - cabinet.depth;
+    if (legWidth <= 0) {
+        warnings.push(`⚠️ Corner width (${cabinet.width}") must be more than the depth (${cabinet.depth}") or there is no front opening.`);
+        return { isValid: false, warnings, suggestions };
+    }
+    
+    if (cabinet.drawers && cabinet.drawers.length > 0) {
+        warnings.push('⚠️ Corner cabinets do not take drawers - they will overlap the doors.');
+    }
+    
+    if (cabinet.type === 'lazySusan') {
+        // One bi-fold leaf per inside face
+        if (legWidth - 1 < DIMENSION_CONSTRAINTS.door.minWidth) {
+            warnings.push(`⚠️ Bi-fold leaves would be ${(legWidth - 1).toFixed(1)}" wide. Minimum: ${DIMENSION_CONSTRAINTS.door.minWidth}".`);
+        }
+        if (cabinet.doors !== 2) {
+            suggestions.push('💡 Lazy susan corners use a pair of bi-fold doors (2 doors).');
+        }
+        if (typeof HARDWARE_SPECS !== 'undefined' && HARDWARE_SPECS.turntables[cabinet.turntableType]) {
+            const diameter = HARDWARE_SPECS.turntables[cabinet.turntableType].diameter;
+            const maxDiameter = cabinet.width - DIMENSION_CONSTRAINTS.corner.turntableClearance;
+            if (diameter > maxDiameter) {
+                warnings.push(`⚠️ ${cabinet.turntableType} turntable will not spin in a ${cabinet.width}" corner. Largest: ${maxDiameter}".`);
+            }
+        }
+        if (cabinet.width !== 36) {
+            suggestions.push('💡 Standard lazy susan corner: 36" along each wall.');
+        }
+    } else {
+        const diagonalLength = legWidth * Math.SQRT2;
+        if (diagonalLength / (cabinet.doors || 1) - 1 < DIMENSION_CONSTRAINTS.door.minWidth) {
+            warnings.push(`⚠️ Diagonal face (${diagonalLength.toFixed(1)}") is too narrow for ${cabinet.doors} door${cabinet.doors !== 1 ? 's' : ''}.`);
+        }
+    }
+    
+    const isValid = warnings.length === 0;
+    return { isValid, warnings, suggestions };
+}
+
 /**
  * validateDrawerConfiguration - Checks drawer heights and positions
  * 
@@ -163,8 +608,32 @@ function validateDrawerConfiguration(cabinet) {
     const doorStartY = cabinet.toekick ? cabinet.toekickHeight : 0;
     const availableHeight = cabinet.height - doorStartY;
     
+    // Side-by-side drawers: each drawer owns a slot across its opening - the
+    // front opening, or its section on a box with partitions (leftX/width are
+    // measured in the opening, the full opening when not set)
+    const openingWidth = drawer => typeof getDrawerOpening !== 'undefined' ? getDrawerOpening(cabinet, drawer).width : cabinet.width;
+    const span = drawer => ({
+        left: drawer.leftX || 0,
+        right: (drawer.leftX || 0) + (drawer.width || openingWidth(drawer))
+    });
+    // Drawers in different partition sections never collide
+    const sectionIds = (cabinet.sections || []).map(section => section.id);
+    const sectionOf = drawer => sectionIds.includes(drawer.sectionId) ? drawer.sectionId : sectionIds[0];
+    const sharesColumn = (a, b) => sectionOf(a) === sectionOf(b) &&
+        span(a).left < span(b).right - 0.01 && span(b).left < span(a).right - 0.01;
+    
     // Check each drawer
     cabinet.drawers.forEach((drawer, index) => {
+        // Width check (side-by-side drawers only)
+        if (drawer.width !== undefined && drawer.width < DIMENSION_CONSTRAINTS.drawer.minWidth) {
+            warnings.push(`⚠️ Drawer ${index + 1}: Width (${drawer.width}") is below minimum (${DIMENSION_CONSTRAINTS.drawer.minWidth}").`);
+        }
+        
+        if (span(drawer).right > openingWidth(drawer) + 0.01) {
+            warnings.push(`⚠️ Drawer ${index + 1}: Extends beyond the width of its opening (${openingWidth(drawer).toFixed(2)}").`);
+        }
+        
+
         // Height check
         if (drawer.height < DIMENSION_CONSTRAINTS.drawer.minHeight) {
             warnings.push(`⚠️ Drawer ${index + 1}: Height (${drawer.height}") is below minimum (${DIMENSION_CONSTRAINTS.drawer.minHeight}").`);
@@ -184,28 +653,109 @@ function validateDrawerConfiguration(cabinet) {
         }
     });
     
-    // Check for overlaps
-    const sortedDrawers = [...cabinet.drawers].sort((a, b) => a.startY - b.startY);
+    // Check for overlaps - only drawers stacked in the same column can collide
+    // vertically. Drawers side by side in a row are kept apart by their slots.
+    const sortedDrawers = cabinet.drawers
+        .map((drawer, index) => ({ drawer, number: index + 1 }))
+        .sort((a, b) => a.drawer.startY - b.drawer.startY);
     for (let i = 0; i < sortedDrawers.length - 1; i++) {
         const current = sortedDrawers[i];
-        const next = sortedDrawers[i + 1];
-        const gap = next.startY - (current.startY + current.height);
+        // The next drawer up in the same column
+        const next = sortedDrawers.slice(i + 1).find(other => sharesColumn(current.drawer, other.drawer));
+        if (!next) continue;
+        const gap = next.drawer.startY - (current.drawer.startY + current.drawer.height);
         
         if (gap < 0) {
-            warnings.push(`⚠️ Drawers ${i + 1} and ${i + 2} overlap by ${Math.abs(gap).toFixed(2)}".`);
+            warnings.push(`⚠️ Drawers ${current.number} and ${next.number} overlap by ${Math.abs(gap).toFixed(2)}".`);
         } else if (gap < DIMENSION_CONSTRAINTS.drawer.minGap) {
-            warnings.push(`⚠️ Gap between drawers ${i + 1} and ${i + 2} (${gap.toFixed(3)}") is too small. Minimum: ${DIMENSION_CONSTRAINTS.drawer.minGap}".`);
+            warnings.push(`⚠️ Gap between drawers ${current.number} and ${next.number} (${gap.toFixed(3)}") is too small. Minimum: ${DIMENSION_CONSTRAINTS.drawer.minGap}".`);
+        }
+    }
+    
+    // Total drawer height check - a row of side-by-side drawers counts once,
+    // and each partition section is checked on its own
+    const rows = [];
+    cabinet.drawers.forEach(drawer => {
+        const row = rows.find(r => Math.abs(r.startY - drawer.startY) < 0.01 && r.section === sectionOf(drawer));
+        if (row) {
+            row.height = Math.max(row.height, drawer.height);
+        } else {
+            rows.push({ startY: drawer.startY, height: drawer.height, section: sectionOf(drawer) });
         }
+    });
+    [...new Set(rows.map(r => r.section))].forEach(section => {
+        const sectionRows = rows.filter(r => r.section === section);
+        const totalDrawerHeight = sectionRows.reduce((sum, r) => sum + r.height, 0);
+        const totalGaps = (sectionRows.length + 1) * DIMENSION_CONSTRAINTS.drawer.minGap;
+        
+        if (totalDrawerHeight + totalGaps > availableHeight) {
+            warnings.push(`⚠️ Total drawer height (${totalDrawerHeight.toFixed(1)}") plus gaps exceeds available space (${availableHeight.toFixed(1)}").`);
+        }
+    });
+    
+    const isValid = warnings.length === 0;
+    return { isValid, warnings, suggestions };
+}
+
+/**
+ * validateDrawerSlides - Checks that the drawer slides fit the box
+ * 
+ * Every drawer needs a slide length from SLIDE_CATALOG that fits in front
+ * of the back (see getDrawerBoxes in cabinetLayout.js, when it is loaded).
+ * On a metal drawer system it needs a runner length and a side height
+ * from DRAWER_SYSTEMS. Either way the box between the slides has to be wide
+ * enough to leave a front, back and bottom once the sides are taken off.
+ * 
+ * @param {Object} cabinet - The cabinet object
+ * @returns {Object} - { isValid, warnings, suggestions }
+ */
+function validateDrawerSlides(cabinet) {
+    const warnings = [];
+    const suggestions = [];
+    
+    if (!cabinet.drawers || cabinet.drawers.length === 0 || typeof getDrawerBoxes === 'undefined') {
+        return { isValid: true, warnings, suggestions };
     }
     
-    // Total drawer height check
-    const totalDrawerHeight = cabinet.drawers.reduce((sum, d) => sum + d.height, 0);
-    const totalGaps = (cabinet.drawers.length + 1) * DIMENSION_CONSTRAINTS.drawer.minGap;
+    const boxes = getDrawerBoxes(cabinet, getPartStock(cabinet, 'back').actual);
+    const { slide, clearDepth, system } = boxes[0];
+    if (boxes[0].slideLength === null) {
+        const shortest = slide.lengths[0].length;
+        const needed = shortest + slide.rearClearance;
+        warnings.push(`⚠️ Drawer slides: no slide fits - the shortest ${slide.type} ${system ? 'runner' : 'slide'} (${shortest.toFixed(2)}") needs ${needed.toFixed(2)}" and the box has ${clearDepth.toFixed(2)}".`);
+        const fits = system ? [] : SLIDE_TYPES.filter(type => getSlide(type) && getSlideLength(getSlide(type), clearDepth));
+        suggestions.push(fits.length > 0
+            ? `💡 Use ${fits.join(' or ')} slides, or make the cabinet deeper.`
+            : `💡 Make the cabinet at least ${(cabinet.depth + needed - clearDepth).toFixed(2)}" deep for drawers.`);
+    }
     
-    if (totalDrawerHeight + totalGaps > availableHeight) {
-        warnings.push(`⚠️ Total drawer height (${totalDrawerHeight.toFixed(1)}") plus gaps exceeds available space (${availableHeight.toFixed(1)}").`);
+    // Metal drawer sides come in set heights - the lowest has to fit the drawer
+    if (system) {
+        boxes.filter(box => !box.height).forEach(box => {
+            warnings.push(`⚠️ Drawer ${box.index + 1}: no side fits - the lowest ${system.name} side (${system.heights[0].sideMm}mm) is taller than the ${box.clearHeight.toFixed(2)}" opening allows.`);
+            suggestions.push(`💡 Make Drawer ${box.index + 1} taller, or build it as a wood box.`);
+        });
     }
     
+    // A box squeezed between the slides can leave nothing for the front and back
+    const sideThickness = getPartStock(cabinet, 'drawerBox').actual;
+    boxes.forEach(box => {
+        const partWidth = system
+            ? getDrawerSystemParts(box).bottom.width
+            : Math.min(getDrawerBoxJoinery(cabinet, box.boxWidth, sideThickness).frontBackWidth, box.boxWidth - sideThickness * 2);
+        if (partWidth <= 0) {
+            warnings.push(`⚠️ Drawer ${box.index + 1}: no room for a box - its ${box.clearWidth.toFixed(2)}" opening leaves nothing between the ${system ? system.name : 'box'} sides.`);
+            suggestions.push(`💡 Widen Drawer ${box.index + 1} or the section it is in.`);
+        }
+    });
+    
+    // A light slide under a wide box sags when it's loaded
+    boxes.forEach(box => {
+        if (box.boxWidth > DIMENSION_CONSTRAINTS.drawer.lightSlideMaxWidth && slide.loadRating < 50) {
+            warnings.push(`⚠️ Drawer ${box.index + 1}: ${slide.type} slides are rated for ${slide.loadRating} lb - a ${box.boxWidth.toFixed(2)}" wide box will sag.`);
+        }
+    });
+    
     const isValid = warnings.length === 0;
     return { isValid, warnings, suggestions };
 }
@@ -235,7 +785,7 @@ function validateDoorDrawerConflict(cabinet) {
     
     // Check door width vs cabinet width
     if (cabinet.doors > 0) {
-        const doorWidth = cabinet.width / cabinet.doors;
+        const doorWidth = getDoorRunWidth(cabinet) / cabinet.doors;
         
         if (doorWidth < DIMENSION_CONSTRAINTS.door.minWidth) {
             warnings.push(`⚠️ Each door would be ${doorWidth.toFixed(1)}" wide. Minimum: ${DIMENSION_CONSTRAINTS.door.minWidth}".`);
@@ -259,18 +809,42 @@ function validateDoorDrawerConflict(cabinet) {
  */
 function validateCabinet(cabinet) {
     const dimensionCheck = validateCabinetDimensions(cabinet);
+    const mountingCheck = validateWallMounting(cabinet);
+    const fixedShelfCheck = validateFixedShelf(cabinet);
+    const blindCornerCheck = validateBlindCorner(cabinet);
+    const cornerCheck = validateCornerCabinet(cabinet);
+    const sinkBaseCheck = validateSinkBase(cabinet);
+    const partitionCheck = validatePartitions(cabinet);
+    const accessoryCheck = validateAccessories(cabinet);
     const drawerCheck = validateDrawerConfiguration(cabinet);
+    const slideCheck = validateDrawerSlides(cabinet);
     const conflictCheck = validateDoorDrawerConflict(cabinet);
     
     const allWarnings = [
         ...dimensionCheck.warnings,
+        ...mountingCheck.warnings,
+        ...fixedShelfCheck.warnings,
+        ...blindCornerCheck.warnings,
+        ...cornerCheck.warnings,
+        ...sinkBaseCheck.warnings,
+        ...partitionCheck.warnings,
+        ...accessoryCheck.warnings,
         ...drawerCheck.warnings,
+        ...slideCheck.warnings,
         ...conflictCheck.warnings
     ];
     
     const allSuggestions = [
         ...dimensionCheck.suggestions,
+        ...mountingCheck.suggestions,
+        ...fixedShelfCheck.suggestions,
+        ...blindCornerCheck.suggestions,
+        ...cornerCheck.suggestions,
+        ...sinkBaseCheck.suggestions,
+        ...partitionCheck.suggestions,
+        ...accessoryCheck.suggestions,
         ...drawerCheck.suggestions,
+        ...slideCheck.suggestions,
         ...conflictCheck.suggestions
     ];
     
@@ -279,7 +853,7 @@ function validateCabinet(cabinet) {
     const uniqueSuggestions = [...new Set(allSuggestions)];
     
     // Separate errors (critical) from warnings
-    const errors = uniqueWarnings.filter(w => w.includes('extends beyond') || w.includes('overlap'));
+    const errors = uniqueWarnings.filter(w => w.includes('extends beyond') || w.includes('overlap') || w.includes('no slide fits') || w.includes('no side fits') || w.includes('no room for'));
     const warnings = uniqueWarnings.filter(w => !errors.includes(w));
     
     const isValid = errors.length === 0;
@@ -326,7 +900,15 @@ if (typeof module !== 'undefined' && module.exports) {
         DIMENSION_CONSTRAINTS,
         validateDimension,
         validateCabinetDimensions,
+        validateWallMounting,
+        validateFixedShelf,
+        validateBlindCorner,
+        validateCornerCabinet,
+        validateSinkBase,
+        validatePartitions,
+        validateAccessories,
         validateDrawerConfiguration,
+        validateDrawerSlides,
         validateDoorDrawerConflict,
         validateCabinet,
         getValidationSummary
@@ -1,368 +1,29 @@
-const { useState, useEffect, useRef } = React;
-
-// ========== FRACTION PARSING & CONVERSION FUNCTIONS ==========
-// Converts fraction input like "3/4", "1 1/2", "36 3/8" to decimal
-function parseFraction(input) {
-    if (typeof input === 'number') return input;
-    
-    input = String(input).trim();
-    
-    // Remove any double quote marks
-    input = input.replace(/"/g, '').trim();
-    
-    // Handle empty input
-    if (input === '') return 0;
-    
-    // Handle decimal input
-    if (!isNaN(input)) return parseFloat(input);
-    
-    // Handle mixed fractions like "1 1/2" or "36 3/8"
-    const mixedMatch = input.match(/^(\d+)\s+(\d+)\/(\d+)$/);
-    if (mixedMatch) {
-        const whole = parseInt(mixedMatch[1]);
-        const num = parseInt(mixedMatch[2]);
-        const den = parseInt(mixedMatch[3]);
-        return whole + (num / den);
-    }
-    
-    // Handle simple fractions like "3/4" or "1/2"
-    const fracMatch = input.match(/^(\d+)\/(\d+)$/);
-    if (fracMatch) {
-        const num = parseInt(fracMatch[1]);
-        const den = parseInt(fracMatch[2]);
-        return num / den;
-    }
-    
-    // If nothing matches, try to parse as decimal
-    return parseFloat(input) || 0;
-}
-
-// Converts decimal inches to fractional inches (down to 32nds)
-function decimalToFraction(decimal) {
-    const wholeInches = Math.floor(decimal);
-    const fraction = decimal - wholeInches;
-    
-    // Convert to 32nds
-    const thirtySeconds = Math.round(fraction * 32);
-    
-    // Simplify fraction
-    let num = thirtySeconds;
-    let den = 32;
-    
-    if (num === 0) {
-        if (wholeInches > 0) return `${wholeInches}"`;
-        return '0"';
-    }
-    
-    // Reduce fraction
-    const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
-    const divisor = gcd(num, den);
-    num = num / divisor;
-    den = den / divisor;
-    
-    let result = '';
-    if (wholeInches > 0) result += `${wholeInches}`;
-    if (num > 0) {
-        if (wholeInches > 0) result += ` ${num}/${den}"`;
-        else result += `${num}/${den}"`;
-    } else {
-        result += '"';
-    }
-    
-    return result.trim();
-}
-
-// Formats measurement as: fraction (decimal), fraction only, or decimal only
-function formatMeasurement(decimal, format = 'both') {
-    if (decimal <= 0) return '0"';
-    const fraction = decimalToFraction(decimal);
-    const decimalStr = `${decimal.toFixed(3)}"`;
-    
-    if (format === 'fraction') return fraction;
-    if (format === 'decimal') return decimalStr;
-    return `${fraction} (${decimalStr})`; // both
-}
-
-// construction specs
-const DOOR_SPECS = {
-    shaker: { railWidth: 2.5, stileWidth: 2.5, panelThickness: 0.25, panelSetback: 0.375 },
-    flat: { thickness: 0.75 },
-    raised: { railWidth: 2.5, stileWidth: 2.5, centerRaise: 0.25 },
-    glass: { railWidth: 2, stileWidth: 2, glassThickness: 0.125 }
-};
-
-const DRAWER_BOX = {
-    sideThickness: 0.5,
-    bottomThickness: 0.25,
-    frontBackHeight: 4,
-    slidesClearance: 0.5
-};
-
-// Smart Defaults Constants
-const SMART_DEFAULTS = {
-    // Standard reveal (gap) between drawer fronts
-    drawerReveal: 0.125, // 1/8 inch gap between drawers
-    doorReveal: 0.125,   // 1/8 inch gap between doors
-    
-    // Optimal drawer heights for different purposes
-    drawerHeights: {
-        small: 4,      // Utensil/small items drawer
-        medium: 6,     // Standard drawer
-        large: 8,      // Large drawer
-        deep: 10       // Deep drawer (pots/pans)
-    },
-    
-    // Door width recommendations
-    doorWidth: {
-        min: 8,        // Minimum usable door width
-        optimalMin: 12, // Optimal minimum for comfortable use
-        optimalMax: 24, // Optimal maximum before needing to split
-        max: 30        // Maximum before requiring split
-    }
+const { useState, useEffect, useRef, useMemo } = React;
+
+// fractions (parseFraction, decimalToFraction, formatMeasurement) come from
+// measurements.js, hinge and slide options (HINGE_TYPES, SLIDE_TYPES) from constants.js
+
+// pulls come from PULL_CATALOG in constants.js - these are the colors the 3D view paints each finish
+const PULL_FINISH_COLORS = {
+    'Satin Nickel': 0xb8b8b0,
+    'Matte Black': 0x222222,
+    'Brushed Stainless': 0xc8c8c8,
+    'Oil-Rubbed Bronze': 0x3b2a1e,
+    'Antique Brass': 0xb08d57
 };
 
-// hardware options
-const HINGE_TYPES = ['Concealed (Blum)', 'Concealed (Grass)', 'European', 'Butt Hinge'];
-const SLIDE_TYPES = ['Undermount (Blum)', 'Side Mount', 'Center Mount', 'Soft-Close'];
-const PULL_TYPES = ['Bar Pull', 'Cup Pull', 'Knob', 'Edge Pull', 'Recessed'];
-
-// ========== CABINET DATA STRUCTURE ==========
-class CabinetComponent {
-    constructor(width, height, depth, material = 'Oak', thickness = 0.75) {
-        this.width = width;           // inches
-        this.height = height;         // inches
-        this.depth = depth;           // inches
-        this.material = material;     // wood type
-        this.thickness = thickness;   // inches
-    }
-}
-
-class Drawer {
-    constructor(width, height, depth, material = 'Oak', thickness = 0.5) {
-        this.width = width;
-        this.height = height;
-        this.depth = depth;
-        this.material = material;
-        this.thickness = thickness;
-        this.slide = SLIDE_TYPES[0];  // default to first slide type
-        this.pull = PULL_TYPES[0];    // default to first pull type
-    }
-}
-
-class Door {
-    constructor(width, height, depth, material = 'Oak', thickness = 0.75, doorType = 'shaker') {
-        this.width = width;
-        this.height = height;
-        this.depth = depth;
-        this.material = material;
-        this.thickness = thickness;
-        this.doorType = doorType;     // 'shaker', 'flat', 'raised', 'glass'
-        this.hinge = HINGE_TYPES[0];  // default to first hinge type
-        this.pull = PULL_TYPES[0];    // default to first pull type
-    }
-}
-
-class Cabinet {
-    constructor(cabinetWidth, cabinetHeight, cabinetDepth) {
-        this.width = cabinetWidth;
-        this.height = cabinetHeight;
-        this.depth = cabinetDepth;
-        
-        // Cabinet components
-        this.sides = {
-            left: new CabinetComponent(cabinetWidth, cabinetHeight, cabinetDepth),
-            right: new CabinetComponent(cabinetWidth, cabinetHeight, cabinetDepth)
-        };
-        
-        this.back = new CabinetComponent(cabinetWidth, cabinetHeight, 0.25);
-        this.drawers = [];  // array of Drawer objects
-        this.door = null;   // single Door object or null
-    }
-    
-    addDrawer(width, height, depth, material = 'Oak', thickness = 0.5) {
-        const drawer = new Drawer(width, height, depth, material, thickness);
-        this.drawers.push(drawer);
-        return drawer;
-    }
-    
-    removeDrawer(index) {
-        if (index >= 0 && index < this.drawers.length) {
-            this.drawers.splice(index, 1);
-        }
-    }
-    
-    setDoor(width, height, depth, material = 'Oak', thickness = 0.75, doorType = 'shaker') {
-        this.door = new Door(width, height, depth, material, thickness, doorType);
-        return this.door;
-    }
-    
-    removeDoor() {
-        this.door = null;
-    }
-    
-    updateSides(width, height, depth, material, thickness) {
-        this.sides.left = new CabinetComponent(width, height, depth, material, thickness);
-        this.sides.right = new CabinetComponent(width, height, depth, material, thickness);
-    }
-    
-    updateBack(width, height, material, thickness = 0.25) {
-        this.back = new CabinetComponent(width, height, thickness, material, thickness);
-    }
-}
-
-// construction types
-const CONSTRUCTION_TYPES = {
-    frameless: {
-    name: 'Frameless (European)',
-    description: '32mm system, no face frame'
-    },
-    faceFrame: {
-    name: 'Face Frame',
-    description: 'Traditional face frame construction',
-    frameWidth: 1.5,
-    frameThickness: 0.75
-    }
-};
+// cabinets are plain objects - see cabinetModel.js for their fields, the
+// rules changes must follow and how older saved projects are brought up to date
 
-// icons (keeping them compact)
-const Camera = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"></path>
-    <circle cx="12" cy="13" r="4"></circle>
-    </svg>
-);
-
-const Box = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path>
-    <polyline points="3.27 6.96 12 12.01 20.73 6.96"></polyline>
-    <line x1="12" y1="22.08" x2="12" y2="12"></line>
-    </svg>
-);
-
-const Ruler = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <path d="M21.3 15.3a2.4 2.4 0 0 1 0 3.4l-2.6 2.6a2.4 2.4 0 0 1-3.4 0L2.7 8.7a2.4 2.4 0 0 1 0-3.4l2.6-2.6a2.4 2.4 0 0 1 3.4 0z"></path>
-    <path d="m14.5 12.5 2-2"></path>
-    <path d="m11.5 9.5 2-2"></path>
-    <path d="m8.5 6.5 2-2"></path>
-    <path d="m17.5 15.5 2-2"></path>
-    </svg>
-);
-
-const FileText = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
-    <polyline points="14 2 14 8 20 8"></polyline>
-    <line x1="16" y1="13" x2="8" y2="13"></line>
-    <line x1="16" y1="17" x2="8" y2="17"></line>
-    <polyline points="10 9 9 9 8 9"></polyline>
-    </svg>
-);
-
-const Download = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-    <polyline points="7 10 12 15 17 10"></polyline>
-    <line x1="12" y1="15" x2="12" y2="3"></line>
-    </svg>
-);
-
-const Upload = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-    <polyline points="17 8 12 3 7 8"></polyline>
-    <line x1="12" y1="3" x2="12" y2="15"></line>
-    </svg>
-);
-
-const Plus = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <line x1="12" y1="5" x2="12" y2="19"></line>
-    <line x1="5" y1="12" x2="19" y2="12"></line>
-    </svg>
-);
-
-const Trash2 = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <polyline points="3 6 5 6 21 6"></polyline>
-    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-    <line x1="10" y1="11" x2="10" y2="17"></line>
-    <line x1="14" y1="11" x2="14" y2="17"></line>
-    </svg>
-);
-
-const Save = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path>
-    <polyline points="17 21 17 13 7 13 7 21"></polyline>
-    <polyline points="7 3 7 8 15 8"></polyline>
-    </svg>
-);
-
-const FolderOpen = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
-    </svg>
-);
-
-const DollarSign = ({ size = 24, color = "currentColor" }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2">
-    <line x1="12" y1="1" x2="12" y2="23"></line>
-    <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"></path>
-    </svg>
-);
-
-// ========== PROJECT MANAGEMENT FUNCTIONS ==========
-// Save project to localStorage
-const saveProjectToStorage = (projectName, cabinets, materialCosts, laborRate) => {
-    if (!projectName.trim()) {
-        alert('Please enter a project name!');
-        return false;
-    }
-    
-    const projectData = {
-        name: projectName,
-        date: new Date().toISOString(),
-        cabinets: cabinets,
-        materialCosts: materialCosts,
-        laborRate: laborRate
-    };
-    
-    let savedProjects = JSON.parse(localStorage.getItem('cabinetProjects') || '[]');
-    
-    const existingIndex = savedProjects.findIndex(p => p.name === projectName);
-    if (existingIndex >= 0) {
-        if (confirm(`A project named "${projectName}" already exists. Do you want to overwrite it?`)) {
-            savedProjects[existingIndex] = projectData;
-        } else {
-            return false;
-        }
-    } else {
-        savedProjects.push(projectData);
-    }
-    
-    localStorage.setItem('cabinetProjects', JSON.stringify(savedProjects));
-    return true;
-};
+// construction types live in constants.js (CONSTRUCTION_TYPES) - the face frame
+// layout in cabinetLayout.js reads its default widths from there
 
-// Load project from localStorage
-const loadProjectFromStorage = (projectName) => {
-    const savedProjects = JSON.parse(localStorage.getItem('cabinetProjects') || '[]');
-    return savedProjects.find(p => p.name === projectName);
-};
+// icons come from icons.js
 
-// Get all saved projects
-const getAllSavedProjects = () => {
-    return JSON.parse(localStorage.getItem('cabinetProjects') || '[]');
-};
+// saving, loading and deleting projects live in projectManager.js
 
-// Delete project from localStorage
-const deleteProjectFromStorage = (projectName) => {
-    let savedProjects = JSON.parse(localStorage.getItem('cabinetProjects') || '[]');
-    savedProjects = savedProjects.filter(p => p.name !== projectName);
-    localStorage.setItem('cabinetProjects', JSON.stringify(savedProjects));
-};
+// Ease a door or drawer through its travel (0 to 1) so it doesn't start and stop dead
+const easeFront = (t) => t * t * (3 - 2 * t);
 
 // main component
 const createWoodTexture = (color) => {
@@ -410,22 +71,26 @@ const CabinetDesigner = () => {
     const [selectedDoorIndex, setSelectedDoorIndex] = useState(null);
     const [hiddenDoors, setHiddenDoors] = useState(new Set()); // Set of "cabinetId-doorIndex" strings
     const [hiddenDrawers, setHiddenDrawers] = useState(new Set()); // Set of drawer IDs
+    const [openDoors, setOpenDoors] = useState(new Set()); // "cabinetId-doorIndex" strings swung open in the 3D view
+    const [openDrawers, setOpenDrawers] = useState(new Set()); // drawer IDs pulled out in the 3D view
     const [viewMode, setViewMode] = useState('3d');
     const [projectName, setProjectName] = useState('Untitled Project');
     const [showCutList, setShowCutList] = useState(false);
     const [showShoppingList, setShowShoppingList] = useState(false);
-    const [materialCosts, setMaterialCosts] = useState({
-        'plywood': 45,
-        'hardwood': 75,
-        'mdf': 35,
-        'birch': 65,
-        'oak': 70,
-        'maple': 85,
-        'cherry': 95,
-        'walnut': 100
-    });
-
-    const [laborRate, setLaborRate] = useState(50); // per hour
+    const [materialCosts, setMaterialCosts] = useState({ ...DEFAULT_MATERIAL_COSTS });
+
+    const [laborRate, setLaborRate] = useState(DEFAULT_LABOR_RATE); // per hour
+    const [doorStyles, setDoorStyles] = useState(DEFAULT_DOOR_STYLES); // project door style library
+    const [showDoorStyles, setShowDoorStyles] = useState(false);
+    const [showCatalog, setShowCatalog] = useState(false);
+    const [showTemplates, setShowTemplates] = useState(false);
+    const [templates, setTemplates] = useState(() => getAllTemplates()); // user template library (see templateLibrary.js)
+    const [catalogCategory, setCatalogCategory] = useState(CABINET_CATALOG[0].category);
+    const [projectVariables, setProjectVariables] = useState({}); // { name: '96' or '= expression' } (see expressions.js)
+    const [showProjectVariables, setShowProjectVariables] = useState(false);
+    const [expressionErrors, setExpressionErrors] = useState({}); // why an expression couldn't be worked out, by field
+    const [countertops, setCountertops] = useState([]); // run countertops (see countertops.js)
+    const [editingCountertopId, setEditingCountertopId] = useState(null); // countertop open in the editor
     const [activeCameraPreset, setActiveCameraPreset] = useState('isometric'); // Track active camera view
     const [measurementFormat, setMeasurementFormat] = useState(() => {
         // Load measurement preference from localStorage, default to 'both'
@@ -467,6 +132,11 @@ const CabinetDesigner = () => {
     const cameraAngle = useRef({ theta: Math.PI / 4, phi: Math.PI / 6 });
     const cameraDistance = useRef(80);
     const modelRef = useRef(null); // Reference to the loaded GLB model
+
+    // Opening doors and drawers - the scene is rebuilt when one is toggled, so how far
+    // each front is open lives here and the animation loop eases it toward open or shut
+    const frontMotion = useRef(new Map()); // "door:cabinetId-doorIndex" / "drawer:drawerId" -> 0 (shut) to 1 (open)
+    const movingFronts = useRef([]); // { key, target, apply } for each front in the scene
     
     // Move mode state
     const isMoveMode = useRef(false);
@@ -495,14 +165,21 @@ const CabinetDesigner = () => {
             return cabA.xPosition - cabB.xPosition;
         });
 
-        // Position cabinets side by side starting from leftmost position
-        let currentX = cabinets.find(c => c.id === sortedIds[0]).xPosition;
-        
-        sortedIds.forEach(id => {
-            const cabinet = cabinets.find(c => c.id === id);
-            updateCabinet(id, 'xPosition', currentX);
-            currentX += cabinet.width; // Move to next position
-        });
+        // Position cabinets side by side. The run is built outward from the first
+        // left-hand corner cabinet (or the leftmost cabinet) so cabinets past a
+        // corner turn it and butt against the corner cabinet.
+        const sortedCabinets = sortedIds.map(id => cabinets.find(c => c.id === id));
+        const anchorIndex = Math.max(0, sortedCabinets.findIndex(c => getCornerTurn(c)?.side === 'left'));
+        const placed = { [anchorIndex]: sortedCabinets[anchorIndex] };
+
+        for (let i = anchorIndex + 1; i < sortedCabinets.length; i++) {
+            placed[i] = { ...sortedCabinets[i], ...getSnapPlacement(sortedCabinets[i], placed[i - 1], 'right') };
+        }
+        for (let i = anchorIndex - 1; i >= 0; i--) {
+            placed[i] = { ...sortedCabinets[i], ...getSnapPlacement(sortedCabinets[i], placed[i + 1], 'left') };
+        }
+
+        placeCabinets(Object.values(placed), 'Aligned cabinets');
 
         // Create a group for these aligned cabinets
         const newGroup = {
@@ -516,6 +193,22 @@ const CabinetDesigner = () => {
         setSelectedCabinetsForAlign([]);
     };
 
+    // Apply new positions to several cabinets in one update (one history entry)
+    const placeCabinets = (placedCabinets, description) => {
+        const newCabinets = cabinets.map(c => {
+            const placedCabinet = placedCabinets.find(p => p.id === c.id);
+            return placedCabinet
+                ? { ...c, xPosition: placedCabinet.xPosition, zPosition: placedCabinet.zPosition, rotation: placedCabinet.rotation || 0 }
+                : c;
+        });
+        setCabinets(newCabinets);
+        setTimeout(() => {
+            if (!isRestoringHistory.current) {
+                saveStateToHistory(description);
+            }
+        }, 10);
+    };
+
     // Toggle cabinet selection for alignment
     const toggleCabinetForAlign = (cabinetId) => {
         if (selectedCabinetsForAlign.includes(cabinetId)) {
@@ -538,64 +231,24 @@ const CabinetDesigner = () => {
         }
     };
 
-    // create default cabinet
-    const createNewCabinet = () => {
-    // Calculate X position - place new cabinet to the right of existing ones
-    let xPosition = 0;
-    if (cabinets.length > 0) {
-        const rightmostCabinet = cabinets.reduce((rightmost, cab) => {
-            const cabRight = cab.xPosition + cab.width;
-            const rightmostRight = rightmost.xPosition + rightmost.width;
-            return cabRight > rightmostRight ? cab : rightmost;
-        });
-        xPosition = rightmostCabinet.xPosition + rightmostCabinet.width;
-    }
+    // X position for a new cabinet - to the right of existing ones
+    const getNextXPosition = () => {
+    if (cabinets.length === 0) return 0;
+    const rightmostCabinet = cabinets.reduce((rightmost, cab) => {
+        const cabRight = cab.xPosition + cab.width;
+        const rightmostRight = rightmost.xPosition + rightmost.width;
+        return cabRight > rightmostRight ? cab : rightmost;
+    });
+    return rightmostCabinet.xPosition + rightmostCabinet.width;
+    };
 
-    return {
+    // create default cabinet
+    const createNewCabinet = (type = 'base') => {
+    return createCabinet(type, {
         id: Date.now(),
         name: `Cabinet ${cabinets.length + 1}`,
-        type: 'base',
-        construction: 'frameless', // or 'faceFrame'
-        xPosition: xPosition, // X position in layout (inches)
-        zPosition: 0, // Z position (depth/forward-back)
-        width: 24,
-        height: 34.5,
-        depth: 24,
-        material: 'plywood',
-        thickness: 0.75,
-        doors: 0,
-        doorStyle: 'shaker',
-        doubleDoor: false,
-        doorDrawerGap: 0.125, // 1/8" default gap
-        doorOverhang: 0.5, // 1/2" default overhang
-        doorHandles: {}, // {doorIndex: 'left'|'right'} for each door
-        drawers: [],  // array of {height, startY} - positioned from bottom
-        drawerStyle: 'shaker',
-        shelves: 1,
-        backPanel: true,
-        toekick: true,
-        toekickHeight: 4,
-        toekickDepth: 3,
-        color: '#8B7355',
-        edgebanding: true,
-        edgebandColor: '#8B7355',
-        hardware: {
-        hinges: 'Concealed (Blum)',
-        slides: 'Undermount (Blum)',
-        pulls: 'Bar Pull'
-        },
-        countertop: false,
-        countertopMaterial: 'Quartz',
-        countertopThickness: 1.25,
-        crown: false,
-        crownHeight: 3,
-        pricing: {
-        materialCost: 0,
-        hardwareCost: 0,
-        laborHours: 0,
-        totalCost: 0
-        }
-    };
+        xPosition: getNextXPosition()
+    });
     };
 
     // setup 3D scene
@@ -644,6 +297,7 @@ const CabinetDesigner = () => {
     const gridHelper = new THREE.GridHelper(200, 40, 0x888888, 0xdddddd);
     scene.add(gridHelper);
 
+    let lastFrameTime = performance.now();
     const animate = () => {
         animationRef.current = requestAnimationFrame(animate);
         
@@ -651,6 +305,18 @@ const CabinetDesigner = () => {
         if (modelRef.current) {
             modelRef.current.rotation.y += 0.005;
         }
+
+        // Swing doors and slide drawers toward open or shut
+        const now = performance.now();
+        const step = Math.min(0.1, (now - lastFrameTime) / 1000) / FRONT_MOTION.seconds;
+        lastFrameTime = now;
+        movingFronts.current.forEach(front => {
+            const current = frontMotion.current.get(front.key) || 0;
+            if (current === front.target) return;
+            const next = front.target > current ? Math.min(front.target, current + step) : Math.max(front.target, current - step);
+            frontMotion.current.set(front.key, next);
+            front.apply(easeFront(next));
+        });
         
         renderer.render(scene, camera);
     };
@@ -674,11 +340,8 @@ const CabinetDesigner = () => {
             deleteDrawer(selectedCabinetId, selectedDrawerId);
             setSelectedDrawerId(null);
         } else if (selectedDoorIndex !== null && selectedCabinetId) {
-            const cabinet = cabinets.find(c => c.id === selectedCabinetId);
-            if (cabinet && cabinet.doors > 0) {
-            updateCabinet(selectedCabinetId, 'doors', cabinet.doors - 1);
+            removeDoor(selectedCabinetId, selectedDoorIndex);
             setSelectedDoorIndex(null);
-            }
         } else if (selectedCabinetId) {
             if (confirm('Delete this cabinet and all its contents?')) {
             handleDeleteCabinet(selectedCabinetId);
@@ -879,7 +542,7 @@ const CabinetDesigner = () => {
     if (cabinet) {
         cameraTarget.current.set(
             cabinet.xPosition + cabinet.width / 2,
-            cabinet.height / 2,
+            (cabinet.mountingHeight || 0) + cabinet.height / 2,
             cabinet.zPosition || 0
         );
         updateCameraPosition(cameraRef.current);
@@ -994,7 +657,7 @@ const CabinetDesigner = () => {
                 // Update camera target to follow cabinet smoothly
                 cameraTarget.current.set(
                     newXPosition + cabinet.width / 2,
-                    cabinet.height / 2,
+                    (cabinet.mountingHeight || 0) + cabinet.height / 2,
                     newZPosition
                 );
                 
@@ -1107,6 +770,7 @@ const CabinetDesigner = () => {
         }
     });
     objectsToRemove.forEach(obj => sceneRef.current.remove(obj));
+    movingFronts.current = [];
 
     // Use xPosition and zPosition from each cabinet for layout positioning
     cabinets.forEach((cabinet) => {
@@ -1115,10 +779,59 @@ const CabinetDesigner = () => {
         const cabinetGroup = createCabinet3D(cabinet, xOffset, zOffset);
         sceneRef.current.add(cabinetGroup);
     });
-    }, [cabinets, selectedCabinetId, selectedDrawerId, selectedDoorIndex, hiddenDoors, hiddenDrawers, isAlignMode, selectedCabinetsForAlign]);
 
-    // create door/drawer front with details
-    const createDoorFront = (width, height, style, material, position, xOffset, isHighlighted = false) => {
+    // Run countertops go on as one piece over their cabinets
+    countertops.forEach((countertop) => {
+        sceneRef.current.add(createCountertop3D(countertop));
+    });
+
+    // Crown and light rail follow their runs round corners and ends (the toe-kick skin is the recess face)
+    ['crown', 'lightRail'].forEach(kind => {
+        getTrimRuns(cabinets, kind).forEach(run => sceneRef.current.add(createTrimRun3D(run)));
+    });
+    }, [cabinets, selectedCabinetId, selectedDrawerId, selectedDoorIndex, hiddenDoors, hiddenDrawers, openDoors, openDrawers, isAlignMode, selectedCabinetsForAlign, doorStyles, countertops, editingCountertopId]);
+
+    // register a door or drawer that opens - it starts where it was before the scene was
+    // rebuilt and the animation loop moves it from there (apply gets 0 shut to 1 open)
+    const addMovingFront = (key, isOpen, apply) => {
+        apply(easeFront(frontMotion.current.get(key) || 0));
+        movingFronts.current.push({ key, target: isOpen ? 1 : 0, apply });
+    };
+
+    // hang a door on its hinge edge - a pivot at the back corner of the edge
+    // (center is the middle of the door's face in the parent's coordinates)
+    const hangDoor = (door, center, doorWidth, swing, doorKey) => {
+        const hingeX = center.x + (swing.hingeSide === 'left' ? -doorWidth / 2 : doorWidth / 2);
+        const hingeZ = center.z - FRONT_THICKNESS / 2;
+        const hinge = new THREE.Group();
+        hinge.position.set(hingeX, 0, hingeZ);
+        door.position.set(-hingeX, 0, -hingeZ);
+        hinge.add(door);
+        // a left hinge turns the free edge out toward +z with a negative angle
+        const angle = THREE.MathUtils.degToRad(swing.angle) * (swing.hingeSide === 'left' ? -1 : 1);
+        addMovingFront(`door:${doorKey}`, openDoors.has(doorKey), amount => { hinge.rotation.y = angle * amount; });
+        return hinge;
+    };
+
+    // open every door and drawer in the room, or shut them all if any are open
+    const toggleAllFronts = () => {
+        if (openDoors.size > 0 || openDrawers.size > 0) {
+            setOpenDoors(new Set());
+            setOpenDrawers(new Set());
+            return;
+        }
+        const doors = new Set();
+        const drawers = new Set();
+        cabinets.forEach(cabinet => {
+            for (let i = 0; i < getTotalDoorCount(cabinet); i++) doors.add(`${cabinet.id}-${i}`);
+            (cabinet.drawers || []).forEach(drawer => drawers.add(drawer.id));
+        });
+        setOpenDoors(doors);
+        setOpenDrawers(drawers);
+    };
+
+    // create door/drawer front with details (pullFront is its entry from getPullLayout, if it gets a pull)
+    const createDoorFront = (width, height, style, material, position, xOffset, isHighlighted = false, pullFront = null) => {
     const isSelected = selectedCabinetId && cabinets.find(c => c.id === selectedCabinetId);
     const doorColor = isHighlighted ? 0xff8855 : (isSelected?.id === selectedCabinetId ? 0xaa5533 : 0x6B5444);
 
@@ -1134,119 +847,155 @@ const CabinetDesigner = () => {
 
     const group = new THREE.Group();
 
-    if (style === 'shaker') {
-        const spec = DOOR_SPECS.shaker;
-
-        // rails and stiles
-        const topRailGeo = new THREE.BoxGeometry(width, spec.railWidth, 0.75);
-        const topRail = new THREE.Mesh(topRailGeo, doorMaterial);
-        topRail.position.set(position.x, position.y + height/2 - spec.railWidth/2, position.z);
-        topRail.castShadow = true;
-        group.add(topRail);
-
-        const bottomRail = new THREE.Mesh(topRailGeo, doorMaterial);
-        bottomRail.position.set(position.x, position.y - height/2 + spec.railWidth/2, position.z);
-        bottomRail.castShadow = true;
-        group.add(bottomRail);
+    // frame and panel sizes come from the project's door style library
+    const doorStyle = getDoorStyle(style, doorStyles);
+    const frame = getDoorFrameParts(doorStyle, width, height);
 
-        const stileGeo = new THREE.BoxGeometry(spec.stileWidth, height, 0.75);
+    if (frame) {
+        // stiles run the full height, rails fit between them (top and bottom rails can differ)
+        const stileGeo = new THREE.BoxGeometry(frame.stileWidth, height, 0.75);
         const leftStile = new THREE.Mesh(stileGeo, doorMaterial);
-        leftStile.position.set(position.x - width/2 + spec.stileWidth/2, position.y, position.z);
+        leftStile.position.set(position.x - width/2 + frame.stileWidth/2, position.y, position.z);
         leftStile.castShadow = true;
         group.add(leftStile);
 
         const rightStile = new THREE.Mesh(stileGeo, doorMaterial);
-        rightStile.position.set(position.x + width/2 - spec.stileWidth/2, position.y, position.z);
+        rightStile.position.set(position.x + width/2 - frame.stileWidth/2, position.y, position.z);
         rightStile.castShadow = true;
         group.add(rightStile);
 
-        // center panel
-        const panelWidth = width - spec.stileWidth * 2;
-        const panelHeight = height - spec.railWidth * 2;
-        const panelGeo = new THREE.BoxGeometry(panelWidth, panelHeight, spec.panelThickness);
-        const panelMat = new THREE.MeshStandardMaterial({
-        map: woodTextureCache.current[doorColor],
-        roughness: 0.5
-        });
-        const panel = new THREE.Mesh(panelGeo, panelMat);
-        panel.position.set(position.x, position.y, position.z - spec.panelSetback);
-        group.add(panel);
-
-    } else if (style === 'raised') {
-        const spec = DOOR_SPECS.raised;
-
-        const frameGeo = new THREE.BoxGeometry(width, height, 0.75);
-        const frame = new THREE.Mesh(frameGeo, doorMaterial);
-        frame.position.copy(position);
-        frame.castShadow = true;
-        group.add(frame);
-
-        const centerWidth = width - spec.stileWidth * 2;
-        const centerHeight = height - spec.railWidth * 2;
-        const raisedGeo = new THREE.BoxGeometry(centerWidth, centerHeight, 0.75 + spec.centerRaise);
-        const raised = new THREE.Mesh(raisedGeo, doorMaterial);
-        raised.position.set(position.x, position.y, position.z + spec.centerRaise/2);
-        group.add(raised);
-
-    } else if (style === 'glass') {
-        const spec = DOOR_SPECS.glass;
-
-        const topRailGeo = new THREE.BoxGeometry(width, spec.railWidth, 0.75);
-        const top = new THREE.Mesh(topRailGeo, doorMaterial);
-        top.position.set(position.x, position.y + height/2 - spec.railWidth/2, position.z);
-        group.add(top);
-
-        const bottom = new THREE.Mesh(topRailGeo, doorMaterial);
-        bottom.position.set(position.x, position.y - height/2 + spec.railWidth/2, position.z);
-        group.add(bottom);
-
-        const sideGeo = new THREE.BoxGeometry(spec.stileWidth, height, 0.75);
-        const left = new THREE.Mesh(sideGeo, doorMaterial);
-        left.position.set(position.x - width/2 + spec.stileWidth/2, position.y, position.z);
-        group.add(left);
+        const topRail = new THREE.Mesh(new THREE.BoxGeometry(frame.openingWidth, frame.topRailWidth, 0.75), doorMaterial);
+        topRail.position.set(position.x, position.y + height/2 - frame.topRailWidth/2, position.z);
+        topRail.castShadow = true;
+        group.add(topRail);
 
-        const right = new THREE.Mesh(sideGeo, doorMaterial);
-        right.position.set(position.x + width/2 - spec.stileWidth/2, position.y, position.z);
-        group.add(right);
+        const bottomRail = new THREE.Mesh(new THREE.BoxGeometry(frame.openingWidth, frame.bottomRailWidth, 0.75), doorMaterial);
+        bottomRail.position.set(position.x, position.y - height/2 + frame.bottomRailWidth/2, position.z);
+        bottomRail.castShadow = true;
+        group.add(bottomRail);
 
-        const glassWidth = width - spec.stileWidth * 2;
-        const glassHeight = height - spec.railWidth * 2;
-        const glassGeo = new THREE.BoxGeometry(glassWidth, glassHeight, spec.glassThickness);
+        // panel - centered in the opening between the rails
+        const panelY = position.y + (frame.bottomRailWidth - frame.topRailWidth) / 2;
+        if (doorStyle.panelType === 'glass') {
+        const glassGeo = new THREE.BoxGeometry(frame.openingWidth, frame.openingHeight, frame.panelThickness);
         const glassMat = new THREE.MeshPhysicalMaterial({
-        color: 0xccddff,
-        transparent: true,
-        opacity: 0.3,
-        roughness: 0,
-        metalness: 0.1,
-        transmission: 0.9
+            color: 0xccddff,
+            transparent: true,
+            opacity: 0.3,
+            roughness: 0,
+            metalness: 0.1,
+            transmission: 0.9
         });
         const glass = new THREE.Mesh(glassGeo, glassMat);
-        glass.position.copy(position);
+        glass.position.set(position.x, panelY, position.z);
         group.add(glass);
+        } else {
+        const panelMat = new THREE.MeshStandardMaterial({
+            map: woodTextureCache.current[doorColor],
+            roughness: 0.5
+        });
+        const panelGeo = new THREE.BoxGeometry(frame.openingWidth, frame.openingHeight, frame.panelThickness);
+        const panel = new THREE.Mesh(panelGeo, panelMat);
+        panel.position.set(position.x, panelY, position.z);
+        group.add(panel);
+
+        if (doorStyle.panelType === 'raised') {
+            // raised field, 1 1/2" in from the frame all round
+            const centerRaise = PANEL_TYPES.raised.centerRaise;
+            const raisedGeo = new THREE.BoxGeometry(
+            Math.max(0, frame.openingWidth - 3),
+            Math.max(0, frame.openingHeight - 3),
+            frame.panelThickness + centerRaise
+            );
+            const raised = new THREE.Mesh(raisedGeo, panelMat);
+            raised.position.set(position.x, panelY, position.z + centerRaise/2);
+            group.add(raised);
+        }
+        }
 
-    } else { // flat
-        const spec = DOOR_SPECS.flat;
-        const doorGeo = new THREE.BoxGeometry(width, height, spec.thickness);
+    } else { // slab
+        const doorGeo = new THREE.BoxGeometry(width, height, 0.75);
         const door = new THREE.Mesh(doorGeo, doorMaterial);
         door.position.copy(position);
         door.castShadow = true;
         group.add(door);
     }
 
-    // handle
-    const handleGeo = new THREE.CylinderGeometry(0.4, 0.4, 4, 16);
-    const handleMat = new THREE.MeshStandardMaterial({ color: 0x444444, metalness: 0.9, roughness: 0.2 });
-    const handle = new THREE.Mesh(handleGeo, handleMat);
-    handle.rotation.z = Math.PI / 2;
-    handle.position.set(position.x + (width / 3), position.y, position.z + 0.8);
-    group.add(handle);
+    // pulls - sized from the catalog, at the holes getPullLayout drills
+    if (pullFront) {
+        pullFront.pulls.forEach(placed => group.add(createPull3D(pullFront.pull, placed, position, width, height)));
+    }
+
+    return group;
+    };
+
+    // one pull on the face of a front centered at position (see placePull for placed)
+    const createPull3D = (pull, placed, position, width, height) => {
+    const group = new THREE.Group();
+    const pullMat = new THREE.MeshStandardMaterial({ color: PULL_FINISH_COLORS[pull.finish] ?? 0x444444, metalness: 0.9, roughness: 0.25 });
+    const faceZ = position.z + FRONT_THICKNESS / 2;
+    const x = position.x - width / 2 + placed.x;
+    const y = position.y - height / 2 + placed.y;
+
+    if (pull.mount === 'routed') {
+        // dark pocket just proud of the face so it doesn't flicker
+        const pocketGeo = new THREE.BoxGeometry(placed.pocket.width, placed.pocket.height, 0.02);
+        const pocket = new THREE.Mesh(pocketGeo, new THREE.MeshStandardMaterial({ color: 0x1a1a1a, metalness: 0.6, roughness: 0.4 }));
+        pocket.position.set(x, y, faceZ + 0.01);
+        group.add(pocket);
+        return group;
+    }
+
+    if (pull.mount === 'edge') {
+        // a lip over the edge and a drop down the face
+        const lip = new THREE.Mesh(new THREE.BoxGeometry(pull.lengthIn, 0.08, FRONT_THICKNESS + pull.projectionIn), pullMat);
+        lip.position.set(x, y + (placed.y > height / 2 ? 0.04 : -0.04), position.z + pull.projectionIn / 2);
+        group.add(lip);
+        const drop = new THREE.Mesh(new THREE.BoxGeometry(pull.lengthIn, pull.widthIn, 0.08), pullMat);
+        drop.position.set(x, y + (placed.y > height / 2 ? -pull.widthIn / 2 : pull.widthIn / 2), faceZ + pull.projectionIn);
+        group.add(drop);
+        return group;
+    }
+
+    if (pull.centers <= 0) {
+        // knob - a stem and a round head
+        const radius = pull.widthIn / 2;
+        const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, pull.projectionIn - radius, 12), pullMat);
+        stem.rotation.x = Math.PI / 2;
+        stem.position.set(x, y, faceZ + (pull.projectionIn - radius) / 2);
+        group.add(stem);
+        const head = new THREE.Mesh(new THREE.SphereGeometry(radius, 16, 12), pullMat);
+        head.scale.z = 0.6;
+        head.position.set(x, y, faceZ + pull.projectionIn - radius * 0.6);
+        group.add(head);
+        return group;
+    }
 
+    // bar or cup - posts at the holes, the grip across them
+    placed.holes.forEach(hole => {
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, pull.projectionIn, 12), pullMat);
+        post.rotation.x = Math.PI / 2;
+        post.position.set(position.x - width / 2 + hole.x, position.y - height / 2 + hole.y, faceZ + pull.projectionIn / 2);
+        group.add(post);
+    });
+    const grip = pull.style === 'Cup Pull'
+        ? new THREE.Mesh(new THREE.BoxGeometry(pull.lengthIn, pull.widthIn, 0.12), pullMat)
+        : new THREE.Mesh(new THREE.CylinderGeometry(pull.widthIn / 2, pull.widthIn / 2, pull.lengthIn, 16), pullMat);
+    if (pull.style === 'Cup Pull') {
+        if (placed.vertical) grip.rotation.z = Math.PI / 2;
+    } else if (!placed.vertical) {
+        grip.rotation.z = Math.PI / 2;
+    }
+    grip.position.set(x, y, faceZ + pull.projectionIn);
+    group.add(grip);
     return group;
     };
 
-    // create drawer box
-    const createDrawerBox = (width, depth, drawerFrontHeight, position, isHighlighted = false) => {
+    // create drawer box - sized to its slide (see getDrawerBoxes), position is the center of the box.
+    // On a metal drawer system (box.system) the sides are steel and the bottom and back melamine.
+    const createDrawerBox = (box, position, isHighlighted = false) => {
     const group = new THREE.Group();
+    const { boxWidth: width, boxHeight: height, boxDepth: depth, system } = box;
 
     const boxColor = isHighlighted ? 0xff8855 : 0xD4A574;
     const boxMat = new THREE.MeshStandardMaterial({ 
@@ -1254,30 +1003,110 @@ const CabinetDesigner = () => {
         roughness: isHighlighted ? 0.2 : 0.6,
         metalness: isHighlighted ? 0.3 : 0
     });
-
-    const boxHeight = Math.min(DRAWER_BOX.frontBackHeight, drawerFrontHeight - 1);
+    const sideMat = system && !isHighlighted
+        ? new THREE.MeshStandardMaterial({ color: 0xb8b8b8, roughness: 0.3, metalness: 0.7 })
+        : boxMat;
+    const panelMat = system && !isHighlighted
+        ? new THREE.MeshStandardMaterial({ color: 0xf2f2f2, roughness: 0.5, metalness: 0 })
+        : boxMat;
+    const side = DRAWER_BOX.sideThickness;
+    const addPart = (w, h, d, x, y, z, mat) => {
+        const part = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), mat);
+        part.position.set(x, y, z);
+        group.add(part);
+    };
 
     // sides
-    const sideGeo = new THREE.BoxGeometry(DRAWER_BOX.sideThickness, boxHeight, depth - 2);
-    const leftSide = new THREE.Mesh(sideGeo, boxMat);
-    leftSide.position.set(position.x - width/2 + DRAWER_BOX.sideThickness/2, position.y, position.z - 1);
-    group.add(leftSide);
-
-    const rightSide = new THREE.Mesh(sideGeo, boxMat);
-    rightSide.position.set(position.x + width/2 - DRAWER_BOX.sideThickness/2, position.y, position.z - 1);
-    group.add(rightSide);
+    addPart(side, height, depth, position.x - width/2 + side/2, position.y, position.z, sideMat);
+    addPart(side, height, depth, position.x + width/2 - side/2, position.y, position.z, sideMat);
+
+    if (system) {
+        // no wood front - the drawer front clips onto the sides; the back is lower than the sides
+        const parts = getDrawerSystemParts(box);
+        const panel = getStock(system.panelStock).actual;
+        const bottomY = position.y - height/2 + panel/2;
+        addPart(parts.bottom.width, panel, parts.bottom.depth, position.x, bottomY, position.z + depth/2 - parts.bottom.depth/2, panelMat);
+        addPart(parts.back.width, parts.back.height, panel, position.x, bottomY + panel/2 + parts.back.height/2, position.z - depth/2 + panel/2, panelMat);
+        return group;
+    }
 
-    // back
-    const frontBackGeo = new THREE.BoxGeometry(width - DRAWER_BOX.sideThickness * 2, boxHeight, DRAWER_BOX.sideThickness);
-    const back = new THREE.Mesh(frontBackGeo, boxMat);
-    back.position.set(position.x, position.y, position.z - depth/2 + DRAWER_BOX.sideThickness/2);
-    group.add(back);
+    // front and back
+    [-1, 1].forEach(end => {
+        addPart(width - side * 2, height, side, position.x, position.y, position.z + end * (depth/2 - side/2), boxMat);
+    });
 
     // bottom
-    const bottomGeo = new THREE.BoxGeometry(width - DRAWER_BOX.sideThickness * 2, DRAWER_BOX.bottomThickness, depth - 2);
-    const bottom = new THREE.Mesh(bottomGeo, boxMat);
-    bottom.position.set(position.x, position.y - boxHeight/2 + DRAWER_BOX.bottomThickness/2, position.z - 1);
-    group.add(bottom);
+    addPart(width - side * 2, DRAWER_BOX.bottomThickness, depth - side * 2, position.x, position.y - height/2 + DRAWER_BOX.bottomThickness/2, position.z, boxMat);
+
+    return group;
+    };
+
+    // build an interior accessory (see getAccessoryLayout) - plain boxes, no hardware
+    const createAccessory3D = (entry, xOffset, zOffset, cabinetDepth, material) => {
+    const group = new THREE.Group();
+
+    const boxMat = new THREE.MeshStandardMaterial({ color: 0xD4A574, roughness: 0.6, metalness: 0 });
+    const { boxLeft, boxWidth, boxDepth, bottomY, height, spacer, count } = entry;
+    const side = DRAWER_BOX.sideThickness;
+    const addPart = (w, h, d, x, y, z, mat = boxMat) => {
+        const part = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), mat);
+        part.position.set(x, y, z);
+        group.add(part);
+    };
+
+    // boxes start 1/2" behind the front edge of the cabinet so the doors close
+    const centerZ = zOffset + cabinetDepth / 2 - 0.5 - boxDepth / 2;
+    const centerX = xOffset + boxLeft + boxWidth / 2;
+    const centerY = bottomY + height / 2;
+
+    if (entry.accessory.type === 'trayDivider') {
+        entry.dividerXs.forEach(x => addPart(side, height, boxDepth, xOffset + x, centerY, centerZ));
+        return group;
+    }
+
+    // hinge spacers on the cabinet sides - the slides ride on them
+    if (spacer > 0) {
+        const spacerHeight = Math.min(height, DRAWER_BOX.frontBackHeight);
+        [entry.interiorLeft + spacer / 2, entry.interiorLeft + entry.clearWidth - spacer / 2].forEach(x => {
+        addPart(spacer, spacerHeight, boxDepth, xOffset + x, bottomY + spacerHeight / 2, centerZ, material);
+        });
+    }
+
+    if (entry.accessory.type === 'pullOutTrash') {
+        // base, back upright and side rails of the bin frame
+        addPart(boxWidth, 0.75, boxDepth, centerX, bottomY + 0.375, centerZ);
+        addPart(boxWidth, height, 0.75, centerX, centerY, centerZ - boxDepth / 2 + 0.375);
+        [boxLeft + 0.75, boxLeft + boxWidth - 0.75].forEach(x => {
+        addPart(1.5, 0.75, boxDepth, xOffset + x, bottomY + height - 0.375, centerZ);
+        });
+        const binMat = new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.7, metalness: 0.1 });
+        const binWidth = boxWidth / Math.max(1, count) - 1;
+        for (let i = 0; i < count; i++) {
+        const binX = xOffset + boxLeft + (boxWidth / count) * (i + 0.5);
+        addPart(binWidth, height - 2, Math.min(boxDepth - 2, 14), binX, bottomY + 0.75 + (height - 2) / 2, centerZ + 0.5, binMat);
+        }
+        return group;
+    }
+
+    // roll-out tray and spice pull-out - sides with a bottom
+    [boxLeft + side / 2, boxLeft + boxWidth - side / 2].forEach(x => {
+        addPart(side, height, boxDepth, xOffset + x, centerY, centerZ);
+    });
+    addPart(boxWidth - side * 2, DRAWER_BOX.bottomThickness, boxDepth, centerX, bottomY + DRAWER_BOX.bottomThickness / 2, centerZ);
+
+    if (entry.accessory.type === 'spicePullOut') {
+        // top and fixed shelves spread evenly up the box
+        addPart(boxWidth - side * 2, side, boxDepth, centerX, bottomY + height - side / 2, centerZ);
+        for (let i = 0; i < count; i++) {
+        const shelfY = bottomY + height / (count + 1) * (i + 1);
+        addPart(boxWidth - side * 2, side, boxDepth, centerX, shelfY, centerZ);
+        }
+    } else {
+        // roll-out tray front and back
+        [centerZ + boxDepth / 2 - side / 2, centerZ - boxDepth / 2 + side / 2].forEach(z => {
+        addPart(boxWidth - side * 2, height, side, centerX, centerY, z);
+        });
+    }
 
     return group;
     };
@@ -1291,6 +1120,17 @@ const CabinetDesigner = () => {
     const { width, height, depth, thickness } = cabinet;
     const isSelected = cabinet.id === selectedCabinetId;
     const isSelectedForAlign = selectedCabinetsForAlign.includes(cabinet.id);
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const isWallMounted = typeSpec.mounted === 'wall';
+    const hasToekick = cabinet.toekick && typeSpec.allowsToekick;
+    const pullFronts = getPullLayout(cabinet, doorStyles);
+    const getPullFront = (kind, index) => pullFronts.find(front => front.kind === kind && front.index === index) || null;
+
+    // Wall cabinets hang in the air - lift the whole group to the mounting height
+    // so every part below can still be laid out from the bottom of the box
+    if (isWallMounted) {
+        group.position.y = cabinet.mountingHeight || 0;
+    }
 
     // Add visual feedback for align mode selection
     if (isSelectedForAlign && isAlignMode) {
@@ -1317,6 +1157,13 @@ const CabinetDesigner = () => {
         metalness: 0.1
     });
 
+    // lazy susan and diagonal corners are not rectangular - built from their footprint
+    const footprint = getCornerFootprint(cabinet);
+    if (footprint) {
+        createCornerCabinet3D(cabinet, group, material, footprint, xOffset, zOffset, hasToekick);
+        return orientCabinetGroup(group, cabinet, xOffset, zOffset);
+    }
+
     // cabinet box
     const sideGeo = new THREE.BoxGeometry(thickness, height, depth);
     const leftSide = new THREE.Mesh(sideGeo, material);
@@ -1329,147 +1176,216 @@ const CabinetDesigner = () => {
     rightSide.castShadow = true;
     group.add(rightSide);
 
-    // top stretchers - front and back (runs left to right)
-    const stretcher_thickness = 1.5;
-    
-    // Front stretcher (runs left to right)
-    const frontStretcher_geo = new THREE.BoxGeometry(width - thickness * 2, stretcher_thickness, thickness * 3);
-    const frontStretcher = new THREE.Mesh(frontStretcher_geo, material);
-    frontStretcher.position.set(xOffset + width / 2, height - stretcher_thickness / 2, zOffset + depth / 2 - thickness * 1.5);
-    frontStretcher.castShadow = true;
-    group.add(frontStretcher);
-
-    // Back stretcher (runs left to right)
-    const backStretcher_geo = new THREE.BoxGeometry(width - thickness * 2, stretcher_thickness, thickness * 3);
-    const backStretcher = new THREE.Mesh(backStretcher_geo, material);
-    backStretcher.position.set(xOffset + width / 2, height - stretcher_thickness / 2, zOffset - depth / 2 + thickness * 1.5);
-    backStretcher.castShadow = true;
-    group.add(backStretcher);
-
     const topGeo = new THREE.BoxGeometry(width, thickness, depth);
+
+    if (typeSpec.solidTop) {
+        // wall and tall cabinets get a solid top instead of stretchers
+        const top = new THREE.Mesh(topGeo, material);
+        top.position.set(xOffset + width / 2, height - thickness / 2, zOffset);
+        top.castShadow = true;
+        group.add(top);
+    }
+
+    if (typeSpec.hangingRailHeight) {
+        // hanging rails - top and bottom of the back, screwed to the studs
+        const railHeight = typeSpec.hangingRailHeight;
+        const railGeo = new THREE.BoxGeometry(width - thickness * 2, railHeight, thickness);
+        [height - thickness - railHeight / 2, thickness + railHeight / 2].forEach(railY => {
+            const rail = new THREE.Mesh(railGeo, material);
+            rail.position.set(xOffset + width / 2, railY, zOffset - depth / 2 + 0.25 + thickness / 2);
+            rail.castShadow = true;
+            group.add(rail);
+        });
+    }
+
+    if (!typeSpec.solidTop) {
+        // top stretchers - front and back (runs left to right)
+        const stretcher_thickness = 1.5;
+        
+        // Front stretcher (runs left to right)
+        const frontStretcher_geo = new THREE.BoxGeometry(width - thickness * 2, stretcher_thickness, thickness * 3);
+        const frontStretcher = new THREE.Mesh(frontStretcher_geo, material);
+        frontStretcher.position.set(xOffset + width / 2, height - stretcher_thickness / 2, zOffset + depth / 2 - thickness * 1.5);
+        frontStretcher.castShadow = true;
+        group.add(frontStretcher);
+
+        // Back stretcher (runs left to right)
+        const backStretcher_geo = new THREE.BoxGeometry(width - thickness * 2, stretcher_thickness, thickness * 3);
+        const backStretcher = new THREE.Mesh(backStretcher_geo, material);
+        backStretcher.position.set(xOffset + width / 2, height - stretcher_thickness / 2, zOffset - depth / 2 + thickness * 1.5);
+        backStretcher.castShadow = true;
+        group.add(backStretcher);
+    }
+
     const bottom = new THREE.Mesh(topGeo, material);
-    const bottomY = cabinet.toekick ? cabinet.toekickHeight : 0;
+    const bottomY = hasToekick ? cabinet.toekickHeight : 0;
     bottom.position.set(xOffset + width / 2, bottomY + thickness / 2, zOffset);
     bottom.castShadow = true;
     group.add(bottom);
 
-    if (cabinet.backPanel) {
+    // fixed mid-shelf (tall cabinets) - splits the upper and lower doors
+    if (typeSpec.splitDoors) {
+        const midShelfHeight = cabinet.midShelfHeight || height / 2;
+        const midShelfGeo = new THREE.BoxGeometry(width - thickness * 2, thickness, depth - 0.25);
+        const midShelf = new THREE.Mesh(midShelfGeo, material);
+        midShelf.position.set(xOffset + width / 2, midShelfHeight - thickness / 2, zOffset + 0.125);
+        midShelf.castShadow = true;
+        group.add(midShelf);
+    }
+
+    const plumbingCutout = getPlumbingCutout(cabinet);
+    if (cabinet.backPanel && plumbingCutout) {
+        // sink base back - built around the plumbing cutout
+        const backWidth = width - thickness * 2;
+        const { leftX, bottomY: cutoutBottom, width: cutoutWidth, height: cutoutHeight } = plumbingCutout;
+        const cutoutTop = cutoutBottom + cutoutHeight;
+        [
+            { x: 0, y: 0, w: backWidth, h: cutoutBottom },
+            { x: 0, y: cutoutTop, w: backWidth, h: height - cutoutTop },
+            { x: 0, y: cutoutBottom, w: leftX, h: cutoutHeight },
+            { x: leftX + cutoutWidth, y: cutoutBottom, w: backWidth - leftX - cutoutWidth, h: cutoutHeight }
+        ].forEach(piece => {
+            const backPiece = new THREE.Mesh(new THREE.BoxGeometry(piece.w, piece.h, 0.25), material);
+            backPiece.position.set(xOffset + thickness + piece.x + piece.w / 2, piece.y + piece.h / 2, zOffset - depth / 2 + 0.125);
+            group.add(backPiece);
+        });
+    } else if (cabinet.backPanel) {
         const backGeo = new THREE.BoxGeometry(width - thickness * 2, height, 0.25);
         const back = new THREE.Mesh(backGeo, material);
         back.position.set(xOffset + width / 2, height / 2, zOffset - depth / 2 + 0.125);
         group.add(back);
     }
 
-    // face frame (for face frame construction)
-    if (cabinet.construction === 'faceFrame') {
-        const frameThickness = 0.75;
-        const frameWidth = 1.5;
-        
-        // top rail
-        const topRailGeo = new THREE.BoxGeometry(width - thickness * 2, frameWidth, frameThickness);
-        const topRail = new THREE.Mesh(topRailGeo, material);
-        topRail.position.set(xOffset + width / 2, height - frameWidth / 2, zOffset + depth / 2 - frameThickness / 2);
-        topRail.castShadow = true;
-        group.add(topRail);
-
-        // bottom rail - positioned to sit on top of toe kick
-        const bottomY = cabinet.toekick ? cabinet.toekickHeight : 0;
-        const bottomRailGeo = new THREE.BoxGeometry(width - thickness * 2, frameWidth, frameThickness);
-        const bottomRailMaterial = new THREE.MeshStandardMaterial({ 
-            color: material.color,
-            roughness: 0.4,
-            metalness: 0.0
+    // face frame (for face frame construction) - stiles, mid-stiles and rails
+    // from the layout module, so the doors and drawers fit the frame openings
+    const faceFrame = getFaceFrameLayout(cabinet);
+    if (faceFrame) {
+        const frameThickness = faceFrame.settings.frameThickness;
+        const frameZ = zOffset + depth / 2 - frameThickness / 2;
+        [...faceFrame.stiles, ...faceFrame.rails].forEach(part => {
+            if (part.width <= 0 || part.height <= 0) return;
+            const frameGeo = new THREE.BoxGeometry(part.width, part.height, frameThickness);
+            const framePart = new THREE.Mesh(frameGeo, material);
+            framePart.position.set(xOffset + part.x + part.width / 2, part.y + part.height / 2, frameZ);
+            framePart.castShadow = true;
+            framePart.receiveShadow = true;
+            group.add(framePart);
         });
-        const bottomRail = new THREE.Mesh(bottomRailGeo, bottomRailMaterial);
-        bottomRail.position.set(xOffset + width / 2, bottomY + frameWidth / 2, zOffset + depth / 2 - frameThickness / 2);
-        bottomRail.castShadow = true;
-        bottomRail.receiveShadow = true;
-        group.add(bottomRail);
-
-        // left stile
-        const leftStileGeo = new THREE.BoxGeometry(frameWidth, height - frameWidth * 2, frameThickness);
-        const leftStile = new THREE.Mesh(leftStileGeo, material);
-        leftStile.position.set(xOffset + thickness + frameWidth / 2, height / 2, zOffset + depth / 2 - frameThickness / 2);
-        leftStile.castShadow = true;
-        group.add(leftStile);
+    }
 
-        // right stile
-        const rightStileGeo = new THREE.BoxGeometry(frameWidth, height - frameWidth * 2, frameThickness);
-        const rightStile = new THREE.Mesh(rightStileGeo, material);
-        rightStile.position.set(xOffset + width - thickness - frameWidth / 2, height / 2, zOffset + depth / 2 - frameThickness / 2);
-        rightStile.castShadow = true;
-        group.add(rightStile);
+    // partitions - split the box into sections, each with its own fronts and shelves
+    const sections = getCabinetSections(cabinet);
+    if (sections) {
+        const partitionHeight = height - bottomY - thickness * 2;
+        // stops short of the back (and of the hanging rails on wall cabinets)
+        const partitionDepth = depth - 0.25 - (typeSpec.hangingRailHeight ? thickness : 0);
+        const partitionGeo = new THREE.BoxGeometry(thickness, partitionHeight, partitionDepth);
+        sections.forEach(entry => {
+        if (entry.partitionX === null) return;
+        const partition = new THREE.Mesh(partitionGeo, material);
+        partition.position.set(xOffset + entry.partitionX + thickness / 2, bottomY + thickness + partitionHeight / 2, zOffset + depth / 2 - partitionDepth / 2);
+        partition.castShadow = true;
+        group.add(partition);
+        });
     }
 
-    // shelves
-    const shelfGeo = new THREE.BoxGeometry(width - thickness * 2, thickness, depth - 1);
-    for (let i = 0; i < cabinet.shelves; i++) {
-        const shelfY = height / (cabinet.shelves + 1) * (i + 1);
+    // shelves - tall cabinets spread them above and below the fixed mid-shelf,
+    // sink bases have none, partitioned boxes get each section's own shelves
+    const fullShelf = { left: thickness, width: width - thickness * 2 };
+    const shelfSections = sections
+        ? sections.map(entry => ({ bottom: 0, top: height, count: entry.section.shelves || 0, left: entry.interiorLeft, width: entry.clearWidth }))
+        : typeSpec.splitDoors
+        ? [
+            { bottom: 0, top: cabinet.midShelfHeight || height / 2, count: Math.floor(cabinet.shelves / 2), ...fullShelf },
+            { bottom: cabinet.midShelfHeight || height / 2, top: height, count: Math.ceil(cabinet.shelves / 2), ...fullShelf }
+        ]
+        : [{ bottom: 0, top: height, count: typeSpec.sinkBase ? 0 : cabinet.shelves, ...fullShelf }];
+    shelfSections.forEach(section => {
+        const shelfGeo = new THREE.BoxGeometry(section.width, thickness, depth - 1);
+        for (let i = 0; i < section.count; i++) {
+        const shelfY = section.bottom + (section.top - section.bottom) / (section.count + 1) * (i + 1);
         const shelf = new THREE.Mesh(shelfGeo, material);
-        shelf.position.set(xOffset + width / 2, shelfY, zOffset);
+        shelf.position.set(xOffset + section.left + section.width / 2, shelfY, zOffset);
         group.add(shelf);
-    }
+        }
+    });
 
-    const doorStartY = cabinet.toekick ? cabinet.toekickHeight : 0;
+    const doorStartY = hasToekick ? cabinet.toekickHeight : 0;
+    // overlay fronts hang on the face, inset fronts sit flush inside the opening
+    const frontZ = zOffset + depth / 2 + getFrontDepthOffset(cabinet);
 
-    // drawers - properly positioned
+    // drawers - properly positioned, side-by-side drawers share a row
+    // (fronts fill the front opening - blind corners lose the dead panel)
     if (cabinet.drawers && cabinet.drawers.length > 0) {
-        cabinet.drawers.forEach((drawer, i) => {
+        const drawerBoxes = getDrawerBoxes(cabinet, getPartStock(cabinet, 'back').actual);
+        // boxes start at the front edge of the sides, behind the front when it's inset
+        const boxFrontZ = zOffset + depth / 2 - (getOverlayType(cabinet) === 'inset' ? FRONT_THICKNESS : 0);
+        getDrawerLayout(cabinet).forEach(({ drawer, index, frontWidth, frontHeight, centerX, centerY }) => {
         // Skip rendering if drawer is hidden
         if (hiddenDrawers.has(drawer.id)) return;
         
-        const drawerY = drawer.startY + drawer.height / 2;
 
         const frontPos = new THREE.Vector3(
-            xOffset + width / 2,
-            drawerY,
-            zOffset + depth / 2 + 0.375
+            xOffset + centerX,
+            centerY,
+            frontZ
         );
 
         const drawerFront = createDoorFront(
-            width - 2,
-            drawer.height - 0.5,
+            frontWidth,
+            frontHeight,
             cabinet.drawerStyle || 'shaker',
             cabinet.material,
             frontPos,
             xOffset,
-            selectedDrawerId === drawer.id // highlight if selected
+            selectedDrawerId === drawer.id, // highlight if selected
+            getPullFront('drawer', index)
         );
         drawerFront.userData.cabinetId = cabinet.id;
         drawerFront.userData.drawerId = drawer.id;
         drawerFront.userData.isDrawer = true;
-        group.add(drawerFront);
 
+        const box = drawerBoxes[index];
         const boxPos = new THREE.Vector3(
-            xOffset + width / 2,
-            drawerY,
-            zOffset
+            xOffset + box.boxLeft + box.boxWidth / 2,
+            box.boxBottom + box.boxHeight / 2,
+            boxFrontZ - box.boxDepth / 2
         );
-        const drawerBox = createDrawerBox(width - 2, depth, drawer.height, boxPos, selectedDrawerId === drawer.id);
+        const drawerBox = createDrawerBox(box, boxPos, selectedDrawerId === drawer.id);
         drawerBox.userData.cabinetId = cabinet.id;
         drawerBox.userData.drawerId = drawer.id;
         drawerBox.userData.isDrawer = true;
-        group.add(drawerBox);
+
+        // front and box ride out together, as far as the slides extend
+        const runner = new THREE.Group();
+        runner.add(drawerFront);
+        runner.add(drawerBox);
+        addMovingFront(`drawer:${drawer.id}`, openDrawers.has(drawer.id), amount => { runner.position.z = box.travel * amount; });
+        group.add(runner);
         });
     }
 
-    // doors - fill remaining space after drawers
-    const totalDrawerHeight = cabinet.drawers?.reduce((sum, d) => sum + d.height, 0) || 0;
-    const highestDrawerY = cabinet.drawers?.reduce((max, d) => Math.max(max, d.startY + d.height), doorStartY) || doorStartY;
-    const availableHeight = height - highestDrawerY;
-    const doorHeight = availableHeight - 1;
+    // interior accessories - roll-outs and inserts behind the doors
+    getAccessoryLayout(cabinet, getPartStock(cabinet, 'back').actual).forEach(entry => {
+        const accessory = createAccessory3D(entry, xOffset, zOffset, depth, material);
+        accessory.userData.cabinetId = cabinet.id;
+        group.add(accessory);
+    });
+
+    // doors - fill remaining space after drawers (tall cabinets get an upper and lower bank)
+    getDoorBanks(cabinet).forEach(bank => {
+        const { doorWidth, doorHeight, doorCount } = bank;
+        const doorY = bank.frontBottom + doorHeight / 2;
 
-    if (cabinet.doors > 0 && doorHeight > 3) {
-        const doorWidth = width / cabinet.doors - 1;
-        const doorY = highestDrawerY + doorHeight / 2 + 0.5;
+        for (let j = 0; j < doorCount; j++) {
+        const i = bank.firstDoorIndex + j;
 
-        for (let i = 0; i < cabinet.doors; i++) {
         // Skip rendering if door is hidden
         const doorKey = `${cabinet.id}-${i}`;
         if (hiddenDoors.has(doorKey)) continue;
         
-        const doorX = xOffset + (doorWidth + 1) * i + doorWidth / 2 + (width - (doorWidth + 1) * cabinet.doors + 1) / 2;
-        const doorPos = new THREE.Vector3(doorX, doorY, zOffset + depth / 2 + 0.375);
+        const doorX = xOffset + bank.doorLefts[j] + doorWidth / 2;
+        const doorPos = new THREE.Vector3(doorX, doorY, frontZ);
 
         const door = createDoorFront(
             doorWidth,
@@ -1478,17 +1394,74 @@ const CabinetDesigner = () => {
             cabinet.material,
             doorPos,
             xOffset,
-            selectedDoorIndex === i // highlight if selected
+            selectedDoorIndex === i, // highlight if selected
+            getPullFront('door', i)
         );
         door.userData.cabinetId = cabinet.id;
         door.userData.doorIndex = i;
         door.userData.isDoor = true;
-        group.add(door);
+        group.add(hangDoor(door, doorPos, doorWidth, getDoorSwing(cabinet, i), doorKey));
+        }
+    });
+
+    // sink base - false fronts across the top where the bowl sits
+    const falseFronts = getSinkFalseFronts(cabinet);
+    if (falseFronts) {
+        const { frontWidth, frontHeight, count } = falseFronts;
+        const frontY = falseFronts.frontBottom + frontHeight / 2;
+        for (let i = 0; i < count; i++) {
+        const frontX = xOffset + falseFronts.frontLeft + (frontWidth + falseFronts.reveal) * i + frontWidth / 2;
+        const falseFront = createDoorFront(
+            frontWidth,
+            frontHeight,
+            cabinet.drawerStyle || 'shaker',
+            cabinet.material,
+            new THREE.Vector3(frontX, frontY, frontZ),
+            xOffset,
+            false,
+            getPullFront('falseFront', i)
+        );
+        if (falseFronts.style === 'tiltOut') {
+            // tilt-out fronts get a shallow tray on the back
+            const trayGeo = new THREE.BoxGeometry(frontWidth - 2, 2, 2);
+            const trayMat = new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.5, metalness: 0.3 });
+            const tray = new THREE.Mesh(trayGeo, trayMat);
+            tray.position.set(frontX, frontY - frontHeight / 2 + 1.5, frontZ - 0.375 - 1);
+            falseFront.add(tray);
+        }
+        falseFront.userData.cabinetId = cabinet.id;
+        group.add(falseFront);
+        }
+    }
+
+    // blind corner - dead panel over the covered part of the face, and the
+    // filler standing off the face where the adjoining run butts against it
+    const blind = getBlindCornerLayout(cabinet);
+    if (blind) {
+        const frontBottom = hasToekick ? cabinet.toekickHeight : 0;
+        const frontHeight = height - frontBottom - 1;
+        const frontY = frontBottom + frontHeight / 2 + 0.5;
+
+        const deadPanelGeo = new THREE.BoxGeometry(blind.deadPanelWidth, frontHeight, 0.75);
+        const deadPanel = new THREE.Mesh(deadPanelGeo, material);
+        const deadPanelX = blind.side === 'left'
+            ? xOffset + blind.deadPanelWidth / 2
+            : xOffset + width - blind.deadPanelWidth / 2;
+        deadPanel.position.set(deadPanelX, frontY, zOffset + depth / 2 + 0.375);
+        deadPanel.castShadow = true;
+        group.add(deadPanel);
+
+        if (blind.fillerWidth > 0) {
+            const fillerGeo = new THREE.BoxGeometry(0.75, frontHeight, blind.fillerWidth);
+            const filler = new THREE.Mesh(fillerGeo, material);
+            filler.position.set(xOffset + blind.fillerX + 0.375, frontY, zOffset + depth / 2 + 0.75 + blind.fillerWidth / 2);
+            filler.castShadow = true;
+            group.add(filler);
         }
     }
 
     // toekick
-    if (cabinet.toekick) {
+    if (hasToekick) {
         const toekickDepth = cabinet.toekickDepth || 3;
         const toekickGeo = new THREE.BoxGeometry(width, cabinet.toekickHeight, toekickDepth);
         const toekickMaterial = new THREE.MeshStandardMaterial({ 
@@ -1504,7 +1477,7 @@ const CabinetDesigner = () => {
     }
 
     // countertop
-    if (cabinet.countertop) {
+    if (cabinet.countertop && typeSpec.allowsCountertop && !isUnderCountertop(cabinet.id)) {
         const counterGeo = new THREE.BoxGeometry(width + 1, cabinet.countertopThickness, depth + 1);
         const counterMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.3, metalness: 0.2 });
         const counter = new THREE.Mesh(counterGeo, counterMat);
@@ -1513,37 +1486,348 @@ const CabinetDesigner = () => {
         group.add(counter);
     }
 
-    // crown molding
-    if (cabinet.crown) {
-        const crownGeo = new THREE.BoxGeometry(width, cabinet.crownHeight, 2);
-        const crownMat = new THREE.MeshStandardMaterial({ color: 0xCCBBAA });
-        const crown = new THREE.Mesh(crownGeo, crownMat);
-        crown.position.set(xOffset + width / 2, height + cabinet.crownHeight / 2, zOffset + depth / 2 - 1);
-        group.add(crown);
-    }
+    // crown and light rail are drawn by run (see createTrimRun3D)
 
-    return group;
+    return orientCabinetGroup(group, cabinet, xOffset, zOffset);
     };
 
-    const handleAddCabinet = () => {
-        const newCabinet = createNewCabinet();
-        const newCabinets = [...cabinets, newCabinet];
-        setCabinets(newCabinets);
-        setSelectedCabinetId(newCabinet.id);
-        
-        // Save to history
-        setTimeout(() => {
-            if (!isRestoringHistory.current) {
-                saveStateToHistory(`Added ${newCabinet.name}`);
-            }
-        }, 10);
-    };
+    // cabinets under a run countertop don't get a countertop of their own
+    const isUnderCountertop = (cabinetId) => countertops.some(ct => ct.cabinetIds.includes(cabinetId));
 
-    const handleDeleteCabinet = (id) => {
-        const deletedCabinet = cabinets.find(c => c.id === id);
-        const cabinetName = deletedCabinet ? deletedCabinet.name : 'Cabinet';
-        const newCabinets = cabinets.filter(c => c.id !== id);
-        setCabinets(newCabinets);
+    // one slab in the outline of the whole run (see countertops.js), cutouts as holes, backsplash along the walls
+    const createCountertop3D = (countertop) => {
+    const group = new THREE.Group();
+    group.userData.isCabinet = true;
+    group.userData.countertopId = countertop.id;
+
+    const layout = getCountertopLayout(countertop, cabinets);
+    const isEditing = countertop.id === editingCountertopId;
+    const counterMat = new THREE.MeshStandardMaterial({ color: isEditing ? 0x99aacc : 0x888888, roughness: 0.3, metalness: 0.2 });
+
+    layout.outline.forEach(loop => {
+        // shape is drawn in x/-z like the corner cabinet slabs
+        const shape = new THREE.Shape();
+        loop.forEach((p, i) => {
+            if (i === 0) shape.moveTo(p.x, -p.z);
+            else shape.lineTo(p.x, -p.z);
+        });
+        layout.cutouts
+            .filter(cutout => pointInPolygon(cutout.center, loop))
+            .forEach(cutout => {
+                const hole = new THREE.Path();
+                cutout.points.forEach((p, i) => {
+                    if (i === 0) hole.moveTo(p.x, -p.z);
+                    else hole.lineTo(p.x, -p.z);
+                });
+                shape.holes.push(hole);
+            });
+
+        const slab = new THREE.Mesh(new THREE.ExtrudeGeometry(shape, { depth: countertop.thickness, bevelEnabled: false }), counterMat);
+        slab.rotation.x = -Math.PI / 2; // extrude goes up
+        slab.position.y = layout.height;
+        slab.castShadow = true;
+        group.add(slab);
+    });
+
+    const splash = countertop.backsplash || {};
+    layout.backsplashes.forEach(piece => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(piece.length, splash.height, splash.thickness), counterMat);
+        mesh.position.set(
+            (piece.start.x + piece.end.x) / 2 + piece.inward.x * splash.thickness / 2,
+            layout.height + countertop.thickness + splash.height / 2,
+            (piece.start.z + piece.end.z) / 2 + piece.inward.z * splash.thickness / 2
+        );
+        mesh.rotation.y = Math.atan2(piece.inward.x, piece.inward.z);
+        mesh.castShadow = true;
+        group.add(mesh);
+    });
+
+    return group;
+    };
+
+    // one box per piece of a trim run (see trimRuns.js), standing proud of the face, long to the outside corners
+    const createTrimRun3D = (run) => {
+    const group = new THREE.Group();
+    group.userData.isCabinet = true;
+
+    const projection = TRIM_TYPES[run.kind].projection;
+    const trimMat = new THREE.MeshStandardMaterial({ color: 0xCCBBAA });
+    const height = run.level.top - run.level.bottom;
+    run.pieces.forEach(piece => {
+        const out = { x: -piece.dir.z, z: piece.dir.x };
+        const extendStart = piece.ends[0] === 'outside' ? projection : 0;
+        const extendEnd = piece.ends[1] === 'outside' ? projection : 0;
+        const along = (extendEnd - extendStart) / 2;
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(piece.length + extendStart + extendEnd, height, projection), trimMat);
+        mesh.position.set(
+            (piece.start.x + piece.end.x) / 2 + piece.dir.x * along + out.x * projection / 2,
+            run.level.bottom + height / 2,
+            (piece.start.z + piece.end.z) / 2 + piece.dir.z * along + out.z * projection / 2
+        );
+        mesh.rotation.y = -Math.atan2(piece.dir.z, piece.dir.x);
+        mesh.castShadow = true;
+        group.add(mesh);
+    });
+
+    return group;
+    };
+
+    // turned cabinets (the adjoining run of a corner) pivot about their left end
+    const orientCabinetGroup = (group, cabinet, xOffset, zOffset) => {
+    if (!cabinet.rotation) return group;
+
+    const pivot = new THREE.Group();
+    pivot.userData.isCabinet = true;
+    pivot.userData.cabinetId = cabinet.id;
+    pivot.position.set(xOffset, 0, zOffset);
+    pivot.rotation.y = cabinet.rotation * Math.PI / 180;
+    group.position.x -= xOffset;
+    group.position.z -= zOffset;
+    pivot.add(group);
+    return pivot;
+    };
+
+    // build the box of a lazy susan or diagonal corner cabinet from its footprint
+    const createCornerCabinet3D = (cabinet, group, material, footprint, xOffset, zOffset, hasToekick) => {
+    const { height, depth, thickness } = cabinet;
+    const typeSpec = CABINET_TYPES[cabinet.type] || CABINET_TYPES.base;
+    const zBack = zOffset - depth / 2;
+    const toWorld = (p) => ({ x: xOffset + p.x, z: zBack + p.z });
+    const bottomY = hasToekick ? cabinet.toekickHeight : 0;
+
+    // flat slab in the shape of the footprint (bottom, top, shelves, countertop)
+    const footprintShape = new THREE.Shape();
+    footprint.points.forEach((p, i) => {
+        const w = toWorld(p);
+        if (i === 0) footprintShape.moveTo(w.x, -w.z);
+        else footprintShape.lineTo(w.x, -w.z);
+    });
+    const createSlab = (slabThickness, y, slabMaterial) => {
+        const slabGeo = new THREE.ExtrudeGeometry(footprintShape, { depth: slabThickness, bevelEnabled: false });
+        const slab = new THREE.Mesh(slabGeo, slabMaterial);
+        slab.rotation.x = -Math.PI / 2; // shape is drawn in x/-z, extrude goes up
+        slab.position.y = y;
+        slab.castShadow = true;
+        group.add(slab);
+        return slab;
+    };
+
+    // places a mesh centered on an edge, facing out of the box
+    const placeOnEdge = (mesh, edge, along, outward, y) => {
+        const start = toWorld(edge.start);
+        const end = toWorld(edge.end);
+        mesh.position.set(
+            start.x + (end.x - start.x) * along + edge.normal.x * outward,
+            y,
+            start.z + (end.z - start.z) * along + edge.normal.z * outward
+        );
+        mesh.rotation.y = Math.atan2(edge.normal.x, edge.normal.z);
+    };
+
+    // walls and finished ends
+    footprint.edges.filter(edge => edge.kind !== 'front').forEach(edge => {
+        const panel = new THREE.Mesh(new THREE.BoxGeometry(edge.length, height, thickness), material);
+        placeOnEdge(panel, edge, 0.5, -thickness / 2, height / 2);
+        panel.castShadow = true;
+        group.add(panel);
+    });
+
+    createSlab(thickness, bottomY, material);
+    createSlab(thickness, height - thickness, material);
+
+    // shelves
+    for (let i = 0; i < cabinet.shelves; i++) {
+        createSlab(thickness, bottomY + (height - bottomY) / (cabinet.shelves + 1) * (i + 1), material);
+    }
+
+    // lazy susan - 2-tier kidney turntable on a center pole, notch toward the doors
+    if (typeSpec.cornerShape === 'lShape') {
+        const turntable = HARDWARE_SPECS.turntables[cabinet.turntableType] || Object.values(HARDWARE_SPECS.turntables)[0];
+        const radius = turntable.diameter / 2;
+        const center = toWorld({ x: cabinet.width / 2, z: cabinet.width / 2 });
+        const turntableMat = new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.5, metalness: 0.3 });
+        const thetaStart = footprint.side === 'left' ? Math.PI / 2 : 0;
+        const interior = height - bottomY - thickness * 2;
+        [1, 2].forEach(tier => {
+            const tierGeo = new THREE.CylinderGeometry(radius, radius, 0.75, 32, 1, false, thetaStart, Math.PI * 1.5);
+            const tierMesh = new THREE.Mesh(tierGeo, turntableMat);
+            tierMesh.position.set(center.x, bottomY + thickness + interior * (tier - 1) / 2 + 2, center.z);
+            group.add(tierMesh);
+        });
+        const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.5, interior, 12), turntableMat);
+        pole.position.set(center.x, bottomY + thickness + interior / 2, center.z);
+        group.add(pole);
+    }
+
+    // doors - spread across the front faces (one bi-fold leaf per face on a lazy susan)
+    const pullFronts = getPullLayout(cabinet, doorStyles);
+    getDoorBanks(cabinet).forEach(bank => {
+        const { doorWidth, doorHeight, doorCount } = bank;
+        const doorY = bank.frontBottom + doorHeight / 2;
+        const doorsPerFace = Math.max(1, Math.ceil(doorCount / footprint.frontEdges.length));
+
+        for (let j = 0; j < doorCount; j++) {
+        const i = bank.firstDoorIndex + j;
+        const doorKey = `${cabinet.id}-${i}`;
+        if (hiddenDoors.has(doorKey)) continue;
+
+        const edge = footprint.frontEdges[Math.min(footprint.frontEdges.length - 1, Math.floor(j / doorsPerFace))];
+        const slot = j % doorsPerFace;
+        const door = createDoorFront(
+            doorWidth,
+            doorHeight,
+            cabinet.doorStyle || 'shaker',
+            cabinet.material,
+            new THREE.Vector3(0, doorY, 0),
+            0,
+            selectedDoorIndex === i,
+            pullFronts.find(front => front.kind === 'door' && front.index === i) || null
+        );
+        door.userData.cabinetId = cabinet.id;
+        door.userData.doorIndex = i;
+        door.userData.isDoor = true;
+        // the hinge sits in a mount placed on the face edge, so the door swings out from that face
+        const mount = new THREE.Group();
+        placeOnEdge(mount, edge, (slot + 0.5) / doorsPerFace, getFrontDepthOffset(cabinet), 0);
+        mount.add(hangDoor(door, new THREE.Vector3(0, 0, 0), doorWidth, getDoorSwing(cabinet, i), doorKey));
+        group.add(mount);
+        }
+    });
+
+    // toekick - recessed under each front face
+    if (hasToekick) {
+        const toekickDepth = cabinet.toekickDepth || 3;
+        const toekickMaterial = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.6, metalness: 0.1 });
+        footprint.frontEdges.forEach(edge => {
+            const toekick = new THREE.Mesh(new THREE.BoxGeometry(edge.length, cabinet.toekickHeight, 0.75), toekickMaterial);
+            placeOnEdge(toekick, edge, 0.5, -toekickDepth, cabinet.toekickHeight / 2);
+            group.add(toekick);
+        });
+    }
+
+    // countertop
+    if (cabinet.countertop && typeSpec.allowsCountertop && !isUnderCountertop(cabinet.id)) {
+        const counterMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.3, metalness: 0.2 });
+        createSlab(cabinet.countertopThickness, height, counterMat);
+    }
+    };
+
+    const handleAddCabinet = () => {
+        const newCabinet = createNewCabinet();
+        const newCabinets = [...cabinets, newCabinet];
+        setCabinets(newCabinets);
+        setSelectedCabinetId(newCabinet.id);
+        
+        // Save to history
+        setTimeout(() => {
+            if (!isRestoringHistory.current) {
+                saveStateToHistory(`Added ${newCabinet.name}`);
+            }
+        }, 10);
+    };
+
+    // Drop a standard cabinet from the catalog (see cabinetCatalog.js) at the end of the run
+    const handleAddCatalogCabinet = (entryId, width, height) => {
+        const newCabinet = createCatalogCabinet(entryId, width, height, {
+            id: Date.now(),
+            name: `Cabinet ${cabinets.length + 1}`,
+            xPosition: getNextXPosition()
+        });
+        setCabinets([...cabinets, newCabinet]);
+        setSelectedCabinetId(newCabinet.id);
+        setShowCatalog(false);
+
+        // Save to history
+        setTimeout(() => {
+            if (!isRestoringHistory.current) {
+                saveStateToHistory(`Added ${getCabinetSku(newCabinet)} from catalog`);
+            }
+        }, 10);
+    };
+
+    // ========== CABINET TEMPLATES ==========
+    // The template library is saved on its own in localStorage, so it isn't
+    // part of the project or its undo history.
+
+    const handleSaveTemplate = (cabinetId) => {
+        const cabinet = cabinets.find(c => c.id === cabinetId);
+        if (!cabinet) return;
+
+        const name = prompt('Template name:', cabinet.name);
+        if (!name || !name.trim()) return;
+        if (findTemplateByName(name.trim()) && !confirm(`A template named "${name.trim()}" already exists. Do you want to overwrite it?`)) {
+            return;
+        }
+
+        setTemplates(saveTemplatesToStorage([createTemplateFromCabinet(cabinet, name.trim(), doorStyles)]));
+        alert(`Template "${name.trim()}" saved!`);
+    };
+
+    // Insert a template at the end of the run, bringing any door styles it needs
+    const handleInsertTemplate = (template) => {
+        const newCabinet = instantiateTemplate(template, {
+            id: Date.now(),
+            name: `Cabinet ${cabinets.length + 1}`,
+            xPosition: getNextXPosition()
+        });
+        setDoorStyles(mergeTemplateDoorStyles(doorStyles, template));
+        setCabinets([...cabinets, newCabinet]);
+        setSelectedCabinetId(newCabinet.id);
+        setShowTemplates(false);
+
+        // Save to history
+        setTimeout(() => {
+            if (!isRestoringHistory.current) {
+                saveStateToHistory(`Added ${newCabinet.name} from template ${template.name}`);
+            }
+        }, 10);
+    };
+
+    const handleDeleteTemplate = (template) => {
+        if (!confirm(`Are you sure you want to delete the template "${template.name}"?`)) return;
+        setTemplates(deleteTemplateFromStorage(template.id));
+    };
+
+    const handleExportTemplates = () => {
+        if (templates.length === 0) {
+            alert('No templates to export!');
+            return;
+        }
+        const result = exportTemplatesToFile(templates);
+        if (!result.success) {
+            alert(`Export failed: ${result.error}`);
+        }
+    };
+
+    // Imported templates replace library templates with the same name
+    const handleImportTemplates = () => {
+        importTemplatesFromFile((success, imported, errorMessage) => {
+            if (success) {
+                setTemplates(saveTemplatesToStorage(imported));
+                alert(`Imported ${imported.length} template${imported.length !== 1 ? 's' : ''}.`);
+            } else {
+                alert(`Import failed: ${errorMessage}`);
+            }
+        });
+    };
+
+    const handleDeleteCabinet = (id) => {
+        const deletedCabinet = cabinets.find(c => c.id === id);
+        const cabinetName = deletedCabinet ? deletedCabinet.name : 'Cabinet';
+        const newCabinets = cabinets.filter(c => c.id !== id);
+        setCabinets(newCabinets);
+
+        // Countertops lose the cabinet and the cutouts and seams on it
+        if (countertops.some(ct => ct.cabinetIds.includes(id))) {
+            setCountertops(countertops
+                .map(ct => ({
+                    ...ct,
+                    cabinetIds: ct.cabinetIds.filter(cabinetId => cabinetId !== id),
+                    cutouts: ct.cutouts.filter(cutout => cutout.cabinetId !== id),
+                    seams: ct.seams.filter(seam => seam.cabinetId !== id)
+                }))
+                .filter(ct => ct.cabinetIds.length > 0));
+        }
         
         if (selectedCabinetId === id) {
             setSelectedCabinetId(null);
@@ -1570,7 +1854,10 @@ const CabinetDesigner = () => {
             hiddenDrawers: Array.from(hiddenDrawers),
             projectName,
             materialCosts,
-            laborRate
+            laborRate,
+            doorStyles,
+            projectVariables,
+            countertops
         };
         
         historyManager.current.pushState(state, description);
@@ -1612,6 +1899,9 @@ const CabinetDesigner = () => {
         setProjectName(state.projectName);
         setMaterialCosts(state.materialCosts);
         setLaborRate(state.laborRate);
+        setDoorStyles(state.doorStyles || DEFAULT_DOOR_STYLES);
+        setProjectVariables(state.projectVariables || {});
+        setCountertops(state.countertops || []);
     };
 
     const handleJumpToHistory = (index) => {
@@ -1625,228 +1915,670 @@ const CabinetDesigner = () => {
         isRestoringHistory.current = false;
     };
 
-    // Calculate maximum doors that can fit based on cabinet width
-    const getMaxDoors = (cabinetWidth) => {
-    const MIN_DOOR_WIDTH = 8; // inches - minimum usable door width
-    const DOOR_SPACING = 1; // inch between doors
-    // Formula: each door needs at least (MIN_DOOR_WIDTH + DOOR_SPACING) inches, except last door
-    return Math.max(0, Math.floor((cabinetWidth - DOOR_SPACING) / (MIN_DOOR_WIDTH + DOOR_SPACING)));
-    };
-
     const updateCabinet = (id, property, value) => {
-    const newCabinets = cabinets.map(c => {
-        if (c.id === id) {
-        // If updating doors, validate against cabinet width or double door limit
-        if (property === 'doors') {
-            const numDoors = parseInt(value);
-            if (c.doubleDoor) {
-            if (numDoors > 2) {
-                alert('Double Door mode allows maximum 2 doors.');
-                return c;
-            }
-            } else {
-            const maxDoors = getMaxDoors(c.width);
-            if (numDoors > maxDoors) {
-                alert(`Cannot add that many doors. Maximum for a ${c.width}" wide cabinet is ${maxDoors} door${maxDoors !== 1 ? 's' : ''}. Enable "Double Door" to add a 2nd door.`);
-                return c;
-            }
-            }
-        }
-        // If updating width, check if current doors still fit (unless double door mode)
-        if (property === 'width') {
-            const newWidth = parseFloat(value);
-            const maxDoors = getMaxDoors(newWidth);
-            if (!c.doubleDoor && c.doors > maxDoors) {
-            alert(`Cabinet width of ${newWidth}" can only fit ${maxDoors} door${maxDoors !== 1 ? 's' : ''}. Reducing door count.`);
-            return { ...c, [property]: value, doors: maxDoors };
-            }
+    const cabinet = cabinets.find(c => c.id === id);
+    if (!cabinet) return;
+
+    // The model refuses door counts that don't fit and trims them when the width shrinks
+    const result = setCabinetProperty(cabinet, property, value);
+    if (result.message) alert(result.message);
+    if (result.cabinet === cabinet) return;
+
+    const newCabinets = cabinets.map(c => (c.id === id ? result.cabinet : c));
+    
+    setCabinets(newCabinets);
+    
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            const propName = property.charAt(0).toUpperCase() + property.slice(1);
+            saveStateToHistory(`Updated ${result.cabinet.name || 'cabinet'}: ${propName}`);
         }
-        return { ...c, [property]: value };
+    }, 10);
+    };
+
+    // Set a dimension from what was typed - a number or an "=" expression
+    // (see expressions.js). Expressions are worked out by the effect below.
+    const updateCabinetDimension = (id, property, text) => {
+    const cabinet = cabinets.find(c => c.id === id);
+    if (!cabinet) return;
+
+    const result = setCabinetDimension(cabinet, property, text);
+    if (result.message) alert(result.message);
+    if (result.cabinet === cabinet) return;
+
+    setCabinets(cabinets.map(c => (c.id === id ? result.cabinet : c)));
+
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            const propName = property.charAt(0).toUpperCase() + property.slice(1);
+            saveStateToHistory(`Updated ${result.cabinet.name || 'cabinet'}: ${propName}`);
         }
-        return c;
+    }, 10);
+    };
+
+    // Pick the sheet stock for one part role. The box stock also sets the
+    // cabinet's thickness, so the box, the fronts and the cut list are sized
+    // to the actual thickness of the sheet.
+    const updateCabinetStock = (id, role, stockId) => {
+    const stock = getStock(stockId);
+    if (!stock) return;
+
+    const newCabinets = cabinets.map(c => {
+        if (c.id !== id) return c;
+        const updated = { ...c, stock: { ...(c.stock || DEFAULT_PART_STOCK), [role]: stockId } };
+        if (role === 'box') updated.thickness = stock.actual;
+        return updated;
     });
-    
+
     setCabinets(newCabinets);
+
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            const cabinet = newCabinets.find(c => c.id === id);
+            saveStateToHistory(`Updated ${cabinet?.name || 'cabinet'}: ${PART_STOCK_ROLES[role]} stock`);
+        }
+    }, 10);
+    };
+
+    // Switch a cabinet to another type and apply that type's standard sizes.
+    // Drawers and partitions are cleared because they were laid out for the old box.
+    // rebuilt as the new type by cabinetModel.js - drawers, sections and accessories start over
+    const switchCabinetType = (id, type) => {
+    const cabinet = cabinets.find(c => c.id === id);
+    if (!cabinet) return;
+
+    const result = changeCabinetType(cabinet, type);
+    if (result.message) alert(result.message);
+    if (result.cabinet === cabinet) return;
+
+    setCabinets(cabinets.map(c => (c.id === id ? result.cabinet : c)));
+    setSelectedDrawerId(null);
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(`Changed ${result.cabinet.name || 'cabinet'} to ${CABINET_TYPES[type].name}`);
+        }
+    }, 10);
+    };
+
+    // Apply a drawer change from cabinetModel.js - shows the reason when it's refused
+    const applyDrawerChange = (cabinetId, change, describe) => {
+    const cabinet = cabinets.find(c => c.id === cabinetId);
+    if (!cabinet) return;
+
+    const result = change(cabinet);
+    if (result.message) alert(result.message);
+    if (result.cabinet === cabinet) return;
+
+    setCabinets(cabinets.map(c => (c.id === cabinetId ? result.cabinet : c)));
     
     // Save to history
     setTimeout(() => {
         if (!isRestoringHistory.current) {
-            const cabinet = newCabinets.find(c => c.id === id);
-            const propName = property.charAt(0).toUpperCase() + property.slice(1);
-            saveStateToHistory(`Updated ${cabinet?.name || 'cabinet'}: ${propName}`);
+            saveStateToHistory(describe(result.cabinet.name || 'cabinet'));
         }
     }, 10);
     };
 
-    // add drawer at specific position
-    const addDrawer = (cabinetId) => {
+    // add drawer at specific position (in a section when the box has partitions)
+    const addDrawer = (cabinetId, sectionId) => {
+    applyDrawerChange(cabinetId, c => addCabinetDrawer(c, sectionId), name => `Added drawer to ${name}`);
+    };
+
+    const updateDrawer = (cabinetId, drawerId, property, value) => {
+    applyDrawerChange(cabinetId, c => updateCabinetDrawer(c, drawerId, property, value), name => `Updated drawer in ${name}`);
+    };
+
+    // Drawer height typed as a number or an "=" expression
+    const updateDrawerDimension = (cabinetId, drawerId, property, text) => {
+    applyDrawerChange(cabinetId, c => setDrawerDimension(c, drawerId, property, text), name => `Updated drawer in ${name}`);
+    };
+
+    // Split a drawer into two side-by-side drawers that share its slot
+    const splitDrawer = (cabinetId, drawerId) => {
+    applyDrawerChange(cabinetId, c => splitCabinetDrawer(c, drawerId), name => `Split drawer in ${name}`);
+    };
+
+    const deleteDrawer = (cabinetId, drawerId) => {
+    applyDrawerChange(cabinetId, c => removeCabinetDrawer(c, drawerId), name => `Deleted drawer from ${name}`);
+    };
+
+    // ========== INTERIOR ACCESSORIES ==========
+
+    // Add a pull-out or insert behind the doors. It goes in the first section
+    // with doors and stacks above the drawers and any accessories already there.
+    const addAccessory = (cabinetId, type) => {
+    const spec = ACCESSORY_TYPES[type] || ACCESSORY_TYPES.rollOutTray;
     const newCabinets = cabinets.map(c => {
         if (c.id === cabinetId) {
-        const doorStartY = c.toekick ? c.toekickHeight : 0;
-        const existingDrawers = c.drawers || [];
-        const topOfLastDrawer = existingDrawers.length > 0
-            ? Math.max(...existingDrawers.map(d => d.startY + d.height))
-            : doorStartY;
-
-        // Check if adding a 6-inch drawer would exceed cabinet height
-        if (topOfLastDrawer + 6 > c.height) {
-            alert('Cannot add drawer: would exceed cabinet height. Minimum drawer height is 2 inches.');
+        const typeSpec = CABINET_TYPES[c.type] || CABINET_TYPES.base;
+        if (!typeSpec.allowsAccessories) {
+            alert(`${typeSpec.name} cabinets do not take roll-outs or pull-outs.`);
+            return c;
+        }
+        const sections = getCabinetSections(c);
+        const section = sections && (sections.find(entry => (entry.section.doors || 0) > 0) || sections[0]);
+        const boxBottom = typeSpec.allowsToekick && c.toekick ? c.toekickHeight : 0;
+        const floor = Math.max(boxBottom + c.thickness, getDrawerTop(c, section ? getSectionDrawers(c, section) : c.drawers));
+        let startY = getAccessoryLayout(c, getPartStock(c, 'back').actual)
+            .filter(entry => !section || entry.interiorLeft === section.interiorLeft)
+            .reduce((top, entry) => Math.max(top, entry.bottomY + entry.height + 1), floor);
+
+        // tall cabinets - jump over the fixed mid-shelf instead of running into it
+        const midShelfHeight = c.midShelfHeight || c.height / 2;
+        if (typeSpec.splitDoors && startY < midShelfHeight && startY + spec.defaultHeight > midShelfHeight - c.thickness) {
+            startY = midShelfHeight;
+        }
+        const falseFronts = getSinkFalseFronts(c);
+        const topLimit = falseFronts ? falseFronts.bottomY : c.height - c.thickness;
+        if (startY + spec.defaultHeight > topLimit) {
+            alert(`Cannot add ${spec.name}: not enough room left inside the cabinet (needs ${spec.defaultHeight} inches).`);
             return c;
         }
 
-        const newDrawer = {
+        const newAccessory = {
             id: Date.now(),
-            height: 6,
-            startY: topOfLastDrawer
+            type,
+            startY,
+            height: spec.defaultHeight,
+            hingeSpacers: true
         };
+        if (spec.defaultCount !== null) newAccessory.count = spec.defaultCount;
+        if (section) newAccessory.sectionId = section.section.id;
 
-        return { ...c, drawers: [...existingDrawers, newDrawer] };
+        return { ...c, accessories: [...(c.accessories || []), newAccessory] };
         }
         return c;
     });
-    
+
     setCabinets(newCabinets);
-    
+
     // Save to history
     setTimeout(() => {
         if (!isRestoringHistory.current) {
             const cabinet = newCabinets.find(c => c.id === cabinetId);
-            saveStateToHistory(`Added drawer to ${cabinet?.name || 'cabinet'}`);
+            saveStateToHistory(`Added ${spec.name.toLowerCase()} to ${cabinet?.name || 'cabinet'}`);
         }
     }, 10);
     };
 
-    const updateDrawer = (cabinetId, drawerId, property, value) => {
+    const updateAccessory = (cabinetId, accessoryId, property, value) => {
     const newCabinets = cabinets.map(c => {
         if (c.id === cabinetId) {
-        const numValue = parseFloat(value);
-        const updatedDrawers = c.drawers.map(d => {
-            if (d.id === drawerId) {
-            // If updating height, enforce minimum 2 inches
+        const accessories = c.accessories.map(a => {
+            if (a.id !== accessoryId) return a;
+            // switching type starts over with that type's height and count
+            if (property === 'type') {
+            const spec = ACCESSORY_TYPES[value];
+            const { count, ...rest } = a;
+            const updated = { ...rest, type: value, height: spec.defaultHeight };
+            if (spec.defaultCount !== null) updated.count = spec.defaultCount;
+            return updated;
+            }
+            if (property === 'hingeSpacers' || property === 'sectionId') {
+            return { ...a, [property]: value };
+            }
+
+            const numValue = parseFloat(value);
+            if (isNaN(numValue)) return a;
             if (property === 'height') {
-                if (numValue < 2) {
-                alert('Drawer height must be at least 2 inches');
-                return d;
-                }
-                // Check if new height would exceed cabinet height
-                const otherDrawersHeight = c.drawers.filter(dr => dr.id !== drawerId).reduce((sum, dr) => sum + dr.height, 0);
-                if (d.startY + numValue > c.height) {
-                alert(`Drawer height cannot exceed remaining cabinet space. Maximum: ${(c.height - d.startY).toFixed(1)} inches`);
-                return d;
-                }
+            if (numValue < 2) {
+                alert('Accessory height must be at least 2 inches');
+                return a;
             }
-            // If updating position, make sure it doesn't push drawer past cabinet height
-            if (property === 'startY') {
-                if (numValue + d.height > c.height) {
-                alert('Drawer position would exceed cabinet height');
-                return d;
-                }
+            if (a.startY + numValue > c.height) {
+                alert(`Accessory would run past the top of the cabinet. Maximum: ${(c.height - a.startY).toFixed(1)} inches`);
+                return a;
             }
-            return { ...d, [property]: numValue };
             }
-            return d;
+            if (property === 'startY' && (numValue < 0 || numValue + a.height > c.height)) {
+            alert('Accessory position would run past the cabinet');
+            return a;
+            }
+            if (property === 'count') {
+            const count = Math.round(numValue);
+            const maxCount = a.type === 'pullOutTrash' ? 2 : 12;
+            if (count < 1 || count > maxCount) {
+                alert(`${ACCESSORY_TYPES[a.type].countLabel} must be between 1 and ${maxCount}`);
+                return a;
+            }
+            return { ...a, count };
+            }
+            return { ...a, [property]: numValue };
         });
-        return { ...c, drawers: updatedDrawers };
+        return { ...c, accessories };
         }
         return c;
     });
-    
+
     setCabinets(newCabinets);
-    
+
     // Save to history
     setTimeout(() => {
         if (!isRestoringHistory.current) {
             const cabinet = newCabinets.find(c => c.id === cabinetId);
-            saveStateToHistory(`Updated drawer in ${cabinet?.name || 'cabinet'}`);
+            saveStateToHistory(`Updated accessory in ${cabinet?.name || 'cabinet'}`);
         }
     }, 10);
     };
 
-    const deleteDrawer = (cabinetId, drawerId) => {
+    const deleteAccessory = (cabinetId, accessoryId) => {
     const newCabinets = cabinets.map(c => {
         if (c.id === cabinetId) {
-        return { ...c, drawers: c.drawers.filter(d => d.id !== drawerId) };
+        return { ...c, accessories: (c.accessories || []).filter(a => a.id !== accessoryId) };
         }
         return c;
     });
-    
+
     setCabinets(newCabinets);
-    
+
     // Save to history
     setTimeout(() => {
         if (!isRestoringHistory.current) {
             const cabinet = newCabinets.find(c => c.id === cabinetId);
-            saveStateToHistory(`Deleted drawer from ${cabinet?.name || 'cabinet'}`);
+            saveStateToHistory(`Deleted accessory from ${cabinet?.name || 'cabinet'}`);
         }
     }, 10);
     };
 
-    // ========== SMART DEFAULTS FUNCTIONS ==========
-    
-    /**
-     * Calculate optimal drawer heights based on cabinet height
-     * Returns an array of drawer heights that fit evenly with proper reveals
-     */
-    const calculateOptimalDrawerHeights = (cabinetHeight, toekickHeight = 0) => {
-        const availableHeight = cabinetHeight - toekickHeight;
-        const reveal = SMART_DEFAULTS.drawerReveal;
-        
-        // Different drawer configurations based on available height
-        if (availableHeight < 18) {
-            // Small cabinet: 2 small drawers
-            const drawerHeight = (availableHeight - reveal) / 2;
-            return [drawerHeight, drawerHeight];
-        } else if (availableHeight < 24) {
-            // Medium cabinet: 3 small/medium drawers
-            const drawerHeight = (availableHeight - reveal * 2) / 3;
-            return [drawerHeight, drawerHeight, drawerHeight];
-        } else if (availableHeight < 36) {
-            // Standard base cabinet: 1 small + 2 medium drawers
-            const totalReveals = reveal * 2;
-            const smallDrawer = SMART_DEFAULTS.drawerHeights.small;
-            const remaining = availableHeight - smallDrawer - totalReveals;
-            const mediumDrawer = remaining / 2;
-            return [smallDrawer, mediumDrawer, mediumDrawer];
-        } else {
-            // Tall cabinet: 1 small + 1 medium + 1 or more large drawers
-            const totalReveals = reveal * 3;
-            const smallDrawer = SMART_DEFAULTS.drawerHeights.small;
-            const mediumDrawer = SMART_DEFAULTS.drawerHeights.medium;
-            const remaining = availableHeight - smallDrawer - mediumDrawer - totalReveals;
-            
-            if (remaining < 16) {
-                return [smallDrawer, mediumDrawer, remaining];
-            } else {
-                // Split remaining into 2 large drawers
-                const largeDrawer = remaining / 2;
-                return [smallDrawer, mediumDrawer, largeDrawer, largeDrawer];
-            }
+    // ========== DOOR STYLE LIBRARY ==========
+
+    const updateDoorStyle = (styleId, property, value) => {
+    setDoorStyles(doorStyles.map(style => style.id === styleId ? { ...style, [property]: value } : style));
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(`Changed door style ${property}`);
         }
+    }, 10);
     };
 
-    /**
-     * Auto-position drawers evenly with proper reveals
-     */
-    const applySmartDrawerDefaults = (cabinetId) => {
-        const cabinet = cabinets.find(c => c.id === cabinetId);
-        if (!cabinet) return;
+    const addDoorStyle = (baseStyle) => {
+    const newStyle = createDoorStyle(doorStyles, baseStyle);
+    setDoorStyles([...doorStyles, newStyle]);
 
-        const toekickHeight = cabinet.toekick ? cabinet.toekickHeight : 0;
-        const optimalHeights = calculateOptimalDrawerHeights(cabinet.height, toekickHeight);
-        const reveal = SMART_DEFAULTS.drawerReveal;
-        
-        // Create new drawers with calculated heights and positions
-        const newDrawers = [];
-        let currentY = toekickHeight;
-        
-        optimalHeights.forEach((height, index) => {
-            newDrawers.push({
-                id: Date.now() + index,
-                height: height,
-                startY: currentY
-            });
-            currentY += height + reveal;
-        });
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(`Added door style ${newStyle.name}`);
+        }
+    }, 10);
+    };
+
+    const deleteDoorStyle = (styleId) => {
+    if (doorStyles.length <= 1) {
+        alert('The project needs at least one door style.');
+        return;
+    }
+
+    // cabinets using the deleted style move to the first remaining style
+    const remaining = doorStyles.filter(style => style.id !== styleId);
+    const fallbackId = remaining[0].id;
+    setDoorStyles(remaining);
+    setCabinets(cabinets.map(c => ({
+        ...c,
+        doorStyle: c.doorStyle === styleId ? fallbackId : c.doorStyle,
+        drawerStyle: c.drawerStyle === styleId ? fallbackId : c.drawerStyle
+    })));
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory('Deleted door style');
+        }
+    }, 10);
+    };
+
+    // ========== PROJECT VARIABLES ==========
+    // Named values (ceiling height, run length...) that dimension expressions
+    // can use. A variable is a number or an expression itself (see expressions.js).
+
+    const setProjectVariable = (name, text) => {
+    setProjectVariables({ ...projectVariables, [name]: text });
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(`Changed variable ${name}`);
+        }
+    }, 10);
+    };
+
+    const addProjectVariable = () => {
+    let count = Object.keys(projectVariables).length + 1;
+    while (projectVariables[`var${count}`] !== undefined) count++;
+    setProjectVariable(`var${count}`, '0');
+    };
+
+    // Renaming keeps the variable in its place in the list
+    const renameProjectVariable = (oldName, newName) => {
+    newName = newName.trim();
+    if (newName === oldName) return;
+    if (!isVariableName(newName)) {
+        alert('Variable names use letters, numbers and _, and start with a letter (e.g. ceilingHeight).');
+        return;
+    }
+    if (projectVariables[newName] !== undefined) {
+        alert(`There is already a variable named "${newName}".`);
+        return;
+    }
+
+    setProjectVariables(Object.fromEntries(Object.entries(projectVariables).map(([name, text]) => [name === oldName ? newName : name, text])));
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(`Renamed variable ${oldName} to ${newName}`);
+        }
+    }, 10);
+    };
+
+    const deleteProjectVariable = (name) => {
+    const { [name]: removed, ...remaining } = projectVariables;
+    setProjectVariables(remaining);
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(`Deleted variable ${name}`);
+        }
+    }, 10);
+    };
+
+    // ========== COUNTERTOPS ==========
+    // One countertop over a whole run (see countertops.js) instead of a slab
+    // on each cabinet. The cabinets under it don't draw their own.
+
+    const updateCountertop = (countertopId, changes, description) => {
+    setCountertops(countertops.map(ct => ct.id === countertopId ? { ...ct, ...changes } : ct));
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(description);
+        }
+    }, 10);
+    };
+
+    // Covers the cabinet's group (see alignCabinets), or just the cabinet
+    const handleCreateCountertop = (cabinetId) => {
+    const group = getCabinetGroup(cabinetId);
+    const cabinetIds = (group ? group.cabinetIds : [cabinetId]).filter(id => {
+        const cabinet = cabinets.find(c => c.id === id);
+        return cabinet && (CABINET_TYPES[cabinet.type] || CABINET_TYPES.base).allowsCountertop && !isUnderCountertop(id);
+    });
+    if (cabinetIds.length === 0) {
+        alert('These cabinets already have a countertop.');
+        return;
+    }
+
+    const cabinet = cabinets.find(c => c.id === cabinetId);
+    const countertop = createCountertop(cabinetIds, {
+        name: `Countertop ${countertops.length + 1}`,
+        material: cabinet.countertopMaterial,
+        ...(COUNTERTOP_MATERIALS[cabinet.countertopMaterial] ? { thickness: cabinet.countertopThickness } : {})
+    });
+    setCountertops([...countertops, countertop]);
+    setEditingCountertopId(countertop.id);
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(`Added ${countertop.name}`);
+        }
+    }, 10);
+    };
+
+    const deleteCountertop = (countertopId) => {
+    const countertop = countertops.find(ct => ct.id === countertopId);
+    if (!countertop || !confirm(`Delete ${countertop.name}?`)) return;
+    setCountertops(countertops.filter(ct => ct.id !== countertopId));
+    setEditingCountertopId(null);
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            saveStateToHistory(`Deleted ${countertop.name}`);
+        }
+    }, 10);
+    };
+
+    // A cabinet can only be under one countertop
+    const toggleCountertopCabinet = (countertop, cabinetId) => {
+    if (countertop.cabinetIds.includes(cabinetId)) {
+        updateCountertop(countertop.id, {
+            cabinetIds: countertop.cabinetIds.filter(id => id !== cabinetId),
+            cutouts: countertop.cutouts.filter(cutout => cutout.cabinetId !== cabinetId),
+            seams: countertop.seams.filter(seam => seam.cabinetId !== cabinetId)
+        }, `Changed ${countertop.name} cabinets`);
+    } else if (isUnderCountertop(cabinetId)) {
+        alert('That cabinet is already under another countertop.');
+    } else {
+        updateCountertop(countertop.id, { cabinetIds: [...countertop.cabinetIds, cabinetId] }, `Changed ${countertop.name} cabinets`);
+    }
+    };
+
+    const updateCountertopItem = (countertop, listName, itemId, changes) => {
+    updateCountertop(countertop.id, {
+        [listName]: countertop[listName].map(item => item.id === itemId ? { ...item, ...changes } : item)
+    }, `Changed ${countertop.name} ${listName}`);
+    };
+
+    const removeCountertopItem = (countertop, listName, itemId) => {
+    updateCountertop(countertop.id, {
+        [listName]: countertop[listName].filter(item => item.id !== itemId)
+    }, `Changed ${countertop.name} ${listName}`);
+    };
+
+    // Seams where the slab runs out, on cabinet joints and clear of the cutouts
+    const handleSuggestSeams = (countertop) => {
+    const seams = suggestCountertopSeams(countertop, cabinets);
+    updateCountertop(countertop.id, { seams }, `Placed ${countertop.name} seams`);
+    if (seams.length === 0) alert(`Every piece of ${countertop.name} fits on one slab - no seams needed.`);
+    };
+
+    // Fabrication sheet for the stone supplier - every countertop in the project
+    const handleCountertopSheet = () => {
+    const fabrications = countertops.map(ct => getCountertopFabrication(ct, cabinets));
+    const html = exportCountertopSheetHTML(fabrications, projectName);
+    const blob = new Blob([html], { type: 'text/html' });
+    const url = window.URL.createObjectURL(blob);
+    window.open(url, '_blank');
+    };
+
+    // ========== PARTITIONS ==========
+
+    // Door counts live on the cabinet (doors / upperDoors) or on a section -
+    // find the bank the door is in and take one away from the right place
+    const removeDoor = (cabinetId, doorIndex) => {
+    const cabinet = cabinets.find(c => c.id === cabinetId);
+    if (!cabinet) return;
+
+    const bank = getDoorBanks(cabinet).find(b => doorIndex >= b.firstDoorIndex && doorIndex < b.firstDoorIndex + b.doorCount);
+    if (!bank) return;
+
+    if (bank.sectionIndex !== undefined) {
+        const section = cabinet.sections[bank.sectionIndex];
+        updateSection(cabinetId, section.id, 'doors', section.doors - 1);
+    } else {
+        // doors past the lower bank belong to the upper bank of a tall cabinet
+        const doorProperty = bank.key === 'upper' ? 'upperDoors' : 'doors';
+        updateCabinet(cabinetId, doorProperty, cabinet[doorProperty] - 1);
+    }
+    };
+
+    // Add a vertical partition. The first one splits the box in half and moves
+    // the cabinet's doors, shelves and drawers into the sections. After that the
+    // last section is split in two.
+    const addPartition = (cabinetId) => {
+    const newCabinets = cabinets.map(c => {
+        if (c.id === cabinetId) {
+        const typeSpec = CABINET_TYPES[c.type] || CABINET_TYPES.base;
+        if (typeSpec.cornerShape || typeSpec.splitDoors || typeSpec.sinkBase) {
+            alert(`${typeSpec.name} cabinets do not take partitions.`);
+            return c;
+        }
+
+        const sections = getCabinetSections(c);
+        if (!sections) {
+            // split the door opening - a blind corner's dead panel takes no section
+            const opening = getFrontOpening(c);
+            const spanWidth = Math.min(c.width - c.thickness, opening.leftX + opening.width) - Math.max(c.thickness, opening.leftX);
+            const clearWidth = (spanWidth - c.thickness) / 2;
+            if (clearWidth < 6) {
+            alert('Cabinet is too narrow for a partition. Each section must be at least 6 inches wide.');
+            return c;
+            }
+            const left = { id: Date.now(), width: clearWidth, doors: 0, shelves: c.shelves };
+            const right = { id: Date.now() + 1, width: clearWidth, doors: c.doors, shelves: c.shelves };
+            // drawers go in the left section, full width - doors and shelves
+            // now belong to the sections
+            const drawers = (c.drawers || []).map(({ leftX, width, ...d }) => ({ ...d, sectionId: left.id }));
+            // accessories stay behind the doors
+            const accessories = (c.accessories || []).map(a => ({ ...a, sectionId: right.id }));
+            return { ...c, sections: [left, right], drawers, accessories, doors: 0, shelves: 0 };
+        }
+
+        const last = sections[sections.length - 1];
+        const newWidth = (last.clearWidth - c.thickness) / 2;
+        if (newWidth < 6) {
+            alert('Last section is too narrow to split. Each section must be at least 6 inches wide.');
+            return c;
+        }
+        const updatedSections = c.sections.map(section => section.id === last.section.id ? { ...section, width: newWidth } : section);
+        return { ...c, sections: [...updatedSections, { id: Date.now(), width: newWidth, doors: 1, shelves: 0 }] };
+        }
+        return c;
+    });
+
+    setCabinets(newCabinets);
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            const cabinet = newCabinets.find(c => c.id === cabinetId);
+            saveStateToHistory(`Added partition to ${cabinet?.name || 'cabinet'}`);
+        }
+    }, 10);
+    };
+
+    // Remove a section and the partition beside it. Its drawers and width go to
+    // the neighboring section. With one section left the box goes back to having
+    // no partitions.
+    const removeSection = (cabinetId, sectionId) => {
+    const newCabinets = cabinets.map(c => {
+        if (c.id === cabinetId) {
+        const sections = getCabinetSections(c);
+        if (!sections) return c;
+
+        const index = sections.findIndex(entry => entry.section.id === sectionId);
+        if (index < 0) return c;
+        const removed = sections[index];
+        const neighbor = sections[index > 0 ? index - 1 : 1];
+        const moveDrawer = ({ leftX, width, ...d }) => ({ ...d, sectionId: neighbor.section.id });
+        const drawers = (c.drawers || []).map(d => getSectionDrawers(c, removed).includes(d) ? moveDrawer(d) : d);
+        const removedAccessories = getAccessoryLayout(c, getPartStock(c, 'back').actual).filter(a => a.interiorLeft === removed.interiorLeft).map(a => a.accessory);
+        const accessories = (c.accessories || []).map(a => removedAccessories.includes(a) ? { ...a, sectionId: neighbor.section.id } : a);
+
+        if (sections.length <= 2) {
+            const remaining = neighbor.section;
+            return {
+            ...c,
+            sections: [],
+            doors: remaining.doors || 0,
+            shelves: remaining.shelves || 0,
+            drawers: drawers.map(({ sectionId: _, ...d }) => d),
+            accessories: accessories.map(({ sectionId: _, ...a }) => a)
+            };
+        }
+
+        const updatedSections = c.sections
+            .filter(section => section.id !== sectionId)
+            .map(section => section.id === neighbor.section.id
+            ? { ...section, width: neighbor.clearWidth + removed.clearWidth + c.thickness }
+            : section);
+        return { ...c, sections: updatedSections, drawers, accessories };
+        }
+        return c;
+    });
+
+    setCabinets(newCabinets);
+    setSelectedDoorIndex(null);
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            const cabinet = newCabinets.find(c => c.id === cabinetId);
+            saveStateToHistory(`Removed section from ${cabinet?.name || 'cabinet'}`);
+        }
+    }, 10);
+    };
+
+    const updateSection = (cabinetId, sectionId, property, value) => {
+    const newCabinets = cabinets.map(c => {
+        if (c.id === cabinetId) {
+        const sections = getCabinetSections(c);
+        if (!sections) return c;
+        const entry = sections.find(e => e.section.id === sectionId);
+        if (!entry) return c;
+        const numValue = property === 'width' ? parseFloat(value) : parseInt(value);
+        if (isNaN(numValue) || numValue < 0) return c;
+
+        // The last section takes what's left, so widths can only grow into it
+        if (property === 'width') {
+            const last = sections[sections.length - 1];
+            const maxWidth = entry.clearWidth + last.clearWidth - 6;
+            if (numValue < 6) {
+            alert('Section width must be at least 6 inches');
+            return c;
+            }
+            if (numValue > maxWidth) {
+            alert(`Section is too wide - the last section needs at least 6 inches. Maximum: ${maxWidth.toFixed(1)} inches`);
+            return c;
+            }
+        }
+        if (property === 'doors' && !c.doubleDoor) {
+            const maxDoors = getMaxDoors(entry.frontWidth);
+            if (numValue > maxDoors) {
+            alert(`Cannot add that many doors. Maximum for this ${entry.frontWidth.toFixed(1)}" section is ${maxDoors} door${maxDoors !== 1 ? 's' : ''}.`);
+            return c;
+            }
+        }
+
+        return {
+            ...c,
+            sections: c.sections.map(section => section.id === sectionId ? { ...section, [property]: numValue } : section)
+        };
+        }
+        return c;
+    });
+
+    setCabinets(newCabinets);
+
+    // Save to history
+    setTimeout(() => {
+        if (!isRestoringHistory.current) {
+            const cabinet = newCabinets.find(c => c.id === cabinetId);
+            const propName = property.charAt(0).toUpperCase() + property.slice(1);
+            saveStateToHistory(`Updated section in ${cabinet?.name || 'cabinet'}: ${propName}`);
+        }
+    }, 10);
+    };
+
+    // ========== SMART DEFAULTS FUNCTIONS ==========
+    
+    /**
+     * Auto-position drawers evenly with proper reveals
+     */
+    const applySmartDrawerDefaults = (cabinetId) => {
+        const cabinet = cabinets.find(c => c.id === cabinetId);
+        if (!cabinet) return;
+
+        // Create new drawers with calculated heights and positions
+        const newDrawers = getOptimalDrawerStack(cabinet);
 
         const newCabinets = cabinets.map(c => {
             if (c.id === cabinetId) {
@@ -1904,408 +2636,32 @@ const CabinetDesigner = () => {
         }
     }, [selectedCabinet, cabinets]);
 
-    // detailed cut list generation (truncated for space - keeping core structure)
-    const generateCutList = () => {
-    const cutList = [];
-    let assemblySequence = 1;
-
-    cabinets.forEach(cabinet => {
-        // box parts
-        cutList.push({
-        cabinet: cabinet.name,
-        part: 'Side Panel',
-        quantity: 2,
-        width: cabinet.depth,
-        height: cabinet.height,
-        thickness: cabinet.thickness,
-        material: cabinet.material,
-        notes: 'Full height sides',
-        grainDirection: 'vertical',
-        edgebanding: 'front edge',
-        hardware: 'Shelf pins if adjustable',
-        assemblySequence: assemblySequence++
-        });
-
-        const topBottomWidth = cabinet.width - (cabinet.thickness * 2);
-        cutList.push({
-        cabinet: cabinet.name,
-        part: 'Top/Bottom',
-        quantity: 2,
-        width: topBottomWidth,
-        height: cabinet.depth,
-        thickness: cabinet.thickness,
-        material: cabinet.material,
-        notes: 'Between sides',
-        grainDirection: 'horizontal',
-        edgebanding: 'front edge',
-        hardware: 'None',
-        assemblySequence: assemblySequence++
-        });
-
-        // shelves
-        if (cabinet.shelves > 0) {
-        cutList.push({
-            cabinet: cabinet.name,
-            part: 'Shelf',
-            quantity: cabinet.shelves,
-            width: topBottomWidth,
-            height: cabinet.depth - 1,
-            thickness: cabinet.thickness,
-            material: cabinet.material,
-            notes: 'Adjustable',
-            grainDirection: 'horizontal',
-            edgebanding: 'front edge',
-            hardware: 'Shelf pins (4 per shelf)',
-            assemblySequence: assemblySequence++
-        });
-        }
-
-        // back panel
-        if (cabinet.backPanel) {
-        cutList.push({
-            cabinet: cabinet.name,
-            part: 'Back Panel',
-            quantity: 1,
-            width: cabinet.width - (cabinet.thickness * 2),
-            height: cabinet.height,
-            thickness: 0.25,
-            material: cabinet.material,
-            notes: '1/4" back',
-            grainDirection: 'vertical',
-            edgebanding: 'none',
-            hardware: 'Brad nails or staples',
-            assemblySequence: assemblySequence++
-        });
-        }
-
-        // drawer parts
-        if (cabinet.drawers && cabinet.drawers.length > 0) {
-        cabinet.drawers.forEach((drawer, i) => {
-            const frontWidth = cabinet.width - 2;
-            const frontHeight = drawer.height - 0.5;
-
-            if (cabinet.drawerStyle === 'shaker') {
-            const spec = DOOR_SPECS.shaker;
-            cutList.push({
-                cabinet: cabinet.name,
-                part: `Drawer ${i+1} Rails`,
-                quantity: 2,
-                width: frontWidth,
-                height: spec.railWidth,
-                thickness: 0.75,
-                material: cabinet.material,
-                notes: 'Top/bottom',
-                grainDirection: 'horizontal',
-                edgebanding: 'all edges',
-                hardware: 'Cope & stick joints',
-                assemblySequence: assemblySequence++
-            });
-            cutList.push({
-                cabinet: cabinet.name,
-                part: `Drawer ${i+1} Stiles`,
-                quantity: 2,
-                width: spec.stileWidth,
-                height: frontHeight,
-                thickness: 0.75,
-                material: cabinet.material,
-                notes: 'Left/right',
-                grainDirection: 'vertical',
-                edgebanding: 'all edges',
-                hardware: 'Cope & stick joints',
-                assemblySequence: assemblySequence++
-            });
-            cutList.push({
-                cabinet: cabinet.name,
-                part: `Drawer ${i+1} Panel`,
-                quantity: 1,
-                width: frontWidth - spec.stileWidth * 2,
-                height: frontHeight - spec.railWidth * 2,
-                thickness: spec.panelThickness,
-                material: cabinet.material,
-                notes: 'Center panel',
-                grainDirection: 'vertical',
-                edgebanding: 'none (fits in groove)',
-                hardware: 'None',
-                assemblySequence: assemblySequence++
-            });
-            } else {
-            cutList.push({
-                cabinet: cabinet.name,
-                part: `Drawer ${i+1} Front`,
-                quantity: 1,
-                width: frontWidth,
-                height: frontHeight,
-                thickness: 0.75,
-                material: cabinet.material,
-                notes: cabinet.drawerStyle,
-                grainDirection: 'vertical',
-                edgebanding: 'all edges',
-                hardware: 'Drawer pull',
-                assemblySequence: assemblySequence++
-            });
-            }
-
-            // drawer box
-            const boxHeight = Math.min(DRAWER_BOX.frontBackHeight, drawer.height - 1);
-            cutList.push({
-            cabinet: cabinet.name,
-            part: `Drawer ${i+1} Box Sides`,
-            quantity: 2,
-            width: cabinet.depth - 2,
-            height: boxHeight,
-            thickness: DRAWER_BOX.sideThickness,
-            material: 'plywood',
-            notes: '1/2" sides',
-            grainDirection: 'horizontal',
-            edgebanding: 'top edge only',
-            hardware: 'Drawer slides mount here',
-            assemblySequence: assemblySequence++
-            });
-            cutList.push({
-            cabinet: cabinet.name,
-            part: `Drawer ${i+1} Box Front/Back`,
-            quantity: 2,
-            width: cabinet.width - 2 - DRAWER_BOX.sideThickness * 2,
-            height: boxHeight,
-            thickness: DRAWER_BOX.sideThickness,
-            material: 'plywood',
-            notes: '1/2" F/B',
-            grainDirection: 'horizontal',
-            edgebanding: 'top edge only',
-            hardware: 'Pocket screws or dados',
-            assemblySequence: assemblySequence++
-            });
-            cutList.push({
-            cabinet: cabinet.name,
-            part: `Drawer ${i+1} Bottom`,
-            quantity: 1,
-            width: cabinet.width - 2 - DRAWER_BOX.sideThickness * 2,
-            height: cabinet.depth - 2,
-            thickness: DRAWER_BOX.bottomThickness,
-            material: 'plywood',
-            notes: '1/4" bottom',
-            grainDirection: 'horizontal',
-            edgebanding: 'none',
-            hardware: 'Slides in groove',
-            assemblySequence: assemblySequence++
-            });
-        });
-        }
-
-        // door parts
-        if (cabinet.doors > 0) {
-        const totalDrawerHeight = cabinet.drawers?.reduce((sum, d) => sum + d.height, 0) || 0;
-        const highestDrawerY = cabinet.drawers?.reduce((max, d) => Math.max(max, d.startY + d.height), cabinet.toekick ? cabinet.toekickHeight : 0) || (cabinet.toekick ? cabinet.toekickHeight : 0);
-        const doorHeight = cabinet.height - highestDrawerY - 1;
-        const doorWidth = cabinet.width / cabinet.doors - 1;
-
-        if (cabinet.doorStyle === 'shaker') {
-            const spec = DOOR_SPECS.shaker;
-            cutList.push({
-            cabinet: cabinet.name,
-            part: 'Door Rails',
-            quantity: cabinet.doors * 2,
-            width: doorWidth,
-            height: spec.railWidth,
-            thickness: 0.75,
-            material: cabinet.material,
-            notes: 'Shaker T/B',
-            grainDirection: 'horizontal',
-            edgebanding: 'all edges',
-            hardware: 'Cope & stick joints',
-            assemblySequence: assemblySequence++
-            });
-            cutList.push({
-            cabinet: cabinet.name,
-            part: 'Door Stiles',
-            quantity: cabinet.doors * 2,
-            width: spec.stileWidth,
-            height: doorHeight,
-            thickness: 0.75,
-            material: cabinet.material,
-            notes: 'Shaker L/R',
-            grainDirection: 'vertical',
-            edgebanding: 'all edges',
-            hardware: 'Cope & stick joints',
-            assemblySequence: assemblySequence++
-            });
-            cutList.push({
-            cabinet: cabinet.name,
-            part: 'Door Panels',
-            quantity: cabinet.doors,
-            width: doorWidth - spec.stileWidth * 2,
-            height: doorHeight - spec.railWidth * 2,
-            thickness: spec.panelThickness,
-            material: cabinet.material,
-            notes: 'Center',
-            grainDirection: 'vertical',
-            edgebanding: 'none (fits in groove)',
-            hardware: 'None',
-            assemblySequence: assemblySequence++
-            });
-        } else {
-            cutList.push({
-            cabinet: cabinet.name,
-            part: 'Door',
-            quantity: cabinet.doors,
-            width: doorWidth,
-            height: doorHeight,
-            thickness: 0.75,
-            material: cabinet.material,
-            notes: cabinet.doorStyle,
-            grainDirection: 'vertical',
-            edgebanding: 'all edges',
-            hardware: 'Hinges (2 per door) + pull',
-            assemblySequence: assemblySequence++
-            });
-        }
-        }
-
-        // hardware
-        if (cabinet.doors > 0) {
-        cutList.push({
-            cabinet: cabinet.name,
-            part: `Hinges (${cabinet.hardware.hinges})`,
-            quantity: cabinet.doors * 2,
-            width: 0,
-            height: 0,
-            thickness: 0,
-            material: 'hardware',
-            notes: '2 per door',
-            grainDirection: 'n/a',
-            edgebanding: 'n/a',
-            hardware: 'Install 2-3" from top/bottom',
-            assemblySequence: assemblySequence++
-        });
-        cutList.push({
-            cabinet: cabinet.name,
-            part: `Door Pulls (${cabinet.hardware.pulls})`,
-            quantity: cabinet.doors,
-            width: 0,
-            height: 0,
-            thickness: 0,
-            material: 'hardware',
-            notes: '1 per door',
-            grainDirection: 'n/a',
-            edgebanding: 'n/a',
-            hardware: 'Center or offset per design',
-            assemblySequence: assemblySequence++
-        });
-        }
-
-        if (cabinet.drawers && cabinet.drawers.length > 0) {
-        cutList.push({
-            cabinet: cabinet.name,
-            part: `Drawer Slides (${cabinet.hardware.slides})`,
-            quantity: cabinet.drawers.length * 2,
-            width: 0,
-            height: 0,
-            thickness: 0,
-            material: 'hardware',
-            notes: `${cabinet.depth}" pair/drawer`,
-            grainDirection: 'n/a',
-            edgebanding: 'n/a',
-            hardware: 'Mount flush with drawer bottom',
-            assemblySequence: assemblySequence++
-        });
-        cutList.push({
-            cabinet: cabinet.name,
-            part: `Drawer Pulls (${cabinet.hardware.pulls})`,
-            quantity: cabinet.drawers.length,
-            width: 0,
-            height: 0,
-            thickness: 0,
-            material: 'hardware',
-            notes: '1 per drawer',
-            grainDirection: 'n/a',
-            edgebanding: 'n/a',
-            hardware: 'Center horizontally, upper 1/3',
-            assemblySequence: assemblySequence++
-        });
-        }
-    });
-
-    return cutList;
-    };
-
-    const calculateMaterials = () => {
-    const cutList = generateCutList();
-    const materialUsage = {};
-
-    cutList.forEach(item => {
-        if (item.material === 'hardware' || item.material === 'glass') return;
-
-        const material = item.material;
-        const area = (item.width * item.height * item.quantity) / 144;
-
-        if (!materialUsage[material]) {
-        materialUsage[material] = { area: 0, sheets: 0, cost: 0 };
-        }
-        materialUsage[material].area += area;
-    });
-
-    Object.keys(materialUsage).forEach(material => {
-        const sheets = Math.ceil(materialUsage[material].area / 32);
-        materialUsage[material].sheets = sheets;
-        materialUsage[material].cost = sheets * materialCosts[material];
-    });
-
-    return materialUsage;
-    };
-
-    // Sheet cut optimization - groups parts by size and calculates sheet requirements
-    const generateSheetOptimization = () => {
-        const cutList = generateCutList();
-        const sheetSize = { width: 96, height: 48 }; // 4x8 sheet in inches
-        const sheetArea = sheetSize.width * sheetSize.height; // 4608 sq in
-        
-        // Group parts by material and thickness
-        const partsByMaterial = {};
-        
-        cutList.forEach(item => {
-            if (item.material === 'hardware' || item.material === 'glass' || item.width === 0 || item.height === 0) return;
-            
-            const key = `${item.material}-${item.thickness}`;
-            if (!partsByMaterial[key]) {
-                partsByMaterial[key] = {
-                    material: item.material,
-                    thickness: item.thickness,
-                    parts: [],
-                    totalArea: 0,
-                    sheetsNeeded: 0,
-                    wastePercent: 0
-                };
-            }
-            
-            for (let i = 0; i < item.quantity; i++) {
-                const partArea = item.width * item.height;
-                partsByMaterial[key].parts.push({
-                    name: item.part,
-                    cabinet: item.cabinet,
-                    width: item.width,
-                    height: item.height,
-                    area: partArea
-                });
-                partsByMaterial[key].totalArea += partArea;
-            }
-        });
-        
-        // Calculate sheets needed for each material/thickness combination
-        Object.values(partsByMaterial).forEach(group => {
-            // Add 10% waste factor for saw kerf and edge trimming
-            const adjustedArea = group.totalArea * 1.1;
-            group.sheetsNeeded = Math.ceil(adjustedArea / sheetArea);
-            group.wastePercent = ((group.sheetsNeeded * sheetArea - group.totalArea) / (group.sheetsNeeded * sheetArea) * 100).toFixed(1);
-            
-            // Sort parts by area (largest first) for better visualization
-            group.parts.sort((a, b) => b.area - a.area);
-        });
-        
-        return partsByMaterial;
-    };
+    // Work out expression dimensions again whenever a cabinet or project
+    // variable changes. Only sets cabinets when a value actually moved, so
+    // this settles after one pass.
+    useEffect(() => {
+        const result = resolveProjectExpressions(cabinets, projectVariables);
+        setExpressionErrors(prev => (JSON.stringify(prev) === JSON.stringify(result.errors) ? prev : result.errors));
+        if (result.cabinets !== cabinets) setCabinets(result.cabinets);
+    }, [cabinets, projectVariables]);
+
+    // What a dimension input shows - the expression if it has one, otherwise the value
+    const dimensionText = (item, property) => item.expressions?.[property] ?? decimalToFraction(item[property] || 0);
+
+    // Why an expression couldn't be worked out, under its input
+    const renderExpressionError = (key) => expressionErrors[key] ? (
+        <div style={{ fontSize: '11px', color: '#ff4444', marginTop: '4px' }}>⚠ {expressionErrors[key]}</div>
+    ) : null;
+
+    // Parts, hardware, materials and pricing for the current project (see designEngine.js) -
+    // worked out once per change, the panels and exports all read from it
+    const design = useMemo(
+        () => runDesignEngine({ cabinets, doorStyles, materialCosts, laborRate, variables: projectVariables, countertops }),
+        [cabinets, doorStyles, materialCosts, laborRate, projectVariables, countertops]
+    );
 
     const saveProject = () => {
-    const success = saveProjectToStorage(projectName, cabinets, materialCosts, laborRate);
+    const success = saveProjectToStorage(projectName, cabinets, materialCosts, laborRate, doorStyles, projectVariables, countertops);
     if (success) {
         // Also save PDF
         savePDF();
@@ -2365,11 +2721,15 @@ const CabinetDesigner = () => {
     if (selection) {
         const index = parseInt(selection) - 1;
         if (index >= 0 && index < allProjects.length) {
-            const project = allProjects[index];
+            // Projects saved by older versions are brought up to date here
+            const project = deserializeProject(allProjects[index]);
             setProjectName(project.name);
             setCabinets(project.cabinets);
-            setMaterialCosts(project.materialCosts || materialCosts);
-            setLaborRate(project.laborRate || 50);
+            setMaterialCosts(project.materialCosts);
+            setLaborRate(project.laborRate);
+            setDoorStyles(project.doorStyles);
+            setProjectVariables(project.variables);
+            setCountertops(project.countertops);
             alert(`Project "${project.name}" loaded!`);
         } else {
             alert('Invalid selection!');
@@ -2418,6 +2778,9 @@ const CabinetDesigner = () => {
             cabinets: cabinets,
             materialCosts: materialCosts,
             laborRate: laborRate,
+            doorStyles: doorStyles,
+            variables: projectVariables,
+            countertops: countertops,
             selectedUnit: selectedUnit,
             createdDate: new Date().toISOString()
         };
@@ -2440,10 +2803,13 @@ const CabinetDesigner = () => {
         
         importProjectFromFile((success, data, errorMessage) => {
             if (success) {
-                setCabinets(data.cabinets || []);
+                setCabinets(data.cabinets);
                 setProjectName(data.name || 'Imported Project');
-                setMaterialCosts(data.materialCosts || materialCosts);
-                setLaborRate(data.laborRate || 50);
+                setMaterialCosts(data.materialCosts);
+                setLaborRate(data.laborRate);
+                setDoorStyles(data.doorStyles);
+                setProjectVariables(data.variables);
+                setCountertops(data.countertops);
                 setSelectedUnit(data.selectedUnit || 'inches');
                 
                 alert(`Project "${data.name}" loaded successfully!`);
@@ -2459,8 +2825,7 @@ const CabinetDesigner = () => {
     if (!canvas) return;
     
     const imgData = canvas.toDataURL('image/png');
-    const cutList = generateCutList();
-    const materials = calculateMaterials();
+    const { parts: cutList, materials } = design;
     
     // Create HTML content for PDF
     const element = document.createElement('div');
@@ -2486,10 +2851,10 @@ const CabinetDesigner = () => {
             </tr>
             ${Object.entries(materials).map(([material, data]) => `
                 <tr>
-                    <td style="border: 1px solid #ddd; padding: 8px;">${material}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">${data.name}</td>
                     <td style="border: 1px solid #ddd; padding: 8px;">${data.area.toFixed(2)}</td>
                     <td style="border: 1px solid #ddd; padding: 8px;">${data.sheets}</td>
-                    <td style="border: 1px solid #ddd; padding: 8px;">$${materialCosts[material]?.toFixed(2) || '0.00'}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">$${data.costPerSheet.toFixed(2)}</td>
                     <td style="border: 1px solid #ddd; padding: 8px;">$${data.cost.toFixed(2)}</td>
                 </tr>
             `).join('')}
@@ -2503,6 +2868,7 @@ const CabinetDesigner = () => {
         <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
             <tr style="background-color: #f0f0f0;">
                 <th style="border: 1px solid #ddd; padding: 6px; text-align: left;">Cabinet</th>
+                <th style="border: 1px solid #ddd; padding: 6px; text-align: left;">SKU</th>
                 <th style="border: 1px solid #ddd; padding: 6px; text-align: left;">Part</th>
                 <th style="border: 1px solid #ddd; padding: 6px; text-align: left;">Qty</th>
                 <th style="border: 1px solid #ddd; padding: 6px; text-align: left;">Width</th>
@@ -2514,12 +2880,13 @@ const CabinetDesigner = () => {
             ${cutList.map(item => `
                 <tr>
                     <td style="border: 1px solid #ddd; padding: 6px;">${item.cabinet}</td>
+                    <td style="border: 1px solid #ddd; padding: 6px;">${item.sku}</td>
                     <td style="border: 1px solid #ddd; padding: 6px;">${item.part}</td>
                     <td style="border: 1px solid #ddd; padding: 6px;">${item.quantity}</td>
                     <td style="border: 1px solid #ddd; padding: 6px;">${item.width > 0 ? formatMeasurement(item.width, measurementFormat) : '-'}</td>
                     <td style="border: 1px solid #ddd; padding: 6px;">${item.height > 0 ? formatMeasurement(item.height, measurementFormat) : '-'}</td>
                     <td style="border: 1px solid #ddd; padding: 6px;">${item.thickness > 0 ? item.thickness : '-'}</td>
-                    <td style="border: 1px solid #ddd; padding: 6px;">${item.material}</td>
+                    <td style="border: 1px solid #ddd; padding: 6px;">${getStockLabel(item)}</td>
                     <td style="border: 1px solid #ddd; padding: 6px;">${item.notes}</td>
                 </tr>
             `).join('')}
@@ -2538,10 +2905,10 @@ const CabinetDesigner = () => {
     };
 
     const exportCutList = () => {
-    const cutList = generateCutList();
-    let csv = 'Cabinet,Part,Quantity,Width (in),Height (in),Thickness (in),Material,Notes\n';
+    const cutList = design.parts;
+    let csv = 'Cabinet,SKU,Part,Quantity,Width (in),Height (in),Thickness (in),Material,Notes\n';
     cutList.forEach(item => {
-        csv += `${item.cabinet},${item.part},${item.quantity},${item.width > 0 ? formatMeasurement(item.width, measurementFormat) : '-'},${item.height > 0 ? formatMeasurement(item.height, measurementFormat) : '-'},${item.thickness > 0 ? item.thickness : '-'},${item.material},"${item.notes}"\n`;
+        csv += `${item.cabinet},${item.sku},${item.part},${item.quantity},${item.width > 0 ? formatMeasurement(item.width, measurementFormat) : '-'},${item.height > 0 ? formatMeasurement(item.height, measurementFormat) : '-'},${item.thickness > 0 ? item.thickness : '-'},"${getStockLabel(item).replace(/"/g, '""')}","${item.notes}"\n`;
     });
 
     const blob = new Blob([csv], { type: 'text/csv' });
@@ -2553,8 +2920,7 @@ const CabinetDesigner = () => {
     };
 
     const CutListModal = () => {
-    const cutList = generateCutList();
-    const materials = calculateMaterials();
+    const { parts: cutList, materials } = design;
     
     if (!showCutList) return null;
     
@@ -2610,10 +2976,10 @@ const CabinetDesigner = () => {
             </tr>
             {Object.entries(materials).map(([material, data]) => (
                 <tr key={material}>
-                <td style={{ border: '1px solid #444', padding: '8px' }}>{material}</td>
+                <td style={{ border: '1px solid #444', padding: '8px' }}>{data.name}</td>
                 <td style={{ border: '1px solid #444', padding: '8px' }}>{data.area.toFixed(2)}</td>
                 <td style={{ border: '1px solid #444', padding: '8px' }}>{data.sheets}</td>
-                <td style={{ border: '1px solid #444', padding: '8px' }}>${materialCosts[material]?.toFixed(2) || '0.00'}</td>
+                <td style={{ border: '1px solid #444', padding: '8px' }}>${data.costPerSheet.toFixed(2)}</td>
                 <td style={{ border: '1px solid #444', padding: '8px' }}>${data.cost.toFixed(2)}</td>
                 </tr>
             ))}
@@ -2629,6 +2995,7 @@ const CabinetDesigner = () => {
                 <tr style={{ background: '#ff6b35', color: '#000' }}>
                 <th style={{ border: '1px solid #444', padding: '4px', textAlign: 'center' }}>Seq</th>
                 <th style={{ border: '1px solid #444', padding: '4px', textAlign: 'left' }}>Cabinet</th>
+                <th style={{ border: '1px solid #444', padding: '4px', textAlign: 'left' }}>SKU</th>
                 <th style={{ border: '1px solid #444', padding: '4px', textAlign: 'left' }}>Part</th>
                 <th style={{ border: '1px solid #444', padding: '4px', textAlign: 'center' }}>Qty</th>
                 <th style={{ border: '1px solid #444', padding: '4px', textAlign: 'right' }}>Width</th>
@@ -2644,12 +3011,13 @@ const CabinetDesigner = () => {
                 <tr key={idx}>
                     <td style={{ border: '1px solid #444', padding: '4px', textAlign: 'center', fontWeight: 'bold', background: '#2a2a2a' }}>{item.assemblySequence || '-'}</td>
                     <td style={{ border: '1px solid #444', padding: '4px' }}>{item.cabinet}</td>
+                    <td style={{ border: '1px solid #444', padding: '4px', fontFamily: 'monospace' }}>{item.sku}</td>
                     <td style={{ border: '1px solid #444', padding: '4px' }}>{item.part}</td>
                     <td style={{ border: '1px solid #444', padding: '4px', textAlign: 'center' }}>{item.quantity}</td>
                     <td style={{ border: '1px solid #444', padding: '4px', textAlign: 'right' }}>{item.width > 0 ? formatMeasurement(item.width, measurementFormat) : '-'}</td>
                     <td style={{ border: '1px solid #444', padding: '4px', textAlign: 'right' }}>{item.height > 0 ? formatMeasurement(item.height, measurementFormat) : '-'}</td>
                     <td style={{ border: '1px solid #444', padding: '4px', textAlign: 'right' }}>{item.thickness > 0 ? item.thickness : '-'}</td>
-                    <td style={{ border: '1px solid #444', padding: '4px' }}>{item.material}</td>
+                    <td style={{ border: '1px solid #444', padding: '4px' }}>{getStockLabel(item)}</td>
                     <td style={{ border: '1px solid #444', padding: '4px' }}>
                         <span style={{ fontSize: '10px', padding: '2px 6px', background: item.grainDirection === 'vertical' ? '#4a5568' : '#2d3748', borderRadius: '3px', display: 'inline-block' }}>
                             {item.grainDirection === 'vertical' ? '↕️' : item.grainDirection === 'horizontal' ? '↔️' : item.grainDirection || '-'}
@@ -2671,7 +3039,7 @@ const CabinetDesigner = () => {
     const ShoppingListModal = () => {
         if (!showShoppingList) return null;
         
-        const shoppingList = generateShoppingList(cabinets, materialCosts);
+        const shoppingList = generateShoppingList(cabinets, materialCosts, doorStyles);
         
         const handleExportCSV = () => {
             const csv = exportShoppingListCSV(shoppingList, projectName);
@@ -2803,9 +3171,9 @@ const CabinetDesigner = () => {
                             </tr>
                         </thead>
                         <tbody>
-                            {Object.entries(shoppingList.sheetMaterials).map(([material, data]) => (
-                                <tr key={material}>
-                                    <td style={{ border: '1px solid #444', padding: '8px' }}>{material}</td>
+                            {Object.entries(shoppingList.sheetMaterials).map(([key, data]) => (
+                                <tr key={key}>
+                                    <td style={{ border: '1px solid #444', padding: '8px' }}>{data.name}</td>
                                     <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'right' }}>{data.totalArea.toFixed(2)}</td>
                                     <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'center', fontWeight: 'bold' }}>{data.sheets.sheetsNeeded}</td>
                                     <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'center' }}>{data.sheets.sheetSize}</td>
@@ -2899,6 +3267,87 @@ const CabinetDesigner = () => {
                                 </table>
                             </div>
                         )}
+                        
+                        {/* Lazy Susan Turntables */}
+                        {Object.keys(shoppingList.hardware.turntables).length > 0 && (
+                            <div>
+                                <h3 style={{ color: '#ff6b35', borderBottom: '2px solid #ff6b35', paddingBottom: '8px' }}>
+                                    Lazy Susan Turntables
+                                </h3>
+                                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                                    <thead>
+                                        <tr style={{ background: '#333' }}>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'left' }}>Type</th>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'center' }}>Sets</th>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'right' }}>Cost</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {Object.entries(shoppingList.hardware.turntables).map(([type, data]) => (
+                                            <tr key={type}>
+                                                <td style={{ border: '1px solid #444', padding: '6px' }}>{type}</td>
+                                                <td style={{ border: '1px solid #444', padding: '6px', textAlign: 'center' }}>{data.quantity}</td>
+                                                <td style={{ border: '1px solid #444', padding: '6px', textAlign: 'right', color: '#ff6b35', fontWeight: 'bold' }}>${data.totalCost.toFixed(2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                        
+                        {/* Metal Drawer Systems */}
+                        {Object.keys(shoppingList.hardware.drawerSystems).length > 0 && (
+                            <div>
+                                <h3 style={{ color: '#ff6b35', borderBottom: '2px solid #ff6b35', paddingBottom: '8px' }}>
+                                    Metal Drawer Systems
+                                </h3>
+                                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                                    <thead>
+                                        <tr style={{ background: '#333' }}>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'left' }}>Type</th>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'center' }}>Sets</th>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'right' }}>Cost</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {Object.entries(shoppingList.hardware.drawerSystems).map(([type, data]) => (
+                                            <tr key={type}>
+                                                <td style={{ border: '1px solid #444', padding: '6px' }}>{type}</td>
+                                                <td style={{ border: '1px solid #444', padding: '6px', textAlign: 'center' }}>{data.quantity}</td>
+                                                <td style={{ border: '1px solid #444', padding: '6px', textAlign: 'right', color: '#ff6b35', fontWeight: 'bold' }}>${data.totalCost.toFixed(2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                        
+                        {/* Ordered Drawer Boxes */}
+                        {Object.keys(shoppingList.hardware.drawerBoxes).length > 0 && (
+                            <div>
+                                <h3 style={{ color: '#ff6b35', borderBottom: '2px solid #ff6b35', paddingBottom: '8px' }}>
+                                    Ordered Drawer Boxes (W x H x D)
+                                </h3>
+                                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                                    <thead>
+                                        <tr style={{ background: '#333' }}>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'left' }}>Type</th>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'center' }}>Qty</th>
+                                            <th style={{ border: '1px solid #444', padding: '6px', textAlign: 'right' }}>Cost</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {Object.entries(shoppingList.hardware.drawerBoxes).map(([type, data]) => (
+                                            <tr key={type}>
+                                                <td style={{ border: '1px solid #444', padding: '6px' }}>{type}</td>
+                                                <td style={{ border: '1px solid #444', padding: '6px', textAlign: 'center' }}>{data.quantity}</td>
+                                                <td style={{ border: '1px solid #444', padding: '6px', textAlign: 'right', color: '#ff6b35', fontWeight: 'bold' }}>${data.totalCost.toFixed(2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
                     </div>
                     
                     {/* Edgebanding */}
@@ -2923,7 +3372,42 @@ const CabinetDesigner = () => {
                             </tr>
                         </tbody>
                     </table>
-                    
+
+                    {/* Solid Wood & Molding */}
+                    {Object.keys(shoppingList.molding).length > 0 && (
+                        <>
+                            <h3 style={{ color: '#ff6b35', borderBottom: '2px solid #ff6b35', paddingBottom: '8px' }}>
+                                Solid Wood &amp; Molding
+                            </h3>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '24px' }}>
+                                <thead>
+                                    <tr style={{ background: '#333' }}>
+                                        <th style={{ border: '1px solid #444', padding: '8px', textAlign: 'left' }}>Item</th>
+                                        <th style={{ border: '1px solid #444', padding: '8px', textAlign: 'center' }}>Linear Feet</th>
+                                        <th style={{ border: '1px solid #444', padding: '8px', textAlign: 'center' }}>With Miter Allowance</th>
+                                        <th style={{ border: '1px solid #444', padding: '8px', textAlign: 'center' }}>Corners / Returns</th>
+                                        <th style={{ border: '1px solid #444', padding: '8px', textAlign: 'center' }}>Sticks</th>
+                                        <th style={{ border: '1px solid #444', padding: '8px', textAlign: 'right' }}>Price/Ft</th>
+                                        <th style={{ border: '1px solid #444', padding: '8px', textAlign: 'right' }}>Total Cost</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {Object.entries(shoppingList.molding).map(([item, data]) => (
+                                        <tr key={item}>
+                                            <td style={{ border: '1px solid #444', padding: '8px' }}>{item}</td>
+                                            <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'center' }}>{data.linearFeet.toFixed(1)}</td>
+                                            <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'center' }}>{data.allowanceFeet.toFixed(1)}</td>
+                                            <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'center' }}>{data.outsideCorners} out, {data.insideCorners} in / {data.returns}</td>
+                                            <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'center', fontWeight: 'bold' }}>{data.sticks} × {data.stockLength / 12}'</td>
+                                            <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'right' }}>${data.pricePerFoot.toFixed(2)}</td>
+                                            <td style={{ border: '1px solid #444', padding: '8px', textAlign: 'right', fontWeight: 'bold', color: '#ff6b35' }}>${data.totalCost.toFixed(2)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+
                     {/* Finish Materials */}
                     <h3 style={{ color: '#ff6b35', borderBottom: '2px solid #ff6b35', paddingBottom: '8px' }}>
                         Finish Materials
@@ -2987,7 +3471,683 @@ const CabinetDesigner = () => {
                     </div>
                 </div>
             </div>
-        );
+        );
+    };
+
+    // Door Style Library Modal - called as a function (not <DoorStyleLibraryModal />)
+    // so the text inputs keep focus while typing
+    const DoorStyleLibraryModal = () => {
+    if (!showDoorStyles) return null;
+
+    const sizeFields = [
+        ['stileWidth', 'Stile Width'],
+        ['topRailWidth', 'Top Rail'],
+        ['bottomRailWidth', 'Bottom Rail'],
+        ['grooveDepth', 'Groove Depth'],
+        ['panelThickness', 'Panel Thickness'],
+        ['panelClearance', 'Panel Clearance']
+    ];
+
+    return (
+        <div style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+        }}>
+        <div style={{
+            background: '#1a1a1a',
+            border: '2px solid #ff6b35',
+            borderRadius: '8px',
+            width: '720px',
+            maxWidth: '90vw',
+            maxHeight: '90vh',
+            overflow: 'auto',
+            padding: '24px',
+            color: '#f0f0f0'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+            <h2>Door Styles</h2>
+            <button
+                onClick={() => setShowDoorStyles(false)}
+                style={{
+                background: '#ff6b35',
+                color: '#000',
+                border: 'none',
+                padding: '8px 16px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontWeight: 'bold'
+                }}
+            >
+                Close
+            </button>
+            </div>
+
+            <div style={{ fontSize: '12px', color: '#aaa', marginBottom: '16px' }}>
+            Styles are saved with the project. Doors, drawer fronts, the cut list and shop drawings are all sized from these.
+            </div>
+
+            {doorStyles.map(style => {
+            const framed = isFramedStyle(style);
+            const warnings = validateDoorStyle(style);
+            const inUse = cabinets.filter(c => c.doorStyle === style.id || c.drawerStyle === style.id).length;
+
+            return (
+                <div key={style.id} style={{ border: '1px solid #333', borderRadius: '4px', padding: '12px', marginBottom: '12px', background: '#222' }}>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+                    <div style={{ ...inputGroupStyle, flex: 2 }}>
+                    <label style={labelStyle}>Name</label>
+                    <input
+                        type="text"
+                        value={style.name}
+                        onChange={(e) => updateDoorStyle(style.id, 'name', e.target.value)}
+                        style={inputStyle}
+                    />
+                    </div>
+                    <div style={{ ...inputGroupStyle, flex: 1 }}>
+                    <label style={labelStyle}>Panel</label>
+                    <select
+                        value={style.panelType}
+                        onChange={(e) => updateDoorStyle(style.id, 'panelType', e.target.value)}
+                        style={inputStyle}
+                    >
+                        {Object.entries(PANEL_TYPES).map(([key, panel]) => (
+                        <option key={key} value={key}>{panel.name}</option>
+                        ))}
+                    </select>
+                    </div>
+                    <div style={{ ...inputGroupStyle, flex: 1 }}>
+                    <label style={labelStyle}>Profile</label>
+                    <input
+                        type="text"
+                        value={style.profile}
+                        onChange={(e) => updateDoorStyle(style.id, 'profile', e.target.value)}
+                        style={inputStyle}
+                    />
+                    </div>
+                </div>
+
+                {framed && (
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px' }}>
+                    {sizeFields.map(([property, label]) => (
+                        <div key={property} style={inputGroupStyle}>
+                        <label style={labelStyle}>{label} (in)</label>
+                        <input
+                            type="text"
+                            value={decimalToFraction(style[property])}
+                            onChange={(e) => updateDoorStyle(style.id, property, parseFraction(e.target.value))}
+                            style={inputStyle}
+                        />
+                        </div>
+                    ))}
+                    </div>
+                )}
+
+                {warnings.map((warning, idx) => (
+                    <div key={idx} style={{ fontSize: '11px', color: '#ffaa00', marginBottom: '4px' }}>{warning}</div>
+                ))}
+
+                <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                    <span style={{ fontSize: '11px', color: '#888', flex: 1 }}>
+                    Used by {inUse} cabinet{inUse !== 1 ? 's' : ''}
+                    </span>
+                    <button
+                    onClick={() => addDoorStyle(style)}
+                    style={{...buttonStyle, fontSize: '11px', padding: '4px 8px', background: '#333'}}
+                    >
+                    Duplicate
+                    </button>
+                    <button
+                    onClick={() => deleteDoorStyle(style.id)}
+                    disabled={doorStyles.length <= 1}
+                    style={{...buttonStyle, fontSize: '11px', padding: '4px 8px', background: '#662222', opacity: doorStyles.length <= 1 ? 0.5 : 1}}
+                    >
+                    Delete
+                    </button>
+                </div>
+                </div>
+            );
+            })}
+        </div>
+        </div>
+    );
+    };
+
+    // Cabinet Catalog Modal - standard cabinets by SKU (see cabinetCatalog.js)
+    const CabinetCatalogModal = () => {
+    if (!showCatalog) return null;
+
+    const categories = [...new Set(CABINET_CATALOG.map(entry => entry.category))];
+    const skuButtonStyle = {
+        ...buttonStyle,
+        fontSize: '11px',
+        padding: '4px 8px',
+        background: '#333',
+        fontFamily: 'monospace'
+    };
+
+    return (
+        <div style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+        }}>
+        <div style={{
+            background: '#1a1a1a',
+            border: '2px solid #ff6b35',
+            borderRadius: '8px',
+            width: '720px',
+            maxWidth: '90vw',
+            maxHeight: '90vh',
+            overflow: 'auto',
+            padding: '24px',
+            color: '#f0f0f0'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+            <h2>Cabinet Catalog</h2>
+            <button
+                onClick={() => setShowCatalog(false)}
+                style={{
+                background: '#ff6b35',
+                color: '#000',
+                border: 'none',
+                padding: '8px 16px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontWeight: 'bold'
+                }}
+            >
+                Close
+            </button>
+            </div>
+
+            <div style={{ fontSize: '12px', color: '#aaa', marginBottom: '16px' }}>
+            Click a SKU to add it at the end of the run at its standard size. W3042 is 30" wide by 42" high.
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '16px' }}>
+            {categories.map(category => (
+                <button
+                key={category}
+                onClick={() => setCatalogCategory(category)}
+                style={{...buttonStyle, fontSize: '12px', padding: '6px 12px', background: category === catalogCategory ? '#ff6b35' : '#333'}}
+                >
+                {category}
+                </button>
+            ))}
+            </div>
+
+            {CABINET_CATALOG.filter(entry => entry.category === catalogCategory).map(entry => {
+            const defaults = getCatalogDefaults(entry);
+            const sku = (width, height) => getCabinetSku({ type: entry.type, catalogId: entry.id, width, height, depth: defaults.depth });
+
+            return (
+                <div key={entry.id} style={{ border: '1px solid #333', borderRadius: '4px', padding: '12px', marginBottom: '12px', background: '#222' }}>
+                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{entry.name} ({entry.prefix})</div>
+                <div style={{ fontSize: '11px', color: '#888', marginBottom: '8px' }}>
+                    {entry.heights ? 'Height in the SKU' : `${defaults.height}" high`}, {defaults.depth}" deep
+                </div>
+                {(entry.heights || [defaults.height]).map(height => (
+                    <div key={height} style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '4px' }}>
+                    {entry.widths.map(width => (
+                        <button
+                        key={width}
+                        onClick={() => handleAddCatalogCabinet(entry.id, width, height)}
+                        title={`${width}" W × ${height}" H × ${defaults.depth}" D`}
+                        style={skuButtonStyle}
+                        >
+                        {sku(width, height)}
+                        </button>
+                    ))}
+                    </div>
+                ))}
+                </div>
+            );
+            })}
+        </div>
+        </div>
+    );
+    };
+
+    // Template Library Modal - the user's saved cabinets (see templateLibrary.js)
+    const TemplateLibraryModal = () => {
+    if (!showTemplates) return null;
+
+    return (
+        <div style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+        }}>
+        <div style={{
+            background: '#1a1a1a',
+            border: '2px solid #ff6b35',
+            borderRadius: '8px',
+            width: '560px',
+            maxWidth: '90vw',
+            maxHeight: '90vh',
+            overflow: 'auto',
+            padding: '24px',
+            color: '#f0f0f0'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+            <h2>My Templates</h2>
+            <button
+                onClick={() => setShowTemplates(false)}
+                style={{
+                background: '#ff6b35',
+                color: '#000',
+                border: 'none',
+                padding: '8px 16px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontWeight: 'bold'
+                }}
+            >
+                Close
+            </button>
+            </div>
+
+            <div style={{ fontSize: '12px', color: '#aaa', marginBottom: '16px' }}>
+            Templates are kept in this browser apart from your projects, so every project can use them.
+            Save one with "Save as Template" on a selected cabinet. Export them to a file to back them up or share them.
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '16px' }}>
+            <button onClick={handleImportTemplates} style={{...buttonStyle, fontSize: '12px', padding: '6px 12px', background: '#333'}}>
+                Import...
+            </button>
+            <button onClick={handleExportTemplates} style={{...buttonStyle, fontSize: '12px', padding: '6px 12px', background: '#333'}}>
+                Export All
+            </button>
+            </div>
+
+            {templates.length === 0 ? (
+            <p style={{ color: '#666' }}>No templates yet.</p>
+            ) : (
+            templates.map(template => (
+                <div key={template.id} style={{ border: '1px solid #333', borderRadius: '4px', padding: '12px', marginBottom: '12px', background: '#222', display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <div style={{ flex: 1 }}>
+                    <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{template.name}</div>
+                    <div style={{ fontSize: '11px', color: '#888' }}>
+                    {getCabinetSku(template.cabinet)} · {(CABINET_TYPES[template.cabinet.type] || CABINET_TYPES.base).name} · {template.cabinet.width}" × {template.cabinet.height}" × {template.cabinet.depth}"
+                    {template.cabinet.drawers.length > 0 && ` · ${template.cabinet.drawers.length} drawer${template.cabinet.drawers.length !== 1 ? 's' : ''}`}
+                    </div>
+                </div>
+                <button
+                    onClick={() => handleInsertTemplate(template)}
+                    style={{...buttonStyle, fontSize: '11px', padding: '4px 8px'}}
+                >
+                    Insert
+                </button>
+                <button
+                    onClick={() => handleDeleteTemplate(template)}
+                    style={{...buttonStyle, fontSize: '11px', padding: '4px 8px', background: '#662222'}}
+                >
+                    Delete
+                </button>
+                </div>
+            ))
+            )}
+        </div>
+        </div>
+    );
+    };
+
+    // Project Variables Modal - called as a function like DoorStyleLibraryModal
+    const CountertopModal = () => {
+    const countertop = countertops.find(ct => ct.id === editingCountertopId);
+    if (!countertop) return null;
+
+    const fabrication = getCountertopFabrication(countertop, cabinets);
+    const allowed = cabinets.filter(c => (CABINET_TYPES[c.type] || CABINET_TYPES.base).allowsCountertop);
+    const onTop = allowed.filter(c => countertop.cabinetIds.includes(c.id));
+    const set = (property, value) => updateCountertop(countertop.id, { [property]: value }, `Changed ${countertop.name} ${property}`);
+
+    // fraction inputs the same way the cabinet panel does them
+    const measureInput = (label, value, onChange) => (
+        <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+        <label style={labelStyle}>{label}</label>
+        <input
+            type="text"
+            value={decimalToFraction(value || 0)}
+            onChange={(e) => onChange(parseFraction(e.target.value))}
+            style={inputStyle}
+        />
+        </div>
+    );
+    const cabinetSelect = (value, onChange) => (
+        <select value={value} onChange={(e) => onChange(onTop.find(c => String(c.id) === e.target.value).id)} style={inputStyle}>
+        {onTop.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+    );
+
+    return (
+        <div style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+        }}>
+        <div style={{
+            background: '#1a1a1a',
+            border: '2px solid #ff6b35',
+            borderRadius: '8px',
+            width: '640px',
+            maxWidth: '90vw',
+            maxHeight: '90vh',
+            overflow: 'auto',
+            padding: '24px',
+            color: '#f0f0f0'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+            <h2>{countertop.name}</h2>
+            <button
+                onClick={() => setEditingCountertopId(null)}
+                style={{
+                background: '#ff6b35',
+                color: '#000',
+                border: 'none',
+                padding: '8px 16px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontWeight: 'bold'
+                }}
+            >
+                Close
+            </button>
+            </div>
+
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+            <div style={{ ...inputGroupStyle, flex: 2, marginBottom: 0 }}>
+                <label style={labelStyle}>Name</label>
+                <input type="text" value={countertop.name} onChange={(e) => set('name', e.target.value)} style={inputStyle} />
+            </div>
+            <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+                <label style={labelStyle}>Material</label>
+                <select
+                value={countertop.material}
+                onChange={(e) => updateCountertop(countertop.id, { material: e.target.value, thickness: COUNTERTOP_MATERIALS[e.target.value].thickness }, `Changed ${countertop.name} material`)}
+                style={inputStyle}
+                >
+                {Object.keys(COUNTERTOP_MATERIALS).map(m => <option key={m} value={m}>{m}</option>)}
+                </select>
+            </div>
+            {measureInput('Thickness', countertop.thickness, value => set('thickness', value))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+            {measureInput('Front Overhang', countertop.frontOverhang, value => set('frontOverhang', value))}
+            {measureInput('Left End Overhang', countertop.leftOverhang, value => set('leftOverhang', value))}
+            {measureInput('Right End Overhang', countertop.rightOverhang, value => set('rightOverhang', value))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+            {measureInput('Backsplash Height (0 for none)', countertop.backsplash.height, value => set('backsplash', { ...countertop.backsplash, height: value }))}
+            {measureInput('Backsplash Thickness', countertop.backsplash.thickness, value => set('backsplash', { ...countertop.backsplash, thickness: value }))}
+            <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+                <label style={labelStyle}>Corner Joint</label>
+                <select value={countertop.cornerJoint} onChange={(e) => set('cornerJoint', e.target.value)} style={inputStyle}>
+                <option value="butt">Butt (longer leg runs through)</option>
+                <option value="miter">45° Miter</option>
+                </select>
+            </div>
+            </div>
+
+            <h3 style={{ fontSize: '14px', color: '#ff6b35', margin: '16px 0 8px' }}>CABINETS</h3>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', marginBottom: '12px' }}>
+            {allowed.map(c => (
+                <label key={c.id} style={{ fontSize: '12px', display: 'flex', alignItems: 'center' }}>
+                <input
+                    type="checkbox"
+                    checked={countertop.cabinetIds.includes(c.id)}
+                    onChange={() => toggleCountertopCabinet(countertop, c.id)}
+                    style={{ marginRight: '4px' }}
+                />
+                {c.name}
+                </label>
+            ))}
+            </div>
+
+            <h3 style={{ fontSize: '14px', color: '#ff6b35', margin: '16px 0 8px' }}>CUTOUTS</h3>
+            {countertop.cutouts.map(cutout => (
+            <div key={cutout.id} style={{ border: '1px solid #333', borderRadius: '4px', padding: '8px', marginBottom: '8px', background: '#222' }}>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', marginBottom: '8px' }}>
+                <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+                    <label style={labelStyle}>Type</label>
+                    <select value={cutout.type} onChange={(e) => updateCountertopItem(countertop, 'cutouts', cutout.id, { type: e.target.value })} style={inputStyle}>
+                    {Object.entries(COUNTERTOP_CUTOUTS).map(([type, spec]) => <option key={type} value={type}>{spec.name}</option>)}
+                    </select>
+                </div>
+                <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+                    <label style={labelStyle}>Centered On</label>
+                    {cabinetSelect(cutout.cabinetId, id => updateCountertopItem(countertop, 'cutouts', cutout.id, { cabinetId: id }))}
+                </div>
+                <button
+                    onClick={() => removeCountertopItem(countertop, 'cutouts', cutout.id)}
+                    style={{...buttonStyle, fontSize: '11px', padding: '8px', background: '#662222'}}
+                >
+                    Delete
+                </button>
+                </div>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                {measureInput('Width', cutout.width, value => updateCountertopItem(countertop, 'cutouts', cutout.id, { width: value }))}
+                {measureInput('Depth', cutout.depth, value => updateCountertopItem(countertop, 'cutouts', cutout.id, { depth: value }))}
+                {measureInput('From Front Edge', cutout.setback, value => updateCountertopItem(countertop, 'cutouts', cutout.id, { setback: value }))}
+                <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+                    <label style={labelStyle}>Off Center (+ right)</label>
+                    <input
+                    type="number"
+                    step="0.125"
+                    value={cutout.offset}
+                    onChange={(e) => updateCountertopItem(countertop, 'cutouts', cutout.id, { offset: parseFloat(e.target.value) || 0 })}
+                    style={inputStyle}
+                    />
+                </div>
+                </div>
+            </div>
+            ))}
+            {onTop.length > 0 && (
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                {Object.entries(COUNTERTOP_CUTOUTS).map(([type, spec]) => (
+                <button
+                    key={type}
+                    onClick={() => {
+                    const under = onTop.find(c => c.type === 'sinkBase') || onTop[0];
+                    updateCountertop(countertop.id, { cutouts: [...countertop.cutouts, createCountertopCutout(type, type === 'sink' ? under.id : onTop[0].id)] }, `Added ${spec.name.toLowerCase()} cutout`);
+                    }}
+                    style={{...buttonStyle, flex: 1, background: '#333'}}
+                >
+                    + {spec.name} Cutout
+                </button>
+                ))}
+            </div>
+            )}
+
+            <h3 style={{ fontSize: '14px', color: '#ff6b35', margin: '16px 0 8px' }}>SEAMS</h3>
+            {countertop.seams.map(seam => (
+            <div key={seam.id} style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', marginBottom: '8px' }}>
+                <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+                <label style={labelStyle}>Over Cabinet</label>
+                {cabinetSelect(seam.cabinetId, id => updateCountertopItem(countertop, 'seams', seam.id, { cabinetId: id }))}
+                </div>
+                {measureInput('From Its Left End', seam.at, value => updateCountertopItem(countertop, 'seams', seam.id, { at: value }))}
+                <button
+                onClick={() => removeCountertopItem(countertop, 'seams', seam.id)}
+                style={{...buttonStyle, fontSize: '11px', padding: '8px', background: '#662222'}}
+                >
+                Delete
+                </button>
+            </div>
+            ))}
+            {onTop.length > 0 && (
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                <button
+                onClick={() => updateCountertop(countertop.id, { seams: [...countertop.seams, { id: Date.now(), cabinetId: onTop[0].id, at: onTop[0].width }] }, 'Added seam')}
+                style={{...buttonStyle, flex: 1, background: '#333'}}
+                >
+                + Seam
+                </button>
+                <button onClick={() => handleSuggestSeams(countertop)} style={{...buttonStyle, flex: 1, background: '#333'}}>
+                Place Seams for {countertop.material} Slabs
+                </button>
+            </div>
+            )}
+
+            <h3 style={{ fontSize: '14px', color: '#ff6b35', margin: '16px 0 8px' }}>PIECES</h3>
+            {fabrication.pieces.map(piece => (
+            <div key={piece.label} style={{ fontSize: '12px', padding: '4px 0', borderBottom: '1px solid #333' }}>
+                <strong>{piece.label}</strong> {formatMeasurement(piece.length, measurementFormat)} × {formatMeasurement(piece.depth, measurementFormat)} · {piece.squareFeet.toFixed(2)} sq ft
+                <div style={{ fontSize: '11px', color: '#999' }}>Left: {piece.leftEnd} · Right: {piece.rightEnd}</div>
+            </div>
+            ))}
+            <div style={{ fontSize: '12px', color: '#aaa', margin: '8px 0' }}>
+            Top {fabrication.totals.topSquareFeet.toFixed(2)} sq ft + backsplash {fabrication.totals.backsplashSquareFeet.toFixed(2)} sq ft = <strong style={{ color: '#ff6b35' }}>{fabrication.totals.squareFeet.toFixed(2)} sq ft</strong> · {(fabrication.totals.finishedEdge / 12).toFixed(1)} lin ft finished edge
+            </div>
+            {fabrication.warnings.map((warning, i) => (
+            <div key={i} style={{ fontSize: '11px', color: '#ff4444', marginTop: '4px' }}>⚠ {warning}</div>
+            ))}
+
+            <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+            <button onClick={handleCountertopSheet} style={{...buttonStyle, flex: 1}}>
+                Fabrication Sheet
+            </button>
+            <button onClick={() => deleteCountertop(countertop.id)} style={{...buttonStyle, background: '#662222'}}>
+                Delete Countertop
+            </button>
+            </div>
+        </div>
+        </div>
+    );
+    };
+
+    const ProjectVariablesModal = () => {
+    if (!showProjectVariables) return null;
+
+    const { variables: resolved } = resolveProjectExpressions(cabinets, projectVariables);
+
+    return (
+        <div style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+        }}>
+        <div style={{
+            background: '#1a1a1a',
+            border: '2px solid #ff6b35',
+            borderRadius: '8px',
+            width: '560px',
+            maxWidth: '90vw',
+            maxHeight: '90vh',
+            overflow: 'auto',
+            padding: '24px',
+            color: '#f0f0f0'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+            <h2>Project Variables</h2>
+            <button
+                onClick={() => setShowProjectVariables(false)}
+                style={{
+                background: '#ff6b35',
+                color: '#000',
+                border: 'none',
+                padding: '8px 16px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontWeight: 'bold'
+                }}
+            >
+                Close
+            </button>
+            </div>
+
+            <div style={{ fontSize: '12px', color: '#aaa', marginBottom: '16px' }}>
+            Variables are saved with the project. Use them in any dimension by starting it with =, e.g. = ceilingHeight - 54 - crownHeight.
+            A variable can be a formula too, e.g. = (runLength - 3) / 4. Cabinets follow along when a variable changes.
+            </div>
+
+            {Object.entries(projectVariables).map(([name, text]) => (
+            <div key={name} style={{ border: '1px solid #333', borderRadius: '4px', padding: '12px', marginBottom: '12px', background: '#222' }}>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+                <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+                    <label style={labelStyle}>Name</label>
+                    <input
+                    type="text"
+                    defaultValue={name}
+                    onBlur={(e) => {
+                        renameProjectVariable(name, e.target.value);
+                        e.target.value = name;
+                    }}
+                    style={inputStyle}
+                    />
+                </div>
+                <div style={{ ...inputGroupStyle, flex: 1, marginBottom: 0 }}>
+                    <label style={labelStyle}>Value</label>
+                    <input
+                    type="text"
+                    placeholder="96 or = 8 * 12"
+                    value={text}
+                    onChange={(e) => setProjectVariable(name, e.target.value)}
+                    style={inputStyle}
+                    />
+                </div>
+                <button
+                    onClick={() => deleteProjectVariable(name)}
+                    style={{...buttonStyle, fontSize: '11px', padding: '8px', background: '#662222'}}
+                >
+                    Delete
+                </button>
+                </div>
+                {resolved[name] !== undefined && (
+                <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>= {formatMeasurement(resolved[name], measurementFormat)}</div>
+                )}
+                {renderExpressionError(`var:${name}`)}
+            </div>
+            ))}
+
+            <button
+            onClick={addProjectVariable}
+            style={{...buttonStyle, width: '100%', background: '#333'}}
+            >
+            + Add Variable
+            </button>
+        </div>
+        </div>
+    );
     };
 
     // History Timeline Modal
@@ -3270,7 +4430,10 @@ const CabinetDesigner = () => {
                     includeCoverPage: true,
                     includeCutList: true,
                     includeShoppingList: true,
-                    includeShopDrawings: true
+                    includeShopDrawings: true,
+                    doorStyles,
+                    materialCosts,
+                    laborRate
                 });
             }} style={{...buttonStyle, background: '#2196F3', padding: '6px 10px'}} title="Export PDF with Shop Drawings">
             <FileText size={16} />
@@ -3280,7 +4443,10 @@ const CabinetDesigner = () => {
                     includeCoverPage: true,
                     includeCutList: false,
                     includeShoppingList: false,
-                    includeShopDrawings: true
+                    includeShopDrawings: true,
+                    doorStyles,
+                    materialCosts,
+                    laborRate
                 });
             }} style={{...buttonStyle, background: '#9C27B0', padding: '6px 10px'}} title="Print Shop Drawings">
             <FileText size={16} />
@@ -3291,6 +4457,11 @@ const CabinetDesigner = () => {
         <CutListModal />
         <ShoppingListModal />
         <HistoryTimelineModal />
+        {DoorStyleLibraryModal()}
+        {ProjectVariablesModal()}
+        {CountertopModal()}
+        {CabinetCatalogModal()}
+        {TemplateLibraryModal()}
 
         {/* main content */}
         <div style={{ display: 'flex', flex: 1, overflow: 'hidden', position: 'relative' }}>
@@ -3336,6 +4507,23 @@ const CabinetDesigner = () => {
             alignItems: 'center'
             }}>
             <span style={{ fontWeight: 'bold', fontSize: '14px' }}>CABINETS</span>
+            <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={() => setShowCatalog(true)} style={{
+                ...buttonStyle,
+                padding: '6px 12px',
+                fontSize: '12px',
+                background: '#333'
+            }}>
+                Catalog
+            </button>
+            <button onClick={() => setShowTemplates(true)} style={{
+                ...buttonStyle,
+                padding: '6px 12px',
+                fontSize: '12px',
+                background: '#333'
+            }}>
+                Templates
+            </button>
             <button onClick={handleAddCabinet} style={{
                 ...buttonStyle,
                 padding: '6px 12px',
@@ -3345,6 +4533,7 @@ const CabinetDesigner = () => {
                 Add
             </button>
             </div>
+            </div>
 
             <div className="sidebar-content-transition" style={{ 
                 flex: 1, 
@@ -3397,7 +4586,7 @@ const CabinetDesigner = () => {
                         {isSelectedForAlign && isAlignMode && <span style={{ fontSize: '10px', background: '#2196F3', padding: '2px 6px', borderRadius: '3px' }}>✓</span>}
                     </div>
                     <div style={{ fontSize: '12px', opacity: 0.8 }}>
-                        {cabinet.width}" × {cabinet.height}" × {cabinet.depth}"
+                        {getCabinetSku(cabinet)} · {cabinet.width}" × {cabinet.height}" × {cabinet.depth}"
                     </div>
                     </div>
                     <button
@@ -3466,6 +4655,21 @@ const CabinetDesigner = () => {
                     justifyContent: 'flex-end',
                     gap: '8px'
                 }}>
+                    <button
+                        onClick={toggleAllFronts}
+                        style={{
+                            ...buttonStyle,
+                            padding: '6px 12px',
+                            fontSize: '11px',
+                            background: openDoors.size > 0 || openDrawers.size > 0 ? '#4CAF50' : '#333',
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '6px'
+                        }}
+                        title="Swing every door open and pull out every drawer - check clearances to walls, appliances and the cabinets beside them"
+                    >
+                        🚪 {openDoors.size > 0 || openDrawers.size > 0 ? 'Close All' : 'Open All'}
+                    </button>
                     <button
                         onClick={() => {
                             const formats = ['both', 'fraction', 'decimal'];
@@ -3585,6 +4789,7 @@ const CabinetDesigner = () => {
                     <thead>
                         <tr style={{ background: '#1a1a1a', borderBottom: '2px solid #ff6b35' }}>
                         <th style={{...tableHeaderStyle, fontSize: '11px'}}>Cabinet</th>
+                        <th style={{...tableHeaderStyle, fontSize: '11px'}}>SKU</th>
                         <th style={{...tableHeaderStyle, fontSize: '11px'}}>Part</th>
                         <th style={{...tableHeaderStyle, fontSize: '11px'}}>Qty</th>
                         <th style={{...tableHeaderStyle, fontSize: '11px'}}>Width</th>
@@ -3595,15 +4800,16 @@ const CabinetDesigner = () => {
                         </tr>
                     </thead>
                     <tbody>
-                        {generateCutList().map((item, idx) => (
+                        {design.parts.map((item, idx) => (
                         <tr key={idx} style={{ borderBottom: '1px solid #333' }}>
                             <td style={{...tableCellStyle, fontSize: '11px'}}>{item.cabinet}</td>
+                            <td style={{...tableCellStyle, fontSize: '11px', fontFamily: 'monospace'}}>{item.sku}</td>
                             <td style={{...tableCellStyle, fontSize: '11px'}}>{item.part}</td>
                             <td style={{...tableCellStyle, fontSize: '11px'}}>{item.quantity}</td>
                             <td style={{...tableCellStyle, fontSize: '11px'}}>{item.width > 0 ? formatMeasurement(item.width, measurementFormat) : '-'}</td>
                             <td style={{...tableCellStyle, fontSize: '11px'}}>{item.height > 0 ? formatMeasurement(item.height, measurementFormat) : '-'}</td>
                             <td style={{...tableCellStyle, fontSize: '11px'}}>{item.thickness > 0 ? `${item.thickness}"` : '-'}</td>
-                            <td style={{...tableCellStyle, fontSize: '11px'}}>{item.material}</td>
+                            <td style={{...tableCellStyle, fontSize: '11px'}}>{getStockLabel(item)}</td>
                             <td style={{...tableCellStyle, fontSize: '10px', color: '#aaa'}}>{item.notes}</td>
                         </tr>
                         ))}
@@ -3620,7 +4826,7 @@ const CabinetDesigner = () => {
                     <p style={{ color: '#666' }}>Add cabinets to calculate materials</p>
                 ) : (
                     <div>
-                    {Object.entries(calculateMaterials()).map(([material, data]) => (
+                    {Object.entries(design.materials).map(([material, data]) => (
                         <div key={material} style={{
                         background: '#1a1a1a',
                         padding: '16px',
@@ -3633,7 +4839,7 @@ const CabinetDesigner = () => {
                             marginBottom: '8px',
                             color: '#ff6b35'
                         }}>
-                            {material}
+                            {data.name}
                         </h3>
                         <div style={{ fontSize: '14px', lineHeight: '1.8' }}>
                             <div>Area needed: {data.area.toFixed(1)} sq ft</div>
@@ -3650,9 +4856,7 @@ const CabinetDesigner = () => {
                         fontWeight: 'bold',
                         fontSize: '18px'
                     }}>
-                        Total Material Cost: ${Object.values(calculateMaterials())
-                        .reduce((sum, data) => sum + data.cost, 0)
-                        .toFixed(2)}
+                        Total Material Cost: ${design.pricing.materialCost.toFixed(2)}
                     </div>
 
                     {/* Sheet Cut Optimization Section */}
@@ -3661,7 +4865,7 @@ const CabinetDesigner = () => {
                         <p style={{ color: '#aaa', fontSize: '12px', marginBottom: '16px' }}>
                             Optimized grouping for 4' x 8' (48" x 96") sheets with 10% waste factor
                         </p>
-                        {Object.entries(generateSheetOptimization()).map(([key, group]) => (
+                        {Object.entries(design.sheets).map(([key, group]) => (
                             <div key={key} style={{
                                 background: '#1a1a1a',
                                 padding: '16px',
@@ -3682,7 +4886,9 @@ const CabinetDesigner = () => {
                                         color: '#4CAF50',
                                         margin: 0
                                     }}>
-                                        {group.material} ({group.thickness}")
+                                        {group.name} ({group.nominal === group.thickness
+                                            ? decimalToFraction(group.thickness)
+                                            : `${decimalToFraction(group.nominal)} nominal, ${group.thickness}" actual`})
                                     </h3>
                                     <div style={{ fontSize: '14px', color: '#fff' }}>
                                         <strong>{group.sheetsNeeded}</strong> sheets needed
@@ -3757,13 +4963,31 @@ const CabinetDesigner = () => {
                         style={{...inputStyle, maxWidth: '200px'}}
                         />
                     </div>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '24px' }}>
+                    <thead>
+                        <tr style={{ background: '#1a1a1a', borderBottom: '2px solid #ff6b35' }}>
+                        <th style={tableHeaderStyle}>SKU</th>
+                        <th style={tableHeaderStyle}>Cabinet</th>
+                        <th style={tableHeaderStyle}>Size (W × H × D)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {design.schedule.map((row, idx) => (
+                        <tr key={idx} style={{ borderBottom: '1px solid #333' }}>
+                            <td style={{...tableCellStyle, fontFamily: 'monospace', fontWeight: 'bold'}}>{row.sku}</td>
+                            <td style={tableCellStyle}>{row.cabinet}</td>
+                            <td style={tableCellStyle}>{decimalToFraction(row.width)} × {decimalToFraction(row.height)} × {decimalToFraction(row.depth)}</td>
+                        </tr>
+                        ))}
+                    </tbody>
+                    </table>
                     <div style={{ background: '#1a1a1a', padding: '16px', borderRadius: '4px' }}>
                         <div style={{ fontSize: '16px', lineHeight: '2' }}>
-                        <div>Material Cost: ${Object.values(calculateMaterials()).reduce((sum, data) => sum + data.cost, 0).toFixed(2)}</div>
-                        <div>Estimated Labor: {(cabinets.length * 4).toFixed(1)} hours</div>
-                        <div>Labor Cost: ${(cabinets.length * 4 * laborRate).toFixed(2)}</div>
+                        <div>Material Cost: ${design.pricing.materialCost.toFixed(2)}</div>
+                        <div>Estimated Labor: {design.pricing.laborHours.toFixed(1)} hours</div>
+                        <div>Labor Cost: ${design.pricing.laborCost.toFixed(2)}</div>
                         <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '2px solid #ff6b35', fontWeight: 'bold', fontSize: '20px', color: '#ff6b35' }}>
-                            Total Estimate: ${(Object.values(calculateMaterials()).reduce((sum, data) => sum + data.cost, 0) + cabinets.length * 4 * laborRate).toFixed(2)}
+                            Total Estimate: ${design.pricing.total.toFixed(2)}
                         </div>
                         </div>
                     </div>
@@ -3867,20 +5091,50 @@ const CabinetDesigner = () => {
                 onChange={(e) => updateCabinet(selectedCabinet.id, 'name', e.target.value)}
                 style={inputStyle}
                 />
+                <button
+                onClick={() => handleSaveTemplate(selectedCabinet.id)}
+                style={{...buttonStyle, marginTop: '6px', fontSize: '11px', padding: '4px 8px', background: '#333'}}
+                >
+                Save as Template
+                </button>
+            </div>
+
+            <div style={inputGroupStyle}>
+                <label style={labelStyle}>Cabinet Type</label>
+                <select
+                value={selectedCabinet.type || 'base'}
+                onChange={(e) => switchCabinetType(selectedCabinet.id, e.target.value)}
+                style={inputStyle}
+                >
+                {Object.entries(CABINET_TYPES).map(([key, spec]) => (
+                    <option key={key} value={key}>{spec.name}</option>
+                ))}
+                </select>
             </div>
 
             <div className="section-header">DIMENSIONS</div>
 
+            <div style={{ fontSize: '11px', color: '#999', marginBottom: '10px' }}>
+                Start with = to use a formula, e.g. = ceilingHeight - 54 or = Cabinet 2.width
+                <button
+                onClick={() => setShowProjectVariables(true)}
+                style={{...buttonStyle, display: 'block', marginTop: '6px', fontSize: '11px', padding: '4px 8px', background: '#333'}}
+                >
+                Project Variables ({Object.keys(projectVariables).length})
+                </button>
+            </div>
+
             <div style={inputGroupStyle}>
                 <label style={labelStyle}>Width</label>
                 <input
                 type="text"
                 placeholder="36 or 36 3/4 or 3/4"
-                value={decimalToFraction(selectedCabinet.width)}
-                onChange={(e) => updateCabinet(selectedCabinet.id, 'width', parseFraction(e.target.value))}
+                value={dimensionText(selectedCabinet, 'width')}
+                onChange={(e) => updateCabinetDimension(selectedCabinet.id, 'width', e.target.value)}
                 style={inputStyle}
                 />
                 <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet.width, measurementFormat)}</div>
+                {renderExpressionError(`${selectedCabinet.id}:width`)}
             </div>
 
             <div style={inputGroupStyle}>
@@ -3888,11 +5142,12 @@ const CabinetDesigner = () => {
                 <input
                 type="text"
                 placeholder="36 or 36 3/4 or 3/4"
-                value={decimalToFraction(selectedCabinet.height)}
-                onChange={(e) => updateCabinet(selectedCabinet.id, 'height', parseFraction(e.target.value))}
+                value={dimensionText(selectedCabinet, 'height')}
+                onChange={(e) => updateCabinetDimension(selectedCabinet.id, 'height', e.target.value)}
                 style={inputStyle}
                 />
                 <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet.height, measurementFormat)}</div>
+                {renderExpressionError(`${selectedCabinet.id}:height`)}
             </div>
 
             <div style={inputGroupStyle}>
@@ -3900,13 +5155,165 @@ const CabinetDesigner = () => {
                 <input
                 type="text"
                 placeholder="24 or 24 3/4 or 3/4"
-                value={decimalToFraction(selectedCabinet.depth)}
-                onChange={(e) => updateCabinet(selectedCabinet.id, 'depth', parseFraction(e.target.value))}
+                value={dimensionText(selectedCabinet, 'depth')}
+                onChange={(e) => updateCabinetDimension(selectedCabinet.id, 'depth', e.target.value)}
                 style={inputStyle}
                 />
                 <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet.depth, measurementFormat)}</div>
+                {renderExpressionError(`${selectedCabinet.id}:depth`)}
             </div>
 
+            {CABINET_TYPES[selectedCabinet.type]?.mounted === 'wall' && (
+                <div style={inputGroupStyle}>
+                    <label style={labelStyle}>Mounting Height (bottom above floor)</label>
+                    <input
+                    type="text"
+                    placeholder="54 or 54 1/2"
+                    value={dimensionText(selectedCabinet, 'mountingHeight')}
+                    onChange={(e) => updateCabinetDimension(selectedCabinet.id, 'mountingHeight', e.target.value)}
+                    style={inputStyle}
+                    />
+                    <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet.mountingHeight || 0, measurementFormat)}</div>
+                    {renderExpressionError(`${selectedCabinet.id}:mountingHeight`)}
+                </div>
+            )}
+
+            {CABINET_TYPES[selectedCabinet.type]?.blindCorner && (
+                <>
+                <div style={inputGroupStyle}>
+                    <label style={labelStyle}>Blind Side (end in the corner)</label>
+                    <select
+                    value={selectedCabinet.blindSide || 'left'}
+                    onChange={(e) => updateCabinet(selectedCabinet.id, 'blindSide', e.target.value)}
+                    style={inputStyle}
+                    >
+                    <option value="left">Left</option>
+                    <option value="right">Right</option>
+                    </select>
+                </div>
+
+                {[
+                    { property: 'blindDepth', label: 'Blind Depth (adjoining run depth)', placeholder: '24' },
+                    { property: 'pullOutDistance', label: 'Pull-Out Distance (from side wall)', placeholder: '3' },
+                    { property: 'fillerWidth', label: 'Filler Width', placeholder: '3' }
+                ].map(({ property, label, placeholder }) => (
+                    <div key={property} style={inputGroupStyle}>
+                    <label style={labelStyle}>{label}</label>
+                    <input
+                        type="text"
+                        placeholder={placeholder}
+                        value={decimalToFraction(selectedCabinet[property] || 0)}
+                        onChange={(e) => updateCabinet(selectedCabinet.id, property, parseFraction(e.target.value))}
+                        style={inputStyle}
+                    />
+                    <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet[property] || 0, measurementFormat)}</div>
+                    </div>
+                ))}
+
+                <div style={{ fontSize: '11px', color: '#999', marginBottom: '16px' }}>
+                    Dead panel: {formatMeasurement(getBlindCornerLayout(selectedCabinet).deadPanelWidth, measurementFormat)} · Door opening: {formatMeasurement(getFrontOpening(selectedCabinet).width, measurementFormat)}
+                </div>
+                </>
+            )}
+
+            {CABINET_TYPES[selectedCabinet.type]?.sinkBase && (
+                <>
+                <div style={inputGroupStyle}>
+                    <label style={labelStyle}>False Fronts</label>
+                    <select
+                    value={selectedCabinet.falseFrontStyle || 'tiltOut'}
+                    onChange={(e) => updateCabinet(selectedCabinet.id, 'falseFrontStyle', e.target.value)}
+                    style={inputStyle}
+                    >
+                    <option value="tiltOut">Tilt-Out</option>
+                    <option value="fixed">Fixed</option>
+                    </select>
+                </div>
+
+                <div style={inputGroupStyle}>
+                    <label style={labelStyle}>False Front Height</label>
+                    <input
+                    type="text"
+                    placeholder="6"
+                    value={decimalToFraction(selectedCabinet.falseFrontHeight || 0)}
+                    onChange={(e) => updateCabinet(selectedCabinet.id, 'falseFrontHeight', parseFraction(e.target.value))}
+                    style={inputStyle}
+                    />
+                    <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet.falseFrontHeight || 0, measurementFormat)}</div>
+                </div>
+
+                {selectedCabinet.backPanel ? (
+                    <>
+                    <div style={{ ...inputGroupStyle, flexDirection: 'row', alignItems: 'center' }}>
+                    <input
+                        type="checkbox"
+                        checked={!!selectedCabinet.plumbingCutout}
+                        onChange={(e) => updateCabinet(selectedCabinet.id, 'plumbingCutout', e.target.checked)}
+                        style={{ marginRight: '8px' }}
+                    />
+                    <label style={{ ...labelStyle, marginBottom: 0 }}>Plumbing Cutout in Back</label>
+                    </div>
+
+                    {selectedCabinet.plumbingCutout && [
+                    { property: 'plumbingCutoutWidth', label: 'Cutout Width', placeholder: '24' },
+                    { property: 'plumbingCutoutHeight', label: 'Cutout Height', placeholder: '12' },
+                    { property: 'plumbingCutoutBottom', label: 'Cutout Bottom (from bottom of back)', placeholder: '6' }
+                    ].map(({ property, label, placeholder }) => (
+                    <div key={property} style={inputGroupStyle}>
+                        <label style={labelStyle}>{label}</label>
+                        <input
+                        type="text"
+                        placeholder={placeholder}
+                        value={decimalToFraction(selectedCabinet[property] || 0)}
+                        onChange={(e) => updateCabinet(selectedCabinet.id, property, parseFraction(e.target.value))}
+                        style={inputStyle}
+                        />
+                        <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet[property] || 0, measurementFormat)}</div>
+                    </div>
+                    ))}
+                    </>
+                ) : (
+                    <div style={{ fontSize: '11px', color: '#999', marginBottom: '16px' }}>
+                    No back - turn on Back Panel below to add one with a plumbing cutout
+                    </div>
+                )}
+                </>
+            )}
+
+            {CABINET_TYPES[selectedCabinet.type]?.cornerShape && (
+                <>
+                <div style={inputGroupStyle}>
+                    <label style={labelStyle}>Corner Side</label>
+                    <select
+                    value={selectedCabinet.cornerSide || 'left'}
+                    onChange={(e) => updateCabinet(selectedCabinet.id, 'cornerSide', e.target.value)}
+                    style={inputStyle}
+                    >
+                    <option value="left">Left</option>
+                    <option value="right">Right</option>
+                    </select>
+                    <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>
+                    Width is measured along each wall · Front {getCornerFootprint(selectedCabinet).shape === 'diagonal' ? 'face' : 'faces'}: {formatMeasurement(getFrontOpening(selectedCabinet).width, measurementFormat)}
+                    </div>
+                </div>
+
+                {CABINET_TYPES[selectedCabinet.type].cornerShape === 'lShape' && (
+                    <div style={inputGroupStyle}>
+                    <label style={labelStyle}>Lazy Susan Turntable</label>
+                    <select
+                        value={selectedCabinet.turntableType || 'Kidney 28"'}
+                        onChange={(e) => updateCabinet(selectedCabinet.id, 'turntableType', e.target.value)}
+                        style={inputStyle}
+                    >
+                        {Object.keys(HARDWARE_SPECS.turntables).map(type => (
+                        <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                    </div>
+                )}
+                </>
+            )}
+
             <div style={{ marginBottom: '16px' }}>
                 <button
                     onClick={() => {
@@ -3914,15 +5321,17 @@ const CabinetDesigner = () => {
                         const sortedCabinets = [...cabinets].sort((a, b) => a.xPosition - b.xPosition);
                         const currentIndex = sortedCabinets.findIndex(c => c.id === selectedCabinet.id);
                         
+                        // getSnapPlacement turns the corner when the neighbor is a corner cabinet
                         if (currentIndex > 0) {
                             const leftCabinet = sortedCabinets[currentIndex - 1];
-                            const snapPosition = leftCabinet.xPosition + leftCabinet.width;
-                            updateCabinet(selectedCabinet.id, 'xPosition', snapPosition);
+                            const placement = getSnapPlacement(selectedCabinet, leftCabinet, 'right');
+                            placeCabinets([{ id: selectedCabinet.id, ...placement }], `Snapped ${selectedCabinet.name}`);
                         } else if (currentIndex < sortedCabinets.length - 1) {
                             // If it's the leftmost, snap to the right cabinet
                             const rightCabinet = sortedCabinets[currentIndex + 1];
-                            const snapPosition = rightCabinet.xPosition - selectedCabinet.width;
-                            updateCabinet(selectedCabinet.id, 'xPosition', Math.max(0, snapPosition));
+                            const placement = getSnapPlacement(selectedCabinet, rightCabinet, 'left');
+                            if (!placement.rotation) placement.xPosition = Math.max(0, placement.xPosition);
+                            placeCabinets([{ id: selectedCabinet.id, ...placement }], `Snapped ${selectedCabinet.name}`);
                         }
                     }}
                     style={{...buttonStyle, width: '100%', fontSize: '12px', background: '#4CAF50', marginBottom: '8px'}}
@@ -3984,20 +5393,123 @@ const CabinetDesigner = () => {
                 </select>
             </div>
 
+            {getFaceFrameSettings(selectedCabinet) && (
+                <div style={{ background: '#252525', padding: '12px', borderRadius: '4px', marginBottom: '16px' }}>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                    {[
+                    ['stileWidth', 'Stiles'],
+                    ['midStileWidth', 'Mid-Stiles'],
+                    ['topRailWidth', 'Top Rail'],
+                    ['bottomRailWidth', 'Bottom Rail'],
+                    ['midRailWidth', 'Mid-Rails'],
+                    ['overhang', 'Overhang'],
+                    ['scribeLeft', 'Scribe Left'],
+                    ['scribeRight', 'Scribe Right']
+                    ].map(([property, label]) => (
+                    <div key={property} style={{ ...inputGroupStyle, marginBottom: 0 }}>
+                        <label style={labelStyle}>{label}</label>
+                        <input
+                        type="text"
+                        value={decimalToFraction(getFaceFrameSettings(selectedCabinet)[property])}
+                        onChange={(e) => updateCabinet(selectedCabinet.id, 'faceFrame', { ...(selectedCabinet.faceFrame || {}), [property]: parseFraction(e.target.value) })}
+                        style={inputStyle}
+                        />
+                    </div>
+                    ))}
+                </div>
+                <div style={{ ...inputGroupStyle, marginTop: '8px', marginBottom: 0 }}>
+                    <label style={labelStyle}>Frame Wood</label>
+                    <select
+                    value={getFaceFrameSettings(selectedCabinet).material}
+                    onChange={(e) => updateCabinet(selectedCabinet.id, 'faceFrame', { ...(selectedCabinet.faceFrame || {}), material: e.target.value })}
+                    style={inputStyle}
+                    >
+                    {['hardwood', 'oak', 'maple', 'cherry', 'walnut'].map(wood => (
+                        <option key={wood} value={wood}>{wood.charAt(0).toUpperCase() + wood.slice(1)}</option>
+                    ))}
+                    </select>
+                </div>
+                </div>
+            )}
+
+            <div style={{ background: '#252525', padding: '12px', borderRadius: '4px', marginBottom: '16px' }}>
+                <label style={labelStyle}>Sheet Stock</label>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                {Object.entries(PART_STOCK_ROLES).map(([role, label]) => (
+                    <div key={role} style={{ ...inputGroupStyle, marginBottom: 0 }}>
+                    <label style={labelStyle}>{label}</label>
+                    <select
+                        value={getPartStock(selectedCabinet, role).id}
+                        onChange={(e) => updateCabinetStock(selectedCabinet.id, role, e.target.value)}
+                        style={inputStyle}
+                    >
+                        {Object.entries(STOCK_CATALOG).map(([stockId, stock]) => (
+                        <option key={stockId} value={stockId}>{stock.name} ({stock.actual}")</option>
+                        ))}
+                    </select>
+                    </div>
+                ))}
+                </div>
+            </div>
+
+            <div style={{ background: '#252525', padding: '12px', borderRadius: '4px', marginBottom: '16px' }}>
+                <label style={labelStyle}>Joinery</label>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                {[
+                    ['box', 'Box'],
+                    ['back', 'Back'],
+                    ['drawer', 'Drawer Box']
+                ].map(([assembly, label]) => (
+                    <div key={assembly} style={{ ...inputGroupStyle, marginBottom: 0 }}>
+                    <label style={labelStyle}>{label}</label>
+                    <select
+                        value={getJoinerySettings(selectedCabinet)[assembly]}
+                        onChange={(e) => updateCabinet(selectedCabinet.id, 'joinery', { ...getJoinerySettings(selectedCabinet), [assembly]: e.target.value })}
+                        style={inputStyle}
+                    >
+                        {Object.entries(JOINERY_TYPES[assembly]).map(([key, joint]) => (
+                        <option key={key} value={key}>{joint.name}</option>
+                        ))}
+                    </select>
+                    </div>
+                ))}
+                {[
+                    ['dadoDepth', 'Dado Depth'],
+                    ['backGrooveDepth', 'Back Groove Depth'],
+                    ['bottomGrooveDepth', 'Drawer Bottom Groove']
+                ].map(([property, label]) => (
+                    <div key={property} style={{ ...inputGroupStyle, marginBottom: 0 }}>
+                    <label style={labelStyle}>{label}</label>
+                    <input
+                        type="text"
+                        value={decimalToFraction(getJoinerySettings(selectedCabinet)[property])}
+                        onChange={(e) => updateCabinet(selectedCabinet.id, 'joinery', { ...getJoinerySettings(selectedCabinet), [property]: parseFraction(e.target.value) })}
+                        style={inputStyle}
+                    />
+                    </div>
+                ))}
+                </div>
+            </div>
+
             <div className="section-header">DOORS</div>
 
             <div style={inputGroupStyle}>
                 <label style={labelStyle}>Door Style</label>
                 <select
-                value={selectedCabinet.doorStyle}
+                value={getDoorStyle(selectedCabinet.doorStyle, doorStyles).id}
                 onChange={(e) => updateCabinet(selectedCabinet.id, 'doorStyle', e.target.value)}
                 style={inputStyle}
                 >
-                <option value="shaker">Shaker</option>
-                <option value="flat">Flat/Slab</option>
-                <option value="raised">Raised Panel</option>
-                <option value="glass">Glass Insert</option>
+                {doorStyles.map(style => (
+                    <option key={style.id} value={style.id}>{style.name}</option>
+                ))}
                 </select>
+                <button
+                onClick={() => setShowDoorStyles(true)}
+                style={{...buttonStyle, marginTop: '4px', fontSize: '11px', padding: '4px 6px'}}
+                >
+                Edit Door Styles...
+                </button>
             </div>
 
             <div style={{ ...inputGroupStyle, display: 'flex', alignItems: 'center', gap: '6px' }}>
@@ -4013,13 +5525,18 @@ const CabinetDesigner = () => {
                 </label>
             </div>
 
+            {getCabinetSections(selectedCabinet) ? (
+            <div style={{ fontSize: '11px', color: '#999', marginBottom: '16px' }}>
+                Doors are set for each section under Partitions
+            </div>
+            ) : (
             <div style={inputGroupStyle}>
-                <label style={labelStyle}>Number of Doors</label>
+                <label style={labelStyle}>{CABINET_TYPES[selectedCabinet.type]?.splitDoors ? 'Lower Doors' : 'Number of Doors'}</label>
                 <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
                     <input
                     type="number"
                     min="0"
-                    max={selectedCabinet.doubleDoor ? 2 : getMaxDoors(selectedCabinet.width)}
+                    max={selectedCabinet.doubleDoor ? 2 : getMaxDoors(getFrontOpening(selectedCabinet).width)}
                     value={selectedCabinet.doors}
                     onChange={(e) => {
                         const newDoors = parseInt(e.target.value);
@@ -4045,9 +5562,55 @@ const CabinetDesigner = () => {
                     </button>
                 </div>
             </div>
+            )}
+
+            {CABINET_TYPES[selectedCabinet.type]?.splitDoors && (
+                <>
+                <div style={inputGroupStyle}>
+                    <label style={labelStyle}>Upper Doors</label>
+                    <input
+                    type="number"
+                    min="0"
+                    max={selectedCabinet.doubleDoor ? 2 : getMaxDoors(getFrontOpening(selectedCabinet).width)}
+                    value={selectedCabinet.upperDoors || 0}
+                    onChange={(e) => {
+                        updateCabinet(selectedCabinet.id, 'upperDoors', parseInt(e.target.value));
+                        setSelectedDoorIndex(null);
+                    }}
+                    style={inputStyle}
+                    />
+                </div>
+
+                <div style={inputGroupStyle}>
+                    <label style={labelStyle}>Fixed Shelf Height (top, from floor)</label>
+                    <input
+                    type="text"
+                    placeholder="50 or 50 1/2"
+                    value={decimalToFraction(selectedCabinet.midShelfHeight)}
+                    onChange={(e) => updateCabinet(selectedCabinet.id, 'midShelfHeight', parseFraction(e.target.value))}
+                    style={inputStyle}
+                    />
+                    <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet.midShelfHeight, measurementFormat)}</div>
+                </div>
+                </>
+            )}
+
+            <div style={inputGroupStyle}>
+                <label style={labelStyle}>Overlay</label>
+                <select
+                value={getOverlayType(selectedCabinet)}
+                onChange={(e) => updateCabinet(selectedCabinet.id, 'overlayType', e.target.value)}
+                style={inputStyle}
+                >
+                {Object.entries(OVERLAY_TYPES).map(([key, overlay]) => (
+                    <option key={key} value={key}>{overlay.name}</option>
+                ))}
+                </select>
+                <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{OVERLAY_TYPES[getOverlayType(selectedCabinet)].description}</div>
+            </div>
 
             <div style={inputGroupStyle}>
-                <label style={labelStyle}>Door/Drawer Gap</label>
+                <label style={labelStyle}>Reveal (Door/Drawer Gap)</label>
                 <input
                 type="text"
                 placeholder="1/8 or 0.125"
@@ -4058,8 +5621,9 @@ const CabinetDesigner = () => {
                 <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet.doorDrawerGap, measurementFormat)}</div>
             </div>
 
+            {getOverlayType(selectedCabinet) === 'partialOverlay' && (
             <div style={inputGroupStyle}>
-                <label style={labelStyle}>Door/Drawer Overhang</label>
+                <label style={labelStyle}>Overlay Amount</label>
                 <input
                 type="text"
                 placeholder="1/2 or 0.5"
@@ -4069,17 +5633,18 @@ const CabinetDesigner = () => {
                 />
                 <div style={{ fontSize: '11px', color: '#999', marginTop: '4px' }}>{formatMeasurement(selectedCabinet.doorOverhang, measurementFormat)}</div>
             </div>
+            )}
 
-            {selectedCabinet.doors > 0 && (
+            {getTotalDoorCount(selectedCabinet) > 0 && (
                 <div style={{ background: '#252525', padding: '12px', borderRadius: '4px', marginBottom: '16px' }}>
-                {Array.from({length: selectedCabinet.doors}).map((_, i) => (
+                {Array.from({length: getTotalDoorCount(selectedCabinet)}).map((_, i) => (
                     <div 
                         key={i} 
                         onClick={() => setSelectedDoorIndex(i)}
                         style={{
                         marginBottom: '12px',
                         paddingBottom: '12px',
-                        borderBottom: i < selectedCabinet.doors - 1 ? '1px solid #333' : 'none',
+                        borderBottom: i < getTotalDoorCount(selectedCabinet) - 1 ? '1px solid #333' : 'none',
                         cursor: 'pointer',
                         background: selectedDoorIndex === i ? '#333' : 'transparent',
                         padding: '8px',
@@ -4093,6 +5658,30 @@ const CabinetDesigner = () => {
                         </span>
                         <div style={{ display: 'flex', gap: '4px' }}>
                         <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            const doorKey = `${selectedCabinet.id}-${i}`;
+                            const newOpen = new Set(openDoors);
+                            if (newOpen.has(doorKey)) {
+                                newOpen.delete(doorKey);
+                            } else {
+                                newOpen.add(doorKey);
+                            }
+                            setOpenDoors(newOpen);
+                        }}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: openDoors.has(`${selectedCabinet.id}-${i}`) ? '#4CAF50' : '#ff6b35',
+                            cursor: 'pointer',
+                            padding: '4px',
+                            fontSize: '11px'
+                        }}
+                        title={openDoors.has(`${selectedCabinet.id}-${i}`) ? 'Close door' : `Swing door open (hinged on the ${getDoorSwing(selectedCabinet, i).hingeSide})`}
+                        >
+                        {openDoors.has(`${selectedCabinet.id}-${i}`) ? '↩' : '↪'}
+                        </button>
+                        <button
                         onClick={(e) => {
                             e.stopPropagation();
                             const doorKey = `${selectedCabinet.id}-${i}`;
@@ -4119,10 +5708,8 @@ const CabinetDesigner = () => {
                         <button
                         onClick={(e) => {
                             e.stopPropagation();
-                            if (selectedCabinet.doors > 0) {
-                            updateCabinet(selectedCabinet.id, 'doors', selectedCabinet.doors - 1);
+                            removeDoor(selectedCabinet.id, i);
                             if (selectedDoorIndex === i) setSelectedDoorIndex(null);
-                            }
                         }}
                         style={{
                             background: 'transparent',
@@ -4141,7 +5728,7 @@ const CabinetDesigner = () => {
                 </div>
             )}
 
-            {selectedDoorIndex !== null && selectedCabinet.doors > 0 && (
+            {selectedDoorIndex !== null && getTotalDoorCount(selectedCabinet) > 0 && (
                 <div style={{ background: '#252525', padding: '12px', borderRadius: '4px', marginBottom: '16px' }}>
                 <div style={{ fontSize: '12px', color: '#ff6b35', fontWeight: 'bold', marginBottom: '8px' }}>
                     Door {selectedDoorIndex + 1} Settings
@@ -4149,7 +5736,7 @@ const CabinetDesigner = () => {
                 <div style={inputGroupStyle}>
                     <label style={labelStyle}>Handle Position</label>
                     <select
-                    value={selectedCabinet.doorHandles?.[selectedDoorIndex] || 'left'}
+                    value={getDoorHandleSide(selectedCabinet, selectedDoorIndex)}
                     onChange={(e) => {
                         const newHandles = { ...(selectedCabinet.doorHandles || {}) };
                         newHandles[selectedDoorIndex] = e.target.value;
@@ -4160,22 +5747,141 @@ const CabinetDesigner = () => {
                     <option value="left">Left</option>
                     <option value="right">Right</option>
                     </select>
+                    {(() => {
+                    const door = getHingeLayout(selectedCabinet).doors.find(entry => entry.doorIndex === selectedDoorIndex);
+                    return door && (
+                        <div style={{ fontSize: '11px', color: door.member ? '#888' : '#ffaa00', marginTop: '4px' }}>
+                        {door.count} hinges on the {door.hingeSide} edge{door.member ? '' : ' - nothing to hinge on there (add a partition or flip the handle)'}
+                        </div>
+                    );
+                    })()}
                 </div>
                 </div>
             )}
 
+            {!CABINET_TYPES[selectedCabinet.type]?.cornerShape && !CABINET_TYPES[selectedCabinet.type]?.splitDoors && !CABINET_TYPES[selectedCabinet.type]?.sinkBase && (
+                <>
+                <div className="section-header">PARTITIONS</div>
+
+                {getCabinetSections(selectedCabinet) && (
+                    <div style={{ background: '#252525', padding: '12px', borderRadius: '4px', marginBottom: '12px' }}>
+                    {getCabinetSections(selectedCabinet).map((entry, i, all) => (
+                        <div
+                        key={entry.section.id}
+                        style={{
+                            marginBottom: i < all.length - 1 ? '12px' : 0,
+                            paddingBottom: i < all.length - 1 ? '12px' : 0,
+                            borderBottom: i < all.length - 1 ? '1px solid #333' : 'none'
+                        }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                            <span style={{ fontSize: '12px', color: '#ff6b35', fontWeight: 'bold' }}>
+                            Section {i + 1}
+                            </span>
+                            <div style={{ display: 'flex', gap: '4px' }}>
+                            <button
+                            onClick={() => addDrawer(selectedCabinet.id, entry.section.id)}
+                            style={{
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#ff6b35',
+                                cursor: 'pointer',
+                                padding: '4px',
+                                fontSize: '11px'
+                            }}
+                            title="Add a drawer to this section"
+                            >
+                            <Plus size={12} />
+                            </button>
+                            <button
+                            onClick={() => removeSection(selectedCabinet.id, entry.section.id)}
+                            style={{
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#ff6b35',
+                                cursor: 'pointer',
+                                padding: '4px'
+                            }}
+                            title="Remove this section and its partition"
+                            >
+                            <Trash2 size={14} />
+                            </button>
+                            </div>
+                        </div>
+                        <div style={{ marginBottom: '8px' }}>
+                            <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                            Clear width (inches)
+                            </label>
+                            {i < all.length - 1 ? (
+                            <input
+                                type="text"
+                                value={decimalToFraction(entry.clearWidth)}
+                                onChange={(e) => updateSection(selectedCabinet.id, entry.section.id, 'width', parseFraction(e.target.value))}
+                                style={{...inputStyle, fontSize: '12px'}}
+                            />
+                            ) : (
+                            <div style={{ fontSize: '12px', color: '#ccc' }}>
+                                {formatMeasurement(entry.clearWidth, measurementFormat)} (rest of the box)
+                            </div>
+                            )}
+                        </div>
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            <div style={{ flex: 1 }}>
+                            <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                                Doors
+                            </label>
+                            <input
+                                type="number"
+                                min="0"
+                                max={selectedCabinet.doubleDoor ? 2 : getMaxDoors(entry.frontWidth)}
+                                value={entry.section.doors || 0}
+                                onChange={(e) => {
+                                updateSection(selectedCabinet.id, entry.section.id, 'doors', e.target.value);
+                                setSelectedDoorIndex(null);
+                                }}
+                                style={{...inputStyle, fontSize: '12px'}}
+                            />
+                            </div>
+                            <div style={{ flex: 1 }}>
+                            <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                                Shelves
+                            </label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={entry.section.shelves || 0}
+                                onChange={(e) => updateSection(selectedCabinet.id, entry.section.id, 'shelves', e.target.value)}
+                                style={{...inputStyle, fontSize: '12px'}}
+                            />
+                            </div>
+                        </div>
+                        </div>
+                    ))}
+                    </div>
+                )}
+
+                <button
+                    onClick={() => addPartition(selectedCabinet.id)}
+                    style={{...buttonStyle, width: '100%', justifyContent: 'center', fontSize: '11px', padding: '4px 6px', marginBottom: '16px'}}
+                    title={getCabinetSections(selectedCabinet) ? 'Split the last section with another partition' : 'Split the box into two sections'}
+                >
+                    <Plus size={12} />
+                    Add Partition
+                </button>
+                </>
+            )}
+
             <div className="section-header">DRAWERS</div>
 
             <div style={inputGroupStyle}>
                 <label style={labelStyle}>Drawer Style</label>
                 <select
-                value={selectedCabinet.drawerStyle}
+                value={getDoorStyle(selectedCabinet.drawerStyle, doorStyles).id}
                 onChange={(e) => updateCabinet(selectedCabinet.id, 'drawerStyle', e.target.value)}
                 style={inputStyle}
                 >
-                <option value="shaker">Shaker</option>
-                <option value="flat">Flat/Slab</option>
-                <option value="raised">Raised Panel</option>
+                {doorStyles.map(style => (
+                    <option key={style.id} value={style.id}>{style.name}</option>
+                ))}
                 </select>
             </div>
 
@@ -4227,6 +5933,46 @@ const CabinetDesigner = () => {
                         </span>
                         <div style={{ display: 'flex', gap: '4px' }}>
                         <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            splitDrawer(selectedCabinet.id, drawer.id);
+                        }}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: '#ff6b35',
+                            cursor: 'pointer',
+                            padding: '4px',
+                            fontSize: '11px'
+                        }}
+                        title="Split into two side-by-side drawers"
+                        >
+                        ◫
+                        </button>
+                        <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            const newOpen = new Set(openDrawers);
+                            if (newOpen.has(drawer.id)) {
+                                newOpen.delete(drawer.id);
+                            } else {
+                                newOpen.add(drawer.id);
+                            }
+                            setOpenDrawers(newOpen);
+                        }}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: openDrawers.has(drawer.id) ? '#4CAF50' : '#ff6b35',
+                            cursor: 'pointer',
+                            padding: '4px',
+                            fontSize: '11px'
+                        }}
+                        title={openDrawers.has(drawer.id) ? 'Close drawer' : 'Pull drawer out'}
+                        >
+                        {openDrawers.has(drawer.id) ? '↩' : '↪'}
+                        </button>
+                        <button
                         onClick={(e) => {
                             e.stopPropagation();
                             const newHidden = new Set(hiddenDrawers);
@@ -4272,13 +6018,13 @@ const CabinetDesigner = () => {
                         Height (inches)
                         </label>
                         <input
-                        type="number"
-                        min="2"
-                        step="0.5"
-                        value={drawer.height.toFixed(2)}
-                        onChange={(e) => updateDrawer(selectedCabinet.id, drawer.id, 'height', e.target.value)}
+                        type="text"
+                        placeholder="6 or 6 1/2 or = (height - 4) / 4"
+                        value={dimensionText(drawer, 'height')}
+                        onChange={(e) => updateDrawerDimension(selectedCabinet.id, drawer.id, 'height', e.target.value)}
                         style={{...inputStyle, fontSize: '12px'}}
                         />
+                        {renderExpressionError(`${selectedCabinet.id}:drawer:${drawer.id}:height`)}
                     </div>
                     <div>
                         <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
@@ -4292,11 +6038,210 @@ const CabinetDesigner = () => {
                         style={{...inputStyle, fontSize: '12px'}}
                         />
                     </div>
+                    {getCabinetSections(selectedCabinet) && (
+                        <div style={{ marginTop: '8px' }}>
+                        <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                            Section
+                        </label>
+                        <select
+                            value={getCabinetSections(selectedCabinet).find(entry => getSectionDrawers(selectedCabinet, entry).includes(drawer)).section.id}
+                            onChange={(e) => {
+                            // Moving sections resets the drawer to the full width of its new section
+                            const sectionId = Number(e.target.value);
+                            updateCabinet(selectedCabinet.id, 'drawers', selectedCabinet.drawers.map(d => {
+                                if (d.id !== drawer.id) return d;
+                                const { leftX, width, ...rest } = d;
+                                return { ...rest, sectionId };
+                            }));
+                            }}
+                            style={{...inputStyle, fontSize: '12px'}}
+                        >
+                            {getCabinetSections(selectedCabinet).map(entry => (
+                            <option key={entry.section.id} value={entry.section.id}>Section {entry.index + 1}</option>
+                            ))}
+                        </select>
+                        </div>
+                    )}
+                    <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                        <div style={{ flex: 1 }}>
+                        <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                            Width (inches)
+                        </label>
+                        <input
+                            type="number"
+                            min="6"
+                            step="0.5"
+                            value={(drawer.width || getDrawerOpening(selectedCabinet, drawer).width).toFixed(2)}
+                            onChange={(e) => updateDrawer(selectedCabinet.id, drawer.id, 'width', e.target.value)}
+                            style={{...inputStyle, fontSize: '12px'}}
+                        />
+                        </div>
+                        <div style={{ flex: 1 }}>
+                        <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                            From left (inches)
+                        </label>
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={(drawer.leftX || 0).toFixed(2)}
+                            onChange={(e) => updateDrawer(selectedCabinet.id, drawer.id, 'leftX', e.target.value)}
+                            style={{...inputStyle, fontSize: '12px'}}
+                        />
+                        </div>
+                    </div>
                     </div>
                 ))}
                 </div>
             )}
 
+            {CABINET_TYPES[selectedCabinet.type]?.allowsAccessories && (
+                <>
+                <div className="section-header">ACCESSORIES</div>
+
+                <div style={inputGroupStyle}>
+                <select
+                    value=""
+                    onChange={(e) => {
+                    if (e.target.value) addAccessory(selectedCabinet.id, e.target.value);
+                    }}
+                    style={inputStyle}
+                >
+                    <option value="">+ Add roll-out or insert...</option>
+                    {Object.entries(ACCESSORY_TYPES).map(([key, spec]) => (
+                    <option key={key} value={key}>{spec.name}</option>
+                    ))}
+                </select>
+                </div>
+
+                {getAccessoryLayout(selectedCabinet, getPartStock(selectedCabinet, 'back').actual).length > 0 && (
+                <div style={{ background: '#252525', padding: '12px', borderRadius: '4px', marginBottom: '16px' }}>
+                {getAccessoryLayout(selectedCabinet, getPartStock(selectedCabinet, 'back').actual).map((entry, i, all) => {
+                    const { accessory, spec } = entry;
+                    return (
+                    <div
+                        key={accessory.id}
+                        style={{
+                        marginBottom: i < all.length - 1 ? '12px' : 0,
+                        paddingBottom: i < all.length - 1 ? '12px' : 0,
+                        borderBottom: i < all.length - 1 ? '1px solid #333' : 'none'
+                        }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                        <span style={{ fontSize: '12px', color: '#ff6b35', fontWeight: 'bold' }}>
+                        {entry.label}
+                        </span>
+                        <button
+                        onClick={() => deleteAccessory(selectedCabinet.id, accessory.id)}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: '#ff6b35',
+                            cursor: 'pointer',
+                            padding: '4px'
+                        }}
+                        >
+                        <Trash2 size={14} />
+                        </button>
+                    </div>
+                    <div style={{ marginBottom: '8px' }}>
+                        <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                        Type
+                        </label>
+                        <select
+                        value={accessory.type}
+                        onChange={(e) => updateAccessory(selectedCabinet.id, accessory.id, 'type', e.target.value)}
+                        style={{...inputStyle, fontSize: '12px'}}
+                        >
+                        {Object.entries(ACCESSORY_TYPES).map(([key, option]) => (
+                            <option key={key} value={key}>{option.name}</option>
+                        ))}
+                        </select>
+                    </div>
+                    <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                        <div style={{ flex: 1 }}>
+                        <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                            Height (inches)
+                        </label>
+                        <input
+                            type="number"
+                            min="2"
+                            step="0.5"
+                            value={accessory.height.toFixed(2)}
+                            onChange={(e) => updateAccessory(selectedCabinet.id, accessory.id, 'height', e.target.value)}
+                            style={{...inputStyle, fontSize: '12px'}}
+                        />
+                        </div>
+                        <div style={{ flex: 1 }}>
+                        <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                            From bottom (inches)
+                        </label>
+                        <input
+                            type="number"
+                            step="0.5"
+                            value={accessory.startY.toFixed(2)}
+                            onChange={(e) => updateAccessory(selectedCabinet.id, accessory.id, 'startY', e.target.value)}
+                            style={{...inputStyle, fontSize: '12px'}}
+                        />
+                        </div>
+                    </div>
+                    {spec.countLabel && (
+                        <div style={{ marginBottom: '8px' }}>
+                        <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                            {spec.countLabel}
+                        </label>
+                        <input
+                            type="number"
+                            min="1"
+                            max={accessory.type === 'pullOutTrash' ? 2 : 12}
+                            value={entry.count}
+                            onChange={(e) => updateAccessory(selectedCabinet.id, accessory.id, 'count', e.target.value)}
+                            style={{...inputStyle, fontSize: '12px'}}
+                        />
+                        </div>
+                    )}
+                    {getCabinetSections(selectedCabinet) && (
+                        <div style={{ marginBottom: '8px' }}>
+                        <label style={{ fontSize: '10px', color: '#888', display: 'block', marginBottom: '4px' }}>
+                            Section
+                        </label>
+                        <select
+                            value={getCabinetSections(selectedCabinet).find(s => s.interiorLeft === entry.interiorLeft).section.id}
+                            onChange={(e) => updateAccessory(selectedCabinet.id, accessory.id, 'sectionId', Number(e.target.value))}
+                            style={{...inputStyle, fontSize: '12px'}}
+                        >
+                            {getCabinetSections(selectedCabinet).map(section => (
+                            <option key={section.section.id} value={section.section.id}>Section {section.index + 1}</option>
+                            ))}
+                        </select>
+                        </div>
+                    )}
+                    {spec.slides && (
+                        <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+                        <input
+                            type="checkbox"
+                            checked={accessory.hingeSpacers !== false}
+                            onChange={(e) => updateAccessory(selectedCabinet.id, accessory.id, 'hingeSpacers', e.target.checked)}
+                            style={{ marginRight: '8px' }}
+                        />
+                        <label style={{ fontSize: '11px', color: '#ccc' }}>Hinge spacers</label>
+                        </div>
+                    )}
+                    <div style={{ fontSize: '11px', color: '#999' }}>
+                        {accessory.type === 'trayDivider'
+                        ? `${formatMeasurement(entry.clearWidth / (entry.count + 1), measurementFormat)} between dividers`
+                        : `Box ${formatMeasurement(entry.boxWidth, measurementFormat)} wide x ${entry.boxDepth}" deep`}
+                        {entry.spec.slides && entry.behindDoors && entry.spacer === 0 && (
+                        <span style={{ color: '#ff6b35' }}> - will hit the door hinges</span>
+                        )}
+                    </div>
+                    </div>
+                    );
+                })}
+                </div>
+                )}
+                </>
+            )}
+
             <div className="section-header">HARDWARE</div>
 
             <div style={inputGroupStyle}>
@@ -4310,30 +6255,115 @@ const CabinetDesigner = () => {
                 </select>
             </div>
 
+            <div style={inputGroupStyle}>
+                <label style={labelStyle}>Drawer Boxes</label>
+                <select
+                value={getDrawerSystem(selectedCabinet)?.id || ''}
+                onChange={(e) => updateCabinet(selectedCabinet.id, 'drawerBox', { ...selectedCabinet.drawerBox, system: e.target.value || null })}
+                style={inputStyle}
+                >
+                <option value="">Wood - {JOINERY_TYPES.drawer[getJoinerySettings(selectedCabinet).drawer].name} (see Joinery)</option>
+                <optgroup label="Metal Drawer Systems">
+                    {Object.entries(DRAWER_SYSTEMS).map(([id, system]) => (
+                    <option key={id} value={id}>{system.name}</option>
+                    ))}
+                </optgroup>
+                </select>
+                {!getDrawerSystem(selectedCabinet) && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#ccc', marginTop: '6px' }}>
+                    <input
+                    type="checkbox"
+                    checked={!!selectedCabinet.drawerBox?.outsourced}
+                    onChange={(e) => updateCabinet(selectedCabinet.id, 'drawerBox', { ...selectedCabinet.drawerBox, outsourced: e.target.checked })}
+                    />
+                    Order the boxes in (outsourced)
+                </label>
+                )}
+            </div>
+
             <div style={inputGroupStyle}>
                 <label style={labelStyle}>Drawer Slides</label>
                 <select
                 value={selectedCabinet.hardware.slides}
                 onChange={(e) => updateCabinet(selectedCabinet.id, 'hardware', {...selectedCabinet.hardware, slides: e.target.value})}
+                disabled={!!getDrawerSystem(selectedCabinet)}
                 style={inputStyle}
                 >
                 {SLIDE_TYPES.map(s => <option key={s} value={s}>{s}</option>)}
                 </select>
+                {selectedCabinet.drawers && selectedCabinet.drawers.length > 0 && (() => {
+                const { slide, slideLength, slideLengthMm, pricePerPair, system } = getDrawerBoxes(selectedCabinet, getPartStock(selectedCabinet, 'back').actual)[0];
+                let hint = `No ${slide.type} ${system ? 'runner' : 'slide'} fits this depth`;
+                if (slideLength && system) hint = `${system.name} runners, ${slideLengthMm}mm - come with the sides`;
+                else if (slideLength) hint = `${slide.manufacturer} ${slideLength}", ${slide.loadRating} lb, $${pricePerPair.toFixed(2)}/pair - box ${decimalToFraction(slide.sideClearance * 2)} narrower than the opening`;
+                return (
+                    <div style={{ fontSize: '11px', color: slideLength ? '#888' : '#ff6b6b', marginTop: '4px' }}>
+                    {hint}
+                    </div>
+                );
+                })()}
             </div>
 
             <div style={inputGroupStyle}>
                 <label style={labelStyle}>Pulls/Knobs</label>
                 <select
-                value={selectedCabinet.hardware.pulls}
+                value={getCabinetPull(selectedCabinet).id}
                 onChange={(e) => updateCabinet(selectedCabinet.id, 'hardware', {...selectedCabinet.hardware, pulls: e.target.value})}
                 style={inputStyle}
                 >
-                {PULL_TYPES.map(p => <option key={p} value={p}>{p}</option>)}
+                {PULL_TYPES.map(style => (
+                    <optgroup key={style} label={style}>
+                    {Object.entries(PULL_CATALOG).filter(([, p]) => p.style === style).map(([id, p]) => (
+                        <option key={id} value={id}>{p.name} - {p.finish}</option>
+                    ))}
+                    </optgroup>
+                ))}
+                </select>
+                {(() => {
+                const pull = getCabinetPull(selectedCabinet);
+                return (
+                    <div style={{ fontSize: '11px', color: '#888', marginTop: '4px' }}>
+                    {pull.centerToCenter ? `${pull.centerToCenter}mm centers, ` : ''}{pull.length}mm long, ${pull.price.toFixed(2)} each
+                    </div>
+                );
+                })()}
+            </div>
+
+            <div style={inputGroupStyle}>
+                <label style={labelStyle}>Door Pull Placement</label>
+                <select
+                value={getPullPlacement(selectedCabinet).door}
+                onChange={(e) => updateCabinet(selectedCabinet.id, 'pullPlacement', {...getPullPlacement(selectedCabinet), door: e.target.value})}
+                style={inputStyle}
+                >
+                {Object.entries(PULL_PLACEMENTS.door).map(([key, rule]) => <option key={key} value={key}>{rule.name}</option>)}
+                </select>
+            </div>
+
+            <div style={inputGroupStyle}>
+                <label style={labelStyle}>Drawer Pull Placement</label>
+                <select
+                value={getPullPlacement(selectedCabinet).drawer}
+                onChange={(e) => updateCabinet(selectedCabinet.id, 'pullPlacement', {...getPullPlacement(selectedCabinet), drawer: e.target.value})}
+                style={inputStyle}
+                >
+                {Object.entries(PULL_PLACEMENTS.drawer).map(([key, rule]) => <option key={key} value={key}>{rule.name}</option>)}
                 </select>
             </div>
 
+            <div style={inputGroupStyle}>
+                <button
+                onClick={() => window.openDrillingTemplates(cabinets, projectName, doorStyles)}
+                style={{...buttonStyle, width: '100%', justifyContent: 'center'}}
+                title="Full-size templates for every pull in the project"
+                >
+                Print Pull Drilling Templates
+                </button>
+            </div>
+
             <div className="section-header">OPTIONS</div>
 
+            {!CABINET_TYPES[selectedCabinet.type]?.sinkBase && !getCabinetSections(selectedCabinet) && (
             <div style={inputGroupStyle}>
                 <label style={labelStyle}>Shelves</label>
                 <input
@@ -4344,7 +6374,9 @@ const CabinetDesigner = () => {
                 style={inputStyle}
                 />
             </div>
+            )}
 
+            {(CABINET_TYPES[selectedCabinet.type] || CABINET_TYPES.base).allowsCountertop && (
             <div style={{ ...inputGroupStyle, flexDirection: 'row', alignItems: 'center' }}>
                 <input
                 type="checkbox"
@@ -4354,6 +6386,27 @@ const CabinetDesigner = () => {
                 />
                 <label style={{ ...labelStyle, marginBottom: 0 }}>Countertop</label>
             </div>
+            )}
+
+            {(CABINET_TYPES[selectedCabinet.type] || CABINET_TYPES.base).allowsCountertop && (() => {
+            const runCountertop = countertops.find(ct => ct.cabinetIds.includes(selectedCabinet.id));
+            return runCountertop ? (
+                <div style={{ ...inputGroupStyle, flexDirection: 'row', alignItems: 'center', gap: '8px' }}>
+                <span style={{ fontSize: '12px', color: '#aaa', flex: 1 }}>Under {runCountertop.name} ({runCountertop.material})</span>
+                <button onClick={() => setEditingCountertopId(runCountertop.id)} style={{...buttonStyle, fontSize: '11px', padding: '6px 10px'}}>
+                    Edit Countertop
+                </button>
+                </div>
+            ) : (
+                <button
+                onClick={() => handleCreateCountertop(selectedCabinet.id)}
+                style={{...buttonStyle, width: '100%', marginBottom: '12px', background: '#333'}}
+                title="One countertop over this cabinet's group (see Align), with overhangs, backsplash, cutouts and seams"
+                >
+                Countertop for {getCabinetGroup(selectedCabinet.id) ? 'This Run' : 'This Cabinet'}
+                </button>
+            );
+            })()}
 
             <div style={{ ...inputGroupStyle, flexDirection: 'row', alignItems: 'center' }}>
                 <input
@@ -4365,6 +6418,63 @@ const CabinetDesigner = () => {
                 <label style={{ ...labelStyle, marginBottom: 0 }}>Crown Molding</label>
             </div>
 
+            {selectedCabinet.crown && (
+            <div style={inputGroupStyle}>
+                <label style={labelStyle}>Crown Height (in)</label>
+                <input
+                type="text"
+                placeholder="3 or 3 1/2"
+                value={dimensionText(selectedCabinet, 'crownHeight')}
+                onChange={(e) => updateCabinetDimension(selectedCabinet.id, 'crownHeight', e.target.value)}
+                style={inputStyle}
+                />
+                {renderExpressionError(`${selectedCabinet.id}:crownHeight`)}
+            </div>
+            )}
+
+            {(CABINET_TYPES[selectedCabinet.type] || CABINET_TYPES.base).mounted === 'wall' && (
+            <div style={{ ...inputGroupStyle, flexDirection: 'row', alignItems: 'center' }}>
+                <input
+                type="checkbox"
+                checked={selectedCabinet.lightRail}
+                onChange={(e) => updateCabinet(selectedCabinet.id, 'lightRail', e.target.checked)}
+                style={{ marginRight: '8px' }}
+                />
+                <label style={{ ...labelStyle, marginBottom: 0 }}>Light Rail</label>
+            </div>
+            )}
+
+            {selectedCabinet.lightRail && (CABINET_TYPES[selectedCabinet.type] || CABINET_TYPES.base).mounted === 'wall' && (
+            <div style={inputGroupStyle}>
+                <label style={labelStyle}>Light Rail Height (in)</label>
+                <input
+                type="text"
+                placeholder="1 1/2"
+                value={dimensionText(selectedCabinet, 'lightRailHeight')}
+                onChange={(e) => updateCabinetDimension(selectedCabinet.id, 'lightRailHeight', e.target.value)}
+                style={inputStyle}
+                />
+                {renderExpressionError(`${selectedCabinet.id}:lightRailHeight`)}
+            </div>
+            )}
+
+            {Object.keys(TRIM_TYPES).some(kind => hasTrim(selectedCabinet, kind)) && (
+            <div style={{ ...inputGroupStyle, flexDirection: 'row', alignItems: 'center', gap: '12px' }}>
+                <label style={{ ...labelStyle, marginBottom: 0 }} title="Wrap the trim back to the wall where this end is exposed">Trim Returns</label>
+                {['left', 'right'].map(side => (
+                <label key={side} style={{ ...labelStyle, marginBottom: 0, display: 'flex', alignItems: 'center' }}>
+                    <input
+                    type="checkbox"
+                    checked={selectedCabinet.trimReturns?.[side] !== false}
+                    onChange={(e) => updateCabinet(selectedCabinet.id, 'trimReturns', { ...(selectedCabinet.trimReturns || {}), [side]: e.target.checked })}
+                    style={{ marginRight: '4px' }}
+                    />
+                    {side === 'left' ? 'Left' : 'Right'}
+                </label>
+                ))}
+            </div>
+            )}
+
             <div style={{ ...inputGroupStyle, flexDirection: 'row', alignItems: 'center' }}>
                 <input
                 type="checkbox"
@@ -4375,6 +6485,7 @@ const CabinetDesigner = () => {
                 <label style={{ ...labelStyle, marginBottom: 0 }}>Back Panel</label>
             </div>
 
+            {(CABINET_TYPES[selectedCabinet.type] || CABINET_TYPES.base).allowsToekick && (
             <div style={{ ...inputGroupStyle, flexDirection: 'row', alignItems: 'center' }}>
                 <input
                 type="checkbox"
@@ -4384,20 +6495,20 @@ const CabinetDesigner = () => {
                 />
                 <label style={{ ...labelStyle, marginBottom: 0 }}>Toekick</label>
             </div>
+            )}
 
-            {selectedCabinet.toekick && (
+            {selectedCabinet.toekick && (CABINET_TYPES[selectedCabinet.type] || CABINET_TYPES.base).allowsToekick && (
                 <>
                 <div style={inputGroupStyle}>
                     <label style={labelStyle}>Toekick Height (in)</label>
                     <input
-                    type="number"
-                    min="1"
-                    max="8"
-                    step="0.5"
-                    value={selectedCabinet.toekickHeight}
-                    onChange={(e) => updateCabinet(selectedCabinet.id, 'toekickHeight', parseFloat(e.target.value))}
+                    type="text"
+                    placeholder="4 or 4 1/2"
+                    value={dimensionText(selectedCabinet, 'toekickHeight')}
+                    onChange={(e) => updateCabinetDimension(selectedCabinet.id, 'toekickHeight', e.target.value)}
                     style={inputStyle}
                     />
+                    {renderExpressionError(`${selectedCabinet.id}:toekickHeight`)}
                 </div>
                 <div style={inputGroupStyle}>
                     <label style={labelStyle}>Toekick Depth (in)</label>